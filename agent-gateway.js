@@ -216,7 +216,7 @@ async function proxyToJamie(method, path, body, headers = {}) {
 // ==================================================================
 
 app.post('/api/search-quotes', async (req, res) => {
-  const { query, guid, guids, feedIds, limit, minDate, maxDate } = req.body;
+  const { query, guid, guids, feedIds, limit, minDate, maxDate, retrievalMode, speaker } = req.body;
   const clampedLimit = clampLimit(limit, 5);
   const overFetchLimit = Math.min(clampedLimit * 3, RESULT_HARD_CAP);
   const start = Date.now();
@@ -224,7 +224,7 @@ app.post('/api/search-quotes', async (req, res) => {
   try {
     printLog(`[GATEWAY] search-quotes: query="${query}", limit=${clampedLimit} (requested=${limit || 'default'}, fetching=${overFetchLimit}), smartMode=true`);
     const data = await proxyToJamie('POST', '/api/search-quotes', {
-      query, guid, guids, feedIds, limit: overFetchLimit, minDate, maxDate, smartMode: true,
+      query, guid, guids, feedIds, limit: overFetchLimit, minDate, maxDate, smartMode: true, retrievalMode, speaker,
     });
     filterFluffResults(data);
 
@@ -233,6 +233,7 @@ app.post('/api/search-quotes', async (req, res) => {
         quote: r.quote,
         creator: r.creator || r.episode,
         episode: r.episode,
+        speakerName: r.speaker?.name || null,
       }));
       const reranked = await rerankClips({ query, clips, openai });
       if (reranked.clips.length > 0) {
@@ -9,9 +9,14 @@ const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 const { printLog } = require('../constants.js');
 const { ensureFeedLanguages, getFeedLanguageSync } = require('../utils/feedLanguage');
 const { publicAudioUrl } = require('../utils/audioFormat');
+const { speakerFromMetadata } = require('../utils/speakerLabels');
+const { CORPUS_NAMESPACE, isCompatibleModel, compatibleModelFilter } = require('../utils/embeddings');
 
 const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
 const PINECONE_INDEX = process.env.PINECONE_INDEX;
+// Optional Pinecone namespace; its embedding model is picked by
+// utils/embeddings (EMBEDDING_NAMESPACES_JSON keyed by this name).
+const PINECONE_NAMESPACE = process.env.PINECONE_NAMESPACE || '';
 
 if (!PINECONE_API_KEY || !PINECONE_INDEX) {
     throw new Error('Missing required Pinecone environment variables. Please check your .env file.');
@@ -23,7 +28,9 @@ const pinecone = new Pinecone({
     fetchApi: fetch,
 });
 
-const index = pinecone.index(PINECONE_INDEX);
+const index = PINECONE_NAMESPACE
+    ? pinecone.index(PINECONE_INDEX).namespace(PINECONE_NAMESPACE)
+    : pinecone.index(PINECONE_INDEX);
 
 // Global timeout (in ms) for any Pinecone operation invoked from this module
 const PINECONE_TIMEOUT_MS = parseInt(process.env.PINECONE_TIMEOUT_MS || '45000', 10);
@@ -274,6 +281,8 @@ const pineconeTools = {
                 episodeImage: match.metadata.episodeImage || "Image unavailable",
                 date: match.metadata.publishedDate || "Date not provided",
                 published: match.metadata.publishedDate || match.metadata.publishedTimestamp || null,
+                // Who said it (paragraphs only; null until diarized)
+                speaker: speakerFromMetadata(match.metadata),
                 similarity: {
                     combined: parseFloat(match.score.toFixed(4)),
                     vector: parseFloat(match.originalScore?.toFixed(4)) || parseFloat(match.score.toFixed(4)),
@@ -305,11 +314,19 @@ const pineconeTools = {
         minDate = null, // Optional minimum date filter (ISO string or timestamp)
         maxDate = null, // Optional maximum date filter (ISO string or timestamp)
         episodeName = null, // Optional episode name EXACT MATCH filter (must match metadata.episode exactly)
+        speakerKey = null, // Optional normalized speaker (utils/speakerLabels#normalizeSpeakerKey) EXACT MATCH filter
         includeValues = false, // Optional: include embedding vectors in response (NOT USED - will re-embed instead)
-        includeMetadata = true // NEW: When false, returns only IDs and scores (caller will fetch metadata from MongoDB)
+        includeMetadata = true, // NEW: When false, returns only IDs and scores (caller will fetch metadata from MongoDB)
+        embeddingModelId = null // Optional: modelId that produced `embedding` (utils/embeddings); must match the corpus
     }) => {
         const debugPrefix = '[PINECONE-SEARCH]';
         const { printLog } = require('../constants');
+
+        // Querying ada-002 vectors with another model's embedding returns
+        // confident-looking garbage, so refuse outright.
+        if (embeddingModelId && !isCompatibleModel(embeddingModelId, CORPUS_NAMESPACE)) {
+            throw new Error(`Embedding model mismatch: query embedded with ${embeddingModelId}, corpus namespace "${CORPUS_NAMESPACE}" uses a different model`);
+        }
         
         printLog(`${debugPrefix} ========== findSimilarDiscussions CALLED ==========`);
         printLog(`${debugPrefix} Parameters:`, {
@@ -320,6 +337,7 @@ const pineconeTools = {
             minDate,
             maxDate,
             episodeName,
+            speakerKey,
             includeValues: includeValues ? 'REQUESTED (will re-embed instead)' : 'false',
             includeMetadata
         });
@@ -360,6 +378,16 @@ const pineconeTools = {
                 filter.episode = { $eq: episodeName.trim() };
                 printLog(`${debugPrefix} Added episode name filter: "${episodeName.trim()}"`);
             }
+
+            // Vectors from a different embedding model (e.g. a partially
+            // re-embedded namespace) are not comparable to this query.
+            Object.assign(filter, compatibleModelFilter(CORPUS_NAMESPACE));
+
+            // Speaker filter — only paragraphs diarized as this speaker carry speakerKey
+            if (speakerKey) {
+                filter.speakerKey = { $eq: speakerKey };
+                printLog(`${debugPrefix} Added speaker filter: "${speakerKey}"`);
+            }
             
             printLog(`${debugPrefix} Final filter:`, JSON.stringify(filter));
             
@@ -490,6 +518,31 @@ const pineconeTools = {
             throw error;
         }
     },
+    /**
+     * Fetch stored vectors by Pinecone ID, for callers that need values for a
+     * few results only (the near-duplicate cosine check) rather than
+     * includeValues on a whole query.
+     *
+     * @param {string[]} ids
+     * @returns {Promise<Map<string, number[]>>} id → values; IDs that could not be
+     *   fetched, or were embedded with another model, are absent
+     */
+    getVectorValuesByIds: async (ids = []) => {
+        const valuesById = new Map();
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return valuesById;
+        }
+
+        const fetchResult = await pineconeFetch('getVectorValuesByIds', ids.slice(0, 50));
+        const records = fetchResult && fetchResult.records ? fetchResult.records : {};
+        for (const [id, record] of Object.entries(records)) {
+            if (Array.isArray(record?.values) && record.values.length > 0
+                && isCompatibleModel(record.metadata?.embeddingModel, CORPUS_NAMESPACE)) {
+                valuesById.set(id, record.values);
+            }
+        }
+        return valuesById;
+    },
     findTimelineDiscussions: async ({ embedding, timeframe = 'P6M' }) => {
         try {
             // Calculate the date threshold
@@ -34,12 +34,26 @@ const EXECUTION_PROFILES = {
   },
 };
 
+// Local OpenAI-compatible server (provider 'local', see
+// utils/agent/providers/localProvider.js). Model ids are whatever the server
+// serves — llama-server ignores the field, Ollama and vLLM need the served
+// name. The small model backs helper roles (triage, reranker) and defaults to
+// the main one.
+//
+// The provider is opt-in: unless LOCAL_LLM_BASE_URL is set, the local models
+// and their aliases are not registered, so public /api/pull callers can't
+// select them and make the server probe a loopback port.
+const LOCAL_LLM_ENABLED = !!process.env.LOCAL_LLM_BASE_URL;
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || 'qwen3:8b';
+const LOCAL_LLM_SMALL_MODEL = process.env.LOCAL_LLM_SMALL_MODEL || LOCAL_LLM_MODEL;
+
 // Helper LLM prices (per 1M tokens) for non-orchestrator calls that nevertheless
 // hit external paid APIs and contribute to the request's true wall cost:
 //   - gpt-4o-mini:    reranker (utils/clipReranker.js) + proper-noun query
 //                     expansion (services/properNounLLMExpansion.js).
 //   - text-embedding-ada-002: vector embedding for every search_quotes call.
 //   - claude-haiku-4-5: triage classifier + Tier 2 synthesis fallback.
+// (Those are the defaults; each role can be moved with resolveRoleModel below.)
 //
 // Anything that hits OUR OWN infra (Pinecone, MongoDB, MongoDB Atlas search,
 // internal HTTP services, Podcast Index passthroughs) is $0 marginal — we pay
@@ -90,6 +104,11 @@ const HELPER_LLM_PRICES = {
     outputPer1M: parseFloat(process.env.OPENROUTER_KIMI_K26_OUTPUT_PER_1M || '3.49'),
     label: 'Kimi K2.6 (OpenRouter)',
   },
+  // Local models run on our own hardware: $0 marginal, like Pinecone/Mongo.
+  // Listed so helper-channel calls (triage, reranker, Tier 2, distinct
+  // synthesis) resolve a price instead of tripping the missing-entry warning.
+  [LOCAL_LLM_MODEL]: { inputPer1M: 0, outputPer1M: 0, label: 'Local model' },
+  [LOCAL_LLM_SMALL_MODEL]: { inputPer1M: 0, outputPer1M: 0, label: 'Local model (small)' },
 };
 
 const AGENT_MODELS = {
@@ -255,6 +274,30 @@ const AGENT_MODELS = {
     label: 'GPT-4o (OpenAI)',
     maxSynthesisTokens: parseInt(process.env.OPENAI_GPT4O_MAX_SYNTHESIS_TOKENS || '4096', 10),
   },
+  // OpenAI-compatible local server (llama.cpp / Ollama / vLLM) for air-gapped
+  // dev and CI. Zero-cost, so cost budgets never trip; latency budgets still
+  // apply. Point helper roles at 'local-small' via AGENT_TRIAGE_MODEL,
+  // AGENT_RERANKER_MODEL and AGENT_FALLBACK_SYNTHESIS_MODEL.
+  ...(LOCAL_LLM_ENABLED ? {
+    local: {
+      key: 'local',
+      provider: 'local',
+      id: LOCAL_LLM_MODEL,
+      inputPer1M: 0,
+      outputPer1M: 0,
+      label: `Local (${LOCAL_LLM_MODEL})`,
+      maxSynthesisTokens: parseInt(process.env.LOCAL_LLM_MAX_SYNTHESIS_TOKENS || '4096', 10),
+    },
+    'local-small': {
+      key: 'local-small',
+      provider: 'local',
+      id: LOCAL_LLM_SMALL_MODEL,
+      inputPer1M: 0,
+      outputPer1M: 0,
+      label: `Local small (${LOCAL_LLM_SMALL_MODEL})`,
+      maxSynthesisTokens: parseInt(process.env.LOCAL_LLM_MAX_SYNTHESIS_TOKENS || '4096', 10),
+    },
+  } : {}),
 };
 
 // Default routing: hardcoded to 'quality' (currently the DeepSeek V4-Flash
@@ -312,6 +355,12 @@ const LEGACY_MODEL_ALIASES = {
   'kimi-k2.6-or': 'kimi-k2-6-or',
   'kimi-or': 'kimi-k2-6-or',
   'kimi-openrouter': 'kimi-k2-6-or',
+  ...(LOCAL_LLM_ENABLED ? {
+    ollama: 'local',
+    llamacpp: 'local',
+    'llama-cpp': 'local',
+    vllm: 'local',
+  } : {}),
 };
 
 /**
@@ -358,6 +407,7 @@ function resolveModelSelection(body = {}) {
   if (!modelKey && requestedProvider === 'anthropic') modelKey = DEFAULT_AGENT_MODEL;
   if (!modelKey && requestedProvider === 'openrouter') modelKey = 'deepseek-v4-flash';
   if (!modelKey && requestedProvider === 'deepseek') modelKey = 'deepseek-v4-flash-direct';
+  if (!modelKey && requestedProvider === 'local' && LOCAL_LLM_ENABLED) modelKey = 'local';
   if (!modelKey) modelKey = DEFAULT_AGENT_MODEL;
 
   const modelConfig = AGENT_MODELS[modelKey] || AGENT_MODELS[DEFAULT_AGENT_MODEL];
@@ -389,12 +439,125 @@ function resolveModelSelection(body = {}) {
   };
 }
 
+/**
+ * Model for a helper role — triage classifier, clip reranker, Tier 2
+ * synthesis fallback — from the registry key (or alias) in `envVar`, else
+ * `defaultKey`. `providers` restricts which providers the role can run on
+ * (the reranker needs OpenAI-style json_schema output); an unknown key or a
+ * disallowed provider logs a warning and keeps the default.
+ */
+function resolveRoleModel(envVar, defaultKey, { providers } = {}) {
+  const raw = process.env[envVar];
+  if (raw) {
+    const key = normalizeModelKey(raw);
+    const config = key ? AGENT_MODELS[key] : null;
+    if (!config) {
+      console.warn(`[agentModels] ${envVar}="${raw}" is not a registered model — using "${defaultKey}"`);
+    } else if (providers && !providers.includes(config.provider)) {
+      console.warn(`[agentModels] ${envVar}="${raw}" runs on ${config.provider}, which this role does not support (${providers.join(', ')}) — using "${defaultKey}"`);
+    } else {
+      return config;
+    }
+  }
+  return AGENT_MODELS[defaultKey];
+}
+
+// Ordered failover chains per model role (utils/agent/providerFailover.js).
+// When a call fails with an outage-shaped error (5xx, 429, timeout, dropped
+// connection) it is re-issued on the next model in the chain, with the same
+// message history; models on a provider that already failed in this call, or
+// whose circuit is open, are skipped. Chains are keyed by the primary model
+// key, with `default` for everything else; the primary is always tried first
+// and chain entries identical to it (same provider + id) are dropped.
+//
+// Tinfoil and local picks get no cross-provider failover: Tinfoil routing is
+// a confidentiality choice and local is for air-gapped runs, so silently
+// moving either to a hosted vendor would break the reason it was chosen.
+//
+// Override with AGENT_FAILOVER_CHAINS_JSON, e.g.
+//   {"orchestrator": {"default": ["quality", "deepseek-v4-flash", "fast"]}}
+const NO_FAILOVER = [];
+const DEFAULT_FAILOVER_CHAINS = {
+  orchestrator: {
+    default: ['deepseek-v4-flash-direct', 'deepseek-v4-flash', 'fast'],
+    'deepseek-v4-pro': ['deepseek-v4-pro-direct', 'deepseek-v4-flash-direct', 'fast'],
+    'deepseek-v4-pro-direct': ['deepseek-v4-pro', 'deepseek-v4-flash', 'fast'],
+    gemma: NO_FAILOVER,
+    'kimi-k2-6': NO_FAILOVER,
+    'kimi-k2-5': NO_FAILOVER,
+    'glm-5-1': NO_FAILOVER,
+    local: NO_FAILOVER,
+    'local-small': NO_FAILOVER,
+  },
+  synthesis: {
+    default: ['deepseek-v4-flash-direct', 'deepseek-v4-flash', 'gpt-4o-mini', 'fast'],
+    gemma: NO_FAILOVER,
+    'kimi-k2-6': NO_FAILOVER,
+    'kimi-k2-5': NO_FAILOVER,
+    'glm-5-1': NO_FAILOVER,
+    local: NO_FAILOVER,
+    'local-small': NO_FAILOVER,
+  },
+};
+
+function loadFailoverChains() {
+  if (!process.env.AGENT_FAILOVER_CHAINS_JSON) return DEFAULT_FAILOVER_CHAINS;
+  try {
+    const overrides = JSON.parse(process.env.AGENT_FAILOVER_CHAINS_JSON);
+    const chains = {};
+    for (const role of new Set([...Object.keys(DEFAULT_FAILOVER_CHAINS), ...Object.keys(overrides)])) {
+      chains[role] = { ...DEFAULT_FAILOVER_CHAINS[role], ...overrides[role] };
+    }
+    return chains;
+  } catch (err) {
+    console.warn(`[agentModels] AGENT_FAILOVER_CHAINS_JSON is not valid JSON (${err.message}) — using built-in failover chains`);
+    return DEFAULT_FAILOVER_CHAINS;
+  }
+}
+
+const FAILOVER_CHAINS = loadFailoverChains();
+
+/**
+ * Model configs to try, in order, for a role: `primaryConfig` first, then its
+ * chain (FAILOVER_CHAINS[role][primaryKey] or the role's default). Unknown
+ * keys are dropped with a warning; duplicates of an earlier entry
+ * (same provider + id) are dropped silently.
+ *
+ * @param {string} role - 'orchestrator' | 'synthesis'
+ * @param {string|null} primaryKey - registry key of the primary model
+ * @param {Object} primaryConfig
+ * @returns {Array<Object>}
+ */
+function resolveFailoverChain(role, primaryKey, primaryConfig) {
+  const roleChains = FAILOVER_CHAINS[role] || {};
+  const keys = (primaryKey && roleChains[primaryKey]) || roleChains.default || NO_FAILOVER;
+  const chain = [primaryConfig];
+  const seen = new Set([`${primaryConfig.provider}:${primaryConfig.id}`]);
+  for (const raw of keys) {
+    const key = normalizeModelKey(raw);
+    const config = key ? AGENT_MODELS[key] : null;
+    if (!config) {
+      console.warn(`[agentModels] failover chain for ${role}/${primaryKey || 'default'} names unknown model "${raw}" — skipped`);
+      continue;
+    }
+    const identity = `${config.provider}:${config.id}`;
+    if (seen.has(identity)) continue;
+    seen.add(identity);
+    chain.push(config);
+  }
+  return chain;
+}
+
 module.exports = {
   AGENT_MODELS,
   DEFAULT_AGENT_MODEL,
   EXECUTION_PROFILES,
   DEFAULT_EXECUTION_PROFILE,
   HELPER_LLM_PRICES,
+  LOCAL_LLM_ENABLED,
   resolveModelSelection,
   normalizeModelKey,
+  resolveRoleModel,
+  resolveFailoverChain,
+  FAILOVER_CHAINS,
 };
@@ -18,9 +18,25 @@ const AGENT_PRICING_MICRO_USD = {
   'submit-on-demand-run': 450000,  // $0.45 per on-demand run (heavy processing)
   'discover-podcasts':    5000,    // $0.005 per discovery (LLM extraction + Podcast Index search)
   'chapter-search':       8000,    // $0.008 per chapter search (keyword match across ~70K chapters + episode enrichment)
+  'transcript-export':    10000,   // $0.01 per full-episode transcript export (Mongo read + formatting)
+  'person-timeline':      50000,   // $0.05 per timeline (one search per appearance + stance LLM call)
+  'research-audio-export': 100000, // $0.10 per session supercut (clip extraction + ffmpeg render + upload)
   'pull':                 100000   // $0.10 per pull (LLM-orchestrated corpus query)
 };
 
+// Metered pricing for /api/pull (opt-in per request with `pricing: 'metered'`).
+// The client pre-authorizes a ceiling, which is held from the balance up front;
+// at completion the request is charged the run's actual orchestrator + helper
+// LLM spend × markup, clamped to [minCharge, ceiling], and the rest refunded.
+// The ceiling also caps the run itself: the cost tracker's hard budget is
+// lowered to ceiling / markup.
+const PULL_METERED_PRICING = {
+  markup: parseFloat(process.env.PULL_METERED_MARKUP) || 2.5,
+  minChargeMicroUsd: parseInt(process.env.PULL_METERED_MIN_CHARGE_MICRO_USD) || 5000,      // $0.005
+  defaultCeilingMicroUsd: AGENT_PRICING_MICRO_USD.pull,                                   // never more than flat unless asked
+  maxCeilingMicroUsd: parseInt(process.env.PULL_METERED_MAX_CEILING_MICRO_USD) || 2000000 // $2.00
+};
+
 // Deposit limits (in sats)
 const AGENT_MIN_DEPOSIT_SATS = 10;        // 10 sats minimum
 const AGENT_MAX_DEPOSIT_SATS = 500000;    // 500,000 sats maximum
@@ -66,6 +82,7 @@ function computeDefaultSatsForEndpoint(entitlementType, btcUsdRate) {
 
 module.exports = {
   AGENT_PRICING_MICRO_USD,
+  PULL_METERED_PRICING,
   AGENT_MIN_DEPOSIT_SATS,
   AGENT_MAX_DEPOSIT_SATS,
   DEFAULT_CREDIT_PURCHASE_SATS,
@@ -16,6 +16,9 @@
  *   /api/rss/searchFeeds              → discover-podcasts
  *   /api/rss/getFeed                  → discover-podcasts
  *   /api/corpus/chapters              → chapter-search
+ *   /api/corpus/episodes/:guid/transcript → transcript-export
+ *   /api/corpus/people/timeline         → person-timeline
+ *   /api/research-sessions/:id/export-audio → research-audio-export
  *   /api/pull                           → pull
  */
 
@@ -29,6 +32,9 @@ const ENTITLEMENT_TYPES = {
   TWITTER_POST: 'twitter-post',
   DISCOVER_PODCASTS: 'discover-podcasts',
   CHAPTER_SEARCH: 'chapter-search',
+  TRANSCRIPT_EXPORT: 'transcript-export',
+  PERSON_TIMELINE: 'person-timeline',
+  RESEARCH_AUDIO_EXPORT: 'research-audio-export',
   PULL: 'pull'
 };
 
@@ -223,6 +223,45 @@ function serviceHmac(options = {}) {
   };
 }
 
+/**
+ * Sign an outbound request with the same canonical string serviceHmac()
+ * verifies, so a receiver can mount serviceHmac() with { [keyId]: secret }
+ * in its key map. Used for outbound webhooks (e.g. on-demand job callbacks).
+ *
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.url - Absolute target URL (path + query are signed)
+ * @param {string} params.body - Exact serialized body that will be sent
+ * @param {string} params.keyId
+ * @param {string|Buffer} params.secret
+ * @param {number} [params.timestamp] - Unix seconds (defaults to now)
+ * @returns {Object} X-Svc-* headers to attach to the request
+ */
+function signRequest({ method, url, body, keyId, secret, timestamp = Math.floor(Date.now() / 1000) }) {
+  const parsed = new URL(url);
+  const query = {};
+  for (const key of new Set(parsed.searchParams.keys())) {
+    const values = parsed.searchParams.getAll(key);
+    query[key] = values.length > 1 ? values : values[0];
+  }
+  const bodyHashHex = sha256Hex(body);
+  const signature = computeSignature({
+    method,
+    path: parsed.pathname || '/',
+    queryString: buildSortedQueryString(query),
+    bodyHashHex,
+    timestamp,
+    keyId,
+    secret
+  });
+  return {
+    'X-Svc-KeyId': keyId,
+    'X-Svc-Timestamp': String(timestamp),
+    'X-Svc-Body-Hash': bodyHashHex,
+    'X-Svc-Signature': signature
+  };
+}
+
 /**
  * Optional raw body capture helper.
  * If you want body-hash verification without changing your JSON parser,
@@ -249,6 +288,7 @@ function captureRawBody(req, res, next) {
 
 module.exports = {
   serviceHmac,
+  signRequest,
   captureRawBody
 };
 
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * AgentThread Schema
+ *
+ * Server-side conversation memory for /api/pull, keyed by the `sessionId` the
+ * caller sends back on each turn and owned like research sessions (JWT user
+ * and/or anonymous clientId, see utils/resolveOwner.js).
+ *
+ * The last few turns are kept verbatim and replayed as history; older turns
+ * are rolled into `summary`, and everything the agent resolved along the way
+ * (episodes, feeds, people, cited clips) accumulates in `resolved` so it can
+ * be injected as pre-resolved context instead of being looked up again.
+ * See services/agentThreadService.js.
+ */
+const AgentThreadTurnSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const AgentThreadSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  clientId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Most recent turns, oldest first (user + assistant pairs)
+  turns: {
+    type: [AgentThreadTurnSchema],
+    default: []
+  },
+  // Running summary of every turn that has rolled out of `turns`
+  summary: { type: String, default: '' },
+  summarizedTurnCount: { type: Number, default: 0 },
+  turnCount: { type: Number, default: 0 },
+
+  // Entities resolved in earlier turns, most recent last (capped in the service)
+  resolved: {
+    guids: { type: [String], default: [] },
+    feedIds: { type: [String], default: [] },
+    persons: { type: [String], default: [] },
+    clipIds: { type: [String], default: [] }
+  },
+
+  lastRequestId: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+// Idle threads are dropped after 30 days
+AgentThreadSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const AgentThread = mongoose.model('AgentThread', AgentThreadSchema);
+
+module.exports = { AgentThread };
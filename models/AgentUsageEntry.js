@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * AgentUsageEntry Schema
+ *
+ * Append-only ledger for prepaid L402 credentials: one row per balance
+ * movement, so GET /api/agent/usage can produce a statement that sums to the
+ * Entitlement's maxUsage / usedCount.
+ *
+ *   topup  — credits added when the credential's invoice is activated
+ *   debit  — one priced API call (entitlementMiddleware, prepaid path)
+ *   refund — a voided debit credited back (failed call or approved refund request)
+ *
+ * Debits start `pending` and are confirmed or voided once the handler knows
+ * whether the call delivered (utils/debitSettlement.js). Voiding never edits
+ * the debit's amount; it appends a refund row pointing at it.
+ *
+ * Amounts are microdollars like the Entitlement itself. For /api/pull debits
+ * the agent loop back-fills `serveCost` with what the run actually cost us
+ * (orchestrator model + helper LLMs), separately from the list price charged.
+ */
+const agentUsageEntrySchema = new mongoose.Schema({
+  // Credential the movement belongs to (Entitlement identifier for prepaid)
+  paymentHash: {
+    type: String,
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['topup', 'debit', 'refund'],
+    required: true
+  },
+
+  // Debits only
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'voided', null],
+    default: null
+  },
+  settledAt: { type: Date, default: null },
+
+  // Entitlement type for debits and refunds ('pull', 'search-quotes', ...); null for top-ups
+  entitlementType: {
+    type: String,
+    default: null
+  },
+
+  // Always positive; `kind` gives the direction
+  amountUsdMicro: {
+    type: Number,
+    required: true
+  },
+
+  // Remaining balance right after this movement
+  balanceAfterUsdMicro: {
+    type: Number,
+    default: null
+  },
+
+  // Correlates with the X-Request-Id response header (and AgentRunLog for pull)
+  requestId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Short hash of the presenting macaroon's signature. Delegated (attenuated)
+  // macaroons share the paymentHash but get their own id, which lets a
+  // statement be split per sub-agent / project.
+  macaroonId: {
+    type: String,
+    default: null
+  },
+
+  // Debits: the macaroon spend caveats the call was counted against
+  // (reserveCaveatBudgets), so a void after the request has ended — a
+  // deferred job failing, an approved refund request — credits them back too
+  caveatReservation: {
+    type: [{ _id: false, key: String, kind: String, costMicroUsd: Number }],
+    default: undefined
+  },
+
+  method: { type: String, default: null },
+  path: { type: String, default: null },
+
+  // Top-ups: what was paid
+  amountSats: { type: Number, default: null },
+  btcUsdRate: { type: Number, default: null },
+
+  // /api/pull debits: actual model + helper spend for the run
+  serveCost: {
+    agentRequestId: { type: String, default: null },
+    sessionId: { type: String, default: null },
+    modelKey: { type: String, default: null },
+    inputTokens: { type: Number, default: null },
+    outputTokens: { type: Number, default: null },
+    llmCostUsdMicro: { type: Number, default: null },
+    helpersCostUsdMicro: { type: Number, default: null },
+    totalCostUsdMicro: { type: Number, default: null }
+  },
+
+  // Refund rows: the debit credited back, why, and who decided
+  refundOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+  reason: { type: String, default: null },
+  actor: { type: String, default: null }, // 'system' | 'admin'
+
+  // Debits disputed via POST /api/agent/refund-request, reviewed by an admin
+  refundRequest: {
+    status: { type: String, enum: ['open', 'approved', 'rejected', null], default: null },
+    reason: { type: String, default: null },
+    requestedAt: { type: Date, default: null },
+    reviewedAt: { type: Date, default: null },
+    note: { type: String, default: null }
+  },
+
+  // Metered /api/pull debits: the ceiling held up front and how it settled.
+  // amountUsdMicro is rewritten to the final charge at settlement.
+  metered: {
+    ceilingMicroUsd: { type: Number, default: null },
+    markup: { type: Number, default: null },
+    actualCostUsdMicro: { type: Number, default: null },
+    settledAt: { type: Date, default: null }
+  },
+
+  occurredAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Statement queries: one credential, newest first, optionally one kind
+agentUsageEntrySchema.index({ paymentHash: 1, occurredAt: -1 });
+agentUsageEntrySchema.index({ paymentHash: 1, kind: 1, occurredAt: -1 });
+// Admin review queue
+agentUsageEntrySchema.index({ 'refundRequest.status': 1, 'refundRequest.requestedAt': 1 });
+
+const AgentUsageEntry = mongoose.model('AgentUsageEntry', agentUsageEntrySchema);
+
+module.exports = { AgentUsageEntry };
@@ -30,6 +30,9 @@ const entitlementSchema = new mongoose.Schema({
       'twitter-post', // Twitter posting (costs ~$0.01/tweet, Nostr is free)
       'discover-podcasts', // LLM-assisted podcast discovery via Podcast Index
       'chapter-search',   // Chapter keyword search across corpus
+      'transcript-export', // Full-episode transcript export (SRT/VTT/JSON/MD)
+      'person-timeline',   // Per-appearance topic timeline with stance shifts
+      'research-audio-export', // Research session audio supercut
       'workflow',          // Deprecated — renamed to 'pull'
       'pull',              // LLM-orchestrated corpus query ("Pull That Up")
       'premiumFeature',   // Generic premium feature
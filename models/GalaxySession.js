@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Persisted multi-search 3D ("galaxy") session. MultiSearchCacheManager keeps
+// the hot copy in memory; this document is what survives restarts, evictions
+// and container hops (see services/galaxySessionService.js).
+
+const GalaxySessionItemSchema = new mongoose.Schema({
+  pineconeId: {
+    type: String,
+    required: true
+  },
+  // Re-embedded text vector; the reference set for placing later points
+  embedding: {
+    type: [Number],
+    default: []
+  },
+  // Formatted search result as returned to the client (no embedding)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  coordinates3d: {
+    x: { type: Number, default: null },
+    y: { type: Number, default: null },
+    z: { type: Number, default: null }
+  },
+  // Un-normalized UMAP layout; new points are placed relative to these
+  rawCoordinates: {
+    type: [Number],
+    default: []
+  },
+  sourceQueryIndex: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const GalaxySessionSchema = new mongoose.Schema({
+  // Same msess_* id the in-memory cache hands to clients. It is the only
+  // access handle: whoever holds it can re-open and expand the session.
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  queries: {
+    type: [{
+      _id: false,
+      query: String,
+      timestamp: Date,
+      itemCount: Number
+    }],
+    default: []
+  },
+  items: {
+    type: [GalaxySessionItemSchema],
+    default: []
+  },
+  axisLabels: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  umapConfig: {
+    type: String,
+    enum: ['standard', 'fast'],
+    default: 'standard'
+  },
+  // Fitted projection (UmapProjector.fit) — normalization bounds and UMAP
+  // parameters — plus the embedding model the vectors came from
+  projection: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every save/re-open; TTL index below drops idle sessions
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+GalaxySessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GalaxySession = mongoose.model('GalaxySession', GalaxySessionSchema);
+
+module.exports = { GalaxySession };
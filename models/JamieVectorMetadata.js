@@ -47,6 +47,16 @@ const JamieVectorMetadataSchema = new mongoose.Schema(
     shareUrl: { type: String, required: false },
     shareLink: { type: String, required: false },
 
+    // --- paragraph speaker diarization (see utils/speakerLabels.js) ---
+    speakerLabel: { type: String, required: false }, // raw diarization label, e.g. 'SPEAKER_1'
+    speaker: { type: String, required: false }, // resolved person name
+    speakerKey: { type: String, required: false }, // normalized speaker, used for filtering
+    speakerConfidence: { type: Number, required: false }, // 0-1 share of paragraph talk time
+
+    // --- embedding provenance (utils/embeddings modelId, e.g. 'openai:text-embedding-ada-002';
+    // absent on legacy docs, which are all ada-002). Mirrored in Pinecone metadata. ---
+    embeddingModel: { type: String, required: false },
+
     // --- full fidelity metadata for traceability ---
     metadataRaw: { type: mongoose.Schema.Types.Mixed, required: true },
 
@@ -80,9 +90,21 @@ JamieVectorMetadataSchema.index({ type: 1, feedId: 1 });
 // Date filtering per feed (common filters)
 JamieVectorMetadataSchema.index({ feedId: 1, publishedTimestamp: 1 });
 
+// Topic trends: chapters in a publishedTimestamp window across all feeds
+JamieVectorMetadataSchema.index({ type: 1, publishedTimestamp: 1 });
+
 // Chapter containment helper index (narrows by type+guid, then scans start_time)
 JamieVectorMetadataSchema.index({ type: 1, guid: 1, start_time: 1, end_time: 1 });
 
+// Speaker filter ("quotes BY this person"): paragraphs only, labelled docs only
+JamieVectorMetadataSchema.index(
+  { speakerKey: 1, guid: 1 },
+  {
+    name: 'paragraph_speaker',
+    partialFilterExpression: { type: 'paragraph', speakerKey: { $type: 'string' } },
+  }
+);
+
 // Multikey indexes for smart search triage entity resolution
 JamieVectorMetadataSchema.index({ type: 1, 'metadataRaw.guests': 1 });
 JamieVectorMetadataSchema.index({ type: 1, 'metadataRaw.keywords': 1 });
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Usage counters for L402 macaroon scoping caveats (max_spend_micro_usd,
+// rate_per_minute). One document per caveat, keyed by the hashed HMAC chain
+// up to that caveat — see summarizeCaveats in utils/macaroon-utils.js.
+const MacaroonBudgetSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Credential the caveat belongs to (Entitlement identifier for prepaid)
+  paymentHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['spend', 'rate'],
+    required: true
+  },
+  // Cap from the caveat: microdollars for spend, calls per minute for rate
+  limit: {
+    type: Number,
+    required: true
+  },
+  spentMicroUsd: {
+    type: Number,
+    default: 0
+  },
+  callCount: {
+    type: Number,
+    default: 0
+  },
+  // Fixed one-minute window for rate caveats
+  windowStart: {
+    type: Date,
+    default: null
+  },
+  windowCount: {
+    type: Number,
+    default: 0
+  },
+  // Follows the macaroon's own expiry so counters don't outlive it
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MacaroonBudgetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MacaroonBudget = mongoose.model('MacaroonBudget', MacaroonBudgetSchema);
+
+module.exports = { MacaroonBudget };
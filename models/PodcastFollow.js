@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const FOLLOW_OWNER_TYPES = ['mongoUserId', 'prepaid'];
+const FOLLOW_CHECK_STATUSES = ['ok', 'error', 'unfunded'];
+
+/**
+ * PodcastFollow Schema
+ *
+ * A user's (or L402 credential's) subscription to a Podcast Index feed. The
+ * daily follow check (services/podcastFollowService.js) submits every newly
+ * published episode to the on-demand transcription pipeline and charges it
+ * like POST /api/on-demand/submitOnDemandRun would: one submit-on-demand-run
+ * quota unit for users, the per-episode L402 price for prepaid credentials.
+ *
+ * Admin-enabled feeds (ScheduledPodcastFeed) are ingested separately and
+ * need no follow.
+ */
+const PodcastFollowSchema = new mongoose.Schema({
+  // Same identity the entitlement middleware charges: a user id or an L402
+  // paymentHash. Anonymous (IP) identities can't follow — checks run unattended.
+  identifier: {
+    type: String,
+    required: true
+  },
+  identifierType: {
+    type: String,
+    enum: FOLLOW_OWNER_TYPES,
+    required: true
+  },
+
+  feedId: {
+    type: String,
+    required: true
+  },
+  feedGuid: { type: String, default: null },
+  feedUrl: { type: String, default: null },
+  title: { type: String, default: '' },
+  image: { type: String, default: '' },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  lastCheckedAt: { type: Date, default: null },
+  nextCheckAt: { type: Date, default: null },
+  lastCheckStatus: {
+    type: String,
+    enum: [...FOLLOW_CHECK_STATUSES, null],
+    default: null
+  },
+  lastError: { type: String, default: null },
+
+  // When the feed's existing episodes were marked seen. Null until the feed
+  // has been fetched successfully; nothing is submitted before that.
+  baselineAt: { type: Date, default: null },
+
+  // Episode GUIDs already handled (submitted, already transcribed, or present
+  // at the baseline), newest first. Capped in the service.
+  seenGuids: {
+    type: [String],
+    default: []
+  },
+
+  episodesSubmitted: { type: Number, default: 0 },
+  lastSubmittedAt: { type: Date, default: null },
+  // WorkProductV2 lookupHash of the most recent submission (poll with
+  // POST /api/on-demand/getOnDemandJobStatus)
+  lastJobId: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+PodcastFollowSchema.index({ identifier: 1, identifierType: 1, feedId: 1 }, { unique: true });
+PodcastFollowSchema.index({ enabled: 1, nextCheckAt: 1 });
+
+const PodcastFollow = mongoose.model('PodcastFollow', PodcastFollowSchema);
+
+module.exports = { PodcastFollow, FOLLOW_OWNER_TYPES, FOLLOW_CHECK_STATUSES };
@@ -9,6 +9,13 @@ const QueueJobSchema = new mongoose.Schema({
     default: 'queued'
   },
   priority: { type: Number, default: 0 },
+  // 'clip' = make-clip video; 'research-audio-export' = research session
+  // supercut (services/researchAudioExportService.js)
+  jobType: {
+    type: String,
+    enum: ['clip', 'research-audio-export'],
+    default: 'clip'
+  },
   attempts: { type: Number, default: 0 },
   maxAttempts: { type: Number, default: 3 },
   
@@ -16,6 +23,13 @@ const QueueJobSchema = new mongoose.Schema({
   clipData: { type: Object, required: true },
   timestamps: { type: Array },
   subtitles: { type: Array },
+
+  // Prepaid L402 debit held for this job (AgentUsageEntry _id): confirmed on
+  // completion, voided when the job finally fails (utils/debitSettlement.js)
+  debitEntryId: { type: String, default: null },
+  // Debits of later callers who asked for the same lookupHash while this job
+  // was queued or processing; settled together with debitEntryId
+  joinedDebitEntryIds: { type: [String], default: [] },
   
   // Instance tracking
   instanceId: { type: String }, // Which instance is processing this
@@ -20,6 +20,31 @@ const ResearchSessionItemSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Invited collaborator. The owner (userId/clientId) is never listed here.
+// Collaborators must be authenticated users; anonymous clientIds can't be invited.
+const ResearchSessionCollaboratorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const ResearchSessionSchema = new mongoose.Schema({
   // Optional reference to an authenticated user
   userId: {
@@ -67,6 +92,20 @@ const ResearchSessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: false,
     default: null
+  },
+
+  // Users invited to co-curate this session (see ResearchSessionChange for
+  // the per-revision change log).
+  collaborators: {
+    type: [ResearchSessionCollaboratorSchema],
+    default: []
+  },
+
+  // Latest revision recorded in ResearchSessionChange. 0 = no history yet
+  // (sessions created before change tracking).
+  revision: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -115,6 +154,7 @@ ResearchSessionSchema.set('toObject', {
 // Optional compound indexes for common query patterns
 ResearchSessionSchema.index({ userId: 1, createdAt: -1 });
 ResearchSessionSchema.index({ clientId: 1, createdAt: -1 });
+ResearchSessionSchema.index({ 'collaborators.userId': 1, createdAt: -1 });
 
 const ResearchSession = mongoose.model('ResearchSession', ResearchSessionSchema);
 
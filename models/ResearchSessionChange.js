@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One entry per pineconeId touched by a revision
+const ResearchSessionChangeOpSchema = new mongoose.Schema({
+  op: {
+    type: String,
+    enum: ['add', 'remove', 'move'],
+    required: true
+  },
+  pineconeId: {
+    type: String,
+    required: true
+  },
+  // Position before the revision (remove/move) and after it (add/move)
+  fromIndex: { type: Number, default: null },
+  toIndex: { type: Number, default: null }
+}, { _id: false });
+
+/**
+ * Append-only change log for ResearchSession.
+ *
+ * Every write to a session's item list (create, PATCH, revert) inserts one
+ * document here with the next revision number and the full ordered
+ * pineconeIds afterwards, so any revision can be restored. Entries are never
+ * updated or deleted; reverting inserts a new revision.
+ */
+const ResearchSessionChangeSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResearchSession',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // baseline: synthetic revision 0 recorded the first time a session that
+  // predates change tracking is modified
+  action: {
+    type: String,
+    enum: ['create', 'baseline', 'update', 'revert'],
+    required: true
+  },
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    clientId: { type: String, default: null },
+    role: { type: String, enum: ['owner', 'editor', 'system'], default: 'owner' }
+  },
+  changes: {
+    type: [ResearchSessionChangeOpSchema],
+    default: []
+  },
+  lastItemMetadataChanged: {
+    type: Boolean,
+    default: false
+  },
+  revertedTo: {
+    type: Number,
+    default: null
+  },
+  // Ordered pineconeIds after this revision
+  pineconeIds: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Unique per session so two concurrent writers can't claim the same revision
+ResearchSessionChangeSchema.index({ sessionId: 1, revision: -1 }, { unique: true });
+
+const ResearchSessionChange = mongoose.model('ResearchSessionChange', ResearchSessionChangeSchema);
+
+module.exports = { ResearchSessionChange };
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const SAVED_SEARCH_KINDS = ['quotes', 'chapters'];
+const SAVED_SEARCH_CADENCES = ['hourly', 'daily', 'weekly'];
+
+const SavedSearchSchema = new mongoose.Schema({
+  // Saved searches run unattended on the server's dime, so they are only
+  // available to authenticated users (no anonymous clientId ownership).
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 'quotes' re-runs /api/search-quotes, 'chapters' re-runs /api/search-chapters
+  kind: {
+    type: String,
+    enum: SAVED_SEARCH_KINDS,
+    required: true
+  },
+  // Sanitized request body for the underlying search service
+  // (see services/savedSearchService.js#sanitizeParams)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  cadence: {
+    type: String,
+    enum: SAVED_SEARCH_CADENCES,
+    default: 'daily'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Optional URL that receives a POST whenever a run finds new results,
+  // signed with X-Svc-* HMAC headers (middleware/hmac.js#signRequest) using
+  // webhookSecret under webhookKeyId
+  webhookUrl: {
+    type: String,
+    required: false,
+    default: null
+  },
+  webhookKeyId: {
+    type: String,
+    default: null
+  },
+  webhookSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  lastRunAt: { type: Date, default: null },
+  nextRunAt: { type: Date, default: null },
+  lastRunStatus: {
+    type: String,
+    enum: ['ok', 'error', null],
+    default: null
+  },
+  lastError: { type: String, default: null },
+  runCount: { type: Number, default: 0 },
+
+  // Most recent pineconeIds already reported, newest first. Capped in the
+  // service so the document stays small; used to diff each run against
+  // everything the owner has already seen.
+  seenIds: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+SavedSearchSchema.index({ userId: 1, createdAt: -1 });
+SavedSearchSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const SavedSearchRunSchema = new mongoose.Schema({
+  savedSearchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  ranAt: { type: Date, default: Date.now },
+  // Lower bound on episode publish date used for this run (null on baseline)
+  since: { type: Date, default: null },
+  // First run of a saved search only seeds seenIds and reports nothing new
+  baseline: { type: Boolean, default: false },
+  totalMatched: { type: Number, default: 0 },
+  newCount: { type: Number, default: 0 },
+  // New results in the same shape the underlying search endpoint returns
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  error: { type: String, default: null },
+  webhook: {
+    status: {
+      type: String,
+      enum: ['skipped', 'delivered', 'failed'],
+      default: 'skipped'
+    },
+    httpStatus: { type: Number, default: null },
+    error: { type: String, default: null },
+    deliveredAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+SavedSearchRunSchema.index({ savedSearchId: 1, ranAt: -1 });
+SavedSearchRunSchema.index({ userId: 1, ranAt: -1 });
+// Run history is a feed, not an archive — expire after 90 days
+SavedSearchRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const SavedSearch = mongoose.model('SavedSearch', SavedSearchSchema);
+const SavedSearchRun = mongoose.model('SavedSearchRun', SavedSearchRunSchema);
+
+module.exports = { SavedSearch, SavedSearchRun, SAVED_SEARCH_KINDS, SAVED_SEARCH_CADENCES };
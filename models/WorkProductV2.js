@@ -4,7 +4,7 @@ const crypto = require('crypto');//force push
 const WorkProductV2Schema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['ptuj-clip','on-demand-jamie-episodes','video-edit'],  // ✅ Correct type enforced
+    enum: ['ptuj-clip','on-demand-jamie-episodes','video-edit','research-audio-export'],  // ✅ Correct type enforced
     required: true,
   },
   result: {
@@ -32,6 +32,54 @@ const WorkProductV2Schema = new mongoose.Schema({
     required: false,
     index: true,
   },
+  // Prepaid L402 debits (AgentUsageEntry _id) riding on an on-demand job,
+  // one per paid episode: confirmed when the episode finishes, voided when it
+  // or the whole job fails (settleOnDemandDebits in
+  // services/onDemandCallbackService.js).
+  debits: {
+    type: [{
+      _id: false,
+      guid: { type: String, required: true },
+      entryId: { type: String, required: true },
+      state: { type: String, enum: ['pending', 'confirmed', 'voided'], default: 'pending' },
+    }],
+    default: undefined,
+  },
+  // Outbound completion webhook for on-demand runs (see
+  // services/onDemandCallbackService.js). `deliveries` holds one entry per
+  // event (episode finished/failed, job finished); `log` is the append-only
+  // record of every HTTP attempt.
+  callback: {
+    type: new mongoose.Schema({
+      url: { type: String, required: true },
+      keyId: { type: String, required: true },
+      secret: { type: String, required: true, select: false },
+      active: { type: Boolean, default: true },
+      deliveries: [{
+        _id: false,
+        eventId: String,
+        event: String,
+        guid: { type: String, default: null },
+        status: String,
+        state: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: Date,
+        deliveredAt: { type: Date, default: null },
+        lastHttpStatus: { type: Number, default: null },
+        lastError: { type: String, default: null },
+      }],
+      log: [{
+        _id: false,
+        eventId: String,
+        attempt: Number,
+        at: Date,
+        httpStatus: { type: Number, default: null },
+        error: { type: String, default: null },
+        durationMs: Number,
+      }],
+    }, { _id: false }),
+    required: false,
+  },
 }, {
   timestamps: true // Add createdAt and updatedAt fields
 });
@@ -49,6 +97,14 @@ WorkProductV2Schema.index(
   { type: 1, 'result.parentFileBase': 1, createdAt: -1 },
   { name: 'wp2_videoedit_parent_createdAt' }
 );
+WorkProductV2Schema.index(
+  { 'callback.active': 1, type: 1 },
+  { name: 'wp2_callback_active', partialFilterExpression: { 'callback.active': true } }
+);
+WorkProductV2Schema.index(
+  { 'debits.state': 1, type: 1 },
+  { name: 'wp2_debits_pending', partialFilterExpression: { 'debits.state': 'pending' } }
+);
 
 /**
  * Generate a **deterministic** lookup hash based on clipId and timestamps.
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { getComprehensiveStats, resetAllEntitlements, getEntitlementsForIdentifier, updateEntitlementForIdentifier, cleanupExpiredEntitlements } = require('../utils/adminEntitlements');
+const { getComprehensiveStats, resetAllEntitlements, getEntitlementsForIdentifier, updateEntitlementForIdentifier, cleanupExpiredEntitlements, getRefundRequests, reviewRefundRequest } = require('../utils/adminEntitlements');
+const { REFUND_REQUEST_STATUSES } = require('../services/agentUsageLedger');
 
 /**
  * GET /api/admin/entitlements/stats
@@ -148,4 +149,68 @@ router.post('/cleanup', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/entitlements/refund-requests?status=open
+ * List L402 refund requests (open, approved or rejected)
+ */
+router.get('/refund-requests', async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        if (!REFUND_REQUEST_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${REFUND_REQUEST_STATUSES.join(', ')}`
+            });
+        }
+
+        const refundRequests = await getRefundRequests(status);
+
+        res.json({
+            success: true,
+            status,
+            refundRequests
+        });
+    } catch (error) {
+        console.error('Error listing refund requests:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/entitlements/refund-requests/:requestId/approve|reject
+ * Review a refund request; approving credits the call back to the balance
+ */
+router.post('/refund-requests/:requestId/:decision(approve|reject)', async (req, res) => {
+    try {
+        const { requestId, decision } = req.params;
+        const note = typeof req.body?.note === 'string' ? req.body.note : null;
+
+        const result = await reviewRefundRequest(requestId, decision, note);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            entry: result.entry,
+            refund: result.refund
+        });
+    } catch (error) {
+        console.error('Error reviewing refund request:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
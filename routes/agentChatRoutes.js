@@ -12,18 +12,26 @@ const {
   TIER3_FALLBACK_MESSAGE,
 } = require('../setup-agent');
 const { PROFILES, VALID_INTENTS, DEFAULT_INTENT, CLASSIFIER_PROMPT } = require('../setup-agent-profiles');
-const { resolveModelSelection, AGENT_MODELS, HELPER_LLM_PRICES, normalizeModelKey } = require('../constants/agentModels');
+const { resolveModelSelection, resolveRoleModel, resolveFailoverChain, AGENT_MODELS, HELPER_LLM_PRICES, normalizeModelKey } = require('../constants/agentModels');
 const { executeAgentTool } = require('../utils/agentToolHandler');
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 const { filterUpsellCandidates } = require('../utils/upsellRelevance');
 const { createProvider } = require('../utils/agent/providers');
+const { callWithFailover, anyProviderReady } = require('../utils/agent/providerFailover');
 const { sanitizeAgentText, hasToolCallMarkup, createStreamSanitizer, createClipTokenStreamSanitizer, scrubClipIds, repairIndexedClipTokens } = require('../utils/agent/sanitizeOutput');
 const { evaluateSynthesisOutput } = require('../utils/agent/synthesisQuality');
-const { rerankClips, RERANKER_MODEL } = require('../utils/clipReranker');
+const {
+  rerankClips, createRerankBatch, createRerankScoreCache, RERANKER_MODEL, RERANKER_BATCH_ENABLED,
+} = require('../utils/clipReranker');
 const { isBenchmarkRequest } = require('../utils/benchmarkAuth');
 const { detectTextLanguage, detectQuestionLanguage, buildLanguageDirective, buildLanguageReminder, LANGUAGE_NAMES } = require('../utils/detectLanguage');
 const { classifyQuestionLanguage } = require('../utils/classifyLanguage');
 const { translateToLanguage } = require('../utils/translateToLanguage');
+const { recordServeCost } = require('../services/agentUsageLedger');
+const { applyMeteredCeiling, meteredCostEvent, settleMeteredDebit } = require('../utils/meteredPricing');
+const { voidRequestDebit } = require('../utils/debitSettlement');
+const { resolveOwner } = require('../utils/resolveOwner');
+const { loadThread, threadHistory, appendTurn } = require('../services/agentThreadService');
 
 /**
  * Append a short text block to the LAST message in a copy of `msgs` so the
@@ -123,16 +131,32 @@ function createCostTracker(modelConfig, executionProfile) {
   const costBudgetSoft = executionProfile?.costBudgetSoft ?? 0.055;
   const costBudgetHard = executionProfile?.costBudgetHard ?? 0.08;
   const tracker = {
-    llm:     { inputTokens: 0, outputTokens: 0, cost: 0, modelKey: modelConfig?.key, modelLabel: modelConfig?.label },
+    llm:     { inputTokens: 0, outputTokens: 0, cost: 0, modelKey: modelConfig?.key, modelLabel: modelConfig?.label, failoverByModel: {} },
     helpers: { calls: 0, cost: 0, byModel: {} },
     tools:   { calls: 0 },
     get total() { return this.llm.cost + this.helpers.cost; },
 
-    addLlmUsage(inputTokens, outputTokens) {
+    /**
+     * Orchestrator usage. `pricing` is the model that actually served the
+     * call — a failover model when the primary provider was down — so each
+     * round is priced at its own rate; failover usage is also broken out.
+     */
+    addLlmUsage(inputTokens, outputTokens, pricing = modelConfig) {
       this.llm.inputTokens += inputTokens;
       this.llm.outputTokens += outputTokens;
-      this.llm.cost = (this.llm.inputTokens * modelConfig.inputPer1M / 1_000_000)
-                    + (this.llm.outputTokens * modelConfig.outputPer1M / 1_000_000);
+      const callCost = (inputTokens * pricing.inputPer1M / 1_000_000)
+                     + (outputTokens * pricing.outputPer1M / 1_000_000);
+      this.llm.cost += callCost;
+      if (pricing !== modelConfig) {
+        const key = pricing.key || pricing.id;
+        const entry = this.llm.failoverByModel[key] || (this.llm.failoverByModel[key] = {
+          calls: 0, inputTokens: 0, outputTokens: 0, cost: 0,
+        });
+        entry.calls++;
+        entry.inputTokens += inputTokens;
+        entry.outputTokens += outputTokens;
+        entry.cost += callCost;
+      }
     },
 
     /**
@@ -140,10 +164,10 @@ function createCostTracker(modelConfig, executionProfile) {
      * reranker, text-embedding-ada-002, Haiku classifier). Resolves price via
      * HELPER_LLM_PRICES; unknown models still increment the call counter so
      * we can spot omissions, but their cost is recorded as 0 (with a warning
-     * log so we don't silently miss new helper additions).
+     * log so we don't silently miss new helper additions). `price` overrides
+     * the lookup for registry models billed here (failover synthesis).
      */
-    addHelperLlmUsage(modelId, inputTokens, outputTokens) {
-      const price = HELPER_LLM_PRICES[modelId];
+    addHelperLlmUsage(modelId, inputTokens, outputTokens, price = HELPER_LLM_PRICES[modelId]) {
       const safeInput = Number.isFinite(inputTokens) ? inputTokens : 0;
       const safeOutput = Number.isFinite(outputTokens) ? outputTokens : 0;
       let callCost = 0;
@@ -207,6 +231,11 @@ function createCostTracker(modelConfig, executionProfile) {
           inputTokens: this.llm.inputTokens,
           outputTokens: this.llm.outputTokens,
           cost: parseFloat(this.llm.cost.toFixed(6)),
+          ...(Object.keys(this.llm.failoverByModel).length > 0 && {
+            failoverByModel: Object.fromEntries(Object.entries(this.llm.failoverByModel).map(([k, v]) => [k, {
+              ...v, cost: parseFloat(v.cost.toFixed(6)),
+            }])),
+          }),
         },
         helpers: {
           calls: this.helpers.calls,
@@ -360,6 +389,11 @@ function compactSearchQuotesResult(r, i) {
     if (r.additionalFields.guid) c.guid = r.additionalFields.guid;
     if (r.additionalFields.feedId) c.feedId = r.additionalFields.feedId;
   }
+  // Cross-feed copies collapsed by searchQuotes: enough for the model to say
+  // "also aired on X" without citing the duplicate shareLinks
+  if (Array.isArray(r.alsoAppearsIn) && r.alsoAppearsIn.length) {
+    c.alsoAppearsIn = r.alsoAppearsIn.map(a => ({ episode: a.episode, creator: a.creator }));
+  }
   return c;
 }
 
@@ -695,7 +729,11 @@ async function buildFeedLookup() {
   }
 }
 
-const CLASSIFIER_MODEL = AGENT_MODELS.fast.id;
+// Helper roles default to Haiku; AGENT_TRIAGE_MODEL / AGENT_FALLBACK_SYNTHESIS_MODEL
+// move them onto any registered model (e.g. 'local-small' for air-gapped runs).
+const TRIAGE_MODEL_CONFIG = resolveRoleModel('AGENT_TRIAGE_MODEL', 'fast');
+const CLASSIFIER_MODEL = TRIAGE_MODEL_CONFIG.id;
+const TIER2_MODEL_CONFIG = resolveRoleModel('AGENT_FALLBACK_SYNTHESIS_MODEL', 'fast');
 
 let anthropic;
 let anthropicKeyValid = false;
@@ -728,14 +766,22 @@ async function classifyIntent(message, history) {
       ? `Previous messages:\n${history.map(m => `${m.role}: ${m.content}`).join('\n')}\n\nCurrent message: ${message}`
       : message;
 
-    const resp = await anthropic.messages.create({
-      model: CLASSIFIER_MODEL,
-      max_tokens: 30,
-      system: CLASSIFIER_PROMPT,
-      messages: [{ role: 'user', content: userContext }],
-    });
+    const resp = TRIAGE_MODEL_CONFIG.provider === 'anthropic'
+      ? await anthropic.messages.create({
+        model: CLASSIFIER_MODEL,
+        max_tokens: 30,
+        system: CLASSIFIER_PROMPT,
+        messages: [{ role: 'user', content: userContext }],
+      })
+      : await createProvider(TRIAGE_MODEL_CONFIG.provider).createResponse({
+        model: CLASSIFIER_MODEL,
+        maxTokens: 30,
+        system: CLASSIFIER_PROMPT,
+        messages: [{ role: 'user', content: userContext }],
+        temperature: 0,
+      });
 
-    const text = (resp.content[0]?.text || '').trim();
+    const text = (resp.content.filter(b => b.type === 'text').map(b => b.text).join('') || '').trim();
     const match = text.match(/"intent"\s*:\s*"(\w+)"/);
     const intent = match ? match[1] : null;
 
@@ -903,6 +949,11 @@ function createAgentChatRoutes({ openai } = {}) {
 
   async function handleAgentChat(req, res) {
     const message = req.body.message || req.body.task;
+    // Offline replay of a logged run (scripts/replay-agent-runs.js): recorded
+    // tool outputs stand in for the tool layer and the run's recorded inputs
+    // (language, intent, prompt sections) are reused, so only the prompt code
+    // and the model under test differ. See services/agentReplayService.js.
+    const replay = req._replay || null;
     // Resolve the language the user is WRITING in. The stopword heuristic is
     // brittle on short questions and questions that embed English proper nouns
     // ("¿qué dice Michael Saylor en What Bitcoin Did?"), so use a cheap 4o-mini
@@ -913,20 +964,35 @@ function createAgentChatRoutes({ openai } = {}) {
     // end-of-pipeline proofreader trigger. Cost is recorded once `costs` exists.
     let targetLanguage;
     let _langClsUsage = null;
-    try {
-      const cls = await classifyQuestionLanguage(openai, message);
-      _langClsUsage = cls.usage;
-      targetLanguage = (cls.confidence >= 0.9 && cls.language) ? cls.language : detectQuestionLanguage(message);
-      console.log(`[lang] classifier: ${cls.language}@${cls.confidence} → target=${targetLanguage} (heuristic=${detectQuestionLanguage(message)}) for: ${String(message).slice(0, 80)}`);
-    } catch (e) {
-      targetLanguage = detectQuestionLanguage(message);
-      console.warn(`[lang] classifier failed (${e.message}); heuristic target=${targetLanguage}`);
+    if (replay?.targetLanguage) {
+      targetLanguage = replay.targetLanguage;
+    } else {
+      try {
+        const cls = await classifyQuestionLanguage(openai, message);
+        _langClsUsage = cls.usage;
+        targetLanguage = (cls.confidence >= 0.9 && cls.language) ? cls.language : detectQuestionLanguage(message);
+        console.log(`[lang] classifier: ${cls.language}@${cls.confidence} → target=${targetLanguage} (heuristic=${detectQuestionLanguage(message)}) for: ${String(message).slice(0, 80)}`);
+      } catch (e) {
+        targetLanguage = detectQuestionLanguage(message);
+        console.warn(`[lang] classifier failed (${e.message}); heuristic target=${targetLanguage}`);
+      }
     }
     const languageDirective = buildLanguageDirective(targetLanguage);
     const languageReminder = buildLanguageReminder(targetLanguage);
-    const { modelKey, modelConfig, executionProfile, profileKey } = resolveModelSelection(req.body || {});
+    const { modelKey, modelConfig, executionProfile: selectedProfile, profileKey } = resolveModelSelection(req.body || {});
+    // Metered L402 pulls (see utils/meteredPricing.js): the pre-authorized
+    // ceiling caps the run's cost budgets, and the held amount is settled
+    // against actual spend when the run ends. Error responses void the debit
+    // instead (utils/debitSettlement.js), metered or not.
+    const metered = req.entitlement?.metered || null;
+    const executionProfile = applyMeteredCeiling(selectedProfile, metered);
+    const settleMetered = (actualCostUsd, { failed = false } = {}) => settleMeteredDebit({
+      entitlement: req.entitlement,
+      paymentHash: req.identity?.identifier,
+      actualCostUsd,
+      failed,
+    });
     const maxToolRounds = executionProfile.maxToolRounds;
-    const providerClient = createProvider(modelConfig.provider);
     const sessionId = req.body.sessionId || `agent-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
     const requestId = `AGENT-${sessionId.slice(-8)}`;
     const startTime = Date.now();
@@ -934,6 +1000,10 @@ function createAgentChatRoutes({ openai } = {}) {
     const triageEnabled = process.env.AGENT_TRIAGE_ENABLED !== 'false';
     const compactResults = req.body.compactResults !== undefined ? req.body.compactResults !== false : process.env.AGENT_COMPACT_RESULTS !== 'false';
     const compactHistoryEnabled = req.body.compactHistory !== undefined ? req.body.compactHistory !== false : process.env.AGENT_COMPACT_HISTORY !== 'false';
+    // Full tool outputs in the run log make it replayable offline
+    // (scripts/replay-agent-runs.js). AGENT_RUN_LOG_TOOL_OUTPUTS=false keeps
+    // logs to the input/resultCount summary only.
+    const recordToolOutputs = process.env.AGENT_RUN_LOG_TOOL_OUTPUTS !== 'false';
     // When the orchestrator loop exits without a natural finish (cost/latency
     // hard cap, max-rounds), fire one final tool-less LLM call to synthesize an
     // answer from the evidence already gathered. Default true; override via
@@ -959,13 +1029,21 @@ function createAgentChatRoutes({ openai } = {}) {
       return res.status(400).json({ error: 'message (or task) is required' });
     }
 
-    const providerReady = await providerClient.validate();
+    // Ordered models to try per orchestrator round; see FAILOVER_CHAINS in
+    // constants/agentModels.js. A primary that is down at validate time is
+    // fine as long as something later in the chain is configured.
+    const orchestratorChain = resolveFailoverChain('orchestrator', modelKey, modelConfig);
+    const providerReady = await anyProviderReady(orchestratorChain);
+    if (providerReady && !(await createProvider(modelConfig.provider).validate())) {
+      printLog(`[${requestId}] ${modelConfig.provider} unavailable for ${modelConfig.label} — rounds will fail over along ${orchestratorChain.map(c => c.key).join(' → ')}`);
+    }
     if (!providerReady) {
       const envKeyByProvider = {
         tinfoil: 'TINFOIL_API_KEY',
         openrouter: 'OPENROUTER_API_KEY',
         deepseek: 'DEEPSEEK_API_KEY',
         anthropic: 'ANTHROPIC_API_KEY',
+        local: 'LOCAL_LLM_BASE_URL',
       };
       const envKey = envKeyByProvider[modelConfig.provider] || 'ANTHROPIC_API_KEY';
       return res.status(503).json({
@@ -977,12 +1055,11 @@ function createAgentChatRoutes({ openai } = {}) {
     // synthesis pass (and Tier 1 strict re-synthesis) runs on a different
     // model than the orchestrator. Tool calls still flow through the
     // orchestrator (DeepSeek today); only the prose-composition step swaps.
-    // When unset, synthesisProviderClient === providerClient and the cost
+    // When unset, synthesis runs on the orchestrator model and the cost
     // tracker bills synthesis at the orchestrator rate as before. See
     // docs/AGENT_SYNTHESIS_PASS.md for the rationale.
     let synthesisModelKey = null;
     let synthesisModelConfig = modelConfig;
-    let synthesisProviderClient = providerClient;
     let synthesisIsDistinct = false;
     if (process.env.AGENT_SYNTHESIS_MODEL) {
       const resolved = normalizeModelKey(process.env.AGENT_SYNTHESIS_MODEL);
@@ -991,14 +1068,15 @@ function createAgentChatRoutes({ openai } = {}) {
         synthesisModelConfig = AGENT_MODELS[resolved];
         synthesisIsDistinct = synthesisModelConfig.id !== modelConfig.id;
         if (synthesisIsDistinct) {
-          synthesisProviderClient = createProvider(synthesisModelConfig.provider);
-          const synthReady = await synthesisProviderClient.validate();
+          const synthReady = await createProvider(synthesisModelConfig.provider).validate()
+            || await anyProviderReady(resolveFailoverChain('synthesis', resolved, synthesisModelConfig));
           if (!synthReady) {
             const envKeyByProvider = {
               tinfoil: 'TINFOIL_API_KEY',
               openrouter: 'OPENROUTER_API_KEY',
               deepseek: 'DEEPSEEK_API_KEY',
               anthropic: 'ANTHROPIC_API_KEY',
+              local: 'LOCAL_LLM_BASE_URL',
             };
             const envKey = envKeyByProvider[synthesisModelConfig.provider] || 'ANTHROPIC_API_KEY';
             return res.status(503).json({
@@ -1012,12 +1090,32 @@ function createAgentChatRoutes({ openai } = {}) {
     }
 
     const rawHistory = req.body.history || [];
-    const history = Array.isArray(rawHistory)
+    const clientHistory = Array.isArray(rawHistory)
       ? rawHistory
           .filter(m => m && typeof m.content === 'string' && ['user', 'assistant'].includes(m.role))
           .slice(-MAX_HISTORY_MESSAGES)
       : [];
 
+    // Server-side thread (services/agentThreadService.js). Callers with an
+    // owner (JWT and/or clientId) get their turns persisted under sessionId;
+    // once a thread has turns they replace client-supplied history, and its
+    // running summary + resolved entities feed the pre-resolved context below.
+    // Ownerless callers keep the stateless `history` flow.
+    const threadOwner = process.env.AGENT_THREADS_ENABLED !== 'false' && !replay ? await resolveOwner(req) : null;
+    let thread = null;
+    if (threadOwner) {
+      try {
+        const loaded = await loadThread(threadOwner, sessionId);
+        if (loaded.error) {
+          return res.status(loaded.status).json({ error: loaded.error });
+        }
+        thread = loaded.thread;
+      } catch (err) {
+        printLog(`[${requestId}] Thread load failed (falling back to client history): ${err.message}`);
+      }
+    }
+    const history = thread?.turns?.length ? threadHistory(thread) : clientHistory;
+
     // Streaming decision — precedence:
     //   1. req.body.stream (explicit opt-in/out from caller)
     //   2. Accept: text/event-stream header
@@ -1204,12 +1302,18 @@ function createAgentChatRoutes({ openai } = {}) {
     let agentLog = null;
 
     try {
-      await buildFeedLookup();
+      if (!replay) await buildFeedLookup();
+      const feedLookupSection = replay ? (replay.feedLookupSection || '') : feedLookupPromptSection;
 
       let intent = DEFAULT_INTENT;
       let classifierTokens = null;
-      const classifierAvailable = anthropicKeyValid;
-      if (triageEnabled && !bypassTriage && classifierAvailable) {
+      const wantsTriage = triageEnabled && !bypassTriage && !(replay?.intent && PROFILES[replay.intent]);
+      const classifierAvailable = TRIAGE_MODEL_CONFIG.provider === 'anthropic'
+        ? anthropicKeyValid
+        : wantsTriage && await createProvider(TRIAGE_MODEL_CONFIG.provider).validate();
+      if (replay?.intent && PROFILES[replay.intent]) {
+        intent = replay.intent;
+      } else if (triageEnabled && !bypassTriage && classifierAvailable) {
         const result = await classifyIntent(message, history);
         intent = result.intent;
         classifierTokens = result.classifierTokens;
@@ -1234,7 +1338,22 @@ function createAgentChatRoutes({ openai } = {}) {
           printLog(`[${requestId}] Follow-up context: ${parts.join(', ')}`);
         }
       }
-      const effectiveSystemPrompt = profile.buildPrompt() + feedLookupPromptSection + contextSection;
+      if (thread) {
+        const resolved = thread.resolved || {};
+        const parts = [];
+        if (thread.summary) parts.push(`Summary of earlier turns: ${thread.summary}`);
+        if (resolved.guids?.length) parts.push(`GUIDs: ${resolved.guids.join(', ')}`);
+        if (resolved.feedIds?.length) parts.push(`Feed IDs: ${resolved.feedIds.join(', ')}`);
+        if (resolved.persons?.length) parts.push(`People: ${resolved.persons.join(', ')}`);
+        if (resolved.clipIds?.length) parts.push(`Clips already cited: ${resolved.clipIds.join(', ')}`);
+        if (parts.length > 0) {
+          contextSection += `\n\n## Pre-resolved context from earlier in this conversation\nThe following was already resolved in earlier turns — use it directly instead of re-resolving:\n${parts.join('\n')}`;
+          printLog(`[${requestId}] Thread context: turn ${thread.turnCount + 1}, ${thread.summarizedTurnCount} summarized, ${parts.length} part(s)`);
+        }
+      }
+      if (replay) contextSection = replay.contextSection || '';
+      const effectiveSystemPrompt = profile.buildPrompt() + feedLookupSection + contextSection;
+      const executeTool = replay ? replay.executeTool : executeAgentTool;
       const effectiveTools = profile.tools();
 
       emit('status', { message: 'Analyzing your request...', sessionId, intent });
@@ -1243,6 +1362,9 @@ function createAgentChatRoutes({ openai } = {}) {
       const effectiveHistory = compactHistoryEnabled ? compactHistory(history) : history;
       const messages = [...effectiveHistory, { role: 'user', content: message }];
       const clipCache = new Map(); // shareLink → raw clip metadata, populated by search_quotes results
+      // Reranker scores for this request, keyed by (question, pineconeId): a clip
+      // that comes back in a later round's search is not re-scored.
+      const rerankScoreCache = createRerankScoreCache();
       // Now that clipCache exists, wire up the streaming clip-token
       // sanitizer the emit wrapper has been holding a reference for.
       // Ordering matters: text_delta events fired BEFORE this point
@@ -1251,7 +1373,7 @@ function createAgentChatRoutes({ openai } = {}) {
       clipTokenSanitizerRef.current = createClipTokenStreamSanitizer(clipCache);
       let toolCalls = [];
       const costs = createCostTracker(modelConfig, executionProfile);
-      // Classifier (Haiku) ran before the cost tracker existed, so backfill its
+      // Classifier (Haiku by default) ran before the cost tracker existed, so backfill its
       // usage now that we have the channel.
       if (classifierTokens) {
         costs.addHelperLlmUsage(
@@ -1270,6 +1392,31 @@ function createAgentChatRoutes({ openai } = {}) {
       const recordHelperLlmUsage = (modelId, inputTokens, outputTokens) => {
         costs.addHelperLlmUsage(modelId, inputTokens || 0, outputTokens || 0);
       };
+      // Provider failover (utils/agent/providerFailover.js). Whichever model
+      // last answered an orchestrator round is where synthesis starts when it
+      // shares the orchestrator, so a failed-over run doesn't re-probe the
+      // provider that just went down.
+      let orchestratorServedBy = modelConfig;
+      const synthesisChain = () => (synthesisIsDistinct
+        ? resolveFailoverChain('synthesis', synthesisModelKey, synthesisModelConfig)
+        : resolveFailoverChain('synthesis', modelKey, orchestratorServedBy));
+      // Provider-private blocks (DeepSeek `thinking`) only survive a
+      // same-provider hop; see sanitizeMessagesForAnthropic.
+      const messagesForProvider = (config) => (config.provider !== modelConfig.provider
+        ? sanitizeMessagesForAnthropic(messages)
+        : messages);
+      // Synthesis on the orchestrator model bills the llm channel; a distinct
+      // synthesizer (or a failover model standing in for it) bills helpers.
+      const billSynthesisUsage = (servedBy, usage) => {
+        const inputTokens = usage?.input_tokens || 0;
+        const outputTokens = usage?.output_tokens || 0;
+        if (synthesisIsDistinct) {
+          costs.addHelperLlmUsage(servedBy.id, inputTokens, outputTokens, HELPER_LLM_PRICES[servedBy.id] || servedBy);
+        } else {
+          const sameAsPrimary = servedBy.id === modelConfig.id && servedBy.provider === modelConfig.provider;
+          costs.addLlmUsage(inputTokens, outputTokens, sameAsPrimary ? modelConfig : servedBy);
+        }
+      };
       let round = 0;
       let hasExecutedTools = false;
       // Hoisted so the post-loop synthesis path can tell whether the loop
@@ -1330,6 +1477,13 @@ function createAgentChatRoutes({ openai } = {}) {
         classifierTokens,
         rounds: [],
         finalText: null, error: null,
+        // Everything besides tool outputs that a replay needs to rebuild this run
+        replayInputs: {
+          targetLanguage,
+          history,
+          contextSection,
+          feedLookupSection,
+        },
       };
 
       while (
@@ -1385,21 +1539,37 @@ function createAgentChatRoutes({ openai } = {}) {
         //   • Final round without clips (but search evidence exists): route to
         //     synthesis so the dedicated model can cite clips properly
         const roundTextDeltaBuffer = [];
-        const response = await providerClient.createResponse({
-          model: modelConfig.id,
-          maxTokens: 4096,
-          system: roundSystemPrompt,
-          messages: withLanguageReminder(messages, languageReminder),
-          tools: effectiveTools,
-          aborted,
-          onTextDelta: (text) => roundTextDeltaBuffer.push(text),
-          requestId,
+        // A provider outage re-issues the same round, same messages, on the
+        // next model in the chain; the failed attempt's partial text is dropped.
+        const roundCall = await callWithFailover({
+          chain: orchestratorChain,
+          shouldStop: aborted,
+          onFailover: (failed, err, next) => {
+            console.warn(`[${requestId}] Round ${round}: ${failed.label} failed (${err.message}) → retrying on ${next.label}`);
+            roundTextDeltaBuffer.length = 0;
+          },
+          attempt: (config, client) => client.createResponse({
+            model: config.id,
+            maxTokens: 4096,
+            system: roundSystemPrompt,
+            messages: withLanguageReminder(messagesForProvider(config), languageReminder),
+            tools: effectiveTools,
+            aborted,
+            onTextDelta: (text) => roundTextDeltaBuffer.push(text),
+            requestId,
+          }),
         });
+        const response = roundCall.response;
+        orchestratorServedBy = roundCall.modelConfig;
+        if (roundCall.attempts.length > 0) {
+          agentLog.rounds.push({ round, type: 'failover', attempts: roundCall.attempts, servedBy: roundCall.modelConfig.key, provider: roundCall.modelConfig.provider });
+        }
 
         console.log(`[${requestId}] Claude response: stop_reason="${response.stop_reason}", content_blocks=${response.content.length}, types=[${response.content.map(b => b.type).join(',')}]`);
         console.log(`[${requestId}] Tokens this round: input=${response.usage?.input_tokens}, output=${response.usage?.output_tokens}`);
 
-        costs.addLlmUsage(response.usage?.input_tokens || 0, response.usage?.output_tokens || 0);
+        costs.addLlmUsage(response.usage?.input_tokens || 0, response.usage?.output_tokens || 0, roundCall.modelConfig);
+        if (metered) emit('cost', meteredCostEvent(costs.total, metered));
 
         const assistantContent = response.content;
         messages.push({ role: 'assistant', content: assistantContent });
@@ -1520,14 +1690,23 @@ function createAgentChatRoutes({ openai } = {}) {
           });
         }
 
+        // Parallel search_quotes calls in this round share one reranker call
+        // for the union of their clips. Each joins before its first await and
+        // releases in `finally` if it never reaches the reranker.
+        const rerankBatch = RERANKER_BATCH_ENABLED
+          ? createRerankBatch({ openai, scoreCache: rerankScoreCache })
+          : null;
+
         const settled = await Promise.all(toolUseBlocks.map(async (toolUse, i) => {
           const toolStart = Date.now();
+          const rerankParticipant = rerankBatch && toolUse.name === 'search_quotes' ? rerankBatch.join() : null;
+          const toolOpts = { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage: message, rerankScoreCache, rerankParticipant };
           let result;
           try {
             if (toolUse.name === 'suggest_action') {
               result = handleSuggestAction(toolUse.input, emit, { episodeCache, suggestedGuids, requestId });
             } else if (toolUse.name === 'create_research_session') {
-              result = await executeAgentTool(toolUse.name, toolUse.input, { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage: message });
+              result = await executeTool(toolUse.name, toolUse.input, toolOpts);
               if (result.sessionId && result.url) {
                 researchSessionUrl = result.url;
                 emit('session_created', { sessionId: result.sessionId, url: result.url, itemCount: result.itemCount });
@@ -1544,7 +1723,7 @@ function createAgentChatRoutes({ openai } = {}) {
               };
               console.log(`[${requestId}] get_adjacent_paragraphs BLOCKED — cap ${adjacentParagraphCap} reached`);
             } else {
-              result = await executeAgentTool(toolUse.name, toolUse.input, { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage: message });
+              result = await executeTool(toolUse.name, toolUse.input, toolOpts);
             }
           } catch (toolErr) {
             printLog(`[${requestId}] Tool ${toolUse.name} exception (recovered for LLM): ${toolErr.message}`);
@@ -1553,6 +1732,8 @@ function createAgentChatRoutes({ openai } = {}) {
               toolExecutionFailed: true,
               hint: 'Fix tool arguments or try another tool. If this was search_quotes, ensure `query` is a non-empty string.',
             };
+          } finally {
+            if (rerankParticipant) rerankParticipant.release();
           }
           return { toolUse, result, toolLatency: Date.now() - toolStart };
         }));
@@ -1663,6 +1844,8 @@ function createAgentChatRoutes({ openai } = {}) {
             input: tu.input,
             resultCount: toolCalls[toolCalls.length - toolUseBlocks.length + i]?.resultCount,
             latencyMs: toolCalls[toolCalls.length - toolUseBlocks.length + i]?.latencyMs,
+            // Full tool output (post-_meta strip, pre-compaction) for replay
+            ...(recordToolOutputs && { output: settled[i].result }),
           })),
         });
 
@@ -1720,6 +1903,7 @@ function createAgentChatRoutes({ openai } = {}) {
             clips: clipsForRerank,
             openai,
             minScore: 4,
+            scoreCache: rerankScoreCache,
           });
           costs.addHelperLlmUsage(RERANKER_MODEL, rerankUsage.input_tokens, rerankUsage.output_tokens);
 
@@ -1728,11 +1912,20 @@ function createAgentChatRoutes({ openai } = {}) {
 
           if (top12.length >= 3) {
             const pineconeIds = top12.map(c => c.shareLink);
-            const sessionResult = await executeAgentTool(
+            const sessionResult = await executeTool(
               'create_research_session',
               { pineconeIds },
               { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage: message }
             );
+            agentLog.rounds.push({
+              round,
+              type: 'auto_session',
+              tools: [{
+                name: 'create_research_session',
+                input: { pineconeIds },
+                ...(recordToolOutputs && { output: sessionResult }),
+              }],
+            });
             if (sessionResult.sessionId && sessionResult.url) {
               researchSessionUrl = sessionResult.url;
               emit('session_created', { sessionId: sessionResult.sessionId, url: sessionResult.url, itemCount: sessionResult.itemCount });
@@ -1799,6 +1992,8 @@ function createAgentChatRoutes({ openai } = {}) {
 
         let streamedSynthesis = '';
         let primaryOutputTokens = 0;
+        // Model that answered the primary synthesis; Tier 1 starts there
+        let synthesisServedBy = synthesisIsDistinct ? synthesisModelConfig : orchestratorServedBy;
         let primarySynthesisError = null;
         try {
           // Use a synthesis-only prompt that explicitly forbids tool-call
@@ -1824,45 +2019,45 @@ function createAgentChatRoutes({ openai } = {}) {
           // reject. The Tier 2 sanitizer is Anthropic-shaped but the rule
           // is the same for every cross-vendor hop: keep only the OAI/
           // Anthropic-common block types. Apply when the provider differs.
-          const synthesisMessages = (synthesisIsDistinct && synthesisModelConfig.provider !== modelConfig.provider)
-            ? sanitizeMessagesForAnthropic(messages)
-            : messages;
           if (synthesisIsDistinct) {
             console.log(`[${requestId}] Synthesis routing: orchestrator=${modelConfig.label} → synthesizer=${synthesisModelConfig.label} (provider=${synthesisModelConfig.provider})`);
           }
-          const synthesisResponse = await synthesisProviderClient.createResponse({
-            model: synthesisModelConfig.id,
-            maxTokens: synthesisModelConfig.maxSynthesisTokens || parseInt(process.env.AGENT_SYNTHESIS_MAX_TOKENS || '4096', 10),
-            system: synthesisSystemPrompt,
-            messages: withLanguageReminder(synthesisMessages, languageReminder),
-            tools: effectiveTools,
-            toolChoice: 'none',
-            aborted: synthesisAborted,
-            timeoutMs: synthesisBudgetMs,
-            ...(synthesisModelConfig.reasoningEffort ? { reasoningEffort: synthesisModelConfig.reasoningEffort } : {}),
-            onTextDelta: (text) => {
-              streamedSynthesis += text;
-              emit('text_delta', { text });
+          // Failover only until the first text_delta reaches the client — a
+          // retry after that would stream a second answer on top of the
+          // first, so a mid-stream failure goes to the quality gate instead.
+          const synthesisCall = await callWithFailover({
+            chain: synthesisChain(),
+            shouldStop: () => synthesisAborted() || streamedSynthesis.length > 0,
+            onFailover: (failed, err, next) => {
+              console.warn(`[${requestId}] Synthesis: ${failed.label} failed (${err.message}) → retrying on ${next.label}`);
             },
-            requestId,
+            attempt: (config, client) => client.createResponse({
+              model: config.id,
+              maxTokens: config.maxSynthesisTokens || parseInt(process.env.AGENT_SYNTHESIS_MAX_TOKENS || '4096', 10),
+              system: synthesisSystemPrompt,
+              messages: withLanguageReminder(messagesForProvider(config), languageReminder),
+              tools: effectiveTools,
+              toolChoice: 'none',
+              aborted: synthesisAborted,
+              timeoutMs: Math.max(1000, synthesisDeadlineMs - Date.now()),
+              ...(config.reasoningEffort ? { reasoningEffort: config.reasoningEffort } : {}),
+              onTextDelta: (text) => {
+                streamedSynthesis += text;
+                emit('text_delta', { text });
+              },
+              requestId,
+            }),
           });
-
-          // Cost: if synthesis is on a distinct model, bill it through the
-          // helpers channel (same pattern as Tier 2 Haiku) so the dollar
-          // total reflects per-model pricing instead of pricing the
-          // synthesizer's tokens at the orchestrator's rate.
-          if (synthesisIsDistinct) {
-            costs.addHelperLlmUsage(
-              synthesisModelConfig.id,
-              synthesisResponse.usage?.input_tokens || 0,
-              synthesisResponse.usage?.output_tokens || 0,
-            );
-          } else {
-            costs.addLlmUsage(
-              synthesisResponse.usage?.input_tokens || 0,
-              synthesisResponse.usage?.output_tokens || 0,
-            );
+          const synthesisResponse = synthesisCall.response;
+          synthesisServedBy = synthesisCall.modelConfig;
+          if (synthesisCall.attempts.length > 0) {
+            agentLog.rounds.push({ round: round + 1, type: 'synthesis_failover', attempts: synthesisCall.attempts, servedBy: synthesisServedBy.key, provider: synthesisServedBy.provider });
           }
+
+          // Cost: a distinct synthesizer bills through the helpers channel
+          // (same pattern as Tier 2 Haiku) so the dollar total reflects
+          // per-model pricing instead of the orchestrator's rate.
+          billSynthesisUsage(synthesisServedBy, synthesisResponse.usage);
           primaryOutputTokens = synthesisResponse.usage?.output_tokens || 0;
 
           // Some providers (e.g. DeepSeek non-streaming) don't fire onTextDelta;
@@ -1882,8 +2077,8 @@ function createAgentChatRoutes({ openai } = {}) {
             type: 'synthesis',
             tokens: synthesisResponse.usage,
             reason: synthesisExitReason,
-            model: synthesisModelConfig.id,
-            provider: synthesisModelConfig.provider,
+            model: synthesisServedBy.id,
+            provider: synthesisServedBy.provider,
           });
         } catch (err) {
           primarySynthesisError = err;
@@ -1952,37 +2147,38 @@ function createAgentChatRoutes({ openai } = {}) {
           let tier1Text = '';
           let tier1OutputTokens = 0;
           let tier1Error = null;
-          // Same cross-provider sanitization as the primary synthesis call.
-          const tier1Messages = (synthesisIsDistinct && synthesisModelConfig.provider !== modelConfig.provider)
-            ? sanitizeMessagesForAnthropic(messages)
-            : messages;
+          // Silent, so it can fail over freely; starts on whichever model
+          // answered the primary synthesis.
+          let tier1ServedBy = synthesisServedBy;
           try {
-            const tier1Resp = await synthesisProviderClient.createResponse({
-              model: synthesisModelConfig.id,
-              maxTokens: synthesisModelConfig.maxSynthesisTokens || parseInt(process.env.AGENT_SYNTHESIS_MAX_TOKENS || '4096', 10),
-              system: buildStrictSynthesisPrompt(intent, tier1Guidance, researchSessionUrl) + languageDirective,
-              messages: withLanguageReminder(tier1Messages, languageReminder),
-              tools: effectiveTools,
-              toolChoice: 'none',
-              temperature: 0,
-              aborted: tier1Aborted,
-              timeoutMs: tier1Budget,
-              ...(synthesisModelConfig.reasoningEffort ? { reasoningEffort: synthesisModelConfig.reasoningEffort } : {}),
-              onTextDelta: () => { /* silent */ },
-              requestId,
+            const tier1Chain = [
+              synthesisServedBy,
+              ...synthesisChain().filter(c => c.provider !== synthesisServedBy.provider || c.id !== synthesisServedBy.id),
+            ];
+            const tier1Call = await callWithFailover({
+              chain: tier1Chain,
+              shouldStop: tier1Aborted,
+              onFailover: (failed, err, next) => {
+                console.warn(`[${requestId}] Tier 1: ${failed.label} failed (${err.message}) → retrying on ${next.label}`);
+              },
+              attempt: (config, client) => client.createResponse({
+                model: config.id,
+                maxTokens: config.maxSynthesisTokens || parseInt(process.env.AGENT_SYNTHESIS_MAX_TOKENS || '4096', 10),
+                system: buildStrictSynthesisPrompt(intent, tier1Guidance, researchSessionUrl) + languageDirective,
+                messages: withLanguageReminder(messagesForProvider(config), languageReminder),
+                tools: effectiveTools,
+                toolChoice: 'none',
+                temperature: 0,
+                aborted: tier1Aborted,
+                timeoutMs: Math.max(1000, tier1Deadline - Date.now()),
+                ...(config.reasoningEffort ? { reasoningEffort: config.reasoningEffort } : {}),
+                onTextDelta: () => { /* silent */ },
+                requestId,
+              }),
             });
-            if (synthesisIsDistinct) {
-              costs.addHelperLlmUsage(
-                synthesisModelConfig.id,
-                tier1Resp.usage?.input_tokens || 0,
-                tier1Resp.usage?.output_tokens || 0,
-              );
-            } else {
-              costs.addLlmUsage(
-                tier1Resp.usage?.input_tokens || 0,
-                tier1Resp.usage?.output_tokens || 0,
-              );
-            }
+            const tier1Resp = tier1Call.response;
+            tier1ServedBy = tier1Call.modelConfig;
+            billSynthesisUsage(tier1ServedBy, tier1Resp.usage);
             tier1OutputTokens = tier1Resp.usage?.output_tokens || 0;
             tier1Text = scrubClipIds(sanitizeAgentText(
               (tier1Resp.content || [])
@@ -2004,8 +2200,8 @@ function createAgentChatRoutes({ openai } = {}) {
             outputTokens: tier1OutputTokens,
             textLen: tier1Text.length,
             elapsedMs: Date.now() - tier1Start,
-            model: synthesisModelConfig.id,
-            provider: synthesisModelConfig.provider,
+            model: tier1ServedBy.id,
+            provider: tier1ServedBy.provider,
           };
           agentLog.rounds.push({
             round: round + 1,
@@ -2014,21 +2210,22 @@ function createAgentChatRoutes({ openai } = {}) {
             trigger: tier1Quality.trigger || null,
             outputTokens: tier1OutputTokens,
             elapsedMs: Date.now() - tier1Start,
-            model: synthesisModelConfig.id,
-            provider: synthesisModelConfig.provider,
+            model: tier1ServedBy.id,
+            provider: tier1ServedBy.provider,
           });
 
           if (tier1Quality.ok) {
             console.log(`[${requestId}] Tier 1 recovered: ${tier1Text.length} chars, ${tier1OutputTokens} tokens, ${Date.now() - tier1Start}ms`);
             finalSynthText = tier1Text;
           } else {
-            console.log(`[${requestId}] Tier 1 also failed: trigger=${tier1Quality.trigger}, reason=${tier1Quality.reason}. Trying Tier 2 (Haiku).`);
+            console.log(`[${requestId}] Tier 1 also failed: trigger=${tier1Quality.trigger}, reason=${tier1Quality.reason}. Trying Tier 2 (${TIER2_MODEL_CONFIG.label}).`);
             emit('status', { message: 'Trying a different model...', sessionId });
 
             // ===== Tier 2: cross-provider re-synthesis on Anthropic Haiku =====
             // Different model family, different tool DSL — sidesteps
             // DeepSeek-specific failure modes (DSML leaks, narration). Same
-            // strict prompt. Silent.
+            // strict prompt. Silent. AGENT_FALLBACK_SYNTHESIS_MODEL can move
+            // it to another registered model (e.g. 'local' when air-gapped).
             //
             // Conversation-format note: when the primary provider is DeepSeek
             // (or any model that emits private reasoning blocks), the
@@ -2046,15 +2243,15 @@ function createAgentChatRoutes({ openai } = {}) {
             let tier2Text = '';
             let tier2OutputTokens = 0;
             let tier2Error = null;
-            const haikuConfig = AGENT_MODELS.fast;
+            const tier2Config = TIER2_MODEL_CONFIG;
             try {
-              const haikuClient = createProvider(haikuConfig.provider);
-              const haikuReady = await haikuClient.validate();
-              if (!haikuReady) {
-                throw new Error(`Haiku provider (${haikuConfig.provider}) not configured — missing API key`);
+              const tier2Client = createProvider(tier2Config.provider);
+              const tier2Ready = await tier2Client.validate();
+              if (!tier2Ready) {
+                throw new Error(`Tier 2 provider (${tier2Config.provider}) not configured or unreachable`);
               }
-              const tier2Resp = await haikuClient.createResponse({
-                model: haikuConfig.id,
+              const tier2Resp = await tier2Client.createResponse({
+                model: tier2Config.id,
                 maxTokens: synthesisModelConfig.maxSynthesisTokens || parseInt(process.env.AGENT_SYNTHESIS_MAX_TOKENS || '4096', 10),
                 system: buildStrictSynthesisPrompt(intent, tier2Guidance, researchSessionUrl) + languageDirective,
                 messages: withLanguageReminder(tier2Messages, languageReminder),
@@ -2065,13 +2262,13 @@ function createAgentChatRoutes({ openai } = {}) {
                 onTextDelta: () => { /* silent */ },
                 requestId,
               });
-              // Tier 2 runs on Haiku, NOT the orchestrator model. Bill it
-              // against the helpers channel at Haiku rates so the dollar
+              // Tier 2 runs on its own model, NOT the orchestrator. Bill it
+              // against the helpers channel at that model's rates so the dollar
               // total reflects what actually leaves our account. (Previously
               // this used addLlmUsage which incorrectly priced Haiku tokens
               // at the orchestrator's per-1M rate.)
               costs.addHelperLlmUsage(
-                haikuConfig.id,
+                tier2Config.id,
                 tier2Resp.usage?.input_tokens || 0,
                 tier2Resp.usage?.output_tokens || 0,
               );
@@ -2096,8 +2293,8 @@ function createAgentChatRoutes({ openai } = {}) {
               outputTokens: tier2OutputTokens,
               textLen: tier2Text.length,
               elapsedMs: Date.now() - tier2Start,
-              model: haikuConfig.id,
-              provider: haikuConfig.provider,
+              model: tier2Config.id,
+              provider: tier2Config.provider,
             };
             agentLog.rounds.push({
               round: round + 1,
@@ -2106,11 +2303,11 @@ function createAgentChatRoutes({ openai } = {}) {
               trigger: tier2Quality.trigger || null,
               outputTokens: tier2OutputTokens,
               elapsedMs: Date.now() - tier2Start,
-              model: haikuConfig.id,
+              model: tier2Config.id,
             });
 
             if (tier2Quality.ok) {
-              console.log(`[${requestId}] Tier 2 recovered (${haikuConfig.id}): ${tier2Text.length} chars, ${tier2OutputTokens} tokens, ${Date.now() - tier2Start}ms`);
+              console.log(`[${requestId}] Tier 2 recovered (${tier2Config.id}): ${tier2Text.length} chars, ${tier2OutputTokens} tokens, ${Date.now() - tier2Start}ms`);
               finalSynthText = tier2Text;
             } else {
               // ===== Tier 3: hardcoded graceful degradation =====
@@ -2268,6 +2465,28 @@ function createAgentChatRoutes({ openai } = {}) {
         }
       }
 
+      // Persist the turn before costs are summarized so the summarizer call
+      // (when older turns roll out of the verbatim window) is billed to this run.
+      let threadTurnCount = null;
+      if (threadOwner) {
+        try {
+          const saved = await appendTurn({
+            thread,
+            owner: threadOwner,
+            sessionId,
+            userMessage: message,
+            answerText: agentLog.finalText || buffered.text,
+            toolCalls,
+            requestId,
+            openai,
+            recordHelperLlmUsage,
+          });
+          threadTurnCount = saved.turnCount;
+        } catch (err) {
+          printLog(`[${requestId}] Thread save failed (non-fatal): ${err.message}`);
+        }
+      }
+
       const latencyMs = Date.now() - startTime;
 
       const summary = costs.summary();
@@ -2301,7 +2520,16 @@ function createAgentChatRoutes({ openai } = {}) {
         naturalCompletion,
         synthesisExitReason,
       };
-      writeAgentLog(requestId, sessionId, agentLog);
+      if (replay) replay.agentLog = agentLog;
+      else writeAgentLog(requestId, sessionId, agentLog);
+      // L402 callers: attach what this run actually cost to its ledger debit
+      if (req.entitlement?.usageEntryId) {
+        recordServeCost(req.entitlement.usageEntryId, agentLog.summary.cost, { agentRequestId: requestId, sessionId });
+      }
+      const billing = metered ? await settleMetered(costs.total) : null;
+      if (billing) {
+        emit('cost', meteredCostEvent(costs.total, metered, { final: true }));
+      }
 
       // Auto-upsell: surface untranscribed episodes from discover results the agent didn't suggest.
       // Before emitting, run each candidate through a tiered relevance filter
@@ -2392,6 +2620,7 @@ function createAgentChatRoutes({ openai } = {}) {
 
       emit('done', {
         sessionId,
+        ...(threadTurnCount !== null && { thread: { turnCount: threadTurnCount } }),
         responseLanguage,
         provider: modelConfig.provider,
         model: modelConfig.label,
@@ -2422,6 +2651,19 @@ function createAgentChatRoutes({ openai } = {}) {
           suggestedActions: buffered.suggestedActions,
         };
         if (buffered.session) responseBody.session = buffered.session;
+        if (threadTurnCount !== null) responseBody.thread = { turnCount: threadTurnCount };
+        if (billing) {
+          responseBody.billing = {
+            pricing: 'metered',
+            chargedUsd: billing.chargedMicroUsd / 1_000_000,
+            ceilingUsd: billing.ceilingMicroUsd / 1_000_000,
+            refundedUsd: billing.refundedMicroUsd / 1_000_000,
+          };
+          res.setHeader('X-Credits-Cost-USD', (billing.chargedMicroUsd / 1_000_000).toFixed(6));
+          if (billing.balanceAfterUsdMicro !== null) {
+            res.setHeader('X-Credits-Remaining-USD', (billing.balanceAfterUsdMicro / 1_000_000).toFixed(6));
+          }
+        }
         if (includeMetrics) {
           responseBody.metrics = {
             provider: modelConfig.provider,
@@ -2463,10 +2705,13 @@ function createAgentChatRoutes({ openai } = {}) {
         }
         agentLog.error = error.message;
         agentLog.completedAt = new Date().toISOString();
-        writeAgentLog(requestId, sessionId, agentLog);
+        if (replay) replay.agentLog = agentLog;
+        else writeAgentLog(requestId, sessionId, agentLog);
       } catch (logErr) {
         console.error(`[${requestId}] Failed to write agent log:`, logErr.message);
       }
+      // Streams have already sent a 200, so the close handler would confirm
+      await voidRequestDebit(req, `Agent run failed: ${error.message}`);
       if (streaming) {
         emit('error', { error: error.message });
         if (_heartbeat) { clearInterval(_heartbeat); _heartbeat = null; }
@@ -23,6 +23,18 @@
  *   2. Agent pays invoice, retries with Authorization: L402 <macaroon>:<preimage>
  *   3. Server auto-activates credits and serves the request
  *   4. GET /balance returns remaining USD balance
+ *   5. GET /usage returns the itemized statement (debits + top-ups, JSON or CSV)
+ *
+ * Failed calls:
+ *   Debits start pending and are voided back to the balance when the call
+ *   fails (utils/debitSettlement.js). Calls that completed but were wrong can
+ *   be disputed with POST /refund-request; an admin approves or rejects it.
+ *
+ * Delegation:
+ *   A holder can narrow a credential with first-party caveats (endpoints,
+ *   max_spend_micro_usd, rate_per_minute, expires_at) and hand the result plus
+ *   the preimage to a sub-agent. POST /macaroon/attenuate does this for clients
+ *   without a macaroon library; entitlementMiddleware enforces the caveats.
  */
 
 const express = require('express');
@@ -31,7 +43,9 @@ const router = express.Router();
 const { Entitlement } = require('../models/Entitlement');
 const { validatePreimage } = require('../utils/lightning-utils');
 const { getBtcUsdRate, isLightningAvailable, microUsdToUsd } = require('../utils/btcPrice');
-const { verifyMacaroon, parseL402Header } = require('../utils/macaroon-utils');
+const { verifyMacaroon, parseL402Header, attenuateMacaroon } = require('../utils/macaroon-utils');
+const { getCaveatSpendStatus, isDelegatedCredential, credentialExpiry } = require('../utils/macaroonBudget');
+const { parseUsageQuery, listUsage, usageToCsv, macaroonIdFor, openRefundRequest } = require('../services/agentUsageLedger');
 
 /**
  * Middleware: check that lightning services are available (price is fresh enough)
@@ -58,6 +72,34 @@ async function requireLightningAvailable(req, res, next) {
 
 router.use(requireLightningAvailable);
 
+/**
+ * Verify the L402 Authorization header (macaroon signature + preimage).
+ *
+ * @param {object} req - Express request
+ * @returns {{ paymentHash: string, caveats: Object, macaroonBase64: string } | { status: number, error: string, message: string }}
+ */
+function authenticateL402(req) {
+  const l402 = parseL402Header(req.headers.authorization);
+  if (!l402) {
+    return {
+      status: 401,
+      error: 'Unauthorized',
+      message: 'Authorization header required in format: L402 <base64_macaroon>:<hex_preimage>'
+    };
+  }
+
+  const macResult = verifyMacaroon(l402.macaroonBase64);
+  if (!macResult.valid) {
+    return { status: 401, error: 'Unauthorized', message: `Invalid macaroon: ${macResult.error}` };
+  }
+
+  if (!validatePreimage(l402.preimage, macResult.paymentHash)) {
+    return { status: 401, error: 'Unauthorized', message: 'Preimage does not match payment hash' };
+  }
+
+  return { paymentHash: macResult.paymentHash, caveats: macResult.caveats, macaroonBase64: l402.macaroonBase64 };
+}
+
 /**
  * GET /api/agent/balance
  * 
@@ -84,7 +126,14 @@ router.get('/balance', async (req, res) => {
       usedUsd: 0.20,
       usedUsdMicro: 200000,
       btcUsdRate: 100000,
-      clientId: 'optional-session-id'
+      clientId: 'optional-session-id',
+      scope: {
+        endpoints: ['search-quotes', 'pull'],
+        maxSpendMicroUsd: 250000,
+        spendRemainingUsdMicro: 150000,
+        ratePerMinute: 10,
+        expiresAt: '2026-12-01T00:00:00.000Z'
+      }
     }
   } */
   /* #swagger.responses[401] = {
@@ -92,34 +141,12 @@ router.get('/balance', async (req, res) => {
     schema: { error: 'Unauthorized', message: 'Valid L402 Authorization header required' }
   } */
   try {
-    const authHeader = req.headers.authorization;
-    const l402 = parseL402Header(authHeader);
-
-    if (!l402) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Authorization header required in format: L402 <base64_macaroon>:<hex_preimage>'
-      });
-    }
-
-    const { macaroonBase64, preimage } = l402;
-
-    const macResult = verifyMacaroon(macaroonBase64);
-    if (!macResult.valid) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: `Invalid macaroon: ${macResult.error}`
-      });
+    const auth = authenticateL402(req);
+    if (auth.status) {
+      return res.status(auth.status).json({ error: auth.error, message: auth.message });
     }
 
-    const { paymentHash } = macResult;
-
-    if (!validatePreimage(preimage, paymentHash)) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Preimage does not match payment hash'
-      });
-    }
+    const { paymentHash, caveats } = auth;
 
     const entitlement = await Entitlement.findOne({
       identifier: paymentHash,
@@ -136,6 +163,8 @@ router.get('/balance', async (req, res) => {
 
     const balanceUsdMicro = Math.max(0, entitlement.maxUsage - entitlement.usedCount);
     const { rate: btcUsdRate } = await getBtcUsdRate();
+    const spendStatus = await getCaveatSpendStatus(caveats);
+    const expiresAt = credentialExpiry(caveats);
 
     res.json({
       balanceUsd: parseFloat(microUsdToUsd(balanceUsdMicro).toFixed(6)),
@@ -145,7 +174,15 @@ router.get('/balance', async (req, res) => {
       usedUsd: parseFloat(microUsdToUsd(entitlement.usedCount).toFixed(6)),
       usedUsdMicro: entitlement.usedCount,
       btcUsdRate,
-      clientId: entitlement.metadata?.get('clientId') || null
+      clientId: entitlement.metadata?.get('clientId') || null,
+      // What this particular macaroon may do (null fields = unrestricted)
+      scope: {
+        endpoints: caveats.endpoints,
+        maxSpendMicroUsd: caveats.maxSpendMicroUsd,
+        spendRemainingUsdMicro: spendStatus ? Math.min(spendStatus.remainingMicroUsd, balanceUsdMicro) : null,
+        ratePerMinute: caveats.ratePerMinute,
+        expiresAt: expiresAt ? new Date(expiresAt * 1000).toISOString() : null
+      }
     });
   } catch (error) {
     console.error('[AgentRoutes] Error checking balance:', error);
@@ -156,4 +193,261 @@ router.get('/balance', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agent/usage
+ *
+ * Itemized statement for an L402 credential: every debit (priced call),
+ * refund and top-up, newest first. JSON is paginated; ?format=csv returns every matching
+ * row (up to 10,000) for reconciliation. A delegated (caveat-scoped)
+ * macaroon only sees the calls it made itself.
+ */
+router.get('/usage', async (req, res) => {
+  // #swagger.tags = ['Agent Auth']
+  // #swagger.summary = 'Itemized usage statement (JSON or CSV)'
+  // #swagger.description = 'Lists every debit, refund and top-up for the L402 credential in the Authorization header, newest first. Debits carry their status (pending, confirmed, or voided when a failed call was credited back), the endpoint (entitlement type), the list price charged in microUSD, the requestId echoed as X-Request-Id on the original call, and for /api/pull the actual orchestrator + helper model cost of the run (metered pulls also show the pre-authorized ceiling; their amount is the settled charge). Totals cover the whole filtered range, not just the page. Macaroons narrowed with caveats only see their own calls.'
+  /* #swagger.parameters['Authorization'] = {
+    in: 'header',
+    required: true,
+    type: 'string',
+    description: 'L402 credential in format: L402 <base64_macaroon>:<hex_preimage>'
+  } */
+  /* #swagger.parameters['kind'] = { in: 'query', required: false, type: 'string', enum: ['debit', 'topup', 'refund'] } */
+  /* #swagger.parameters['entitlementType'] = { in: 'query', required: false, type: 'string', description: 'Only debits for this endpoint, e.g. pull' } */
+  /* #swagger.parameters['macaroonId'] = { in: 'query', required: false, type: 'string', description: 'Only calls made with this delegated macaroon (16 hex chars, see macaroonId on each entry)' } */
+  /* #swagger.parameters['from'] = { in: 'query', required: false, type: 'string', description: 'ISO date, inclusive' } */
+  /* #swagger.parameters['to'] = { in: 'query', required: false, type: 'string', description: 'ISO date, exclusive' } */
+  /* #swagger.parameters['page'] = { in: 'query', required: false, type: 'integer', default: 1 } */
+  /* #swagger.parameters['limit'] = { in: 'query', required: false, type: 'integer', default: 50, maximum: 500 } */
+  /* #swagger.parameters['format'] = { in: 'query', required: false, type: 'string', enum: ['json', 'csv'], default: 'json' } */
+  /* #swagger.responses[200] = {
+    description: 'Usage statement',
+    schema: {
+      entries: [{
+        occurredAt: '2026-10-19T14:00:00.000Z',
+        kind: 'debit',
+        entitlementType: 'pull',
+        amountUsd: 0.05825,
+        amountUsdMicro: 58250,
+        balanceAfterUsdMicro: 4841750,
+        requestId: 'L402-1792418400000-9f2c1a7b',
+        macaroonId: '3f9a0c1d2e4b5a69',
+        amountSats: null,
+        btcUsdRate: null,
+        serveCost: {
+          agentRequestId: 'AGENT-a1b2c3d4',
+          sessionId: 'agent-1792418400000-a1b2c3',
+          modelKey: 'fast',
+          inputTokens: 18234,
+          outputTokens: 912,
+          llmCostUsdMicro: 21500,
+          helpersCostUsdMicro: 1800,
+          totalCostUsdMicro: 23300
+        },
+        metered: { ceilingMicroUsd: 250000, markup: 2.5, actualCostUsdMicro: 23300, settled: true },
+        status: 'confirmed',
+        refundOf: null,
+        reason: null,
+        refundRequest: null
+      }],
+      pagination: { page: 1, totalPages: 1, totalCount: 3, limit: 50, hasMore: false },
+      totals: { debitCount: 2, debitUsdMicro: 158250, refundCount: 0, refundUsdMicro: 0, topupCount: 1, topupUsdMicro: 5000000, serveCostUsdMicro: 23300 },
+      account: { totalDepositedUsdMicro: 5000000, usedUsdMicro: 158250, balanceUsdMicro: 4841750 }
+    }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid query parameter',
+    schema: { error: 'kind must be one of: topup, debit, refund' }
+  } */
+  try {
+    const auth = authenticateL402(req);
+    if (auth.status) {
+      return res.status(auth.status).json({ error: auth.error, message: auth.message });
+    }
+
+    const query = parseUsageQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    // Sub-agents holding a narrowed macaroon don't get the parent's statement
+    const delegated = isDelegatedCredential(auth.caveats);
+    if (delegated) {
+      query.macaroonId = macaroonIdFor(auth.macaroonBase64);
+    }
+
+    const entitlement = await Entitlement.findOne({
+      identifier: auth.paymentHash,
+      identifierType: 'prepaid',
+      entitlementType: 'apiAccess'
+    }).lean();
+
+    if (!entitlement) {
+      return res.status(404).json({
+        error: 'No balance found',
+        message: 'No credit balance for this credential. Hit any paid endpoint to receive a 402 challenge with a Lightning invoice.'
+      });
+    }
+
+    const { entries, pagination, totals, truncated } = await listUsage({ paymentHash: auth.paymentHash, query });
+
+    if (query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="l402-usage-${auth.paymentHash.slice(0, 12)}.csv"`);
+      if (truncated) res.setHeader('X-Usage-Truncated', 'true');
+      return res.send(usageToCsv(entries));
+    }
+
+    res.json({
+      entries,
+      pagination,
+      totals,
+      account: delegated ? null : {
+        totalDepositedUsdMicro: entitlement.maxUsage,
+        usedUsdMicro: entitlement.usedCount,
+        balanceUsdMicro: Math.max(0, entitlement.maxUsage - entitlement.usedCount)
+      }
+    });
+  } catch (error) {
+    console.error('[AgentRoutes] Error listing usage:', error);
+    res.status(500).json({
+      error: 'Failed to list usage',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agent/refund-request
+ *
+ * Dispute a priced call that went through (failed calls are credited back
+ * automatically). Opens a request on the debit for admin review; approval
+ * voids the debit and restores the balance. A delegated macaroon can only
+ * dispute its own calls.
+ */
+router.post('/refund-request', async (req, res) => {
+  // #swagger.tags = ['Agent Auth']
+  // #swagger.summary = 'Request a refund for a priced call'
+  // #swagger.description = 'Opens a refund request for the call identified by its requestId (the X-Request-Id response header, also on each GET /api/agent/usage entry). Requests must be made within 30 days of the call and are reviewed by an admin; the outcome shows up as refundRequest.status on the statement, and an approval adds a refund entry. Calls that errored are refunded automatically and need no request.'
+  /* #swagger.parameters['Authorization'] = {
+    in: 'header',
+    required: true,
+    type: 'string',
+    description: 'L402 credential in format: L402 <base64_macaroon>:<hex_preimage>'
+  } */
+  /* #swagger.requestBody = {
+    required: true,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          required: ["requestId", "reason"],
+          properties: {
+            requestId: { type: "string", example: "L402-1792418400000-9f2c1a7b" },
+            reason: { type: "string", example: "Answer cited episodes unrelated to the question" }
+          }
+        }
+      }
+    }
+  } */
+  /* #swagger.responses[202] = {
+    description: 'Refund request opened',
+    schema: { requestId: 'L402-1792418400000-9f2c1a7b', refundRequest: { status: 'open', requestedAt: '2026-10-19T15:00:00.000Z' } }
+  } */
+  /* #swagger.responses[404] = { description: 'No debit with that requestId for this credential' } */
+  /* #swagger.responses[409] = { description: 'Already refunded, or a request already exists' } */
+  try {
+    const auth = authenticateL402(req);
+    if (auth.status) {
+      return res.status(auth.status).json({ error: auth.error, message: auth.message });
+    }
+
+    const delegated = isDelegatedCredential(auth.caveats);
+
+    const result = await openRefundRequest({
+      paymentHash: auth.paymentHash,
+      requestId: req.body?.requestId,
+      reason: req.body?.reason,
+      macaroonId: delegated ? macaroonIdFor(auth.macaroonBase64) : null
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[AgentRoutes] Refund request opened for ${result.entry.requestId} (${auth.paymentHash.slice(0, 8)}…)`);
+    res.status(202).json({
+      requestId: result.entry.requestId,
+      refundRequest: {
+        status: result.entry.refundRequest.status,
+        requestedAt: result.entry.refundRequest.requestedAt
+      }
+    });
+  } catch (error) {
+    console.error('[AgentRoutes] Error opening refund request:', error);
+    res.status(500).json({
+      error: 'Failed to open refund request',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agent/macaroon/attenuate
+ *
+ * Convenience for clients without a macaroon library: returns the macaroon
+ * from the Authorization header narrowed by the given caveats. The result
+ * works with the same preimage and can only ever do less than its parent.
+ */
+router.post('/macaroon/attenuate', async (req, res) => {
+  // #swagger.tags = ['Agent Auth']
+  // #swagger.summary = 'Narrow an L402 credential for a sub-agent'
+  // #swagger.description = 'Appends first-party caveats (endpoints, max_spend_micro_usd, rate_per_minute, expires_at) to the L402 macaroon in the Authorization header. Hand the returned macaroon and the same preimage to a sub-agent; caveats are enforced on every priced call.'
+  /* #swagger.parameters['Authorization'] = {
+    in: 'header',
+    required: true,
+    type: 'string',
+    description: 'L402 credential in format: L402 <base64_macaroon>:<hex_preimage>'
+  } */
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: {
+      endpoints: ['search-quotes', 'pull'],
+      maxSpendMicroUsd: 250000,
+      ratePerMinute: 10,
+      expiresAt: '2026-12-01T00:00:00Z'
+    }
+  } */
+  /* #swagger.responses[200] = {
+    description: 'Attenuated macaroon',
+    schema: {
+      macaroon: 'AgEcaHR0cHM6Ly93d3cucHVsbHRoYXR1cGphbWllLmFp...',
+      caveats: ['endpoints = search-quotes,pull', 'max_spend_micro_usd = 250000']
+    }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid caveat values',
+    schema: { error: 'maxSpendMicroUsd must be a positive integer' }
+  } */
+  try {
+    const auth = authenticateL402(req);
+    if (auth.status) {
+      return res.status(auth.status).json({ error: auth.error, message: auth.message });
+    }
+
+    const { endpoints, maxSpendMicroUsd, ratePerMinute, expiresAt } = req.body || {};
+    const result = attenuateMacaroon(auth.macaroonBase64, { endpoints, maxSpendMicroUsd, ratePerMinute, expiresAt });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ macaroon: result.macaroonBase64, caveats: result.caveats });
+  } catch (error) {
+    console.error('[AgentRoutes] Error attenuating macaroon:', error);
+    res.status(500).json({
+      error: 'Failed to attenuate macaroon',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
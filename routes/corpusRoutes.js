@@ -13,8 +13,18 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
+const { OpenAI } = require('openai');
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 const corpusService = require('../services/corpusService');
+const { createEntitlementMiddleware } = require('../utils/entitlementMiddleware');
+const { ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
+const { serviceHmac } = require('../middleware/hmac');
+const { TRANSCRIPT_FORMATS, isTranscriptFormat, renderTranscript } = require('../utils/transcriptExport');
+const { getPersonTimeline, sanitizeTimelineParams } = require('../services/personTimelineService');
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
 
 // =============================================================================
 // RATE LIMITING - Permissive but present
@@ -74,6 +84,34 @@ function buildPagination(page, limit, totalCount) {
   };
 }
 
+/**
+ * Reject unknown ?format= values before the entitlement middleware runs, so a
+ * typo doesn't burn quota or prepaid credit.
+ */
+function requireTranscriptFormat(req, res, next) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!isTranscriptFormat(format)) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+    });
+  }
+  req.transcriptFormat = format;
+  next();
+}
+
+/**
+ * Validate the timeline body before the entitlement middleware runs, so a
+ * missing name or topic doesn't burn quota or prepaid credit.
+ */
+function requireTimelineParams(req, res, next) {
+  const sanitized = sanitizeTimelineParams(req.body);
+  if (sanitized.error) {
+    return res.status(sanitized.status).json({ error: 'Bad request', message: sanitized.error });
+  }
+  next();
+}
+
 /**
  * Format feed for slim response
  */
@@ -175,12 +213,14 @@ Read-only API for navigating the podcast corpus hierarchy. Designed for AI agent
 |--------|----------|-------------|
 | GET | \`/episodes/:guid\` | Get single episode |
 | GET | \`/episodes/:guid/chapters\` | List chapters for episode |
+| GET | \`/episodes/:guid/transcript\` | Full transcript export (entitlement-gated) |
 
 ### Topics
 
 | Method | Endpoint | Description |
 |--------|----------|-------------|
 | GET | \`/topics\` | Aggregated topics from chapter keywords |
+| GET | \`/topics/trends\` | Keyword mentions per week/month, or rising topics |
 
 ### People (Creators & Guests)
 
@@ -188,6 +228,7 @@ Read-only API for navigating the podcast corpus hierarchy. Designed for AI agent
 |--------|----------|-------------|
 | GET | \`/people\` | List/search people (creators + guests) |
 | POST | \`/people/episodes\` | Get episodes featuring a person |
+| POST | \`/people/timeline\` | One passage per appearance on a topic, by date, with stance shifts (entitlement-gated) |
 
 ---
 
@@ -279,6 +320,28 @@ List episodes for a specific feed.
 
 ---
 
+### GET /episodes/:guid/transcript
+
+Full indexed transcript for one episode, one cue per paragraph, ordered by start time. Consumes a \`transcript-export\` entitlement (L402 or free-tier quota).
+
+**Query params:**
+- \`format\`: \`json\` (default), \`srt\`, \`vtt\` or \`md\`
+
+JSON and Markdown interleave chapter headings before the paragraphs they contain:
+\`\`\`json
+{
+  "episode": { "guid": "...", "title": "...", "creator": "..." },
+  "paragraphCount": 212,
+  "chapterCount": 9,
+  "segments": [
+    { "type": "chapter", "headline": "Intro", "startTime": 0, "endTime": 312.4, "...": "..." },
+    { "type": "paragraph", "pineconeId": "guid_p0", "text": "...", "startTime": 0.2, "endTime": 18.9 }
+  ]
+}
+\`\`\`
+
+---
+
 ### GET /topics
 
 Aggregated topics from chapter keywords.
@@ -305,6 +368,37 @@ Aggregated topics from chapter keywords.
 
 ---
 
+### GET /topics/trends
+
+Keyword mention counts over time from chapter keywords (by \`publishedTimestamp\`).
+
+**Query params:**
+- \`keywords\`: comma-separated, case-insensitive (required unless \`mode=rising\`, max 20)
+- \`bucket\`: \`week\` (default, Monday UTC) or \`month\`
+- \`mode\`: \`series\` (default) or \`rising\`
+- \`feedIds\`: comma-separated (optional)
+- \`minDate\` / \`maxDate\`: ISO dates (series default: last 26 weeks / 12 months)
+- Rising only: \`recentBuckets\` (default 1), \`baselineBuckets\` (default 8 weeks / 6 months), \`minMentions\` (default 3 episodes), \`limit\` (default 20)
+
+**Response (series):**
+\`\`\`json
+{
+  "mode": "series",
+  "bucket": "week",
+  "data": [
+    {
+      "keyword": "stablecoins",
+      "total": { "chapters": 42, "episodes": 31 },
+      "buckets": [{ "start": "2026-04-20T00:00:00.000Z", "chapters": 2, "episodes": 2 }]
+    }
+  ]
+}
+\`\`\`
+
+**Rising mode** compares distinct episodes per bucket in the last complete \`recentBuckets\` against the trailing baseline and returns \`data: [{ keyword, recent, baseline, recentPerBucket, baselinePerBucket, growth }]\`, highest growth first.
+
+---
+
 ### GET /people
 
 List/search people (creators and guests).
@@ -370,6 +464,54 @@ Get episodes featuring a specific person.
 
 ---
 
+### POST /people/timeline
+
+How a person's view on a topic evolved across their appearances. For each appearance (most recent \`maxAppearances\` in the date window) returns the best-matching passage, ordered oldest first. Each passage's stance toward the topic is classified (\`positive\`, \`negative\`, \`neutral\`, or \`null\` when unclassified) and changes between consecutive passages are flagged as \`reversal\`, \`softened\` or \`hardened\`. Re-uploads of the same appearance are collapsed into the earliest airing. Consumes a \`person-timeline\` entitlement (L402 or free-tier quota).
+
+**Request body:**
+\`\`\`json
+{
+  "name": "Lyn Alden",
+  "topic": "US fiscal deficits",
+  "guestsOnly": true,
+  "minDate": "2022-01-01",
+  "maxDate": "2026-06-30",
+  "maxAppearances": 12,
+  "minSimilarity": 0.8
+}
+\`\`\`
+
+**Response:**
+\`\`\`json
+{
+  "person": "Lyn Alden",
+  "topic": "US fiscal deficits",
+  "timeline": [
+    {
+      "pineconeId": "guid_p42",
+      "quote": "...",
+      "similarity": 0.86,
+      "speakerVerified": true,
+      "episode": { "guid": "...", "title": "...", "feedTitle": "...", "publishedDate": "2023-02-01" },
+      "stance": "neutral",
+      "stanceShift": null
+    },
+    {
+      "pineconeId": "guid2_p17",
+      "quote": "...",
+      "episode": { "guid": "...", "publishedDate": "2024-05-10" },
+      "stance": "negative",
+      "stanceShift": { "from": "neutral", "to": "negative", "kind": "hardened", "since": "guid_p42" }
+    }
+  ],
+  "shifts": [{ "kind": "hardened", "from": "neutral", "to": "negative", "fromPineconeId": "guid_p42", "toPineconeId": "guid2_p17", "fromDate": "2023-02-01", "toDate": "2024-05-10" }],
+  "appearances": { "searched": 12, "matched": 9, "duplicatesCollapsed": 1 },
+  "stanceClassified": true
+}
+\`\`\`
+
+---
+
 ## Error Responses
 
 All errors follow this format:
@@ -789,6 +931,54 @@ router.get('/episodes/:guid/chapters', async (req, res) => {
   }
 });
 
+/**
+ * GET /episodes/:guid/transcript
+ * Export the full indexed transcript for an episode
+ *
+ * Query params:
+ *   - format: json (default) | srt | vtt | md
+ */
+router.get('/episodes/:guid/transcript', requireTranscriptFormat, serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.TRANSCRIPT_EXPORT), async (req, res) => {
+  // #swagger.tags = ['Corpus Discovery']
+  // #swagger.summary = 'Export an episode transcript'
+  // #swagger.description = 'Returns the full indexed transcript for an episode (one cue per paragraph, ordered by start time) as SRT, WebVTT, JSON or Markdown. JSON and Markdown interleave chapter headings. L402 payment or free-tier quota required.'
+  /* #swagger.parameters['guid'] = { in: 'path', required: true, type: 'string', description: 'Episode GUID' } */
+  /* #swagger.parameters['format'] = { in: 'query', type: 'string', enum: ['json', 'srt', 'vtt', 'md'], description: 'Output format (default: json)', required: false } */
+  /* #swagger.responses[200] = { description: 'Transcript in the requested format' } */
+  /* #swagger.responses[400] = {
+    description: 'Unsupported format',
+    schema: { error: 'Bad request', message: 'format must be one of: srt, vtt, json, md' }
+  } */
+  /* #swagger.responses[402] = {
+    description: 'Payment required (L402)',
+    schema: { $ref: '#/components/schemas/L402Challenge' }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'No indexed transcript for this GUID',
+    schema: { error: 'Transcript not found', guid: 'abc123' }
+  } */
+  /* #swagger.responses[500] = {
+    description: 'Server error',
+    schema: { $ref: '#/components/schemas/Error' }
+  } */
+  try {
+    const { guid } = req.params;
+    const transcript = await corpusService.getEpisodeTranscript({ guid });
+    if (!transcript || transcript.paragraphs.length === 0) {
+      return res.status(404).json({ error: 'Transcript not found', guid });
+    }
+
+    const { body, contentType, extension } = renderTranscript(transcript, req.transcriptFormat);
+    const safeName = guid.replace(/[^A-Za-z0-9._-]/g, '_');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${safeName}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('[corpusRoutes] Error exporting transcript:', error);
+    res.status(500).json({ error: 'Failed to export transcript', details: error.message });
+  }
+});
+
 /**
  * GET /chapters
  * Batch fetch chapters for multiple episodes by GUIDs or feedIds
@@ -914,6 +1104,74 @@ router.get('/topics', async (req, res) => {
   }
 });
 
+/**
+ * GET /topics/trends
+ * Keyword mention counts per week/month, or the fastest-rising keywords
+ *
+ * Query params:
+ *   - keywords: comma-separated (required unless mode=rising, max 20)
+ *   - bucket: week (default) | month
+ *   - mode: series (default) | rising
+ *   - feedIds: comma-separated feed IDs (optional)
+ *   - minDate / maxDate: ISO dates (optional)
+ *   - recentBuckets, baselineBuckets, minMentions, limit: rising mode tuning
+ */
+router.get('/topics/trends', async (req, res) => {
+  // #swagger.tags = ['Corpus Discovery']
+  // #swagger.summary = 'Topic trend time series'
+  // #swagger.description = 'Per-bucket mention counts (chapters and distinct episodes) for chapter keywords over publishedTimestamp. mode=rising ranks keywords by distinct-episode growth in the most recent complete buckets versus a trailing baseline.'
+  /* #swagger.parameters['keywords'] = { in: 'query', type: 'string', description: 'Comma-separated keywords (case-insensitive). Required for mode=series; optional filter for mode=rising. Max 20.', required: false } */
+  /* #swagger.parameters['bucket'] = { in: 'query', type: 'string', enum: ['week', 'month'], description: 'Bucket size (default: week; weeks start Monday UTC)', required: false } */
+  /* #swagger.parameters['mode'] = { in: 'query', type: 'string', enum: ['series', 'rising'], description: 'series (default) or rising', required: false } */
+  /* #swagger.parameters['feedIds'] = { in: 'query', type: 'string', description: 'Comma-separated feed IDs', required: false } */
+  /* #swagger.parameters['minDate'] = { in: 'query', type: 'string', description: 'Series start (ISO; default 26 weeks / 12 months back)', required: false } */
+  /* #swagger.parameters['maxDate'] = { in: 'query', type: 'string', description: 'Series end / rising anchor (ISO; default now)', required: false } */
+  /* #swagger.parameters['recentBuckets'] = { in: 'query', type: 'integer', description: 'Rising: buckets in the recent window (default 1, max 12)', required: false } */
+  /* #swagger.parameters['baselineBuckets'] = { in: 'query', type: 'integer', description: 'Rising: buckets in the trailing baseline (default 8 weeks / 6 months)', required: false } */
+  /* #swagger.parameters['minMentions'] = { in: 'query', type: 'integer', description: 'Rising: minimum distinct episodes in the recent window (default 3)', required: false } */
+  /* #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Rising: number of topics (default 20, max 100)', required: false } */
+  /* #swagger.responses[200] = {
+    description: 'Trend series or rising topics',
+    schema: {
+      mode: 'series',
+      bucket: 'week',
+      range: { start: '2026-04-20T00:00:00.000Z', end: '2026-10-19T12:00:00.000Z' },
+      data: [{
+        keyword: 'stablecoins',
+        total: { chapters: 42, episodes: 31 },
+        buckets: [{ start: '2026-04-20T00:00:00.000Z', chapters: 2, episodes: 2 }]
+      }]
+    }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid parameters',
+    schema: { $ref: '#/components/schemas/Error' }
+  } */
+  /* #swagger.responses[500] = {
+    description: 'Server error',
+    schema: { $ref: '#/components/schemas/Error' }
+  } */
+  try {
+    const result = await corpusService.getTopicTrends({
+      keywords: req.query.keywords,
+      bucket: req.query.bucket || 'week',
+      mode: req.query.mode || 'series',
+      feedIds: req.query.feedIds,
+      minDate: req.query.minDate,
+      maxDate: req.query.maxDate,
+      recentBuckets: req.query.recentBuckets,
+      baselineBuckets: req.query.baselineBuckets,
+      minMentions: req.query.minMentions,
+      limit: req.query.limit,
+    });
+    if (result.error) return res.status(400).json(result);
+    res.json(result);
+  } catch (error) {
+    console.error('[corpusRoutes] Error fetching topic trends:', error);
+    res.status(500).json({ error: 'Failed to fetch topic trends', details: error.message });
+  }
+});
+
 // =============================================================================
 // PEOPLE ENDPOINTS
 // =============================================================================
@@ -1020,4 +1278,81 @@ router.post('/people/episodes', async (req, res) => {
   }
 });
 
+/**
+ * POST /people/timeline
+ * One best-matching passage per appearance on a topic, ordered by date, with
+ * stance shifts flagged between consecutive passages
+ *
+ * Request body:
+ *   - name: string (required) - Person name (exact, case-insensitive)
+ *   - topic: string (required) - What to track across appearances
+ *   - guestsOnly: boolean (default: false) - Only match as guest, not creator
+ *   - feedId: string (optional) - Filter to specific podcast
+ *   - minDate / maxDate: YYYY-MM-DD (optional)
+ *   - maxAppearances (default: 12, max: 30) - Most recent appearances in range
+ *   - minSimilarity: 0..1 (optional) - Skip appearances with no passage this relevant
+ */
+router.post('/people/timeline', requireTimelineParams, serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.PERSON_TIMELINE), async (req, res) => {
+  // #swagger.tags = ['Corpus Discovery']
+  // #swagger.summary = 'Track a person\'s view on a topic across appearances'
+  // #swagger.description = 'For each of the person\'s appearances (most recent maxAppearances in the date window), returns the passage that best matches the topic, ordered oldest first. Passages are speaker-filtered where the episode is diarized. Each passage carries its stance toward the topic (positive, negative, neutral, or null when unclassified) and stanceShift when it differs from the previous classified passage (reversal, softened, hardened). Re-uploads of one appearance collapse into the earliest airing. L402 payment or free-tier quota required.'
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: {
+      name: 'Lyn Alden',
+      topic: 'US fiscal deficits',
+      guestsOnly: true,
+      feedId: '',
+      minDate: '2022-01-01',
+      maxDate: '2026-06-30',
+      maxAppearances: 12,
+      minSimilarity: 0.8
+    }
+  } */
+  /* #swagger.responses[200] = {
+    description: 'Chronological passages with stance shifts',
+    schema: {
+      person: 'Lyn Alden',
+      topic: 'US fiscal deficits',
+      timeline: [{
+        pineconeId: 'abc123_p42',
+        quote: '...',
+        similarity: 0.86,
+        speakerVerified: true,
+        episode: { guid: 'abc123', title: '...', feedId: '123', feedTitle: '...', publishedDate: '2024-05-10', role: 'guest' },
+        stance: 'negative',
+        stanceShift: { from: 'neutral', to: 'negative', kind: 'hardened', since: 'xyz789_p17' }
+      }],
+      shifts: [{ kind: 'hardened', from: 'neutral', to: 'negative', fromPineconeId: 'xyz789_p17', toPineconeId: 'abc123_p42', fromDate: '2023-02-01', toDate: '2024-05-10' }],
+      appearances: { searched: 12, matched: 9, duplicatesCollapsed: 1 },
+      stanceClassified: true
+    }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Missing name or topic, or invalid dates/limits',
+    schema: { error: 'Bad request', message: 'topic is required' }
+  } */
+  /* #swagger.responses[402] = {
+    description: 'Payment required (L402)',
+    schema: { $ref: '#/components/schemas/L402Challenge' }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'No dated appearances for this person in range',
+    schema: { error: 'No dated appearances found for "Lyn Alden"' }
+  } */
+  /* #swagger.responses[500] = {
+    description: 'Server error',
+    schema: { $ref: '#/components/schemas/Error' }
+  } */
+  try {
+    const result = await getPersonTimeline(req.body, { openai });
+    if (result.status) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (error) {
+    console.error('[corpusRoutes] Error building person timeline:', error);
+    res.status(500).json({ error: 'Failed to build person timeline', details: error.message });
+  }
+});
+
 module.exports = router;
@@ -272,6 +272,12 @@ function normalizePersonEpisode(item) {
 
 function buildNextSteps(feed, transcriptAvailable, matchedEpisodes) {
   const untranscribedEpisodes = (matchedEpisodes || []).filter(ep => !ep.transcriptAvailable);
+  const followFeed = {
+    description: 'Transcribe every new episode of this podcast automatically (checked daily, charged per episode)',
+    method: 'POST',
+    url: '/api/podcast-follows',
+    body: { feedId: String(feed.feedId), feedGuid: feed.feedGuid || null, feedUrl: feed.url || null, title: feed.title || '' }
+  };
 
   if (transcriptAvailable && untranscribedEpisodes.length === 0) {
     return {
@@ -285,7 +291,8 @@ function buildNextSteps(feed, transcriptAvailable, matchedEpisodes) {
         description: 'Get timestamped chapters for a specific episode',
         method: 'GET',
         url: '/api/episode-with-chapters/:guid'
-      }
+      },
+      followFeed
     };
   }
 
@@ -311,7 +318,8 @@ function buildNextSteps(feed, transcriptAvailable, matchedEpisodes) {
             title: ep.title,
           }))
         }
-      }
+      },
+      followFeed
     };
   }
 
@@ -325,7 +333,8 @@ function buildNextSteps(feed, transcriptAvailable, matchedEpisodes) {
         parameters: {},
         episodes: [{ guid: '<episodeGUID>', feedGuid: feed.feedGuid || '<feedGuid>', feedId: String(feed.feedId) }]
       }
-    }
+    },
+    followFeed
   };
 
   if (!feed.feedGuid) {
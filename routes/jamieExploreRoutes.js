@@ -7,11 +7,14 @@ const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 const { ResearchSession } = require('../models/ResearchSession');
 const { printLog } = require('../constants.js');
 const { multiSearchCache } = require('../utils/MultiSearchCacheManager.js');
+const { saveGalaxySession, getGalaxySession, placeSessionItems } = require('../services/galaxySessionService');
 const { normalizeLang, DEFAULT_LANGUAGE } = require('../utils/feedLanguage');
 const { createEntitlementMiddleware } = require('../utils/entitlementMiddleware');
 const { ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
 const { serviceHmac } = require('../middleware/hmac');
 const { triageQuery } = require('../utils/queryTriage');
+const { clusterResults } = require('../utils/resultClustering');
+const { createEmbeddings, getEmbeddingProvider } = require('../utils/embeddings');
 
 // Feature flags
 const jamieExplorePostRoutesEnabled = true; // Set to true to enable POST routes (/search-quotes-3d, /fetch-research-id)
@@ -64,7 +67,7 @@ async function withTimeout(promiseFactory, timeoutMs, requestId, description) {
   });
 }
 
-async function callOpenAIEmbeddingsWithRetry({ input, model = "text-embedding-ada-002", requestId, description }) {
+async function callOpenAIEmbeddingsWithRetry({ input, requestId, description }) {
   const maxRetries = Number.isFinite(OPENAI_EMBEDDING_MAX_RETRIES) ? OPENAI_EMBEDDING_MAX_RETRIES : 2;
 
   let lastError;
@@ -74,7 +77,7 @@ async function callOpenAIEmbeddingsWithRetry({ input, model = "text-embedding-ad
 
     try {
       const response = await withTimeout(
-        () => openai.embeddings.create({ model, input }),
+        () => createEmbeddings({ input }),
         OPENAI_EMBEDDING_TIMEOUT_MS,
         requestId,
         description
@@ -114,6 +117,9 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     episodeName = null,
     fastMode = false,
     extractAxisLabels = false,
+    extractClusters = false,
+    clusterCount = null, // fixed number of clusters (2-8); chosen automatically when omitted
+    deterministicClusters = false, // keyword labels instead of an LLM call
     createSession = false,
     smartMode = false
   } = req.body;
@@ -141,6 +147,7 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     reembedding: 0,
     umap: 0,
     axisLabeling: 0,
+    clustering: 0,
     total: 0
   };
 
@@ -179,10 +186,7 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     console.time(`[${requestId}] Embedding`);
     const embeddingStart = Date.now();
     
-    const embeddingResponse = await openai.embeddings.create({
-      model: "text-embedding-ada-002",
-      input: query
-    });
+    const embeddingResponse = await createEmbeddings({ input: query });
     
     const embedding = embeddingResponse.data[0].embedding;
     timings.embedding = Date.now() - embeddingStart;
@@ -208,6 +212,7 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     
     const pineconeMatches = await findSimilarDiscussions({
       embedding,
+      embeddingModelId: embeddingResponse.modelId,
       feedIds,
       guids,
       limit: effectiveLimit,
@@ -291,7 +296,6 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     
     const batchEmbeddingResponse = await callOpenAIEmbeddingsWithRetry({
       input: texts,
-      model: "text-embedding-ada-002",
       requestId,
       description: "3D search batch embeddings"
     });
@@ -396,7 +400,7 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
           return { ...rest, coordinates3d: { x: 0, y: 0, z: 0 } }; // Dummy coords
         }),
         total: similarDiscussions.length,
-        model: "text-embedding-ada-002",
+        model: getEmbeddingProvider().model,
         metadata: {
           numResults: similarDiscussions.length,
           embeddingTimeMs: timings.embedding,
@@ -428,8 +432,9 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
     printLog(`[${requestId}] Creating UMAP projector with config:`, projectorConfig);
     const projector = new UmapProjector(projectorConfig);
     
-    printLog(`[${requestId}] Calling UMAP project() with ${embeddings.length} embeddings...`);
-    const coordinates3d = await projector.project(embeddings);
+    printLog(`[${requestId}] Calling UMAP fit() with ${embeddings.length} embeddings...`);
+    // fit() also returns the raw layout + bounds a session needs to place later points
+    const { coordinates: coordinates3d, rawCoordinates, projection } = await projector.fit(embeddings);
     
     timings.umap = Date.now() - umapStart;
     console.timeEnd(`[${requestId}] UMAP-Projection`);
@@ -462,6 +467,7 @@ router.post('/search-quotes-3d', serviceHmac({ optional: true }), createEntitlem
           embedding: embeddings[index], // Keep embedding for UMAP re-runs
           metadata: resultWithoutValues,
           coordinates3d: coordinates3d[index],
+          rawCoordinates: rawCoordinates[index],
           sourceQueryIndex: 0
         };
       });
@@ -620,6 +626,31 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
       printLog(`[${requestId}] Skipping axis labels: need at least 7 results (got ${results3d.length})`);
     }
 
+    // Step 8: Cluster into labeled topic regions (optional)
+    let clusters = null;
+    if (extractClusters) {
+      const clusteringStart = Date.now();
+      try {
+        const clustering = await clusterResults({
+          results: results3d,
+          coordinates3d,
+          query,
+          clusterCount,
+          deterministic: deterministicClusters,
+          openai
+        });
+        clusters = clustering.clusters;
+        results3d.forEach((result, index) => {
+          result.clusterId = clustering.assignments[index];
+        });
+        printLog(`[${requestId}] ✓ Found ${clusters.length} clusters (silhouette ${clustering.silhouette.toFixed(3)}, ${clustering.labelSource} labels):`, clusters.map(c => c.label));
+      } catch (error) {
+        // Don't fail the entire request, just skip clusters
+        printLog(`[${requestId}] ✗ Failed to cluster results: ${error.message}`);
+      }
+      timings.clustering = Date.now() - clusteringStart;
+    }
+
     // Calculate total time
     timings.total = Date.now() - startTime;
 
@@ -631,6 +662,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
     printLog(`[${requestId}]   - Re-embedding: ${timings.reembedding}ms`);
     printLog(`[${requestId}]   - UMAP Projection: ${timings.umap}ms`);
     if (extractAxisLabels) printLog(`[${requestId}]   - Axis Labeling: ${timings.axisLabeling}ms`);
+    if (extractClusters) printLog(`[${requestId}]   - Clustering: ${timings.clustering}ms`);
     printLog(`[${requestId}]   - Total: ${timings.total}ms`);
     printLog(`[${requestId}] Returning ${results3d.length} results with 3D coordinates`);
 
@@ -641,10 +673,18 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
         query,
         items: sessionItems,
         axisLabels,
-        umapConfig: fastMode ? 'fast' : 'standard'
+        umapConfig: fastMode ? 'fast' : 'standard',
+        projection: {
+          ...projection,
+          embeddingModelId: embeddingResponse.modelId,
+          fittedCount: sessionItems.length,
+          fittedAt: new Date().toISOString()
+        }
       });
       sessionId = session.id;
       printLog(`[${requestId}] ✓ Created multi-search session: ${sessionId}`);
+      // Non-fatal: the cached copy still serves expands if the write fails
+      await saveGalaxySession(session);
     }
 
     // Return results with metadata
@@ -652,7 +692,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
       query,
       results: results3d,
       total: results3d.length,
-      model: "text-embedding-ada-002",
+      model: getEmbeddingProvider().model,
       metadata: {
         numResults: results3d.length,
         triageTimeMs: timings.triage || 0,
@@ -662,6 +702,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
         reembeddingTimeMs: timings.reembedding,
         umapTimeMs: timings.umap,
         axisLabelingTimeMs: timings.axisLabeling,
+        clusteringTimeMs: timings.clustering,
         totalTimeMs: timings.total,
         fastMode: fastMode,
         umapConfig: fastMode ? 'fast' : 'standard',
@@ -687,6 +728,10 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
     if (axisLabels) {
       response.axisLabels = axisLabels;
     }
+
+    if (clusters) {
+      response.clusters = clusters;
+    }
     
     res.json(response);
 
@@ -735,11 +780,12 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
     sessionId,
     queries = [], // Array of { query, feedIds?, guid?, guids?, minDate?, maxDate?, episodeName?, limit? }
     fastMode = false,
-    extractAxisLabels = false
+    extractAxisLabels = false,
+    refit = false // true = re-run UMAP on all items (existing points move)
   } = req.body;
 
   printLog(`[${requestId}] ========== EXPAND SESSION REQUEST ==========`);
-  printLog(`[${requestId}] SessionId: ${sessionId}, Queries: ${queries.length}, FastMode: ${fastMode}`);
+  printLog(`[${requestId}] SessionId: ${sessionId}, Queries: ${queries.length}, FastMode: ${fastMode}, Refit: ${refit}`);
 
   const startTime = Date.now();
   const timings = {
@@ -779,8 +825,14 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
     }
   }
 
-  // Get existing session
-  const session = multiSearchCache.getSession(sessionId);
+  // Get existing session (re-opened from MongoDB if it left the cache)
+  let session;
+  try {
+    session = await getGalaxySession(sessionId);
+  } catch (error) {
+    printLog(`[${requestId}] ✗ Failed to load session: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to load session', message: error.message, requestId });
+  }
   if (!session) {
     return res.status(404).json({ 
       error: 'Session not found or expired',
@@ -801,6 +853,7 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
   try {
     // Process each query and collect new items
     const allNewItems = [];
+    let embeddingModelId = null;
     const queryResults = [];
 
     for (const querySpec of queries) {
@@ -825,10 +878,7 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
 
       // Step 1: Embed the query
       const embeddingStart = Date.now();
-      const embeddingResponse = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: query
-      });
+      const embeddingResponse = await createEmbeddings({ input: query });
       const embedding = embeddingResponse.data[0].embedding;
       timings.embedding += Date.now() - embeddingStart;
 
@@ -836,6 +886,7 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
       const searchStart = Date.now();
       const pineconeMatches = await findSimilarDiscussions({
         embedding,
+        embeddingModelId: embeddingResponse.modelId,
         feedIds,
         guids: guidsForQuery,
         limit: effectiveLimit,
@@ -890,11 +941,11 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
       const reembedStart = Date.now();
       const batchEmbeddingResponse = await callOpenAIEmbeddingsWithRetry({
         input: texts,
-        model: "text-embedding-ada-002",
         requestId,
         description: `expand query: ${query.substring(0, 30)}...`
       });
       const itemEmbeddings = batchEmbeddingResponse.data.map(item => item.embedding);
+      embeddingModelId = batchEmbeddingResponse.modelId;
       timings.reembedding += Date.now() - reembedStart;
 
       // Build items for session storage
@@ -944,6 +995,8 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
     }
 
     // Simpler approach: add all items at once with a combined "query" 
+    // (addItemsToSession clears axis labels; a transform keeps the space, so they stay valid)
+    const previousAxisLabels = session.axisLabels;
     const combinedQuery = queries.map(q => q.query).join(' | ');
     const addResult = multiSearchCache.addItemsToSession(sessionId, {
       query: combinedQuery,
@@ -973,24 +1026,21 @@ router.post('/search-quotes-3d/expand', serviceHmac({ optional: true }), createE
       });
     }
 
-    // Step 5: Re-run UMAP on all session embeddings
-    printLog(`[${requestId}] Re-running UMAP on ${updatedSession.items.length} items...`);
+    // Step 5: Place new items into the session's fitted space (or refit everything)
+    printLog(`[${requestId}] Projecting ${updatedSession.items.length} items (refit: ${refit})...`);
     const umapStart = Date.now();
 
-    const UmapProjector = require('../utils/UmapProjector');
-    const projectorConfig = fastMode 
-      ? UmapProjector.getFastModeConfig() 
-      : {};
-
-    const projector = new UmapProjector(projectorConfig);
-    const allEmbeddings = updatedSession.items.map(item => item.embedding);
-    const coordinates3d = await projector.project(allEmbeddings);
+    const placement = await placeSessionItems(updatedSession, { fastMode, refit, embeddingModelId });
+    if (placement.error) {
+      return res.status(placement.status || 400).json({ error: placement.error, sessionId });
+    }
+    const { coordinates3d, rawCoordinates, projection } = placement;
 
     timings.umap = Date.now() - umapStart;
-    printLog(`[${requestId}] ✓ UMAP projection completed in ${timings.umap}ms`);
+    printLog(`[${requestId}] ✓ UMAP ${placement.mode} placed ${placement.placed} items in ${timings.umap}ms`);
 
     // Step 6: Optional axis labels
-    let axisLabels = null;
+    let axisLabels = placement.mode === 'transform' ? previousAxisLabels : null;
     if (extractAxisLabels && updatedSession.items.length >= 7) {
       printLog(`[${requestId}] Generating axis labels...`);
       const labelingStart = Date.now();
@@ -1095,8 +1145,11 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
     // Update session with new coordinates and axis labels
     multiSearchCache.updateSessionCoordinates(sessionId, {
       coordinates3d,
+      rawCoordinates,
+      projection,
       axisLabels
     });
+    await saveGalaxySession(updatedSession);
 
     // Build response with results
     const results3d = updatedSession.items.map((item, index) => {
@@ -1124,7 +1177,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
       })),
       added: totalAdded,
       duplicatesSkipped: totalDupes,
-      model: "text-embedding-ada-002",
+      model: getEmbeddingProvider().model,
       metadata: {
         numResults: results3d.length,
         embeddingTimeMs: timings.embedding,
@@ -1136,6 +1189,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
         totalTimeMs: timings.total,
         fastMode,
         umapConfig: fastMode ? 'fast' : 'standard',
+        projectionMode: placement.mode,
         queriesProcessed: queries.length,
         approach: 'multi-search-expand'
       },
@@ -1155,6 +1209,58 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
   }
 });
 
+// Re-open a multi-search session (from cache, or MongoDB after a restart /
+// eviction). Positions are the stored ones — nothing is re-projected.
+router.get('/search-quotes-3d/sessions/:sessionId', async (req, res) => {
+  const requestId = `REOPEN-3D-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const { sessionId } = req.params;
+
+  try {
+    const session = await getGalaxySession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or expired',
+        sessionId
+      });
+    }
+
+    const results3d = session.items.map(item => ({
+      ...item.metadata,
+      coordinates3d: item.coordinates3d,
+      sourceQueryIndex: item.sourceQueryIndex
+    }));
+
+    printLog(`[${requestId}] Re-opened session ${sessionId} with ${results3d.length} items`);
+
+    res.json({
+      sessionId,
+      queries: session.queries.map(q => ({
+        query: q.query,
+        itemCount: q.itemCount,
+        timestamp: new Date(q.timestamp).toISOString()
+      })),
+      results: results3d,
+      total: results3d.length,
+      model: getEmbeddingProvider().model,
+      metadata: {
+        numResults: results3d.length,
+        umapConfig: session.umapConfig,
+        createdAt: new Date(session.createdAt).toISOString(),
+        projectionFittedAt: session.projection?.fittedAt || null,
+        approach: 'multi-search-reopen'
+      },
+      axisLabels: session.axisLabels
+    });
+  } catch (error) {
+    printLog(`[${requestId}] ✗ Error: ${error.message}`);
+    return res.status(500).json({
+      error: 'Failed to load session',
+      message: error.message,
+      requestId
+    });
+  }
+});
+
 router.post('/fetch-research-id', async (req, res) => {
   const requestId = `FETCH-3D-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   let {
@@ -1557,7 +1663,7 @@ router.post('/fetch-research-id', async (req, res) => {
         query: researchSessionId,
         results: results3d,
         total: results3d.length,
-        model: "text-embedding-ada-002",
+        model: getEmbeddingProvider().model,
         metadata: {
           numResults: results3d.length,
           embeddingTimeMs: timings.embedding,
@@ -1604,7 +1710,7 @@ router.post('/fetch-research-id', async (req, res) => {
         query: researchSessionId,
         results: resultsWithCoords,
         total: resultsWithCoords.length,
-        model: "text-embedding-ada-002",
+        model: getEmbeddingProvider().model,
         metadata: {
           numResults: resultsWithCoords.length,
           embeddingTimeMs: timings.embedding,
@@ -1641,7 +1747,6 @@ router.post('/fetch-research-id', async (req, res) => {
 
     const batchEmbeddingResponse = await callOpenAIEmbeddingsWithRetry({
       input: texts,
-      model: "text-embedding-ada-002",
       requestId,
       description: "research-session 3D batch embeddings"
     });
@@ -1813,7 +1918,7 @@ router.post('/fetch-research-id', async (req, res) => {
       query: researchSessionId,
       results: results3d,
       total: results3d.length,
-      model: "text-embedding-ada-002",
+      model: getEmbeddingProvider().model,
       metadata: {
         numResults: results3d.length,
         embeddingTimeMs: timings.embedding,
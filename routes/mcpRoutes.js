@@ -0,0 +1,117 @@
+/**
+ * MCP Routes — streamable HTTP transport for the Model Context Protocol server
+ * (services/mcpServer.js).
+ *
+ * One JSON-RPC message per POST, answered with a single application/json body
+ * (notifications get 202). The server is stateless: no Mcp-Session-Id and no
+ * server-initiated stream, so GET and DELETE answer 405.
+ *
+ * tools/call is gated by the entitlement of the tool's REST twin, so L402
+ * credentials (including macaroon endpoint caveats), HMAC service keys, JWT
+ * and free-tier quota behave exactly as they do on /api/search-quotes etc.
+ * A 402 challenge comes back as plain HTTP, which L402-aware hosts handle.
+ *
+ * Usage (server.js):
+ *   const createMcpRoutes = require('./routes/mcpRoutes');
+ *   app.use('/api', createMcpRoutes({ openai }));
+ *
+ * Mounted at /api with a /mcp route (not at /api/mcp with '/') so the HMAC
+ * canonical path is "/api/mcp" rather than "/api/mcp/".
+ */
+
+const express = require('express');
+const { printLog } = require('../constants.js');
+const { serviceHmac } = require('../middleware/hmac');
+const { createEntitlementMiddleware } = require('../utils/entitlementMiddleware');
+const { voidRequestDebit } = require('../utils/debitSettlement');
+const { executeAgentTool } = require('../utils/agentToolHandler');
+const {
+  handleMcpMessage,
+  entitlementForMessage,
+  rpcError,
+  MCP_TOOL_ENTITLEMENTS,
+  JSON_RPC_ERRORS,
+} = require('../services/mcpServer');
+
+function createMcpRoutes({ openai } = {}) {
+  const router = express.Router();
+
+  const entitlementMiddlewares = new Map(
+    [...new Set(Object.values(MCP_TOOL_ENTITLEMENTS).filter(Boolean))]
+      .map(type => [type, createEntitlementMiddleware(type)])
+  );
+
+  // Charge tools/call against the called tool's entitlement; everything else
+  // (initialize, tools/list, ping, free tools) passes straight through.
+  function mcpEntitlement(req, res, next) {
+    const entitlementType = entitlementForMessage(req.body);
+    if (!entitlementType) return next();
+    return entitlementMiddlewares.get(entitlementType)(req, res, next);
+  }
+
+  router.post('/mcp', serviceHmac({ optional: true }), mcpEntitlement, async (req, res) => {
+    // #swagger.tags = ['MCP']
+    // #swagger.summary = 'Model Context Protocol endpoint (streamable HTTP) exposing the Jamie agent tools'
+    /* #swagger.description = 'JSON-RPC 2.0 over HTTP, one message per POST, stateless. Supports initialize, ping, tools/list and tools/call. Published tools: search_quotes, search_chapters, discover_podcasts, find_person, get_adjacent_paragraphs, create_research_session — the same tools and JSON schemas the /api/pull agent uses, with the same fluff filtering and reranking. BILLING: tools/call is charged like the equivalent REST endpoint (search_quotes → search-quotes, search_chapters → chapter-search, discover_podcasts → discover-podcasts); the other tools and all non-call methods are free. AUTH: L402 credential, HMAC service signature, Bearer JWT, or free-tier quota (X-Free-Tier: true). An unpaid priced call returns an HTTP 402 L402 challenge. A tool call that fails returns result.isError = true and its prepaid debit is refunded. Notifications return 202 with no body. For stdio hosts, run scripts/mcp-stdio.js.' */
+    /* #swagger.security = [{ L402Credential: [] }, { BearerJWT: [] }, {}] */
+    /* #swagger.parameters['body'] = {
+      in: 'body',
+      required: true,
+      schema: {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'search_quotes', arguments: { query: 'fixed supply money and time preference', limit: 5 } }
+      }
+    } */
+    /* #swagger.responses[200] = {
+      description: 'JSON-RPC response',
+      schema: {
+        jsonrpc: '2.0',
+        id: 1,
+        result: { content: [{ type: 'text', text: '{"results":[...]}' }], structuredContent: { results: [] }, isError: false }
+      }
+    } */
+    /* #swagger.responses[202] = { description: 'Notification accepted (no body)' } */
+    /* #swagger.responses[400] = {
+      description: 'Batched or non-object body',
+      schema: { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Batch requests are not supported' } }
+    } */
+    /* #swagger.responses[402] = { description: 'Payment required for a priced tools/call (L402 challenge).' } */
+    const message = req.body;
+    if (Array.isArray(message)) {
+      return res.status(400).json(rpcError(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Batch requests are not supported'));
+    }
+
+    try {
+      const response = await handleMcpMessage(message, {
+        callTool: (name, args) => executeAgentTool(name, args, { openai, req, clipCache: new Map() }),
+      });
+      if (!response) return res.status(202).end();
+
+      // Charged before the call ran; a failed call goes back to the balance
+      if ((response.error || response.result?.isError) && req.entitlement?.usageEntryId) {
+        await voidRequestDebit(req, `MCP ${message.params?.name} failed`);
+      }
+      if (message.method === 'tools/call') {
+        printLog(`[MCP] tools/call ${message.params?.name} → ${response.error ? `error ${response.error.code}` : response.result.isError ? 'tool error' : 'ok'}`);
+      }
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('[MCP] Request failed:', error);
+      return res.status(500).json(rpcError(message?.id, JSON_RPC_ERRORS.INTERNAL_ERROR, 'Internal server error'));
+    }
+  });
+
+  // Stateless server: no standalone SSE stream and no sessions to terminate
+  const methodNotAllowed = (req, res) => {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed', message: 'This MCP server is stateless; send JSON-RPC messages with POST.' });
+  };
+  router.get('/mcp', methodNotAllowed);
+  router.delete('/mcp', methodNotAllowed);
+
+  return router;
+}
+
+module.exports = createMcpRoutes;
@@ -2,7 +2,6 @@ const express = require('express');
 const crypto = require('crypto');
 const { WorkProductV2 } = require('../models/WorkProductV2');
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
-const axios = require('axios');
 const { checkEntitlementEligibility, consumeEntitlement } = require('../utils/entitlements');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models/shared/UserSchema');
@@ -13,6 +12,9 @@ const { validatePreimage } = require('../utils/lightning-utils');
 const { getQuotaConfig, TIERS, createEntitlementMiddleware } = require('../utils/entitlementMiddleware');
 const { ENTITLEMENT_TYPES, ALL_ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
 const { serviceHmac } = require('../middleware/hmac');
+const { parseCallbackOptions, summarizeCallback, settleOnDemandDebits } = require('../services/onDemandCallbackService');
+const { submitToIngestor } = require('../services/onDemandIngestorService');
+const { deferDebit } = require('../utils/debitSettlement');
 
 /**
  * Factory to create on-demand run routes.
@@ -120,16 +122,67 @@ function isPeriodExpired(periodStart, periodLengthDays) {
     return now >= periodEnd;
 }
 
+/**
+ * Validate the submitOnDemandRun body before the entitlement middleware runs,
+ * so a malformed episode list or callback doesn't burn quota or prepaid
+ * credit. The parsed callback is left on req.onDemandCallback.
+ */
+function requireOnDemandRunBody(req, res, next) {
+    const { message, parameters, episodes, callbackUrl, callbackSecret, callbackKeyId } = req.body || {};
+
+    if (!message || typeof message !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid message',
+            details: 'Message must be a string'
+        });
+    }
+
+    if (!parameters || typeof parameters !== 'object') {
+        return res.status(400).json({
+            error: 'Invalid parameters',
+            details: 'Parameters must be an object'
+        });
+    }
+
+    // Validate episodes array
+    if (!episodes || !Array.isArray(episodes) || episodes.length === 0) {
+        return res.status(400).json({
+            error: 'Invalid episodes',
+            details: 'Episodes must be a non-empty array'
+        });
+    }
+
+    // Validate each episode has required fields
+    for (const episode of episodes) {
+        if (!episode.guid || !episode.feedGuid || !episode.feedId) {
+            return res.status(400).json({
+                error: 'Invalid episode data',
+                details: 'Each episode must have guid, feedGuid, and feedId'
+            });
+        }
+    }
+
+    const { callback, error: callbackError } = parseCallbackOptions({ callbackUrl, callbackSecret, callbackKeyId });
+    if (callbackError) {
+        return res.status(400).json({
+            error: 'Invalid callback',
+            details: callbackError
+        });
+    }
+    req.onDemandCallback = callback;
+    next();
+}
+
 /**
  * POST /api/on-demand/submitOnDemandRun
  * Submit an on-demand run request
  * 
  * Uses new entitlement middleware for authentication and quota management
  */
-router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.SUBMIT_ON_DEMAND_RUN), async (req, res) => {
+router.post('/submitOnDemandRun', serviceHmac({ optional: true }), requireOnDemandRunBody, createEntitlementMiddleware(ENTITLEMENT_TYPES.SUBMIT_ON_DEMAND_RUN), async (req, res) => {
     // #swagger.tags = ['On-Demand Transcription']
     // #swagger.summary = 'Submit a podcast episode for transcription, chaptering, and semantic indexing'
-    // #swagger.description = 'Submits a podcast episode for full transcription, timestamped chaptering, keyword extraction, and permanent semantic indexing. Returns a pollable job status URL. Once indexed, content is searchable via /api/search-quotes. L402 prepaid access limited to 1 episode per request. Use /api/discover-podcasts to find episode GUIDs.\n\nA metered free tier is available: send the header `X-Free-Tier: true` to use quota-based access without payment. Anonymous users get 2 transcriptions per week; registered users get 5 per month. Omit the header (or use L402 credentials) for paid access.'
+    // #swagger.description = 'Submits a podcast episode for full transcription, timestamped chaptering, keyword extraction, and permanent semantic indexing. Returns a pollable job status URL. Once indexed, content is searchable via /api/search-quotes. L402 prepaid access limited to 1 episode per request. Use /api/discover-podcasts to find episode GUIDs.\n\nA metered free tier is available: send the header `X-Free-Tier: true` to use quota-based access without payment. Anonymous users get 2 transcriptions per week; registered users get 5 per month. Omit the header (or use L402 credentials) for paid access.\n\nOptional completion webhook: pass `callbackUrl` (https, public host) and `callbackSecret` (16+ chars) to receive a signed POST when each episode finishes or fails, plus a final `job.completed` / `job.failed` event. Requests are signed with the same X-Svc-* HMAC headers /api endpoints accept (keyId defaults to `jamie-on-demand`, override with `callbackKeyId`). Failed deliveries are retried with exponential backoff (up to 6 attempts); delivery state is reported by getOnDemandJobStatus.'
     /* #swagger.parameters['body'] = {
       in: 'body',
       required: true,
@@ -142,7 +195,10 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
             feedGuid: '3d510171-b9ab-517c-bbf3-1fd5542479ad',
             feedId: '357756'
           }
-        ]
+        ],
+        callbackUrl: 'https://agent.example.com/hooks/jamie',
+        callbackSecret: 'a-long-random-shared-secret',
+        callbackKeyId: 'jamie-on-demand'
       }
     } */
     /* #swagger.responses[200] = {
@@ -180,30 +236,8 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
     try {
         const { identity, entitlement } = req;
 
-        const { message, parameters, episodes } = req.body;
-
-        // Validate request body
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({
-                error: 'Invalid message',
-                details: 'Message must be a string'
-            });
-        }
-
-        if (!parameters || typeof parameters !== 'object') {
-            return res.status(400).json({
-                error: 'Invalid parameters',
-                details: 'Parameters must be an object'
-            });
-        }
-
-        // Validate episodes array
-        if (!episodes || !Array.isArray(episodes) || episodes.length === 0) {
-            return res.status(400).json({
-                error: 'Invalid episodes',
-                details: 'Episodes must be a non-empty array'
-            });
-        }
+        const { episodes } = req.body;
+        const callback = req.onDemandCallback;
 
         if (identity.identifierType === 'prepaid' && episodes.length > 1) {
             return res.status(400).json({
@@ -212,16 +246,6 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
             });
         }
 
-        // Validate each episode has required fields
-        for (const episode of episodes) {
-            if (!episode.guid || !episode.feedGuid || !episode.feedId) {
-                return res.status(400).json({
-                    error: 'Invalid episode data',
-                    details: 'Each episode must have guid, feedGuid, and feedId'
-                });
-            }
-        }
-
         // Entitlement already consumed by middleware
 
         // Generate a random lookupHash using crypto
@@ -263,45 +287,24 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
         if (identity.identifierType === 'prepaid') {
             wpDoc.paymentHash = identity.identifier;
         }
+        if (callback) {
+            wpDoc.callback = callback;
+        }
         await WorkProductV2.create(wpDoc);
 
-        // Prepare the AWS API payload
-        const feedGuids = {};
-        episodes.forEach(episode => {
-            if (!feedGuids[episode.feedGuid]) {
-                feedGuids[episode.feedGuid] = {
-                    feedId: episode.feedId,
-                    episodes: []
-                };
-            }
-            feedGuids[episode.feedGuid].episodes.push(episode.guid);
-        });
-
-        const awsPayload = {
-            jobId: lookupHash,
-            jobConfig: {
-                onDemand: true,
-                feedGuids,
-                workProductV2LookupHash: lookupHash,
-                overrideExistence: false
-            }
-        };
-
-        console.log('Try Jamie On Demand URL:', process.env.AWS_INGESTOR_PARALLEL_URL)
-        console.log('awsPayload:', JSON.stringify(awsPayload, null, 2));
-
         // Call the AWS API
         try {
-            const awsResponse = await axios.post(
-                process.env.AWS_INGESTOR_PARALLEL_URL,
-                awsPayload,
-                {
-                    headers: {
-                        'x-api-key': process.env.AWS_INGESTOR_PARALLEL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            await submitToIngestor(lookupHash, episodes);
+
+            // A prepaid debit settles with the transcription, not this
+            // response: confirmed when the episode finishes, voided if it fails
+            const debitEntryId = deferDebit(req);
+            if (debitEntryId) {
+                await WorkProductV2.updateOne(
+                    { lookupHash },
+                    { $push: { debits: { guid: episodes[0].guid, entryId: debitEntryId, state: 'pending' } } }
+                );
+            }
 
             const feedIds = [...new Set(episodes.map(ep => ep.feedId))];
 
@@ -311,6 +314,13 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
                 totalEpisodes: episodes.length,
                 totalFeeds: result.totalFeeds,
                 message: 'On-demand run submitted successfully',
+                ...(callback ? {
+                    callback: {
+                        url: callback.url,
+                        keyId: callback.keyId,
+                        events: ['episode.completed', 'episode.failed', 'job.completed', 'job.failed']
+                    }
+                } : {}),
                 entitlementInfo: {
                     remainingRuns: entitlement.remainingUsage,
                     usedThisPeriod: entitlement.usedCount,
@@ -363,7 +373,10 @@ router.post('/submitOnDemandRun', serviceHmac({ optional: true }), createEntitle
                 { lookupHash },
                 { 
                     'result.jobStatus': 'failed',
-                    'result.error': awsError.response?.data?.message || awsError.message
+                    'result.error': awsError.response?.data?.message || awsError.message,
+                    // The caller learns about this failure from this response;
+                    // don't also fire completion webhooks for it.
+                    ...(callback ? { 'callback.active': false } : {})
                 }
             );
 
@@ -497,6 +510,12 @@ router.post('/getOnDemandJobStatus', async (req, res) => {
             });
         }
 
+        // Settle prepaid debits as soon as a poll sees the outcome, rather
+        // than waiting for the next sweep
+        if (job.debits?.some(d => d.state === 'pending')) {
+            settleOnDemandDebits(job).catch(err => console.error(`[OnDemand] Debit settlement failed for job ${jobId}:`, err.message));
+        }
+
         const isComplete = job.result.jobStatus === 'complete';
         const episodes = job.result.episodes || [];
 
@@ -560,6 +579,10 @@ router.post('/getOnDemandJobStatus', async (req, res) => {
             completedAt: job.result.completedAt,
         };
 
+        if (job.callback) {
+            response.callback = summarizeCallback(job.callback);
+        }
+
         if (isComplete && feedIds.length > 0) {
             response.nextSteps = {
                 searchTranscripts: {
@@ -0,0 +1,206 @@
+/**
+ * Podcast Follows — follow a Podcast Index feed (e.g. from
+ * /api/discover-podcasts results) so every newly published episode is
+ * transcribed through the on-demand pipeline automatically. A daily check
+ * submits new episodes and charges the follower's submit-on-demand-run quota
+ * or L402 balance per episode (see services/podcastFollowService.js).
+ *
+ * Owners are signed-in users (JWT) or L402 credentials. Anonymous callers
+ * can't follow, and neither can delegated (caveat-scoped) macaroons: checks
+ * run unattended, where the macaroon's caveats can't be enforced.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const { PodcastFollow } = require('../models/PodcastFollow');
+const { resolveIdentity } = require('../utils/identityResolver');
+const { isDelegatedCredential } = require('../utils/macaroonBudget');
+const { followFeed } = require('../services/podcastFollowService');
+
+async function requireFollower(req, res) {
+  const identity = await resolveIdentity(req);
+  if (!['mongoUserId', 'prepaid'].includes(identity.identifierType)) {
+    res.status(401).json({
+      error: 'Authentication required',
+      details: 'Podcast follows require a valid JWT token or L402 credential'
+    });
+    return null;
+  }
+  if (identity.identifierType === 'prepaid' && isDelegatedCredential(req.lightningAuth?.caveats)) {
+    res.status(403).json({
+      error: 'Delegated credential',
+      details: 'Follows are charged unattended, so they must be created with the root L402 macaroon, not a caveat-scoped one'
+    });
+    return null;
+  }
+  return { identifier: identity.identifier, identifierType: identity.identifierType };
+}
+
+async function findOwnedFollow(owner, id, res) {
+  const follow = mongoose.Types.ObjectId.isValid(id)
+    ? await PodcastFollow.findOne({ _id: id, ...owner })
+    : null;
+  if (!follow) {
+    res.status(404).json({
+      error: 'Follow not found',
+      details: 'No podcast follow found for this id and owner'
+    });
+    return null;
+  }
+  return follow;
+}
+
+function formatFollow(doc) {
+  return {
+    id: doc._id,
+    feedId: doc.feedId,
+    feedGuid: doc.feedGuid,
+    feedUrl: doc.feedUrl,
+    title: doc.title,
+    image: doc.image,
+    enabled: doc.enabled,
+    lastCheckedAt: doc.lastCheckedAt,
+    nextCheckAt: doc.nextCheckAt,
+    lastCheckStatus: doc.lastCheckStatus,
+    lastError: doc.lastError,
+    episodesSubmitted: doc.episodesSubmitted,
+    lastSubmittedAt: doc.lastSubmittedAt,
+    lastJobId: doc.lastJobId,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * GET /api/podcast-follows
+ * List the caller's followed feeds, newest first.
+ */
+router.get('/', async (req, res) => {
+  // #swagger.tags = ['On-Demand Transcription']
+  // #swagger.summary = 'List followed podcast feeds'
+  /* #swagger.responses[200] = {
+    description: 'Feeds followed by the caller',
+    schema: { success: true, count: 1, data: [{ id: '507f1f77bcf86cd799439011', feedId: '357756', title: 'Bankless', enabled: true, lastCheckStatus: 'ok', episodesSubmitted: 4, lastJobId: '6b2440adae3f806198eb56c0' }] }
+  } */
+  /* #swagger.responses[401] = { description: 'JWT or L402 credential required' } */
+  try {
+    const owner = await requireFollower(req, res);
+    if (!owner) return;
+
+    const follows = await PodcastFollow.find(owner).sort({ createdAt: -1 }).lean();
+
+    res.json({ success: true, count: follows.length, data: follows.map(formatFollow) });
+  } catch (error) {
+    console.error('[PodcastFollows] Error listing follows:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error fetching podcast follows' });
+  }
+});
+
+/**
+ * POST /api/podcast-follows
+ *
+ * Body: a /api/discover-podcasts result, or at least
+ * { "feedId": "357756", "feedGuid": "...", "feedUrl": "https://..." }
+ *
+ * Episodes already in the feed are not transcribed; only ones published
+ * after the follow are.
+ */
+router.post('/', async (req, res) => {
+  // #swagger.tags = ['On-Demand Transcription']
+  // #swagger.summary = 'Follow a podcast feed for automatic transcription'
+  // #swagger.description = 'Follows a Podcast Index feed (pass a result from /api/discover-podcasts, or feedId plus feedGuid/feedUrl). Once a day every newly published episode is submitted to the on-demand pipeline, exactly as if you had called /api/on-demand/submitOnDemandRun: each episode uses one submit-on-demand-run quota unit (signed-in users) or is charged the per-episode L402 price (prepaid credentials). Episodes already in the feed when you follow it are not transcribed. New episodes that cannot be paid for are retried on the next check; see lastCheckStatus.'
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: { feedId: '357756', feedGuid: '3d510171-b9ab-517c-bbf3-1fd5542479ad', url: 'https://feeds.example.com/bankless.xml', title: 'Bankless' }
+  } */
+  /* #swagger.responses[201] = { description: 'Feed followed' } */
+  /* #swagger.responses[400] = { description: 'Invalid feedId or feedUrl' } */
+  /* #swagger.responses[403] = { description: 'Delegated L402 macaroons cannot follow feeds' } */
+  /* #swagger.responses[409] = { description: 'Already following, or the per-owner follow limit is reached' } */
+  try {
+    const owner = await requireFollower(req, res);
+    if (!owner) return;
+
+    const result = await followFeed(owner, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.follow ? { data: formatFollow(result.follow) } : {})
+      });
+    }
+
+    res.status(201).json({ success: true, data: formatFollow(result.follow) });
+  } catch (error) {
+    console.error('[PodcastFollows] Error following feed:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error following podcast feed' });
+  }
+});
+
+/**
+ * PATCH /api/podcast-follows/:id
+ * Pause or resume a follow. Episodes published while paused are skipped.
+ */
+router.patch('/:id', async (req, res) => {
+  // #swagger.tags = ['On-Demand Transcription']
+  // #swagger.summary = 'Pause or resume a podcast follow'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.parameters['body'] = { in: 'body', schema: { enabled: false } } */
+  /* #swagger.responses[400] = { description: 'enabled must be a boolean' } */
+  /* #swagger.responses[404] = { description: 'Follow not found' } */
+  try {
+    const owner = await requireFollower(req, res);
+    if (!owner) return;
+
+    const follow = await findOwnedFollow(owner, req.params.id, res);
+    if (!follow) return;
+
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid enabled', details: 'enabled must be a boolean' });
+    }
+
+    if (enabled && !follow.enabled) {
+      // Resume from "now": re-baseline at the next check instead of
+      // back-filling whatever aired while paused
+      follow.baselineAt = null;
+      follow.seenGuids = [];
+      follow.nextCheckAt = new Date();
+    }
+    follow.enabled = enabled;
+
+    await follow.save();
+    res.json({ success: true, data: formatFollow(follow) });
+  } catch (error) {
+    console.error('[PodcastFollows] Error updating follow:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error updating podcast follow' });
+  }
+});
+
+/**
+ * DELETE /api/podcast-follows/:id
+ * Unfollow. Jobs already submitted keep running.
+ */
+router.delete('/:id', async (req, res) => {
+  // #swagger.tags = ['On-Demand Transcription']
+  // #swagger.summary = 'Unfollow a podcast feed'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.responses[404] = { description: 'Follow not found' } */
+  try {
+    const owner = await requireFollower(req, res);
+    if (!owner) return;
+
+    const follow = await findOwnedFollow(owner, req.params.id, res);
+    if (!follow) return;
+
+    await follow.deleteOne();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[PodcastFollows] Error deleting follow:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error deleting podcast follow' });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,30 @@ const DigitalOceanSpacesManager = require('../utils/DigitalOceanSpacesManager');
 const fetch = require('node-fetch');
 const { resolveOwner, lazyMigrateOwnership } = require('../utils/resolveOwner');
 const { streamResearchAnalysis } = require('../utils/researchAnalysis');
+const { User } = require('../models/shared/UserSchema');
+const { createEmbeddings } = require('../utils/embeddings');
+const {
+  COLLABORATOR_ROLES,
+  MAX_COLLABORATORS,
+  buildAccessQuery,
+  resolveSessionRole,
+  canEdit,
+  actorFromOwner,
+  recordSessionChange,
+  getSessionHistory,
+  revertSessionToRevision
+} = require('../services/researchSessionCollabService');
+const {
+  parseExportOptions,
+  planResearchAudioExport,
+  requestResearchAudioExport,
+  joinExportDebit,
+  getResearchAudioExportStatus
+} = require('../services/researchAudioExportService');
+const { createEntitlementMiddleware } = require('../utils/entitlementMiddleware');
+const { ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
+const { serviceHmac } = require('../middleware/hmac');
+const { deferDebit, voidDebit } = require('../utils/debitSettlement');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -157,7 +181,8 @@ async function generateSmartShareTitle(lastItemMetadata, fallbackTitle) {
  * GET /api/research-sessions
  *
  * Return all research sessions for the current owner (user or clientId),
- * including each session's id and the last item's metadata.
+ * plus sessions the user was invited to, including each session's id, the
+ * caller's role and the last item's metadata.
  *
  * Owner resolution:
  *   - If a valid Bearer JWT is provided, use the associated User
@@ -173,8 +198,8 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Use buildQuery to handle $or for authenticated users with clientId
-    const query = owner.buildQuery();
+    // Owned (userId or clientId) plus shared-with-me sessions
+    const query = buildAccessQuery(owner);
 
     const sessions = await ResearchSession.find(query)
       .sort({ createdAt: -1 })
@@ -189,6 +214,7 @@ router.get('/', async (req, res) => {
       createdAt: session.createdAt,
       updatedAt: session.updatedAt,
       title: session.title || null,
+      role: resolveSessionRole(session, owner),
       pineconeIdsCount: Array.isArray(session.pineconeIds)
         ? session.pineconeIds.length
         : 0,
@@ -390,6 +416,15 @@ router.post('/', async (req, res) => {
 
     await session.save();
 
+    await recordSessionChange({
+      session,
+      before: [],
+      actor: actorFromOwner(owner, 'owner'),
+      action: 'create'
+    }).catch((err) => {
+      console.error('[ResearchSessions] Failed to record create revision:', err.message);
+    });
+
     return res.status(201).json({
       success: true,
       data: {
@@ -417,14 +452,20 @@ router.post('/', async (req, res) => {
 /**
  * PATCH /api/research-sessions/:id
  *
- * Append new Pinecone IDs to an existing session and/or update lastItemMetadata.
- * This does NOT upsert: the session must already exist and belong to the caller.
+ * Append, remove and/or reorder Pinecone IDs in an existing session and/or
+ * update lastItemMetadata. This does NOT upsert: the session must already
+ * exist and the caller must be its owner or an editor.
  *
  * Expected body (all fields optional but at least one required):
  * {
- *   "pineconeIds": ["new-id-1", "new-id-2"],
+ *   "pineconeIds": ["new-id-1", "new-id-2"],     // appended
+ *   "removePineconeIds": ["old-id"],             // removed
+ *   "order": ["id-3", "id-1", "new-id-1", ...],  // full new order, applied last
  *   "lastItemMetadata": { ... }
  * }
+ *
+ * Each effective change is appended to the session's change log
+ * (GET /:id/history).
  */
 router.patch('/:id', async (req, res) => {
   try {
@@ -445,42 +486,52 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
-    const { pineconeIds, lastItemMetadata, coordinatesById, expectedVersion } = req.body || {};
+    const {
+      pineconeIds,
+      removePineconeIds,
+      order,
+      lastItemMetadata,
+      coordinatesById,
+      expectedVersion
+    } = req.body || {};
 
     if (
       (typeof pineconeIds === 'undefined' || pineconeIds === null) &&
+      (typeof removePineconeIds === 'undefined' || removePineconeIds === null) &&
+      (typeof order === 'undefined' || order === null) &&
       typeof lastItemMetadata === 'undefined'
     ) {
       return res.status(400).json({
         error: 'No update fields provided',
-        details: 'Provide pineconeIds and/or lastItemMetadata'
+        details: 'Provide pineconeIds, removePineconeIds, order and/or lastItemMetadata'
       });
     }
 
-    if (typeof pineconeIds !== 'undefined') {
-      if (!Array.isArray(pineconeIds)) {
+    for (const [field, value] of [['pineconeIds', pineconeIds], ['removePineconeIds', removePineconeIds], ['order', order]]) {
+      if (typeof value === 'undefined' || value === null) continue;
+      if (!Array.isArray(value)) {
         return res.status(400).json({
-          error: 'Invalid pineconeIds',
-          details: 'pineconeIds must be an array of strings when provided'
+          error: `Invalid ${field}`,
+          details: `${field} must be an array of strings when provided`
         });
       }
-      const allStrings = pineconeIds.every(val => typeof val === 'string');
+      const allStrings = value.every(val => typeof val === 'string');
       if (!allStrings) {
         return res.status(400).json({
-          error: 'Invalid pineconeIds',
-          details: 'All pineconeIds entries must be strings'
+          error: `Invalid ${field}`,
+          details: `All ${field} entries must be strings`
         });
       }
     }
 
-    // Use buildQuery to handle $or for authenticated users with clientId
-    const ownerQuery = owner.buildQuery({ _id: id });
+    // Owners and collaborators; viewers are rejected below
+    const accessQuery = buildAccessQuery(owner, { _id: id });
 
     if (typeof expectedVersion === 'number') {
-      ownerQuery.__v = expectedVersion;
+      accessQuery.__v = expectedVersion;
     }
 
-    const session = await ResearchSession.findOne(ownerQuery);
+    const session = await ResearchSession.findOne(accessQuery);
     if (!session) {
       if (typeof expectedVersion === 'number') {
         return res.status(409).json({
@@ -496,9 +547,26 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
+    const role = resolveSessionRole(session, owner);
+    if (!canEdit(role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'Viewers cannot modify this research session'
+      });
+    }
+
     // Lazy migrate if this session was found via clientId but user is now authenticated
     await lazyMigrateOwnership(ResearchSession, owner, [session]);
 
+    const previousPineconeIds = [...(session.pineconeIds || [])];
+
+    // Remove Pinecone IDs if requested
+    if (Array.isArray(removePineconeIds) && removePineconeIds.length > 0) {
+      const toRemove = new Set(removePineconeIds);
+      session.pineconeIds = (session.pineconeIds || []).filter(pid => !toRemove.has(pid));
+      session.items = (session.items || []).filter(item => !toRemove.has(item.pineconeId));
+    }
+
     // Append new Pinecone IDs if provided (preserve order, avoid duplicates)
     if (Array.isArray(pineconeIds) && pineconeIds.length > 0) {
       const existingIds = Array.isArray(session.pineconeIds) ? session.pineconeIds : [];
@@ -563,6 +631,21 @@ router.patch('/:id', async (req, res) => {
       }
     }
 
+    // Reorder: must be a permutation of the ids after removals/appends
+    if (Array.isArray(order)) {
+      const current = session.pineconeIds || [];
+      const orderSet = new Set(order);
+      if (orderSet.size !== order.length || order.length !== current.length || !current.every(pid => orderSet.has(pid))) {
+        return res.status(400).json({
+          error: 'Invalid order',
+          details: 'order must list every pineconeId in the session exactly once'
+        });
+      }
+      const itemById = new Map((session.items || []).map(item => [item.pineconeId, item]));
+      session.pineconeIds = [...order];
+      session.items = order.map(pid => itemById.get(pid)).filter(Boolean);
+    }
+
     // Update lastItemMetadata if provided, otherwise keep it in sync with the last item metadata
     if (typeof lastItemMetadata !== 'undefined') {
       session.lastItemMetadata = lastItemMetadata;
@@ -573,11 +656,25 @@ router.patch('/:id', async (req, res) => {
 
     await session.save();
 
+    const change = await recordSessionChange({
+      session,
+      before: previousPineconeIds,
+      actor: actorFromOwner(owner, role),
+      action: 'update',
+      lastItemMetadataChanged: typeof lastItemMetadata !== 'undefined'
+    }).catch((err) => {
+      console.error('[ResearchSessions] Failed to record update revision:', err.message);
+      return null;
+    });
+
     return res.json({
       success: true,
       data: {
         id: session._id,
         ownerType: owner.ownerType,
+        role,
+        revision: change ? change.revision : session.revision,
+        changes: change ? change.changes : [],
         userId: session.userId || null,
         clientId: session.clientId || null,
         pineconeIds: session.pineconeIds,
@@ -611,7 +708,7 @@ router.patch('/:id', async (req, res) => {
 router.get('/:id', async (req, res) => {
   // #swagger.tags = ['Research Sessions']
   // #swagger.summary = 'Get a research session by ID'
-  // #swagger.description = 'Returns a specific research session with all its items and metadata. Hydrates item data from MongoDB and Pinecone as needed.'
+  // #swagger.description = 'Returns a specific research session with all its items and metadata. Hydrates item data from MongoDB and Pinecone as needed. `collaborators` is only included when the caller owns the session.'
   /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
   /* #swagger.responses[200] = {
     description: 'Research session with items',
@@ -790,18 +887,26 @@ router.get('/:id', async (req, res) => {
         });
     }
 
+    // Anyone with the id can read a session here, but only its owner sees who
+    // it is shared with.
+    const role = resolveSessionRole(session, owner);
     return res.json({
       success: true,
       data: {
         session: {
           id: session._id,
           ownerType: owner ? owner.ownerType : null,
+          role,
           userId: session.userId || null,
           clientId: session.clientId || null,
           title: session.title || null,
           pineconeIds,
           pineconeIdsCount: pineconeIds.length,
           lastItemMetadata: session.lastItemMetadata || null,
+          revision: session.revision || 0,
+          ...(role === 'owner'
+            ? { collaborators: (session.collaborators || []).map(c => ({ userId: c.userId, role: c.role })) }
+            : {}),
           createdAt: session.createdAt,
           updatedAt: session.updatedAt
         },
@@ -823,6 +928,703 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Load a session the caller owns or collaborates on, with the caller's role.
+ * Returns null when the id is invalid, the session doesn't exist, or the
+ * caller has no role on it.
+ */
+async function findAccessibleSession(owner, id, { lean = true } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const query = ResearchSession.findOne(buildAccessQuery(owner, { _id: id }));
+  const session = lean ? await query.lean().exec() : await query.exec();
+  if (!session) return null;
+  const role = resolveSessionRole(session, owner);
+  return role ? { session, role } : null;
+}
+
+/**
+ * GET /api/research-sessions/:id/history
+ *
+ * Append-only change log for a session, newest revision first. Available to
+ * the owner and all collaborators.
+ *
+ * Query: ?limit=20&before=<revision> (page backwards with nextBefore)
+ */
+router.get('/:id/history', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Get research session change history'
+  // #swagger.description = 'Returns the append-only revision log (who added, removed or moved which pineconeId) for a session the caller owns or collaborates on. Newest first; page with ?before=<nextBefore>.'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Revisions per page (default 20, max 100)' } */
+  /* #swagger.parameters['before'] = { in: 'query', type: 'integer', description: 'Only revisions older than this revision number' } */
+  /* #swagger.responses[200] = {
+    description: 'Revision history',
+    schema: {
+      success: true,
+      data: {
+        sessionId: '507f1f77bcf86cd799439011',
+        currentRevision: 3,
+        revisions: [{
+          revision: 3,
+          action: 'update',
+          actor: { userId: '507f1f77bcf86cd799439012', clientId: null, role: 'editor' },
+          changes: [{ op: 'move', pineconeId: 'id2', fromIndex: 1, toIndex: 0 }],
+          lastItemMetadataChanged: false,
+          revertedTo: null,
+          pineconeIdsCount: 4,
+          createdAt: '2026-02-13T00:00:00.000Z'
+        }],
+        nextBefore: null
+      }
+    }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'Session not found',
+    schema: { error: 'Research session not found', details: 'No session found for this id and owner' }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+
+    const { revisions, nextBefore } = await getSessionHistory(access.session._id, {
+      limit: req.query.limit,
+      before: req.query.before
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        sessionId: access.session._id,
+        role: access.role,
+        currentRevision: access.session.revision || 0,
+        revisions,
+        nextBefore
+      }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error fetching session history:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error fetching research session history'
+    });
+  }
+});
+
+/**
+ * POST /api/research-sessions/:id/revert
+ *
+ * Restore the session's item list to an earlier revision. Owner or editor
+ * only. The revert is itself recorded as a new revision.
+ *
+ * Expected body: { "revision": 2 }
+ */
+router.post('/:id/revert', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Revert a research session to a prior revision'
+  // #swagger.description = 'Restores pineconeIds (and item snapshots) to the state recorded at the given revision. Requires owner or editor role. Recorded as a new "revert" revision.'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: { revision: 2 }
+  } */
+  /* #swagger.responses[200] = {
+    description: 'Session reverted',
+    schema: {
+      success: true,
+      data: { id: '507f1f77bcf86cd799439011', revision: 5, revertedTo: 2, pineconeIds: ['id1', 'id2'], changes: [] }
+    }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid revision',
+    schema: { error: 'Invalid revision', details: 'revision must be a non-negative integer' }
+  } */
+  /* #swagger.responses[403] = {
+    description: 'Viewer role',
+    schema: { error: 'Forbidden', details: 'Viewers cannot modify this research session' }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'Session or revision not found',
+    schema: { error: 'Revision not found', details: 'No revision 7 for this session' }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const revision = req.body?.revision;
+    if (!Number.isInteger(revision) || revision < 0) {
+      return res.status(400).json({
+        error: 'Invalid revision',
+        details: 'revision must be a non-negative integer'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id, { lean: false });
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'Viewers cannot modify this research session'
+      });
+    }
+
+    const result = await revertSessionToRevision({
+      session: access.session,
+      revision,
+      actor: actorFromOwner(owner, access.role)
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    const { session, change } = result;
+    return res.json({
+      success: true,
+      data: {
+        id: session._id,
+        role: access.role,
+        revision: change ? change.revision : session.revision,
+        revertedTo: revision,
+        changes: change ? change.changes : [],
+        pineconeIds: session.pineconeIds,
+        pineconeIdsCount: session.pineconeIds.length,
+        lastItemMetadata: session.lastItemMetadata,
+        items: session.items,
+        updatedAt: session.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error reverting session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error reverting research session'
+    });
+  }
+});
+
+/**
+ * GET /api/research-sessions/:id/collaborators
+ *
+ * List the owner and invited collaborators. Available to every role.
+ */
+router.get('/:id/collaborators', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'List research session collaborators'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.responses[200] = {
+    description: 'Collaborators',
+    schema: {
+      success: true,
+      data: {
+        role: 'owner',
+        owner: { userId: '507f1f77bcf86cd799439012', clientId: null },
+        collaborators: [{ userId: '507f1f77bcf86cd799439013', email: 'alice@example.com', role: 'editor', addedAt: '2026-02-13T00:00:00.000Z' }]
+      }
+    }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+
+    const collaborators = access.session.collaborators || [];
+    const users = await User.find({ _id: { $in: collaborators.map(c => c.userId) } })
+      .select('_id email authProvider.provider')
+      .lean();
+    const userById = new Map(users.map(u => [String(u._id), u]));
+
+    return res.json({
+      success: true,
+      data: {
+        role: access.role,
+        owner: {
+          userId: access.session.userId || null,
+          clientId: access.role === 'owner' ? (access.session.clientId || null) : null
+        },
+        collaborators: collaborators.map(c => ({
+          userId: c.userId,
+          email: userById.get(String(c.userId))?.email || null,
+          provider: userById.get(String(c.userId))?.authProvider?.provider || null,
+          role: c.role,
+          invitedBy: c.invitedBy || null,
+          addedAt: c.addedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error listing collaborators:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error listing research session collaborators'
+    });
+  }
+});
+
+/**
+ * POST /api/research-sessions/:id/collaborators
+ *
+ * Invite a user as editor or viewer, or change an existing collaborator's
+ * role. Owner only. The invitee must already have an account. An email
+ * invite gets the same answer whether or not the email has an account, so
+ * the endpoint can't be used to probe for users.
+ *
+ * Expected body: { "email": "alice@example.com" | "userId": "<id>", "role": "editor" | "viewer" }
+ */
+router.post('/:id/collaborators', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Invite a collaborator to a research session'
+  // #swagger.description = 'Owner only. Adds (or updates the role of) an existing user, identified by email or userId, as an editor or viewer. An email invite returns the same `{ email, role }` response whether or not an account has that email; an email with no account adds nobody.'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: { email: 'alice@example.com', role: 'editor' }
+  } */
+  /* #swagger.responses[200] = {
+    description: 'Collaborator added or updated. Invites by userId return the collaborator; invites by email return only the email and role.',
+    schema: { success: true, data: { userId: '507f1f77bcf86cd799439013', email: 'alice@example.com', role: 'editor', created: true } }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid role, missing invitee, or inviting the owner',
+    schema: { error: 'Invalid role', details: 'role must be one of: editor, viewer' }
+  } */
+  /* #swagger.responses[403] = {
+    description: 'Caller is not the owner',
+    schema: { error: 'Forbidden', details: 'Only the session owner can manage collaborators' }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'Session not found, or no account has that userId',
+    schema: { error: 'User not found', details: 'No account matches that userId' }
+  } */
+  /* #swagger.responses[409] = {
+    description: 'Collaborator limit reached',
+    schema: { error: 'Too many collaborators', details: 'A research session can have at most 20 collaborators' }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const { email, userId, role } = req.body || {};
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        details: `role must be one of: ${COLLABORATOR_ROLES.join(', ')}`
+      });
+    }
+    if (!email && !userId) {
+      return res.status(400).json({
+        error: 'Missing invitee',
+        details: 'Provide email or userId'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id, { lean: false });
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+    if (access.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'Only the session owner can manage collaborators'
+      });
+    }
+
+    let invitee = null;
+    let inviteEmail = null;
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      invitee = await User.findById(userId).select('_id email').lean();
+      if (!invitee) {
+        return res.status(404).json({
+          error: 'User not found',
+          details: 'No account matches that userId'
+        });
+      }
+    } else if (typeof email === 'string' && email.trim()) {
+      inviteEmail = email.trim();
+      invitee = await User.findOne({ email: inviteEmail }).select('_id email').lean();
+    } else {
+      return res.status(400).json({
+        error: 'Missing invitee',
+        details: 'Provide an email or a valid userId'
+      });
+    }
+
+    const session = access.session;
+    if (invitee && session.userId && String(session.userId) === String(invitee._id)) {
+      return res.status(400).json({
+        error: 'Invalid invitee',
+        details: 'The session owner cannot be added as a collaborator'
+      });
+    }
+
+    // Checked for unknown emails too, so a full session answers every email alike
+    const existing = invitee && (session.collaborators || []).find(c => String(c.userId) === String(invitee._id));
+    if (!existing && (session.collaborators || []).length >= MAX_COLLABORATORS) {
+      return res.status(409).json({
+        error: 'Too many collaborators',
+        details: `A research session can have at most ${MAX_COLLABORATORS} collaborators`
+      });
+    }
+    if (existing) {
+      existing.role = role;
+    } else if (invitee) {
+      session.collaborators.push({
+        userId: invitee._id,
+        role,
+        invitedBy: owner.userId || null
+      });
+    }
+    if (invitee) await session.save();
+
+    if (inviteEmail) {
+      return res.json({ success: true, data: { email: inviteEmail, role } });
+    }
+    return res.json({
+      success: true,
+      data: {
+        userId: invitee._id,
+        email: invitee.email || null,
+        role,
+        created: !existing
+      }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error adding collaborator:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error adding research session collaborator'
+    });
+  }
+});
+
+/**
+ * DELETE /api/research-sessions/:id/collaborators/:userId
+ *
+ * Remove a collaborator. The owner can remove anyone; a collaborator can
+ * remove themselves (leave the session).
+ */
+router.delete('/:id/collaborators/:userId', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Remove a research session collaborator'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['userId'] = { in: 'path', required: true, type: 'string', description: 'Collaborator user ID' } */
+  /* #swagger.responses[200] = {
+    description: 'Collaborator removed',
+    schema: { success: true, data: { userId: '507f1f77bcf86cd799439013', removed: true } }
+  } */
+  /* #swagger.responses[403] = {
+    description: 'Not the owner and not removing yourself',
+    schema: { error: 'Forbidden', details: 'Only the session owner can remove other collaborators' }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id, { lean: false });
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+
+    const targetUserId = req.params.userId;
+    const isSelf = owner.userId && String(owner.userId) === String(targetUserId);
+    if (access.role !== 'owner' && !isSelf) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'Only the session owner can remove other collaborators'
+      });
+    }
+
+    const session = access.session;
+    const before = (session.collaborators || []).length;
+    session.collaborators = (session.collaborators || []).filter(c => String(c.userId) !== String(targetUserId));
+    const removed = session.collaborators.length < before;
+    if (removed) {
+      await session.save();
+    }
+
+    return res.json({
+      success: true,
+      data: { userId: targetUserId, removed }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error removing collaborator:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error removing research session collaborator'
+    });
+  }
+});
+
+function audioExportPollUrl(sessionId, lookupHash) {
+  return `/api/research-sessions/${sessionId}/export-audio/${lookupHash}`;
+}
+
+/**
+ * Resolve the caller, options, session and cut list before the entitlement
+ * middleware runs, so a bad option, someone else's session or an empty cut
+ * list doesn't burn quota or prepaid credit, and an export that is already
+ * rendered is returned without charging again. Leaves { options, session,
+ * plan } on req.audioExport.
+ */
+async function requireAudioExportRequest(req, res, next) {
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const { options, error: optionsError } = parseExportOptions(req.body || {});
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid export options',
+        details: optionsError
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+
+    const plan = await planResearchAudioExport({ session: access.session, options });
+    if (plan.error) {
+      return res.status(plan.httpStatus).json({
+        error: 'Nothing to export',
+        details: plan.error
+      });
+    }
+    if (plan.completed) {
+      return res.status(200).json({
+        success: true,
+        data: { ...plan.completed, pollUrl: audioExportPollUrl(access.session._id, plan.lookupHash) }
+      });
+    }
+
+    req.audioExport = { options, session: access.session, plan };
+    next();
+  } catch (error) {
+    console.error('[ResearchSessions] Error checking audio export request:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error queuing research session audio export'
+    });
+  }
+}
+
+/**
+ * POST /api/research-sessions/:id/export-audio
+ *
+ * Queue a podcast-style supercut of every item in the session: one MP3/M4A
+ * with separators between clips, optional loudness normalization and one
+ * chapter per item. Identical session contents + options return the cached
+ * file. Poll GET /:id/export-audio/:lookupHash for status.
+ *
+ * Expected body (all optional):
+ * {
+ *   "format": "mp3" | "m4a",                 // default mp3
+ *   "separator": "tone" | "spoken" | "none", // default tone
+ *   "normalize": true,                       // EBU R128 loudness, default true
+ *   "maxDurationSeconds": 600                // items past this are skipped
+ * }
+ */
+router.post('/:id/export-audio', requireAudioExportRequest, serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.RESEARCH_AUDIO_EXPORT), async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Export a research session as an audio supercut'
+  // #swagger.description = 'Stitches every item\'s audio segment into one MP3/M4A with tone or spoken separators, optional loudness normalization and chapter markers (episode + speaker). Processed asynchronously on the clip queue; poll GET /api/research-sessions/{id}/export-audio/{lookupHash}. Available to the owner and collaborators. Consumes a `research-audio-export` entitlement (L402 or free-tier quota); a prepaid charge is refunded if the render finally fails. An export already rendered for the session\'s current items and options is returned with 200 and is not charged.'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: false,
+    schema: { format: 'mp3', separator: 'tone', normalize: true, maxDurationSeconds: 600 }
+  } */
+  /* #swagger.responses[202] = {
+    description: 'Export queued (or already processing)',
+    schema: {
+      success: true,
+      data: {
+        status: 'queued',
+        lookupHash: 'ra-0123456789abcdef01234567',
+        segments: 12,
+        skipped: [{ pineconeId: 'id9', reason: 'no-audio' }],
+        pollUrl: '/api/research-sessions/507f1f77bcf86cd799439011/export-audio/ra-0123456789abcdef01234567'
+      }
+    }
+  } */
+  /* #swagger.responses[200] = {
+    description: 'Export already rendered for this session state (no charge)',
+    schema: { success: true, data: { status: 'completed', lookupHash: 'ra-0123456789abcdef01234567', url: 'https://cdn.example.com/research-exports/507f1f77bcf86cd799439011/ra-0123456789abcdef01234567.mp3' } }
+  } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid options or nothing exportable',
+    schema: { error: 'Invalid export options', details: 'format must be one of: mp3, m4a' }
+  } */
+  /* #swagger.responses[402] = {
+    description: 'Payment required — returns Lightning invoice'
+  } */
+  /* #swagger.responses[404] = {
+    description: 'Session not found',
+    schema: { error: 'Research session not found', details: 'No session found for this id and owner' }
+  } */
+  try {
+    const { options, session, plan } = req.audioExport;
+
+    const result = await requestResearchAudioExport({ session, options, plan });
+    if (result.error) {
+      return res.status(result.httpStatus).json({
+        error: 'Nothing to export',
+        details: result.error
+      });
+    }
+
+    // A cached file settles with this response; otherwise a prepaid debit
+    // settles with the render job
+    if (result.status !== 'completed') {
+      const debitEntryId = deferDebit(req);
+      if (debitEntryId) {
+        await joinExportDebit(result.lookupHash, debitEntryId).catch((error) =>
+          voidDebit(debitEntryId, { reason: `Could not attach debit to export job: ${error.message}` }));
+      }
+    }
+
+    return res.status(result.status === 'completed' ? 200 : 202).json({
+      success: true,
+      data: { ...result, pollUrl: audioExportPollUrl(session._id, result.lookupHash) }
+    });
+  } catch (error) {
+    console.error('[ResearchSessions] Error queuing audio export:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error queuing research session audio export'
+    });
+  }
+});
+
+/**
+ * GET /api/research-sessions/:id/export-audio/:lookupHash
+ *
+ * Status of an audio export: queued (with queue position), processing (with
+ * per-item progress), completed (with url, duration and chapters) or failed.
+ */
+router.get('/:id/export-audio/:lookupHash', async (req, res) => {
+  // #swagger.tags = ['Research Sessions']
+  // #swagger.summary = 'Check research session audio export status'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', description: 'Research session ID (MongoDB ObjectId)' } */
+  /* #swagger.parameters['lookupHash'] = { in: 'path', required: true, type: 'string', description: 'lookupHash returned by POST /export-audio' } */
+  /* #swagger.responses[200] = {
+    description: 'Export status',
+    schema: {
+      success: true,
+      data: {
+        lookupHash: 'ra-0123456789abcdef01234567',
+        status: 'completed',
+        url: 'https://cdn.example.com/research-exports/507f1f77bcf86cd799439011/ra-0123456789abcdef01234567.mp3',
+        format: 'mp3',
+        durationSeconds: 584,
+        chapters: [{ title: 'Episode 12 — Lyn Alden', pineconeId: 'id1', start: 0, end: 48.2 }],
+        skipped: [],
+        progress: { done: 12, total: 12 },
+        queuePosition: null,
+        attempts: 1,
+        error: null
+      }
+    }
+  } */
+  /* #swagger.responses[404] = {
+    description: 'Session or export not found',
+    schema: { error: 'Export not found', details: 'No audio export with this lookupHash for this session' }
+  } */
+  try {
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Missing owner identifier',
+        details: 'Provide a valid JWT token or a clientId (query param, header, or body)'
+      });
+    }
+
+    const access = await findAccessibleSession(owner, req.params.id);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Research session not found',
+        details: 'No session found for this id and owner'
+      });
+    }
+
+    const status = await getResearchAudioExportStatus(access.session._id, req.params.lookupHash);
+    if (!status) {
+      return res.status(404).json({
+        error: 'Export not found',
+        details: 'No audio export with this lookupHash for this session'
+      });
+    }
+
+    return res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('[ResearchSessions] Error fetching audio export status:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'Error fetching research session audio export status'
+    });
+  }
+});
+
 /**
  * Helper to derive a reasonable default share title from lastItemMetadata.
  */
@@ -1013,10 +1815,7 @@ async function generateNodesFromSession(baseSession) {
       const hasText = texts.some((t) => t.length > 0);
       if (hasText) {
         console.log(`[generateNodesFromSession] UMAP path: re-embedding ${texts.length} items`);
-        const embeddingResponse = await openai.embeddings.create({
-          model: 'text-embedding-ada-002',
-          input: texts
-        });
+        const embeddingResponse = await createEmbeddings({ input: texts });
         const embeddings = embeddingResponse.data.map((d) => d.embedding);
 
         const UmapProjector = require('../utils/UmapProjector');
@@ -0,0 +1,445 @@
+/**
+ * Saved Searches — stored search-quotes / search-chapters queries that the
+ * scheduler re-runs on a cadence, reporting only results from newly
+ * published episodes (see services/savedSearchService.js).
+ *
+ * All endpoints require an authenticated user (JWT); anonymous clientIds
+ * cannot own saved searches because runs happen unattended server-side.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { OpenAI } = require('openai');
+
+const { SavedSearch, SavedSearchRun } = require('../models/SavedSearch');
+const { resolveOwner } = require('../utils/resolveOwner');
+const {
+  runSavedSearch,
+  sanitizeParams,
+  parseWebhookOptions,
+  validateCadence,
+  computeNextRunAt,
+} = require('../services/savedSearchService');
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+const MAX_SAVED_SEARCHES_PER_USER = parseInt(process.env.SAVED_SEARCH_MAX_PER_USER || '25', 10);
+const MANUAL_RUN_MIN_INTERVAL_MS = 5 * 60 * 1000;
+const FEED_DEFAULT_LIMIT = 20;
+const FEED_MAX_LIMIT = 100;
+
+async function requireUser(req, res) {
+  const owner = await resolveOwner(req);
+  if (!owner || !owner.isAuthenticated) {
+    res.status(401).json({
+      error: 'Authentication required',
+      details: 'Saved searches require a valid JWT token'
+    });
+    return null;
+  }
+  return owner;
+}
+
+async function findOwnedSearch(owner, id, res) {
+  const savedSearch = mongoose.Types.ObjectId.isValid(id)
+    ? await SavedSearch.findOne({ _id: id, userId: owner.userId })
+    : null;
+  if (!savedSearch) {
+    res.status(404).json({
+      error: 'Saved search not found',
+      details: 'No saved search found for this id and owner'
+    });
+    return null;
+  }
+  return savedSearch;
+}
+
+function formatSavedSearch(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    kind: doc.kind,
+    params: doc.params,
+    cadence: doc.cadence,
+    enabled: doc.enabled,
+    webhookUrl: doc.webhookUrl || null,
+    webhookKeyId: doc.webhookUrl ? doc.webhookKeyId || null : null,
+    lastRunAt: doc.lastRunAt,
+    nextRunAt: doc.nextRunAt,
+    lastRunStatus: doc.lastRunStatus,
+    lastError: doc.lastError,
+    runCount: doc.runCount,
+    seenCount: Array.isArray(doc.seenIds) ? doc.seenIds.length : 0,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function formatRun(run) {
+  return {
+    id: run._id,
+    savedSearchId: run.savedSearchId,
+    trigger: run.trigger,
+    ranAt: run.ranAt,
+    since: run.since,
+    baseline: run.baseline,
+    totalMatched: run.totalMatched,
+    newCount: run.newCount,
+    results: run.results,
+    error: run.error,
+    webhook: run.webhook
+  };
+}
+
+/**
+ * Parse feed pagination: ?limit (default 20, max 100) and ?before (ISO date
+ * cursor on ranAt). Runs that found nothing new are omitted unless
+ * ?includeEmpty=true.
+ */
+function buildFeedQuery(req, base) {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT), FEED_MAX_LIMIT);
+  const query = { ...base };
+  if (req.query.includeEmpty !== 'true') {
+    query.newCount = { $gt: 0 };
+  }
+  if (req.query.before) {
+    const before = new Date(req.query.before);
+    if (!isNaN(before.getTime())) query.ranAt = { $lt: before };
+  }
+  return { query, limit };
+}
+
+async function sendFeed(res, query, limit) {
+  const runs = await SavedSearchRun.find(query)
+    .sort({ ranAt: -1 })
+    .limit(limit + 1)
+    .lean();
+  const hasMore = runs.length > limit;
+  const page = runs.slice(0, limit);
+  res.json({
+    success: true,
+    count: page.length,
+    hasMore,
+    nextBefore: hasMore ? page[page.length - 1].ranAt : null,
+    data: page.map(formatRun)
+  });
+}
+
+/**
+ * GET /api/saved-searches
+ * List the caller's saved searches, newest first.
+ */
+router.get('/', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'List saved searches'
+  /* #swagger.responses[200] = {
+    description: 'Saved searches owned by the caller',
+    schema: { success: true, count: 1, data: [{ id: '507f1f77bcf86cd799439011', name: 'Bitcoin mining', kind: 'quotes', cadence: 'daily', enabled: true }] }
+  } */
+  /* #swagger.responses[401] = { description: 'JWT required' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const searches = await SavedSearch.find({ userId: owner.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, count: searches.length, data: searches.map(formatSavedSearch) });
+  } catch (error) {
+    console.error('[SavedSearches] Error listing saved searches:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error fetching saved searches' });
+  }
+});
+
+/**
+ * GET /api/saved-searches/feed
+ * Combined feed of new results across all of the caller's saved searches.
+ */
+router.get('/feed', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Feed of new results across all saved searches'
+  // #swagger.description = 'Runs that found new results, newest first. Paginate with ?before=<nextBefore>. Pass includeEmpty=true to include runs with no new results.'
+  /* #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Runs per page (default 20, max 100)' } */
+  /* #swagger.parameters['before'] = { in: 'query', type: 'string', description: 'ISO timestamp cursor (ranAt of the last run on the previous page)' } */
+  /* #swagger.parameters['includeEmpty'] = { in: 'query', type: 'boolean' } */
+  /* #swagger.responses[200] = {
+    description: 'Run feed',
+    schema: { success: true, count: 1, hasMore: false, nextBefore: null, data: [{ savedSearchId: '507f1f77bcf86cd799439011', ranAt: '2026-10-19T14:00:00.000Z', newCount: 2, results: [] }] }
+  } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const { query, limit } = buildFeedQuery(req, { userId: owner.userId });
+    await sendFeed(res, query, limit);
+  } catch (error) {
+    console.error('[SavedSearches] Error fetching feed:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error fetching saved search feed' });
+  }
+});
+
+/**
+ * POST /api/saved-searches
+ *
+ * Body:
+ * {
+ *   "name": "Bitcoin mining",
+ *   "kind": "quotes" | "chapters",
+ *   "params": { "query": "..." } | { "search": "..." },  // same body as the search endpoint
+ *   "cadence": "hourly" | "daily" | "weekly",             // default daily
+ *   "webhookUrl": "https://example.com/hook",             // optional, public https host
+ *   "webhookSecret": "a-long-random-shared-secret",       // required with webhookUrl, 16+ chars
+ *   "webhookKeyId": "jamie-saved-search",                 // optional X-Svc-KeyId
+ *   "enabled": true
+ * }
+ *
+ * The first run is scheduled immediately and acts as a baseline. Webhook
+ * deliveries carry X-Svc-* HMAC headers; verify them with serviceHmac()
+ * using { [webhookKeyId]: webhookSecret }.
+ */
+router.post('/', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Create a saved search'
+  /* #swagger.parameters['body'] = {
+    in: 'body',
+    required: true,
+    schema: { name: 'Bitcoin mining', kind: 'quotes', params: { query: 'bitcoin mining difficulty', feedIds: ['1015378'], limit: 20 }, cadence: 'daily', webhookUrl: 'https://example.com/hook', webhookSecret: 'a-long-random-shared-secret' }
+  } */
+  /* #swagger.responses[201] = { description: 'Saved search created' } */
+  /* #swagger.responses[400] = { description: 'Invalid kind, params, cadence or webhook' } */
+  /* #swagger.responses[409] = { description: 'Per-user saved search limit reached' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const { name, kind, params: rawParams, cadence = 'daily', webhookUrl = null, webhookSecret, webhookKeyId, enabled = true } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Invalid name', details: 'name is required' });
+    }
+    const { params, error: paramsError } = sanitizeParams(kind, rawParams);
+    if (paramsError) {
+      return res.status(400).json({ error: 'Invalid params', details: paramsError });
+    }
+    const cadenceError = validateCadence(cadence);
+    if (cadenceError) {
+      return res.status(400).json({ error: 'Invalid cadence', details: cadenceError });
+    }
+    const { webhook, error: webhookError } = parseWebhookOptions({ webhookUrl, webhookSecret, webhookKeyId });
+    if (webhookError) {
+      return res.status(400).json({ error: 'Invalid webhook', details: webhookError });
+    }
+
+    const existing = await SavedSearch.countDocuments({ userId: owner.userId });
+    if (existing >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(409).json({
+        error: 'Saved search limit reached',
+        details: `A user may have at most ${MAX_SAVED_SEARCHES_PER_USER} saved searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId: owner.userId,
+      name: name.trim(),
+      kind,
+      params,
+      cadence,
+      enabled: enabled !== false,
+      webhookUrl: webhook?.url || null,
+      webhookKeyId: webhook?.keyId || null,
+      webhookSecret: webhook?.secret || null,
+      nextRunAt: new Date()
+    });
+
+    res.status(201).json({ success: true, data: formatSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error('[SavedSearches] Error creating saved search:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error creating saved search' });
+  }
+});
+
+/**
+ * GET /api/saved-searches/:id
+ */
+router.get('/:id', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Get a saved search'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.responses[404] = { description: 'Saved search not found' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const savedSearch = await findOwnedSearch(owner, req.params.id, res);
+    if (!savedSearch) return;
+
+    res.json({ success: true, data: formatSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error('[SavedSearches] Error fetching saved search:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error fetching saved search' });
+  }
+});
+
+/**
+ * PATCH /api/saved-searches/:id
+ *
+ * Updatable: name, params, cadence, webhookUrl + webhookSecret (+ webhookKeyId;
+ * webhookUrl: null clears all three), enabled.
+ * Changing params resets seenIds and lastRunAt so the next run is a fresh
+ * baseline for the new query.
+ */
+router.patch('/:id', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Update a saved search'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.parameters['body'] = { in: 'body', schema: { cadence: 'weekly', enabled: false } } */
+  /* #swagger.responses[400] = { description: 'Invalid field' } */
+  /* #swagger.responses[404] = { description: 'Saved search not found' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const savedSearch = await findOwnedSearch(owner, req.params.id, res);
+    if (!savedSearch) return;
+
+    const { name, params: rawParams, cadence, webhookUrl, webhookSecret, webhookKeyId, enabled } = req.body || {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Invalid name', details: 'name must be a non-empty string' });
+      }
+      savedSearch.name = name.trim();
+    }
+    if (rawParams !== undefined) {
+      const { params, error: paramsError } = sanitizeParams(savedSearch.kind, rawParams);
+      if (paramsError) {
+        return res.status(400).json({ error: 'Invalid params', details: paramsError });
+      }
+      savedSearch.params = params;
+      savedSearch.seenIds = [];
+      savedSearch.lastRunAt = null;
+      savedSearch.nextRunAt = new Date();
+    }
+    if (cadence !== undefined) {
+      const cadenceError = validateCadence(cadence);
+      if (cadenceError) {
+        return res.status(400).json({ error: 'Invalid cadence', details: cadenceError });
+      }
+      savedSearch.cadence = cadence;
+      if (savedSearch.lastRunAt && rawParams === undefined) {
+        savedSearch.nextRunAt = computeNextRunAt(cadence, savedSearch.lastRunAt);
+      }
+    }
+    if (webhookUrl !== undefined || webhookSecret !== undefined || webhookKeyId !== undefined) {
+      const { webhook, error: webhookError } = parseWebhookOptions({ webhookUrl, webhookSecret, webhookKeyId });
+      if (webhookError) {
+        return res.status(400).json({ error: 'Invalid webhook', details: webhookError });
+      }
+      savedSearch.webhookUrl = webhook?.url || null;
+      savedSearch.webhookKeyId = webhook?.keyId || null;
+      savedSearch.webhookSecret = webhook?.secret || null;
+    }
+    if (enabled !== undefined) {
+      savedSearch.enabled = enabled === true;
+    }
+
+    await savedSearch.save();
+    res.json({ success: true, data: formatSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error('[SavedSearches] Error updating saved search:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error updating saved search' });
+  }
+});
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Deletes the saved search and its run history.
+ */
+router.delete('/:id', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Delete a saved search'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.responses[404] = { description: 'Saved search not found' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const savedSearch = await findOwnedSearch(owner, req.params.id, res);
+    if (!savedSearch) return;
+
+    await SavedSearchRun.deleteMany({ savedSearchId: savedSearch._id });
+    await savedSearch.deleteOne();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[SavedSearches] Error deleting saved search:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error deleting saved search' });
+  }
+});
+
+/**
+ * GET /api/saved-searches/:id/feed
+ * New results for one saved search, newest run first.
+ */
+router.get('/:id/feed', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Feed of new results for one saved search'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.parameters['limit'] = { in: 'query', type: 'integer' } */
+  /* #swagger.parameters['before'] = { in: 'query', type: 'string' } */
+  /* #swagger.parameters['includeEmpty'] = { in: 'query', type: 'boolean' } */
+  /* #swagger.responses[404] = { description: 'Saved search not found' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const savedSearch = await findOwnedSearch(owner, req.params.id, res);
+    if (!savedSearch) return;
+
+    const { query, limit } = buildFeedQuery(req, { savedSearchId: savedSearch._id });
+    await sendFeed(res, query, limit);
+  } catch (error) {
+    console.error('[SavedSearches] Error fetching saved search feed:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error fetching saved search feed' });
+  }
+});
+
+/**
+ * POST /api/saved-searches/:id/run
+ * Run a saved search now instead of waiting for its next scheduled slot.
+ * Throttled to one manual run per 5 minutes per saved search.
+ */
+router.post('/:id/run', async (req, res) => {
+  // #swagger.tags = ['Saved Searches']
+  // #swagger.summary = 'Run a saved search now'
+  /* #swagger.parameters['id'] = { in: 'path', required: true, type: 'string' } */
+  /* #swagger.responses[200] = { description: 'Run record (results holds only new hits)' } */
+  /* #swagger.responses[404] = { description: 'Saved search not found' } */
+  /* #swagger.responses[429] = { description: 'Ran too recently' } */
+  try {
+    const owner = await requireUser(req, res);
+    if (!owner) return;
+
+    const savedSearch = await findOwnedSearch(owner, req.params.id, res);
+    if (!savedSearch) return;
+
+    if (savedSearch.lastRunAt && Date.now() - savedSearch.lastRunAt.getTime() < MANUAL_RUN_MIN_INTERVAL_MS) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        details: 'This saved search ran less than 5 minutes ago'
+      });
+    }
+
+    const run = await runSavedSearch(savedSearch, { openai }, { trigger: 'manual' });
+    res.json({ success: true, data: formatRun(run) });
+  } catch (error) {
+    console.error('[SavedSearches] Error running saved search:', error);
+    res.status(500).json({ error: 'Internal server error', details: 'Error running saved search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+/**
+ * backfill-speaker-labels.js
+ *
+ * Attach per-paragraph speaker labels to JamieVectorMetadata paragraphs from
+ * the diarized word timings in each episode's Deepgram transcript JSON
+ * (transcript bucket, `${guid}.json`, words[].speaker). Each paragraph gets
+ * the speaker with the most talk time inside its window.
+ *
+ * Diarization only yields anonymous labels (SPEAKER_0, SPEAKER_1, ...). Pass
+ * --names with --guid to map labels to people; without it only
+ * speakerLabel is written and the paragraphs stay unfilterable by name.
+ *
+ * Writes, per paragraph:
+ *   - Mongo: speakerLabel / speaker / speakerKey / speakerConfidence, mirrored
+ *     into metadataRaw (what search reads)
+ *   - Pinecone metadata: the same fields, so searchQuotes can filter on
+ *     speakerKey at the vector layer
+ *
+ * Usage:
+ *   node scripts/backfill-speaker-labels.js --guid <guid> --names "0=Peter McCormack,1=Lyn Alden"
+ *   node scripts/backfill-speaker-labels.js --feedId 6708272 --limit 20   # labels only
+ *   node scripts/backfill-speaker-labels.js --guid <guid> --dry-run        # print, no writes
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const DigitalOceanSpacesManager = require('../utils/DigitalOceanSpacesManager');
+const {
+  assignParagraphSpeakers,
+  diarizationLabel,
+  normalizeSpeakerKey,
+} = require('../utils/speakerLabels');
+
+// ---------------------------------------------------------------------------
+// Args
+// ---------------------------------------------------------------------------
+
+const args      = process.argv.slice(2);
+const DRY_RUN   = args.includes('--dry-run');
+const argValue  = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : null; };
+const guidArg   = argValue('--guid');
+const feedIdArg = argValue('--feedId');
+const limitArg  = parseInt(argValue('--limit') || '50', 10);
+const namesArg  = argValue('--names');
+
+const PINECONE_UPDATE_CONCURRENCY = 10;
+
+function parseNames(raw) {
+  const map = new Map();
+  if (!raw) return map;
+  for (const pair of raw.split(',')) {
+    const [index, ...nameParts] = pair.split('=');
+    const name = nameParts.join('=').trim();
+    if (/^\d+$/.test(index.trim()) && name) map.set(parseInt(index, 10), name);
+  }
+  return map;
+}
+
+// ---------------------------------------------------------------------------
+// Transcript
+// ---------------------------------------------------------------------------
+
+async function loadDiarizedWords(spaces, guid) {
+  const buffer = await spaces.getFileAsBuffer(process.env.TRANSCRIPT_SPACES_BUCKET_NAME, `${guid}.json`);
+  let data = JSON.parse(buffer.toString('utf-8'));
+  if (typeof data === 'string') data = JSON.parse(data); // double-encoded transcripts exist
+  return data?.results?.channels?.[0]?.alternatives?.[0]?.words || [];
+}
+
+// ---------------------------------------------------------------------------
+// Per-episode
+// ---------------------------------------------------------------------------
+
+async function processEpisode({ spaces, pineconeIndex, guid, names }) {
+  const words = await loadDiarizedWords(spaces, guid);
+  if (!words.some(w => Number.isInteger(w.speaker))) {
+    return { guid, result: 'skip:not-diarized', labelled: 0 };
+  }
+
+  const paragraphs = await JamieVectorMetadata
+    .find({ type: 'paragraph', guid })
+    .select('pineconeId start_time end_time')
+    .lean();
+  if (!paragraphs.length) return { guid, result: 'skip:no-paragraphs', labelled: 0 };
+
+  const assignments = assignParagraphSpeakers(paragraphs, words);
+  const updates = assignments.map(({ pineconeId, speakerIndex, confidence }) => {
+    const speaker = names.get(speakerIndex) || null;
+    return {
+      pineconeId,
+      fields: {
+        speakerLabel: diarizationLabel(speakerIndex),
+        speaker,
+        speakerKey: normalizeSpeakerKey(speaker),
+        speakerConfidence: confidence,
+      },
+    };
+  });
+
+  if (DRY_RUN) {
+    const tally = {};
+    for (const u of updates) {
+      const k = u.fields.speaker || u.fields.speakerLabel;
+      tally[k] = (tally[k] || 0) + 1;
+    }
+    return { guid, result: 'dry-run', labelled: updates.length, tally };
+  }
+
+  await JamieVectorMetadata.bulkWrite(updates.map(({ pineconeId, fields }) => {
+    const $set = {};
+    for (const [k, v] of Object.entries(fields)) {
+      $set[k] = v;
+      $set[`metadataRaw.${k}`] = v;
+    }
+    return { updateOne: { filter: { pineconeId, type: 'paragraph' }, update: { $set } } };
+  }));
+
+  // Pinecone metadata values cannot be null — omit unresolved fields.
+  for (let i = 0; i < updates.length; i += PINECONE_UPDATE_CONCURRENCY) {
+    await Promise.all(updates.slice(i, i + PINECONE_UPDATE_CONCURRENCY).map(({ pineconeId, fields }) => {
+      const metadata = Object.fromEntries(Object.entries(fields).filter(([, v]) => v != null));
+      return pineconeIndex.update({ id: pineconeId, metadata });
+    }));
+  }
+
+  return { guid, result: 'labelled', labelled: updates.length };
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  for (const key of ['MONGO_URI', 'PINECONE_API_KEY', 'PINECONE_INDEX', 'TRANSCRIPT_SPACES_ACCESS_KEY_ID', 'TRANSCRIPT_SPACES_SECRET_KEY', 'TRANSCRIPT_SPACES_BUCKET_NAME']) {
+    if (!process.env[key]) {
+      console.error(`${key} not set.`);
+      process.exit(1);
+    }
+  }
+  if (!guidArg && !feedIdArg) {
+    console.error('Provide --guid <guid> or --feedId <feedId>.');
+    process.exit(1);
+  }
+  const names = parseNames(namesArg);
+  if (names.size > 0 && !guidArg) {
+    console.error('--names maps diarization indexes for ONE episode; use it with --guid.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  const spaces = new DigitalOceanSpacesManager(
+    process.env.SPACES_ENDPOINT,
+    process.env.TRANSCRIPT_SPACES_ACCESS_KEY_ID,
+    process.env.TRANSCRIPT_SPACES_SECRET_KEY,
+    { maxRetries: 3, baseDelay: 1000, maxDelay: 10000, timeout: 30000 }
+  );
+  // Same index/namespace as agent-tools/pineconeTools.js, where search reads speakerKey
+  const pineconeBase = new Pinecone({ apiKey: process.env.PINECONE_API_KEY }).index(process.env.PINECONE_INDEX);
+  const pineconeIndex = process.env.PINECONE_NAMESPACE
+    ? pineconeBase.namespace(process.env.PINECONE_NAMESPACE)
+    : pineconeBase;
+
+  let guids;
+  if (guidArg) {
+    guids = [guidArg];
+  } else {
+    const episodes = await JamieVectorMetadata.find({ type: 'episode', feedId: feedIdArg })
+      .sort({ publishedTimestamp: -1 })
+      .limit(limitArg)
+      .select('guid')
+      .lean();
+    guids = episodes.map(e => e.guid).filter(Boolean);
+  }
+  console.log(`\nEpisodes to process: ${guids.length}${DRY_RUN ? ' [DRY RUN]' : ''}\n`);
+
+  let labelled = 0, skipped = 0, errors = 0;
+  for (const guid of guids) {
+    try {
+      const r = await processEpisode({ spaces, pineconeIndex, guid, names });
+      if (r.result.startsWith('skip')) {
+        skipped++;
+        console.log(`  - ${guid}: ${r.result}`);
+      } else {
+        labelled += r.labelled;
+        console.log(`  ✓ ${guid}: ${r.labelled} paragraphs${r.tally ? ` ${JSON.stringify(r.tally)}` : ''}`);
+      }
+    } catch (err) {
+      errors++;
+      console.warn(`  ✗ ${guid}: ${err.message}`);
+    }
+  }
+
+  console.log(`\n=== Summary ===`);
+  console.log(`  Paragraphs labelled : ${labelled}`);
+  console.log(`  Episodes skipped    : ${skipped}`);
+  console.log(`  Errors              : ${errors}`);
+  if (DRY_RUN) console.log(`  [DRY RUN — no writes performed]`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
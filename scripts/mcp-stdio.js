@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * stdio transport for the Jamie MCP server.
+ *
+ * MCP hosts that launch servers as subprocesses (Claude Desktop, IDE agents,
+ * ...) run this script. It reads newline-delimited JSON-RPC from stdin and
+ * relays each message to the streamable HTTP endpoint (POST /api/mcp), so tool
+ * calls are authenticated and billed by the same entitlement middleware and
+ * no database access is needed on the host machine.
+ *
+ *   node scripts/mcp-stdio.js
+ *
+ * Host config example:
+ *   { "command": "node", "args": ["scripts/mcp-stdio.js"],
+ *     "env": { "JAMIE_L402": "<macaroon>:<preimage>" } }
+ *
+ * Env:
+ *   JAMIE_API_BASE       server base URL (default https://pullthatupjamie.ai)
+ *   JAMIE_L402           L402 credential "<base64_macaroon>:<hex_preimage>"
+ *   JAMIE_SVC_KEY_ID     HMAC service key id  } sign requests instead of L402
+ *   JAMIE_SVC_SECRET     HMAC shared secret   } (see middleware/hmac.js)
+ *   JAMIE_FREE_TIER      "true" to use the anonymous free-tier quota
+ *   JAMIE_CLIENT_ID      clientId that owns research sessions created here
+ *
+ * stdout carries protocol messages only; diagnostics go to stderr.
+ */
+
+require('dotenv').config();
+
+const readline = require('readline');
+const { signRequest } = require('../middleware/hmac');
+
+const BASE = (process.env.JAMIE_API_BASE || 'https://pullthatupjamie.ai').replace(/\/$/, '');
+const MCP_URL = `${BASE}/api/mcp`;
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Application-defined JSON-RPC error code for HTTP-level rejections (402, 429, ...)
+const HTTP_ERROR_CODE = -32001;
+
+function log(message) {
+  process.stderr.write(`[mcp-stdio] ${message}\n`);
+}
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function authHeaders(body) {
+  if (process.env.JAMIE_SVC_KEY_ID && process.env.JAMIE_SVC_SECRET) {
+    return signRequest({
+      method: 'POST',
+      url: MCP_URL,
+      body,
+      keyId: process.env.JAMIE_SVC_KEY_ID,
+      secret: process.env.JAMIE_SVC_SECRET,
+    });
+  }
+  const headers = {};
+  if (process.env.JAMIE_L402) headers.Authorization = `L402 ${process.env.JAMIE_L402}`;
+  if (process.env.JAMIE_FREE_TIER === 'true') headers['X-Free-Tier'] = 'true';
+  return headers;
+}
+
+async function relay(message) {
+  const body = JSON.stringify(message);
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    ...authHeaders(body),
+  };
+  if (process.env.JAMIE_CLIENT_ID) headers['X-Client-Id'] = process.env.JAMIE_CLIENT_ID;
+
+  const res = await fetch(MCP_URL, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (res.status === 202) return null;
+
+  const text = await res.text();
+  let payload = null;
+  try { payload = JSON.parse(text); } catch (_) { /* non-JSON error page */ }
+
+  if (payload?.jsonrpc === '2.0') return payload;
+  // Entitlement / auth rejections are plain HTTP; surface them to the host
+  // with the body attached (a 402 carries the invoice to pay)
+  return {
+    jsonrpc: '2.0',
+    id: message.id ?? null,
+    error: {
+      code: HTTP_ERROR_CODE,
+      message: payload?.error || payload?.message || `HTTP ${res.status}`,
+      data: { status: res.status, wwwAuthenticate: res.headers.get('www-authenticate'), body: payload || text.slice(0, 500) },
+    },
+  };
+}
+
+async function handleLine(line) {
+  if (!line.trim()) return;
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (_) {
+    send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    return;
+  }
+
+  const isNotification = message && (message.id === undefined || message.id === null);
+  try {
+    const response = await relay(message);
+    if (response && !isNotification) send(response);
+  } catch (err) {
+    log(`${message?.method || 'message'} failed: ${err.message}`);
+    if (!isNotification) {
+      send({ jsonrpc: '2.0', id: message.id, error: { code: -32603, message: `Could not reach ${MCP_URL}: ${err.message}` } });
+    }
+  }
+}
+
+if (!process.env.JAMIE_L402 && !process.env.JAMIE_SVC_KEY_ID && process.env.JAMIE_FREE_TIER !== 'true') {
+  log('No credentials set (JAMIE_L402, JAMIE_SVC_KEY_ID/JAMIE_SVC_SECRET or JAMIE_FREE_TIER=true); priced tools will return 402 challenges.');
+}
+log(`Relaying to ${MCP_URL}`);
+
+const pending = new Set();
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', (line) => {
+  const task = handleLine(line).finally(() => pending.delete(task));
+  pending.add(task);
+});
+rl.on('close', async () => {
+  await Promise.allSettled([...pending]);
+  process.exit(0);
+});
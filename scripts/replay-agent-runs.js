@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Replay logged /api/pull runs offline against the current prompts and a
+ * chosen model, then diff each new answer against the original.
+ *
+ * Tool calls are answered from the outputs recorded in the run log, so no
+ * Pinecone or Mongo access happens; only the orchestrator / synthesis model
+ * (and small helper LLMs) are called. Use it to regression-test a prompt
+ * change against last week's real traffic before shipping it.
+ *
+ *   node scripts/replay-agent-runs.js logs/agent/                    # every replayable log in the dir
+ *   node scripts/replay-agent-runs.js logs/agent/2026-10-12*.json --limit 20
+ *   node scripts/replay-agent-runs.js logs/agent/ --model deepseek-v4-flash --out replay-report.json
+ *
+ * Options:
+ *   --model <key>        model to replay with (default: each run's original model)
+ *   --profile <key>      execution profile override
+ *   --intent <intent>    only replay runs with this intent
+ *   --limit <n>          replay at most n runs (newest files first)
+ *   --out <file>         write the full JSON report here
+ *
+ * Inputs are run-log JSON files as written to logs/agent/ (or exported from
+ * the AgentRunLog collection). Runs logged before tool outputs were recorded,
+ * or with AGENT_RUN_LOG_TOOL_OUTPUTS=false, are skipped. See
+ * services/agentReplayService.js.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const OpenAI = require('openai');
+const createAgentChatRoutes = require('../routes/agentChatRoutes');
+const {
+  replayUnsupportedReason,
+  createReplayContext,
+  buildReplayRequest,
+  diffReplay,
+} = require('../services/agentReplayService');
+
+const argv = process.argv.slice(2);
+const opt = (flag) => { const i = argv.indexOf(flag); return i >= 0 && argv[i + 1] ? argv[i + 1] : null; };
+const OPTION_FLAGS = ['--model', '--profile', '--intent', '--limit', '--out'];
+const inputs = argv.filter((arg, i) => !arg.startsWith('--') && !OPTION_FLAGS.includes(argv[i - 1]));
+
+const model = opt('--model');
+const executionProfile = opt('--profile');
+const intentFilter = opt('--intent');
+const limit = opt('--limit') ? parseInt(opt('--limit'), 10) : Infinity;
+const outFile = opt('--out');
+
+function collectFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    const stat = fs.statSync(p);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(p)) {
+        if (name.endsWith('.json')) files.push(path.join(p, name));
+      }
+    } else {
+      files.push(p);
+    }
+  }
+  // Log filenames start with an ISO timestamp: newest first
+  return [...new Set(files)].sort((a, b) => path.basename(b).localeCompare(path.basename(a)));
+}
+
+function toolNames(runLog) {
+  return (runLog?.summary?.toolCalls || []).map(tc => tc.name);
+}
+
+async function main() {
+  if (inputs.length === 0) {
+    console.error('Usage: node scripts/replay-agent-runs.js <log file or dir>... [--model key] [--limit n] [--out file]');
+    process.exit(1);
+  }
+
+  const runs = [];
+  let skipped = 0;
+  for (const file of collectFiles(inputs)) {
+    if (runs.length >= limit) break;
+    let runLog;
+    try {
+      runLog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.warn(`skip ${path.basename(file)}: unreadable (${err.message})`);
+      skipped++;
+      continue;
+    }
+    if (intentFilter && runLog.intent !== intentFilter) continue;
+    const reason = replayUnsupportedReason(runLog);
+    if (reason) {
+      console.warn(`skip ${path.basename(file)}: ${reason}`);
+      skipped++;
+      continue;
+    }
+    runs.push({ file, runLog });
+  }
+  if (runs.length === 0) {
+    console.error('No replayable runs found.');
+    process.exit(1);
+  }
+
+  // The real route, in-process; req._replay swaps in the recorded tool layer
+  let activeReplay = null;
+  const app = express();
+  app.use(express.json({ limit: '20mb' }));
+  app.use((req, res, next) => { req._replay = activeReplay; next(); });
+  app.use(createAgentChatRoutes({ openai: new OpenAI() }));
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const report = [];
+  for (const { file, runLog } of runs) {
+    const replay = createReplayContext(runLog);
+    activeReplay = replay;
+    const body = buildReplayRequest(runLog, { model, executionProfile });
+    let response = null;
+    let error = null;
+    try {
+      const res = await fetch(`${baseUrl}/agent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      response = await res.json();
+      if (!res.ok) error = response.error || `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const replayLog = replay.agentLog;
+    const diff = diffReplay(
+      { finalText: runLog.finalText, toolCalls: toolNames(runLog) },
+      { finalText: replayLog?.finalText || response?.text || '', toolCalls: toolNames(replayLog) }
+    );
+    const entry = {
+      file: path.basename(file),
+      requestId: runLog.requestId,
+      query: runLog.query,
+      intent: runLog.intent,
+      model: { original: runLog.modelKey, replay: body.model },
+      error,
+      toolLayer: {
+        exact: replay.stats.exact,
+        approximate: replay.stats.approximate,
+        misses: replay.stats.misses,
+      },
+      costUsd: replayLog?.summary?.cost?.total ?? null,
+      diff,
+      finalText: { original: runLog.finalText, replay: replayLog?.finalText || response?.text || '' },
+    };
+    report.push(entry);
+
+    const { text, clips } = diff;
+    console.log(
+      `${runLog.requestId} [${runLog.intent}] ${error ? `ERROR ${error}` : `text ~${text.similarity}`}` +
+      ` | clips kept ${clips.kept.length}/${clips.original.length}, +${clips.added.length} -${clips.removed.length}` +
+      ` | tools ${diff.toolCalls.original.length}→${diff.toolCalls.replay.length}` +
+      ` (recorded ${replay.stats.exact}, closest ${replay.stats.approximate}, missing ${replay.stats.misses.length})` +
+      ` | "${String(runLog.query).slice(0, 60)}"`
+    );
+  }
+  server.close();
+
+  const completed = report.filter(r => !r.error);
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+  console.log(
+    `\n${report.length} replayed (${report.length - completed.length} failed), ${skipped} skipped` +
+    ` | mean text similarity ${mean(completed.map(r => r.diff.text.similarity)).toFixed(3)}` +
+    ` | runs with removed clips ${completed.filter(r => r.diff.clips.removed.length > 0).length}` +
+    ` | runs with tool misses ${completed.filter(r => r.toolLayer.misses.length > 0).length}`
+  );
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify({ model, executionProfile, generatedAt: new Date().toISOString(), runs: report }, null, 2));
+    console.log(`Report written to ${outFile}`);
+  }
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Replay failed:', err);
+  process.exit(1);
+});
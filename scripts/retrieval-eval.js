@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Retrieval eval — repeatable recall@k / MRR / nDCG over a golden query set,
+ * swept across search configurations, with a diff against a stored baseline.
+ *
+ * Runs the real services (services/searchQuotesService, services/searchChaptersService,
+ * utils/clipReranker) in-process — no HTTP server needed. Metrics, golden-set
+ * format and fixture replay live in utils/retrievalEval.js.
+ *
+ * Sweep axes (comma lists):
+ *   --lexical off,on      proper-noun lexical path (searchQuotes properNounSearch)
+ *   --smart off           smartMode triage
+ *   --rerank off,4,6      reranker min score; thresholds share one scoring pass
+ *
+ * Usage:
+ *   node scripts/retrieval-eval.js --golden my-golden.yaml   # format: scripts/benchmarks/retrieval-golden.example.yaml
+ *   node scripts/retrieval-eval.js --golden g.jsonl --record fixtures.json   # live + save responses
+ *   node scripts/retrieval-eval.js --golden g.jsonl --fixtures fixtures.json # offline replay
+ *   node scripts/retrieval-eval.js ... --write-baseline                     # store as baseline
+ *   node scripts/retrieval-eval.js ... --fail-on-regression                 # exit 1 on regression
+ *
+ * Options: --k 10, --limit 20, --baseline <path> (default
+ * scripts/benchmarks/retrieval-baseline.json), --tolerance 0.01.
+ *
+ * Reports: logs/retrieval-eval-<utc>.json (full) + .md (summary).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_K,
+  DEFAULT_TOLERANCE,
+  loadGoldenSet,
+  buildConfigs,
+  createFixtureAdapter,
+  createRecordingAdapter,
+  runRetrievalEval,
+  diffAgainstBaseline,
+  formatMarkdownReport,
+} = require('../utils/retrievalEval');
+
+// ---------------------------------------------------------------- CLI / config
+const argv = process.argv.slice(2);
+const flag = (name) => argv.includes(name);
+const opt = (name, def) => { const i = argv.indexOf(name); return i >= 0 && argv[i + 1] ? argv[i + 1] : def; };
+const onOff = (list) => list.split(',').map(v => v.trim() === 'on');
+
+const GOLDEN = opt('--golden', null);
+const FIXTURES = opt('--fixtures', null);
+const RECORD = opt('--record', null);
+const BASELINE = opt('--baseline', path.join(__dirname, 'benchmarks', 'retrieval-baseline.json'));
+const K = parseInt(opt('--k', String(DEFAULT_K)), 10);
+const LIMIT = parseInt(opt('--limit', String(Math.max(K, 20))), 10);
+const TOLERANCE = parseFloat(opt('--tolerance', String(DEFAULT_TOLERANCE)));
+const AXES = {
+  properNounSearch: onOff(opt('--lexical', 'off,on')),
+  smartMode: onOff(opt('--smart', 'off')),
+  rerank: opt('--rerank', 'off').split(',').map(v => (v.trim() === 'off' ? null : Number(v))),
+};
+
+// ------------------------------------------------------------------ live path
+function createLiveAdapter() {
+  const { OpenAI } = require('openai');
+  const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+  const { searchQuotes } = require('../services/searchQuotesService');
+  const { searchChapters } = require('../services/searchChaptersService');
+  const { rerankClips } = require('../utils/clipReranker');
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  return {
+    async search({ tool, query, params, properNounSearch, smartMode, limit }) {
+      if (tool === 'chapters') {
+        const out = await searchChapters({ ...params, search: query, limit });
+        if (out.error) throw new Error(out.error);
+        return out.data.map(d => ({ id: d.chapter.pineconeId, guid: d.episode.guid, text: d.chapter.headline || '' }));
+      }
+      const out = await searchQuotes({ ...params, query, limit, smartMode, properNounSearch }, { openai });
+      if (out.error) throw new Error(out.message || out.error);
+      // Quote results carry no guid; join it from Mongo so episode-level
+      // expectations can match.
+      const ids = out.results.map(r => r.shareLink);
+      const docs = await JamieVectorMetadata.find({ pineconeId: { $in: ids } }).select('pineconeId guid').lean();
+      const guidById = new Map(docs.map(d => [d.pineconeId, d.guid]));
+      return out.results.map(r => ({
+        id: r.shareLink,
+        guid: guidById.get(r.shareLink) || null,
+        text: r.quote,
+        creator: r.creator,
+        episode: r.episode,
+      }));
+    },
+    async rerankScores({ query, results }) {
+      const clips = results.map(r => ({ quote: r.text, creator: r.creator, episode: r.episode }));
+      const out = await rerankClips({ query, clips, openai, minScore: 0 });
+      // No scores means the reranker fell back to "keep everything".
+      return out.scores || results.map(() => 5);
+    },
+  };
+}
+
+// ----------------------------------------------------------------------- main
+async function main() {
+  if (!GOLDEN) throw new Error('--golden <file.yaml|file.jsonl> is required');
+  const golden = loadGoldenSet(GOLDEN);
+  const configs = buildConfigs(AXES);
+  console.log(`[retrieval-eval] ${golden.length} golden queries × ${configs.length} configs (k=${K}, limit=${LIMIT})${FIXTURES ? ` — replaying ${FIXTURES}` : ''}`);
+
+  let adapter;
+  let mongoose = null;
+  if (FIXTURES) {
+    adapter = createFixtureAdapter(JSON.parse(fs.readFileSync(FIXTURES, 'utf8')));
+  } else {
+    mongoose = require('mongoose');
+    await mongoose.connect(process.env.MONGO_URI);
+    adapter = createLiveAdapter();
+    if (RECORD) adapter = createRecordingAdapter(adapter);
+  }
+
+  const report = await runRetrievalEval({
+    golden,
+    configs,
+    adapter,
+    k: K,
+    limit: LIMIT,
+    onProgress: (config, row) => {
+      const status = row.error ? `ERROR ${row.error}` : `recall=${row.recall.toFixed(2)} rr=${row.mrr.toFixed(2)}`;
+      console.log(`  [${config.name}] ${row.id}: ${status}`);
+    },
+  });
+  report.golden = path.relative(process.cwd(), GOLDEN);
+  report.generatedAt = new Date().toISOString();
+
+  if (mongoose) await mongoose.disconnect();
+  if (RECORD) {
+    fs.writeFileSync(RECORD, JSON.stringify(adapter.fixtures, null, 2));
+    console.log(`[retrieval-eval] Recorded fixtures → ${RECORD}`);
+  }
+
+  const baseline = fs.existsSync(BASELINE) ? JSON.parse(fs.readFileSync(BASELINE, 'utf8')) : null;
+  const diff = baseline ? diffAgainstBaseline(report, baseline, { tolerance: TOLERANCE }) : null;
+  const markdown = formatMarkdownReport(report, diff);
+  console.log(`\n${markdown}\n`);
+
+  const logsDir = path.join(__dirname, '..', 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+  const stamp = report.generatedAt.replace(/[:.]/g, '-');
+  fs.writeFileSync(path.join(logsDir, `retrieval-eval-${stamp}.json`), JSON.stringify({ report, diff }, null, 2));
+  fs.writeFileSync(path.join(logsDir, `retrieval-eval-${stamp}.md`), `${markdown}\n`);
+
+  if (flag('--write-baseline')) {
+    fs.writeFileSync(BASELINE, JSON.stringify(report, null, 2));
+    console.log(`[retrieval-eval] Baseline written → ${BASELINE}`);
+  }
+  if (flag('--fail-on-regression') && diff?.regressions.length) {
+    console.error(`[retrieval-eval] ${diff.regressions.length} metric regression(s) vs baseline`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(`[retrieval-eval] ${err.stack || err.message}`);
+  process.exit(1);
+});
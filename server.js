@@ -56,10 +56,13 @@ const nostrRoutes = require('./routes/nostrRoutes');
 const blogRoutes = require('./routes/blogRoutes');
 const BlogIngestionService = require('./utils/BlogIngestionService');
 const researchSessionsRoutes = require('./routes/researchSessions');
+const savedSearchesRoutes = require('./routes/savedSearches');
+const podcastFollowsRoutes = require('./routes/podcastFollows');
 const analyzeRoutes = require('./routes/researchAnalyzeRoutes');
 const sharedResearchSessionsRoutes = require('./routes/sharedResearchSessions');
 const jamieExploreRoutes = require('./routes/jamieExploreRoutes');
 const { createEntitlementMiddleware } = require('./utils/entitlementMiddleware');
+const { deferDebit, voidDebit } = require('./utils/debitSettlement');
 const { ENTITLEMENT_TYPES } = require('./constants/entitlementTypes');
 const createVideoEditRoutes = require('./routes/videoEditRoutes');
 const { ResearchSession } = require('./models/ResearchSession');
@@ -74,6 +77,7 @@ const agentRoutes = require('./routes/agentRoutes');
 const discoverRoutes = require('./routes/discoverRoutes');
 // const createWorkflowRoutes = require('./routes/workflowRoutes'); // Shelved — replaced by Claude agent
 const createAgentChatRoutes = require('./routes/agentChatRoutes');
+const createMcpRoutes = require('./routes/mcpRoutes');
 const swaggerUi = require('swagger-ui-express');
 const { User } = require('./models/shared/UserSchema');
 const { Entitlement } = require('./models/Entitlement');
@@ -845,11 +849,14 @@ app.post('/api/make-clip', serviceHmac({ optional: true }), createEntitlementMid
       });
       console.log(`${debugPrefix} Initial WorkProductV2 record created`);
 
-      // 5. Queue the job for background processing (don't await)
+      // 5. Queue the job for background processing (don't await). A prepaid
+      // debit stays pending until the job completes or finally fails.
       console.log(`${debugPrefix} Adding clip to the processing queue...`);
-      clipQueueManager.enqueueClip(clipData, timestamps, lookupHash, null).catch(err => {
+      const debitEntryId = deferDebit(req);
+      clipQueueManager.enqueueClip(clipData, timestamps, lookupHash, null, { debitEntryId }).catch(err => {
           console.error(`${debugPrefix} Error queuing clip: ${err.message}`);
           console.error(err.stack);
+          if (debitEntryId) voidDebit(debitEntryId, { reason: `Clip queueing failed: ${err.message}` });
           // Update DB with error status if queue fails
           WorkProductV2.findOneAndUpdate(
               { lookupHash },
@@ -1163,7 +1170,7 @@ app.get('/api/podcast-feed/:feedId', async (req, res) => {
 app.post('/api/search-quotes', serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.SEARCH_QUOTES), async (req, res) => {
   // #swagger.tags = ['Search']
   // #swagger.summary = 'Semantic search across podcast transcripts'
-  // #swagger.description = 'Performs vector-based semantic search across the podcast corpus using OpenAI embeddings and Pinecone. Supports filtering by feed, episode, date range, and episode name.'
+  // #swagger.description = 'Performs vector-based semantic search across the podcast corpus using OpenAI embeddings and Pinecone. Supports filtering by feed, episode, date range, and episode name. Optional retrievalMode selects vector-only, lexical-only (Atlas Search) or hybrid-rrf (both, fused with weighted reciprocal-rank fusion; results carry similarity.fused and per-retriever ranks). Optional speaker restricts results to paragraphs diarized as spoken by that person; every result carries speaker ({ name, label, confidence } or null). Near-identical paragraphs from different episodes (re-uploads, clips channels, syndicated feeds) are collapsed into the highest-ranked copy, which lists the others in alsoAppearsIn; pass collapseDuplicates: false to get every copy.'
   /* #swagger.parameters['body'] = {
     in: 'body',
     required: true,
@@ -1174,7 +1181,11 @@ app.post('/api/search-quotes', serviceHmac({ optional: true }), createEntitlemen
       minDate: '2024-01-01',
       maxDate: '2026-02-13',
       episodeName: '',
-      guid: ''
+      guid: '',
+      retrievalMode: 'hybrid-rrf',
+      hybridWeights: { vector: 1, lexical: 1 },
+      speaker: 'Lyn Alden',
+      collapseDuplicates: true
     }
   } */
   /* #swagger.responses[200] = {
@@ -1183,9 +1194,14 @@ app.post('/api/search-quotes', serviceHmac({ optional: true }), createEntitlemen
       query: 'What is the future of Bitcoin?',
       results: [{ $ref: '#/components/schemas/SearchResult' }],
       total: 5,
+      duplicatesCollapsed: 2,
       model: 'text-embedding-ada-002'
     }
   } */
+  /* #swagger.responses[400] = {
+    description: 'Invalid retrievalMode or speaker',
+    schema: { error: 'Bad request', message: 'retrievalMode must be one of: vector, lexical, hybrid-rrf' }
+  } */
   /* #swagger.responses[500] = {
     description: 'Server error',
     schema: { error: 'Failed to search quotes', details: 'Error message' }
@@ -1193,6 +1209,9 @@ app.post('/api/search-quotes', serviceHmac({ optional: true }), createEntitlemen
   try {
     const { searchQuotes } = require('./services/searchQuotesService');
     const result = await searchQuotes(req.body, { openai });
+    if (result.status) {
+      return res.status(result.status).json(result);
+    }
     res.json(result);
   } catch (error) {
     printLog(`[search-quotes] Error: ${error.message}`);
@@ -1211,6 +1230,8 @@ app.post('/api/search-chapters', serviceHmac({ optional: true }), createEntitlem
     schema: {
       search: 'Lightning Network',
       feedIds: ['1015378'],
+      minDate: '2025-01-01',
+      maxDate: '2025-12-31',
       limit: 20,
       page: 1
     }
@@ -1735,6 +1756,8 @@ app.use('/api/automation-settings', automationSettingsRoutes);
 app.use('/api/research-sessions', researchSessionsRoutes);
 app.use('/api/research', analyzeRoutes);
 app.use('/api/shared-research-sessions', sharedResearchSessionsRoutes);
+app.use('/api/saved-searches', savedSearchesRoutes);
+app.use('/api/podcast-follows', podcastFollowsRoutes);
 app.use('/api/pulse', analyticsRoutes);      // Primary path (ad-blocker safe)
 app.use('/api/analytics', analyticsRoutes);  // Deprecated — remove after frontend cutover
 app.use('/api/corpus', corpusRoutes); // Corpus navigation for AI agents (feeds, episodes, chapters, topics)
@@ -1750,10 +1773,10 @@ app.use('/api/admin/nostr-bot', serviceHmac({ requiredScopes: ['nostr-bot:admin'
 // entitlement gating below. The agentChatRouter is still constructed because
 // /api/pull dispatches to it internally via req.url = '/agent'.
 const agentChatRouter = createAgentChatRoutes({ openai });
-app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.PULL), (req, res, next) => {
+app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddleware(ENTITLEMENT_TYPES.PULL, { meteredPricing: true }), (req, res, next) => {
   // #swagger.tags = ['Pull']
   // #swagger.summary = 'Run an LLM-orchestrated research query (JSON by default, SSE on opt-in)'
-  /* #swagger.description = 'Dispatches a natural-language query to the Jamie research agent. The agent autonomously runs a sequence of tools (semantic quote search, chapter lookup, person resolution, podcast discovery) across one or more rounds, then composes a final answer with quoted passages and episode metadata. RESPONSE MODE: Defaults to a single JSON body (`{ sessionId, text, suggestedActions }`) after the full agent loop completes. To opt into live streaming, either set `stream: true` in the request body OR send `Accept: text/event-stream`. In streaming mode the response is an SSE connection with event types: `status` (progress updates), `tool_call` (name of tool invoked), `tool_result` (tool completion), `text_delta` (incremental answer tokens), `text_done` (full final answer), `suggested_action` (optional follow-up button or transcription card), and `done` (terminal). PRICING: $0.10 per call, deducted from the prepaid L402 balance. AUTH: accepts L402 credentials, Bearer JWT, or anonymous free-tier quota (set X-Free-Tier: true). INVOICE AMOUNT: if you call without credentials to receive a 402 challenge, the invoice is auto-sized to cover approximately one call at the current BTC/USD rate (cost + ~2% buffer). Pass `?amountSats=N` (min 10, max 500,000) to prefund multiple calls. STATELESS CLIENT FLOW: the default invoice size means you can safely pay once, make one call, and discard the macaroon — no credential management required. Replaying the URL with `?amountSats` on the retry is harmless (the query param is silently ignored when a valid credential is present; the existing balance is debited).' */
+  /* #swagger.description = 'Dispatches a natural-language query to the Jamie research agent. The agent autonomously runs a sequence of tools (semantic quote search, chapter lookup, person resolution, podcast discovery) across one or more rounds, then composes a final answer with quoted passages and episode metadata. RESPONSE MODE: Defaults to a single JSON body (`{ sessionId, text, suggestedActions }`) after the full agent loop completes. To opt into live streaming, either set `stream: true` in the request body OR send `Accept: text/event-stream`. In streaming mode the response is an SSE connection with event types: `status` (progress updates), `tool_call` (name of tool invoked), `tool_result` (tool completion), `text_delta` (incremental answer tokens), `text_done` (full final answer), `suggested_action` (optional follow-up button or transcription card), and `done` (terminal). PRICING: $0.10 per call, deducted from the prepaid L402 balance. METERED PRICING (L402 only, opt-in): send `pricing: "metered"` and optionally `maxCostUsd` (default 0.10, max 2.00). The ceiling is held from the balance up front; at completion the call is charged the run\'s actual model + helper LLM cost times a markup (minimum $0.005, never above the ceiling) and the rest is refunded. The ceiling also bounds how much work the agent does. Streaming responses include `cost` events ({ pricing, costUsd, ceilingUsd, final }) with the running charge; JSON responses include a `billing` object. Ignored for JWT and free-tier callers. AUTH: accepts L402 credentials, Bearer JWT, or anonymous free-tier quota (set X-Free-Tier: true). INVOICE AMOUNT: if you call without credentials to receive a 402 challenge, the invoice is auto-sized to cover approximately one call at the current BTC/USD rate (cost + ~2% buffer). Pass `?amountSats=N` (min 10, max 500,000) to prefund multiple calls. STATELESS CLIENT FLOW: the default invoice size means you can safely pay once, make one call, and discard the macaroon — no credential management required. Replaying the URL with `?amountSats` on the retry is harmless (the query param is silently ignored when a valid credential is present; the existing balance is debited).' */
   /* #swagger.security = [{ L402Credential: [] }, { BearerJWT: [] }, {}] */
   /* #swagger.parameters['amountSats'] = {
     in: 'query',
@@ -1770,6 +1793,8 @@ app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddlewa
       message: 'What did Luke Gromen say about debt deflation this month?',
       sessionId: 'optional-agent-session-id',
       stream: false,
+      pricing: 'flat',
+      maxCostUsd: 0.25,
       history: [
         { role: 'user', content: 'previous user turn' },
         { role: 'assistant', content: 'previous assistant turn' }
@@ -1781,7 +1806,7 @@ app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddlewa
         hint: 'focus on recent inflation commentary'
       }
     },
-    description: "Only the message field is required. stream defaults to false (single JSON response once the agent finishes); set true or send Accept: text/event-stream to receive an SSE stream of intermediate events. sessionId enables multi-turn continuity (auto-generated if omitted). history supplies prior turns (most recent last, each entry is role + content). context is optional pre-resolved hints from a prior suggested follow-up action."
+    description: "Only the message field is required. stream defaults to false (single JSON response once the agent finishes); set true or send Accept: text/event-stream to receive an SSE stream of intermediate events. sessionId enables multi-turn continuity (auto-generated if omitted; reuse the returned sessionId to continue). SERVER-SIDE THREADS: when the caller is identifiable (Bearer JWT and/or a clientId via X-Client-Id header, query or body), turns are stored server-side under the sessionId — the last 2 turns verbatim, older turns rolled into a running summary, plus the episodes, feeds, people and clips already resolved — so history does not need to be resent. A sessionId owned by a different caller returns 403. Idle threads expire after 30 days. history supplies prior turns (most recent last, each entry is role + content) for callers without a server-side thread, and is ignored once a thread has turns. context is optional pre-resolved hints from a prior suggested follow-up action."
   } */
   /* #swagger.responses[200] = {
     description: 'Agent response. Default (stream=false): single application/json body with { sessionId, text, suggestedActions } after the full agent loop completes. Streaming mode (stream=true OR Accept: text/event-stream): text/event-stream connection with incremental events (status, tool_call, tool_result, text_delta, text_done, suggested_action, done).',
@@ -1791,6 +1816,14 @@ app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddlewa
           type: 'object',
           properties: {
             sessionId: { type: 'string', example: 'agent-1234567890-abc123' },
+            thread: {
+              type: 'object',
+              nullable: true,
+              description: 'Present when the turn was stored in a server-side thread (JWT or clientId callers).',
+              properties: {
+                turnCount: { type: 'integer', example: 3 }
+              }
+            },
             text: { type: 'string', description: 'Final synthesized answer. May contain {{clip:shareLink}} placeholders that clients can render as inline quote cards.', example: 'Luke Gromen argued the debt deflation dynamic...' },
             suggestedActions: {
               type: 'array',
@@ -1829,6 +1862,10 @@ app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddlewa
     description: 'Missing or invalid `message` in request body.',
     schema: { error: 'message (or task) is required' }
   } */
+  /* #swagger.responses[403] = {
+    description: 'The sessionId belongs to a server-side thread owned by a different caller.',
+    schema: { error: 'This sessionId belongs to another conversation owner' }
+  } */
   /* #swagger.responses[402] = {
     description: 'Payment Required. Returned when an anonymous caller hits the endpoint without opting into free-tier (no `X-Free-Tier: true` header) OR when free-tier quota is exhausted and the caller is anonymous. Includes an L402 challenge in the WWW-Authenticate header with a Lightning invoice. Pay the invoice and retry with Authorization: L402 <macaroon>:<preimage>.',
     schema: {
@@ -1859,6 +1896,8 @@ app.post('/api/pull', serviceHmac({ optional: true }), createEntitlementMiddlewa
   agentChatRouter(req, res, next);
 }); // L402-protected pull endpoint — public API
 
+app.use('/api', createMcpRoutes({ openai })); // MCP server (streamable HTTP) over the agent tools; stdio via scripts/mcp-stdio.js
+
 // OpenAPI spec and Swagger UI
 const openapiSpec = require('./openapi.json');
 app.get('/api/openapi.json', (req, res) => {
@@ -2170,6 +2209,29 @@ const _server = app.listen(PORT, async () => {
           }
         }
       );
+
+      // Hourly saved-search sweep (at :20, clear of the RSS refresh). Each
+      // saved search tracks its own nextRunAt, so one hourly tick serves the
+      // hourly/daily/weekly cadences. Lock-guarded: only one instance runs it.
+      scheduler.scheduleTask(
+        'saved-searches-runner',
+        Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:20`),
+        async () => {
+          try {
+            const { runIfLockHeld } = require('./utils/runIfLockHeld');
+            const { runDueSavedSearches } = require('./services/savedSearchService');
+            const result = await runIfLockHeld('saved-searches-runner', async () => {
+              const summary = await runDueSavedSearches({ openai });
+              console.log(`[SCHEDULED TASK] Saved searches: ${summary.processed} run, ${summary.failed} failed, ${summary.newResults} new results`);
+            }, { bucketResolutionSeconds: 3600 });
+            if (!result.ranOnThisInstance) {
+              printLog('[SCHEDULED TASK] Saved searches skipped (another instance holds the lock)');
+            }
+          } catch (error) {
+            console.error(`[SCHEDULED TASK] Error running saved searches:`, error.message);
+          }
+        }
+      );
     } else {
       console.log('Scheduler is disabled. Skipping scheduled tasks setup.');
     }
@@ -2209,6 +2271,56 @@ const _server = app.listen(PORT, async () => {
       console.log('[SchedulerLockSmokeTest] Cron registered: every 5 minutes (guarded by SchedulerLock)');
     }
 
+    // On-demand job completion webhooks — sweeps jobs submitted with a
+    // callbackUrl once a minute and delivers/retries signed events, then
+    // settles prepaid debits of finished or failed episodes (see
+    // services/onDemandCallbackService.js). Lock-guarded so each tick runs on
+    // exactly one instance and no event is delivered twice concurrently.
+    if (process.env.ON_DEMAND_CALLBACKS_CRON !== 'false') {
+      const cron = require('node-cron');
+      const { runIfLockHeld } = require('./utils/runIfLockHeld');
+      const { dispatchOnDemandCallbacks, settleDueOnDemandDebits } = require('./services/onDemandCallbackService');
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runIfLockHeld('on-demand-callbacks', async () => {
+            const summary = await dispatchOnDemandCallbacks();
+            if (summary.attempted > 0) {
+              console.log(`[OnDemandCallback] ${summary.attempted} attempted, ${summary.delivered} delivered, ${summary.failed} gave up`);
+            }
+            const debits = await settleDueOnDemandDebits();
+            if (debits.confirmed + debits.voided > 0) {
+              console.log(`[OnDemandCallback] Debits settled: ${debits.confirmed} confirmed, ${debits.voided} voided`);
+            }
+          }, { bucketResolutionSeconds: 60 });
+        } catch (err) {
+          console.error('[OnDemandCallback] sweep error:', err.message);
+        }
+      });
+      console.log('[OnDemandCallback] Cron registered: every minute (set ON_DEMAND_CALLBACKS_CRON=false to disable)');
+    }
+
+    // Podcast follows — once a day, submit newly published episodes of every
+    // user-followed feed to the on-demand pipeline, charged to the follower
+    // (see services/podcastFollowService.js). Lock-guarded so each episode is
+    // submitted and charged once across instances.
+    if (process.env.PODCAST_FOLLOW_CRON !== 'false') {
+      const cron = require('node-cron');
+      const { runIfLockHeld } = require('./utils/runIfLockHeld');
+      const { runDueFollows } = require('./services/podcastFollowService');
+      cron.schedule('0 7 * * *', async () => {
+        try {
+          const result = await runIfLockHeld('podcast-follows', async () => {
+            const summary = await runDueFollows();
+            console.log(`[PodcastFollow] ${summary.checked} follows checked, ${summary.failed} failed, ${summary.submitted} episodes submitted, ${summary.unfunded} unfunded`);
+          }, { bucketResolutionSeconds: 3600 });
+          if (!result.ranOnThisInstance) console.log('[PodcastFollow] skipped (another instance holds the lock)');
+        } catch (err) {
+          console.error('[PodcastFollow] check error:', err.message);
+        }
+      }, { timezone: 'America/Chicago' });
+      console.log('[PodcastFollow] Cron registered: daily 07:00 America/Chicago (set PODCAST_FOLLOW_CRON=false to disable)');
+    }
+
     // Blog ingestion cron — runs every 10 minutes, independent of SCHEDULER_ENABLED
     // Controlled by its own NOSTR_BLOG_ENABLED flag
     if (process.env.NOSTR_BLOG_ENABLED === 'true') {
@@ -2410,7 +2522,7 @@ const _server = app.listen(PORT, async () => {
     // High-visibility banner showing what the /api/chat/workflow ("pull") agent
     // will route to by default.
     try {
-      const { AGENT_MODELS, DEFAULT_AGENT_MODEL, EXECUTION_PROFILES, DEFAULT_EXECUTION_PROFILE, normalizeModelKey } = require('./constants/agentModels');
+      const { AGENT_MODELS, DEFAULT_AGENT_MODEL, EXECUTION_PROFILES, DEFAULT_EXECUTION_PROFILE, normalizeModelKey, resolveRoleModel } = require('./constants/agentModels');
       const m = AGENT_MODELS[DEFAULT_AGENT_MODEL];
       const p = EXECUTION_PROFILES[DEFAULT_EXECUTION_PROFILE];
       const envRaw = process.env.AGENT_MODEL;
@@ -2425,6 +2537,11 @@ const _server = app.listen(PORT, async () => {
       const synthLine = synthModel
         ? `${bold(synthModel.label)}  [${synthKey}]  $${synthModel.inputPer1M}/M in, $${synthModel.outputPer1M}/M out`
         : `\x1b[2msame as orchestrator (not set)\x1b[0m`;
+      const helpersLine = [
+        ['triage', resolveRoleModel('AGENT_TRIAGE_MODEL', 'fast')],
+        ['rerank', resolveRoleModel('AGENT_RERANKER_MODEL', 'gpt-4o-mini', { providers: ['openai', 'local'] })],
+        ['tier 2', resolveRoleModel('AGENT_FALLBACK_SYNTHESIS_MODEL', 'fast')],
+      ].map(([role, cfg]) => `${role} ${cfg.label}`).join(', ');
       console.log('');
       console.log(cyan('┌─ Pull agent default ───────────────────────────────────────────'));
       console.log(`${cyan('│')} Model:     ${bold(m.label)}  [${m.key}]`);
@@ -2432,6 +2549,7 @@ const _server = app.listen(PORT, async () => {
       console.log(`${cyan('│')} Pricing:   $${m.inputPer1M}/M in, $${m.outputPer1M}/M out`);
       console.log(`${cyan('│')} Profile:   ${p.label}  rounds≤${p.maxToolRounds}, cost≤$${p.costBudgetHard}, latency≤${p.latencyBudgetHardMs}ms`);
       console.log(`${cyan('│')} Synthesis: ${synthLine}`);
+      console.log(`${cyan('│')} Helpers:   ${helpersLine}`);
       console.log(`${cyan('│')} AGENT_MODEL env: ${envState}`);
       console.log(cyan('└────────────────────────────────────────────────────────────────'));
       console.log('');
@@ -2777,12 +2895,25 @@ app.get('/api/clip-details/:lookupHash', async (req, res) => {
       ]);
     }
     
+    // Who said it: diarized speakers across the clip's time range
+    const { getSpeakersForRange } = require('./services/corpusService');
+    const speakers = await getSpeakersForRange({
+      guid,
+      startTime: Number(result.timeStart),
+      endTime: Number(result.timeEnd),
+    }).catch((err) => {
+      printLog(`[clip-details] speaker lookup failed (non-fatal): ${err.message}`);
+      return [];
+    });
+
     // Combine the data
     const detailedResult = {
       ...result,
       cdnFileId: clip.cdnFileId,
       feed: feedData,
-      episode: episodeData
+      episode: episodeData,
+      speaker: speakers[0] || null,
+      speakers
     };
     
     res.json(detailedResult);
@@ -0,0 +1,220 @@
+/**
+ * Agent Replay Service — re-run a logged /api/pull request offline.
+ *
+ * routes/agentChatRoutes.js records every tool call's input and output in the
+ * run log (rounds[].tools[].output) plus the inputs a replay needs
+ * (replayInputs: target language, history, prompt context sections). A replay
+ * runs the real orchestration loop again with:
+ *
+ *   - a stub tool layer that answers each call from the recorded outputs
+ *     (exact input match first, then the closest recorded call to the same
+ *     tool), so no Pinecone / Mongo is touched
+ *   - the recorded intent, language and prompt sections, so only the prompt
+ *     code in the working tree and the model under test differ
+ *
+ * and diffs the new final answer and clip citations against the original.
+ * Driven by scripts/replay-agent-runs.js.
+ */
+
+// Closest-call fallback: minimum token overlap between tool inputs
+const APPROXIMATE_MATCH_THRESHOLD = 0.5;
+
+const CLIP_RE = /\{\{clip:([^}]+)\}\}/g;
+
+// JSON with sorted object keys, so equal tool inputs compare equal
+function stableStringify(value) {
+  return JSON.stringify(value ?? null, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+      : v
+  ));
+}
+
+function tokenSet(text) {
+  return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function tokenJaccard(a, b) {
+  const setA = tokenSet(a);
+  const setB = tokenSet(b);
+  if (setA.size === 0 && setB.size === 0) return 1;
+  let intersection = 0;
+  for (const token of setA) if (setB.has(token)) intersection++;
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * Recorded tool calls of a run log, in execution order.
+ * @returns {Array<{ name: string, input: Object, output: * }>}
+ */
+function extractToolRecords(runLog) {
+  const records = [];
+  for (const round of runLog?.rounds || []) {
+    for (const tool of round.tools || []) {
+      if (tool.output === undefined) continue;
+      records.push({ name: tool.name, input: tool.input || {}, output: tool.output });
+    }
+  }
+  return records;
+}
+
+/**
+ * Whether a run log carries enough to be replayed.
+ * @returns {string|null} reason it can't be, or null
+ */
+function replayUnsupportedReason(runLog) {
+  if (!runLog?.query) return 'no query';
+  if (runLog.error) return `original run failed: ${runLog.error}`;
+  if (!runLog.replayInputs) return 'logged before replay inputs were recorded';
+  const calls = (runLog.rounds || []).reduce((n, round) => n + (round.tools || []).length, 0);
+  if (calls > 0 && extractToolRecords(runLog).length === 0) return 'tool outputs were not recorded (AGENT_RUN_LOG_TOOL_OUTPUTS=false)';
+  return null;
+}
+
+/**
+ * Stub tool layer over recorded outputs, matching executeAgentTool's
+ * signature. Repeated identical calls get the recorded outputs in order (the
+ * last one again once exhausted). Outputs are deep-copied because the route
+ * mutates tool results.
+ *
+ * @param {Array<{ name: string, input: Object, output: * }>} records
+ * @returns {{ executeTool: Function, stats: { exact: number, approximate: number, misses: Array } }}
+ */
+function createReplayToolLayer(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    const key = `${record.name}:${stableStringify(record.input)}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  }
+  const served = new Map();
+  const stats = { exact: 0, approximate: 0, misses: [] };
+
+  async function executeTool(name, input = {}) {
+    const key = `${name}:${stableStringify(input)}`;
+    const exact = byKey.get(key);
+    if (exact) {
+      const index = served.get(key) || 0;
+      served.set(key, index + 1);
+      stats.exact++;
+      return structuredClone(exact[Math.min(index, exact.length - 1)].output);
+    }
+
+    const inputText = stableStringify(input);
+    let best = null;
+    let bestScore = 0;
+    for (const record of records) {
+      if (record.name !== name) continue;
+      const score = tokenJaccard(inputText, stableStringify(record.input));
+      if (score > bestScore) {
+        best = record;
+        bestScore = score;
+      }
+    }
+    if (best && bestScore >= APPROXIMATE_MATCH_THRESHOLD) {
+      stats.approximate++;
+      return structuredClone(best.output);
+    }
+
+    stats.misses.push({ name, input });
+    return {
+      error: `No recorded result for this ${name} call in the replayed run.`,
+      replayMiss: true,
+      results: [],
+    };
+  }
+
+  return { executeTool, stats };
+}
+
+/**
+ * Unique clip ids cited in an answer, in order of first citation.
+ */
+function extractClipIds(text) {
+  return [...new Set([...String(text || '').matchAll(CLIP_RE)].map(match => match[1].trim()))];
+}
+
+/**
+ * Diff a replayed answer against the original.
+ *
+ * @param {Object} original - { finalText, toolCalls: string[] }
+ * @param {Object} replayed - { finalText, toolCalls: string[] }
+ */
+function diffReplay(original, replayed) {
+  const originalText = original.finalText || '';
+  const replayText = replayed.finalText || '';
+  const originalClips = extractClipIds(originalText);
+  const replayClips = extractClipIds(replayText);
+  const replaySet = new Set(replayClips);
+  const originalSet = new Set(originalClips);
+
+  return {
+    text: {
+      identical: originalText === replayText,
+      similarity: Number(tokenJaccard(originalText, replayText).toFixed(3)),
+      originalChars: originalText.length,
+      replayChars: replayText.length,
+    },
+    clips: {
+      original: originalClips,
+      replay: replayClips,
+      kept: originalClips.filter(id => replaySet.has(id)),
+      removed: originalClips.filter(id => !replaySet.has(id)),
+      added: replayClips.filter(id => !originalSet.has(id)),
+    },
+    toolCalls: {
+      original: original.toolCalls || [],
+      replay: replayed.toolCalls || [],
+    },
+  };
+}
+
+/**
+ * Request body for re-running a logged request. Triage is bypassed because the
+ * recorded intent is passed through req._replay.
+ *
+ * @param {Object} runLog
+ * @param {Object} [overrides] - { model, executionProfile }
+ */
+function buildReplayRequest(runLog, { model, executionProfile } = {}) {
+  return {
+    message: runLog.query,
+    history: runLog.replayInputs?.history || [],
+    stream: false,
+    includeMetrics: true,
+    bypassTriage: true,
+    compactResults: runLog.compactResults !== false,
+    compactHistory: runLog.compactHistory !== false,
+    model: model || runLog.modelKey,
+    executionProfile: executionProfile || runLog.executionProfile,
+  };
+}
+
+/**
+ * Per-request replay context for handleAgentChat (`req._replay`). The route
+ * writes the replayed run log to `agentLog` instead of logs/agent.
+ */
+function createReplayContext(runLog) {
+  const { executeTool, stats } = createReplayToolLayer(extractToolRecords(runLog));
+  const inputs = runLog.replayInputs || {};
+  return {
+    executeTool,
+    stats,
+    intent: runLog.intent,
+    targetLanguage: inputs.targetLanguage,
+    contextSection: inputs.contextSection,
+    feedLookupSection: inputs.feedLookupSection,
+    agentLog: null,
+  };
+}
+
+module.exports = {
+  extractToolRecords,
+  replayUnsupportedReason,
+  createReplayToolLayer,
+  createReplayContext,
+  buildReplayRequest,
+  extractClipIds,
+  diffReplay,
+  APPROXIMATE_MATCH_THRESHOLD,
+};
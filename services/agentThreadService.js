@@ -0,0 +1,245 @@
+/**
+ * Agent Thread Service — server-persisted conversation memory for /api/pull.
+ *
+ * A thread is keyed by the caller's `sessionId` and owned via resolveOwner
+ * (JWT user and/or clientId). Each completed turn is appended; once more than
+ * THREAD_VERBATIM_MESSAGES messages are held, the oldest turns are rolled into
+ * a running summary (one gpt-4o-mini call, deterministic fallback on failure).
+ * Entities the agent resolved — episode guids, feedIds, people and cited clip
+ * ids — accumulate across turns and are injected as the "Pre-resolved context"
+ * prompt section, so a show resolved three turns ago isn't looked up again.
+ *
+ * Callers without an owner (no JWT and no clientId) fall back to the
+ * stateless client-supplied `history`.
+ */
+
+const { AgentThread } = require('../models/AgentThread');
+const { printLog } = require('../constants.js');
+
+const THREAD_SUMMARY_MODEL = 'gpt-4o-mini';
+// Same window /api/pull replays from client-supplied history: 2 turns
+const THREAD_VERBATIM_MESSAGES = 4;
+const MAX_SUMMARY_CHARS = 2000;
+const MAX_RESOLVED_PER_KIND = 20;
+const MAX_TURN_CHARS = 8000;
+
+const GUID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const CLIP_RE = /\{\{clip:([^}]+)\}\}/g;
+
+function emptyResolved() {
+  return { guids: [], feedIds: [], persons: [], clipIds: [] };
+}
+
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : (value != null && value !== '' ? [value] : []);
+  return list
+    .map(v => (typeof v === 'number' ? String(v) : v))
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim());
+}
+
+/**
+ * Entities this turn resolved, from the tool calls the agent made and the
+ * clips it cited in its answer.
+ *
+ * @param {Object} opts
+ * @param {Array<{ name: string, input: Object }>} [opts.toolCalls]
+ * @param {string} [opts.answerText]
+ * @returns {{ guids: string[], feedIds: string[], persons: string[], clipIds: string[] }}
+ */
+function collectResolvedEntities({ toolCalls = [], answerText = '' } = {}) {
+  const resolved = emptyResolved();
+  for (const call of toolCalls) {
+    const input = call?.input || {};
+    resolved.guids.push(...toStringList(input.guid), ...toStringList(input.guids));
+    resolved.feedIds.push(...toStringList(input.feedId), ...toStringList(input.feedIds));
+    if (['find_person', 'get_person_episodes'].includes(call?.name)) {
+      resolved.persons.push(...toStringList(input.name));
+    }
+    if (call?.name === 'search_quotes') {
+      resolved.persons.push(...toStringList(input.speaker));
+    }
+  }
+
+  const text = typeof answerText === 'string' ? answerText : '';
+  for (const match of text.matchAll(CLIP_RE)) {
+    const clipId = match[1].trim();
+    resolved.clipIds.push(clipId);
+    // Paragraph ids are `<episodeGuid>_p<sequence>`
+    resolved.guids.push(clipId.replace(/_p\d+$/, ''));
+  }
+  resolved.guids.push(...(text.match(GUID_RE) || []));
+
+  return mergeResolved(emptyResolved(), resolved);
+}
+
+/**
+ * Merge entity lists: deduped (case-insensitively for people), most recent
+ * last, capped at MAX_RESOLVED_PER_KIND per kind.
+ */
+function mergeResolved(previous, next) {
+  const merged = emptyResolved();
+  for (const kind of Object.keys(merged)) {
+    const keyOf = kind === 'persons' ? v => v.toLowerCase() : v => v;
+    const byKey = new Map();
+    for (const value of [...toStringList(previous?.[kind]), ...toStringList(next?.[kind])]) {
+      byKey.delete(keyOf(value));
+      byKey.set(keyOf(value), value);
+    }
+    merged[kind] = [...byKey.values()].slice(-MAX_RESOLVED_PER_KIND);
+  }
+  return merged;
+}
+
+/**
+ * Deterministic summary used when the summarizer is unavailable: previous
+ * summary plus the first line of each rolled-out turn, trimmed from the front.
+ */
+function fallbackSummary(previousSummary, turns) {
+  const lines = turns.map(turn => {
+    const firstLine = String(turn.content || '').split('\n')[0].replace(/\s+/g, ' ').trim();
+    return `${turn.role === 'user' ? 'User' : 'Assistant'}: ${firstLine.substring(0, 200)}`;
+  });
+  const combined = [previousSummary, ...lines].filter(Boolean).join('\n');
+  return combined.length > MAX_SUMMARY_CHARS
+    ? combined.substring(combined.length - MAX_SUMMARY_CHARS)
+    : combined;
+}
+
+/**
+ * Fold turns that are leaving the verbatim window into the running summary.
+ *
+ * @returns {Promise<{ summary: string, usage: { model: string, input_tokens: number, output_tokens: number } | null }>}
+ */
+async function summarizeTurns({ previousSummary = '', turns, openai }) {
+  if (!turns.length) return { summary: previousSummary, usage: null };
+  if (!openai) return { summary: fallbackSummary(previousSummary, turns), usage: null };
+
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${String(turn.content).substring(0, 1500)}`)
+    .join('\n\n');
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: THREAD_SUMMARY_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You maintain the running memory of a podcast research conversation. ' +
+            'Merge the earlier summary with the new turns into one updated summary of at most 120 words. ' +
+            'Keep what the user is researching, which shows, episodes and people were identified, ' +
+            'conclusions reached and open questions. Write plain prose with no preamble.'
+        },
+        {
+          role: 'user',
+          content: `Earlier summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`
+        }
+      ],
+      max_tokens: 300,
+      temperature: 0.2,
+    });
+    const summary = (response.choices?.[0]?.message?.content || '').trim();
+    const usage = {
+      model: THREAD_SUMMARY_MODEL,
+      input_tokens: response.usage?.prompt_tokens || 0,
+      output_tokens: response.usage?.completion_tokens || 0,
+    };
+    if (!summary) return { summary: fallbackSummary(previousSummary, turns), usage };
+    return { summary: summary.substring(0, MAX_SUMMARY_CHARS), usage };
+  } catch (err) {
+    printLog(`[AGENT-THREAD] Summarizer failed (using fallback): ${err.message}`);
+    return { summary: fallbackSummary(previousSummary, turns), usage: null };
+  }
+}
+
+/**
+ * Load the caller's thread for a sessionId.
+ *
+ * @param {Object} owner - resolveOwner() result
+ * @param {string} sessionId
+ * @returns {Promise<{ thread: Object|null } | { error: string, status: number }>}
+ */
+async function loadThread(owner, sessionId) {
+  if (!owner || typeof sessionId !== 'string' || !sessionId) return { thread: null };
+  const thread = await AgentThread.findOne({ sessionId });
+  if (!thread) return { thread: null };
+
+  // A user's thread is theirs alone; the clientId only identifies anonymous threads
+  const owned = thread.userId
+    ? Boolean(owner.userId) && String(thread.userId) === String(owner.userId)
+    : Boolean(owner.clientId) && thread.clientId === owner.clientId;
+  if (!owned) {
+    return { error: 'This sessionId belongs to another conversation owner', status: 403 };
+  }
+  // Anonymous thread continued after sign-in: claim it for the user
+  if (owner.userId && !thread.userId) thread.userId = owner.userId;
+  return { thread };
+}
+
+/**
+ * History messages to replay for a thread (verbatim window, oldest first).
+ */
+function threadHistory(thread) {
+  return (thread?.turns || []).map(turn => ({ role: turn.role, content: turn.content }));
+}
+
+/**
+ * Record a completed turn, rolling old turns into the summary.
+ *
+ * @param {Object} opts
+ * @param {Object|null} opts.thread - loaded thread, or null to start one
+ * @param {Object} opts.owner - resolveOwner() result
+ * @param {string} opts.sessionId
+ * @param {string} opts.userMessage
+ * @param {string} opts.answerText
+ * @param {Array} [opts.toolCalls]
+ * @param {string} [opts.requestId]
+ * @param {Object} [opts.openai]
+ * @param {Function} [opts.recordHelperLlmUsage]
+ * @returns {Promise<Object>} the saved thread
+ */
+async function appendTurn({ thread, owner, sessionId, userMessage, answerText, toolCalls = [], requestId = null, openai, recordHelperLlmUsage }) {
+  const doc = thread || new AgentThread({
+    sessionId,
+    userId: owner.userId || null,
+    clientId: owner.clientId || null,
+  });
+  const now = new Date();
+
+  const turns = [
+    ...threadHistory(doc),
+    { role: 'user', content: String(userMessage).substring(0, MAX_TURN_CHARS), at: now },
+    ...(answerText ? [{ role: 'assistant', content: String(answerText).substring(0, MAX_TURN_CHARS), at: now }] : []),
+  ];
+
+  const overflow = Math.max(0, turns.length - THREAD_VERBATIM_MESSAGES);
+  if (overflow > 0) {
+    const rolled = turns.splice(0, overflow);
+    const { summary, usage } = await summarizeTurns({ previousSummary: doc.summary, turns: rolled, openai });
+    if (usage && typeof recordHelperLlmUsage === 'function') {
+      recordHelperLlmUsage(usage.model, usage.input_tokens, usage.output_tokens);
+    }
+    doc.summary = summary;
+    doc.summarizedTurnCount = (doc.summarizedTurnCount || 0) + rolled.length;
+  }
+
+  doc.turns = turns;
+  doc.turnCount = (doc.turnCount || 0) + 1;
+  doc.resolved = mergeResolved(doc.resolved, collectResolvedEntities({ toolCalls, answerText }));
+  doc.lastRequestId = requestId;
+  await doc.save();
+  return doc;
+}
+
+module.exports = {
+  loadThread,
+  threadHistory,
+  appendTurn,
+  collectResolvedEntities,
+  mergeResolved,
+  summarizeTurns,
+  fallbackSummary,
+  THREAD_VERBATIM_MESSAGES,
+  MAX_RESOLVED_PER_KIND,
+};
@@ -0,0 +1,486 @@
+/**
+ * Agent Usage Ledger — per-credential statement of L402 balance movements.
+ *
+ * Writers (all non-fatal: a ledger hiccup never fails the paid request):
+ *   recordTopUp      — identityResolver, when a credential's invoice is activated
+ *   recordDebit      — entitlementMiddleware, after the prepaid balance is debited
+ *   recordServeCost  — the /api/pull agent loop, once the run's real cost is known
+ *   recordMeteredSettlement — metered /api/pull, when the held ceiling settles
+ *
+ * Debit lifecycle (driven by utils/debitSettlement.js, which moves the money):
+ *   confirmDebit / markDebitVoided / recordRefund, and the refund-request
+ *   queue (openRefundRequest, listRefundRequests, setRefundRequestReview).
+ *   These throw on database errors — the caller decides what that means.
+ *
+ * Reader: listUsage / usageToCsv back GET /api/agent/usage.
+ *
+ * Ledger rows only exist from the time this shipped. The route also returns
+ * the Entitlement's running totals, so for older credentials the difference
+ * is what predates the first row.
+ */
+
+const crypto = require('crypto');
+const { AgentUsageEntry } = require('../models/AgentUsageEntry');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_CSV_ROWS = 10000;
+const USAGE_KINDS = ['topup', 'debit', 'refund'];
+const REFUND_REQUEST_STATUSES = ['open', 'approved', 'rejected'];
+const REFUND_REQUEST_WINDOW_DAYS = parseInt(process.env.REFUND_REQUEST_WINDOW_DAYS || '30', 10);
+const MAX_REFUND_REASON_LENGTH = 1000;
+
+const CSV_COLUMNS = [
+  'occurredAt', 'kind', 'entitlementType', 'amountUsd', 'amountUsdMicro', 'balanceAfterUsdMicro',
+  'requestId', 'macaroonId', 'amountSats', 'btcUsdRate',
+  'serveModel', 'serveInputTokens', 'serveOutputTokens', 'serveLlmCostUsdMicro', 'serveHelpersCostUsdMicro', 'serveTotalCostUsdMicro',
+  'meteredCeilingUsdMicro', 'meteredMarkup',
+  'status', 'refundReason', 'refundRequestStatus'
+];
+
+function usdToMicro(usd) {
+  return Number.isFinite(usd) ? Math.round(usd * 1_000_000) : null;
+}
+
+/**
+ * Request id for a priced call, echoed as X-Request-Id and stored on the debit.
+ */
+function generateUsageRequestId() {
+  return `L402-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Stable short id for the exact macaroon presented. Attenuated macaroons
+ * serialize differently from their parent, so each delegation gets its own id.
+ */
+function macaroonIdFor(macaroonBase64) {
+  if (!macaroonBase64) return null;
+  return crypto.createHash('sha256').update(macaroonBase64).digest('hex').slice(0, 16);
+}
+
+async function recordTopUp({ paymentHash, amountUsdMicro, balanceAfterUsdMicro = null, amountSats = null, btcUsdRate = null, occurredAt = new Date() }) {
+  try {
+    const entry = await AgentUsageEntry.create({
+      paymentHash,
+      kind: 'topup',
+      amountUsdMicro,
+      balanceAfterUsdMicro,
+      amountSats,
+      btcUsdRate,
+      occurredAt
+    });
+    return entry._id;
+  } catch (error) {
+    console.error(`[USAGE-LEDGER] Failed to record top-up for ${paymentHash}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<ObjectId|null>} entry id, so the handler can attach serve cost later
+ */
+async function recordDebit({ paymentHash, entitlementType, amountUsdMicro, balanceAfterUsdMicro, requestId, macaroonBase64 = null, caveatReservation = null, method = null, path = null, metered = null, occurredAt = new Date() }) {
+  const spendHeld = (caveatReservation || []).filter(held => held.kind === 'spend');
+  try {
+    const entry = await AgentUsageEntry.create({
+      paymentHash,
+      kind: 'debit',
+      status: 'pending',
+      entitlementType,
+      amountUsdMicro,
+      balanceAfterUsdMicro,
+      requestId,
+      macaroonId: macaroonIdFor(macaroonBase64),
+      caveatReservation: spendHeld.length > 0
+        ? spendHeld.map(({ key, kind, costMicroUsd }) => ({ key, kind, costMicroUsd }))
+        : undefined,
+      method,
+      path,
+      metered: metered ? { ceilingMicroUsd: metered.ceilingMicroUsd, markup: metered.markup } : undefined,
+      occurredAt
+    });
+    return entry._id;
+  } catch (error) {
+    console.error(`[USAGE-LEDGER] Failed to record debit ${requestId} for ${paymentHash}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attach an agent run's real cost to its debit row.
+ *
+ * @param {ObjectId} entryId - recordDebit() result
+ * @param {Object} costSummary - createCostTracker().summary() (USD floats)
+ * @param {Object} [context]
+ * @param {string} [context.agentRequestId] - AgentRunLog.requestId
+ * @param {string} [context.sessionId]
+ */
+async function recordServeCost(entryId, costSummary, { agentRequestId = null, sessionId = null } = {}) {
+  if (!entryId || !costSummary) return;
+  try {
+    await AgentUsageEntry.updateOne({ _id: entryId }, {
+      $set: {
+        serveCost: {
+          agentRequestId,
+          sessionId,
+          modelKey: costSummary.llm?.modelKey || null,
+          inputTokens: costSummary.llm?.inputTokens ?? null,
+          outputTokens: costSummary.llm?.outputTokens ?? null,
+          llmCostUsdMicro: usdToMicro(costSummary.llm?.cost),
+          helpersCostUsdMicro: usdToMicro(costSummary.helpers?.cost),
+          totalCostUsdMicro: usdToMicro(costSummary.total)
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`[USAGE-LEDGER] Failed to record serve cost for entry ${entryId}: ${error.message}`);
+  }
+}
+
+/**
+ * Rewrite a metered debit to its settled charge.
+ *
+ * @param {ObjectId} entryId - recordDebit() result
+ * @param {Object} settlement
+ * @param {number} settlement.chargedMicroUsd
+ * @param {number} settlement.balanceAfterUsdMicro
+ * @param {number} settlement.ceilingMicroUsd
+ * @param {number} settlement.markup
+ * @param {number} settlement.actualCostUsdMicro
+ */
+async function recordMeteredSettlement(entryId, { chargedMicroUsd, balanceAfterUsdMicro, ceilingMicroUsd, markup, actualCostUsdMicro }) {
+  if (!entryId) return;
+  try {
+    await AgentUsageEntry.updateOne({ _id: entryId }, {
+      $set: {
+        amountUsdMicro: chargedMicroUsd,
+        balanceAfterUsdMicro,
+        metered: { ceilingMicroUsd, markup, actualCostUsdMicro, settledAt: new Date() }
+      }
+    });
+  } catch (error) {
+    console.error(`[USAGE-LEDGER] Failed to record metered settlement for entry ${entryId}: ${error.message}`);
+  }
+}
+
+/**
+ * pending → confirmed. A debit that was already voided stays voided.
+ * @returns {Promise<boolean>} whether the debit was pending
+ */
+async function confirmDebit(entryId) {
+  if (!entryId) return false;
+  const result = await AgentUsageEntry.updateOne(
+    { _id: entryId, kind: 'debit', status: 'pending' },
+    { $set: { status: 'confirmed', settledAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Atomically move a pending or confirmed debit to voided.
+ * @returns {Promise<Object|null>} the debit as it was before, or null if it
+ *   doesn't exist or was already voided
+ */
+async function markDebitVoided(entryId) {
+  return AgentUsageEntry.findOneAndUpdate(
+    { _id: entryId, kind: 'debit', status: { $in: ['pending', 'confirmed'] } },
+    { $set: { status: 'voided', settledAt: new Date() } },
+    { new: false }
+  ).lean();
+}
+
+/**
+ * Undo markDebitVoided when the balance credit could not be applied.
+ */
+async function restoreDebitStatus(entryId, status) {
+  await AgentUsageEntry.updateOne({ _id: entryId, status: 'voided' }, { $set: { status } });
+}
+
+/**
+ * Append the refund row for a voided debit.
+ * @param {Object} debit - markDebitVoided() result
+ */
+async function recordRefund({ debit, balanceAfterUsdMicro, reason, actor }) {
+  return AgentUsageEntry.create({
+    paymentHash: debit.paymentHash,
+    kind: 'refund',
+    entitlementType: debit.entitlementType,
+    amountUsdMicro: debit.amountUsdMicro,
+    balanceAfterUsdMicro,
+    requestId: debit.requestId,
+    macaroonId: debit.macaroonId,
+    refundOf: debit._id,
+    reason,
+    actor
+  });
+}
+
+/**
+ * Open a refund request on one of the credential's debits.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentHash
+ * @param {string} params.requestId - X-Request-Id of the disputed call
+ * @param {string} params.reason
+ * @param {string|null} [params.macaroonId] - set for delegated macaroons: only their own calls
+ * @returns {Promise<{ entry: Object } | { error: string, status: number }>}
+ */
+async function openRefundRequest({ paymentHash, requestId, reason, macaroonId = null, now = new Date() }) {
+  if (typeof requestId !== 'string' || !requestId.trim()) {
+    return { error: 'requestId is required', status: 400 };
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { error: 'reason is required', status: 400 };
+  }
+  if (reason.length > MAX_REFUND_REASON_LENGTH) {
+    return { error: `reason must be at most ${MAX_REFUND_REASON_LENGTH} characters`, status: 400 };
+  }
+
+  const filter = { paymentHash, kind: 'debit', requestId: requestId.trim() };
+  if (macaroonId) filter.macaroonId = macaroonId;
+  const debit = await AgentUsageEntry.findOne(filter).lean();
+  if (!debit) {
+    return { error: 'No debit with that requestId for this credential', status: 404 };
+  }
+  if (debit.status === 'voided') {
+    return { error: 'This call was already refunded', status: 409 };
+  }
+  if (debit.refundRequest?.status) {
+    return { error: `A refund request for this call is already ${debit.refundRequest.status}`, status: 409 };
+  }
+  const windowMs = REFUND_REQUEST_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (now - new Date(debit.occurredAt) > windowMs) {
+    return { error: `Refund requests must be made within ${REFUND_REQUEST_WINDOW_DAYS} days of the call`, status: 400 };
+  }
+
+  const entry = await AgentUsageEntry.findOneAndUpdate(
+    { _id: debit._id, 'refundRequest.status': null },
+    { $set: { refundRequest: { status: 'open', reason: reason.trim(), requestedAt: now } } },
+    { new: true }
+  ).lean();
+  if (!entry) {
+    return { error: 'A refund request for this call is already open', status: 409 };
+  }
+  return { entry };
+}
+
+/**
+ * Admin review queue, oldest first.
+ */
+async function listRefundRequests({ status = 'open', limit = 100 } = {}) {
+  return AgentUsageEntry.find({ kind: 'debit', 'refundRequest.status': status })
+    .sort({ 'refundRequest.requestedAt': 1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Close an open refund request.
+ * @returns {Promise<Object|null>} updated entry, or null if it wasn't open
+ */
+async function setRefundRequestReview(entryId, { status, note = null }) {
+  return AgentUsageEntry.findOneAndUpdate(
+    { _id: entryId, 'refundRequest.status': 'open' },
+    { $set: { 'refundRequest.status': status, 'refundRequest.reviewedAt': new Date(), 'refundRequest.note': note } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Validate GET /api/agent/usage query params.
+ * @returns {{ kind, entitlementType, macaroonId, from, to, page, limit, format } | { error: string }}
+ */
+function parseUsageQuery(query = {}) {
+  const kind = query.kind || null;
+  if (kind && !USAGE_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${USAGE_KINDS.join(', ')}` };
+  }
+
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) {
+      dates[key] = null;
+      continue;
+    }
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) return { error: `${key} must be an ISO date` };
+    dates[key] = date;
+  }
+  if (dates.from && dates.to && dates.from > dates.to) {
+    return { error: 'from must be before to' };
+  }
+
+  const format = query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return { error: 'format must be json or csv' };
+  }
+
+  const macaroonId = query.macaroonId || null;
+  if (macaroonId && !/^[0-9a-f]{16}$/.test(macaroonId)) {
+    return { error: 'macaroonId must be 16 hex characters' };
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT), MAX_LIMIT);
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+
+  return { kind, entitlementType: query.entitlementType || null, macaroonId, from: dates.from, to: dates.to, page, limit, format };
+}
+
+function buildFilter({ paymentHash, kind, entitlementType, macaroonId, from, to }) {
+  const filter = { paymentHash };
+  if (kind) filter.kind = kind;
+  if (entitlementType) filter.entitlementType = entitlementType;
+  if (macaroonId) filter.macaroonId = macaroonId;
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = from;
+    if (to) filter.occurredAt.$lt = to;
+  }
+  return filter;
+}
+
+function formatEntry(doc) {
+  const serve = doc.serveCost?.totalCostUsdMicro != null ? {
+    agentRequestId: doc.serveCost.agentRequestId,
+    sessionId: doc.serveCost.sessionId,
+    modelKey: doc.serveCost.modelKey,
+    inputTokens: doc.serveCost.inputTokens,
+    outputTokens: doc.serveCost.outputTokens,
+    llmCostUsdMicro: doc.serveCost.llmCostUsdMicro,
+    helpersCostUsdMicro: doc.serveCost.helpersCostUsdMicro,
+    totalCostUsdMicro: doc.serveCost.totalCostUsdMicro
+  } : null;
+
+  return {
+    occurredAt: doc.occurredAt instanceof Date ? doc.occurredAt.toISOString() : doc.occurredAt,
+    kind: doc.kind,
+    entitlementType: doc.entitlementType || null,
+    amountUsd: parseFloat((doc.amountUsdMicro / 1_000_000).toFixed(6)),
+    amountUsdMicro: doc.amountUsdMicro,
+    balanceAfterUsdMicro: doc.balanceAfterUsdMicro ?? null,
+    requestId: doc.requestId || null,
+    macaroonId: doc.macaroonId || null,
+    amountSats: doc.amountSats ?? null,
+    btcUsdRate: doc.btcUsdRate ?? null,
+    serveCost: serve,
+    metered: doc.metered?.ceilingMicroUsd != null ? {
+      ceilingMicroUsd: doc.metered.ceilingMicroUsd,
+      markup: doc.metered.markup,
+      actualCostUsdMicro: doc.metered.actualCostUsdMicro,
+      settled: !!doc.metered.settledAt
+    } : null,
+    status: doc.status || null,
+    refundOf: doc.refundOf ? String(doc.refundOf) : null,
+    reason: doc.reason || null,
+    refundRequest: doc.refundRequest?.status ? {
+      status: doc.refundRequest.status,
+      reason: doc.refundRequest.reason,
+      requestedAt: doc.refundRequest.requestedAt,
+      reviewedAt: doc.refundRequest.reviewedAt || null,
+      note: doc.refundRequest.note || null
+    } : null
+  };
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula. Only
+// free-text cells (requestId, reason, ...) are guarded; numbers stay numeric.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} entries - formatEntry() output
+ * @returns {string} CSV with a header row, CRLF line endings
+ */
+function usageToCsv(entries) {
+  const rows = entries.map(e => [
+    e.occurredAt, e.kind, e.entitlementType, e.amountUsd, e.amountUsdMicro, e.balanceAfterUsdMicro,
+    e.requestId, e.macaroonId, e.amountSats, e.btcUsdRate,
+    e.serveCost?.modelKey, e.serveCost?.inputTokens, e.serveCost?.outputTokens,
+    e.serveCost?.llmCostUsdMicro, e.serveCost?.helpersCostUsdMicro, e.serveCost?.totalCostUsdMicro,
+    e.metered?.ceilingMicroUsd, e.metered?.markup,
+    e.status, e.reason, e.refundRequest?.status
+  ].map(csvCell).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * One page of a credential's ledger (or, for CSV, every row up to
+ * MAX_CSV_ROWS) plus totals over the whole filtered range.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentHash
+ * @param {Object} params.query - parseUsageQuery() result
+ * @returns {Promise<{ entries: Array, pagination: Object|null, totals: Object, truncated: boolean }>}
+ */
+async function listUsage({ paymentHash, query }) {
+  const filter = buildFilter({ paymentHash, ...query });
+  const csv = query.format === 'csv';
+  const limit = csv ? MAX_CSV_ROWS : query.limit;
+  const skip = csv ? 0 : (query.page - 1) * query.limit;
+
+  const [docs, totalsAgg] = await Promise.all([
+    AgentUsageEntry.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + (csv ? 1 : 0))
+      .lean(),
+    AgentUsageEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$kind', count: { $sum: 1 }, amountUsdMicro: { $sum: '$amountUsdMicro' }, serveCostUsdMicro: { $sum: '$serveCost.totalCostUsdMicro' } } }
+    ])
+  ]);
+
+  const byKind = Object.fromEntries(totalsAgg.map(t => [t._id, t]));
+  const totalCount = totalsAgg.reduce((sum, t) => sum + t.count, 0);
+  const totals = {
+    debitCount: byKind.debit?.count || 0,
+    debitUsdMicro: byKind.debit?.amountUsdMicro || 0,
+    refundCount: byKind.refund?.count || 0,
+    refundUsdMicro: byKind.refund?.amountUsdMicro || 0,
+    topupCount: byKind.topup?.count || 0,
+    topupUsdMicro: byKind.topup?.amountUsdMicro || 0,
+    serveCostUsdMicro: byKind.debit?.serveCostUsdMicro || 0
+  };
+
+  const truncated = csv && docs.length > MAX_CSV_ROWS;
+  const entries = docs.slice(0, limit).map(formatEntry);
+  const totalPages = Math.ceil(totalCount / query.limit);
+  const pagination = csv ? null : {
+    page: query.page,
+    totalPages,
+    totalCount,
+    limit: query.limit,
+    hasMore: query.page < totalPages
+  };
+
+  return { entries, pagination, totals, truncated };
+}
+
+module.exports = {
+  USAGE_KINDS,
+  REFUND_REQUEST_STATUSES,
+  MAX_CSV_ROWS,
+  generateUsageRequestId,
+  macaroonIdFor,
+  recordTopUp,
+  recordDebit,
+  recordServeCost,
+  recordMeteredSettlement,
+  confirmDebit,
+  markDebitVoided,
+  restoreDebitStatus,
+  recordRefund,
+  openRefundRequest,
+  listRefundRequests,
+  setRefundRequestReview,
+  parseUsageQuery,
+  formatEntry,
+  usageToCsv,
+  listUsage
+};
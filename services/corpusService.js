@@ -6,6 +6,7 @@
  */
 
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const { speakerFromMetadata, normalizeSpeakerKey } = require('../utils/speakerLabels');
 
 const DEFAULT_LIMIT = 50;
 const MAX_LIMIT = 200;
@@ -161,6 +162,93 @@ async function listChapters({ guids, feedIds, limit: rawLimit }) {
   return { data: chapters.map(formatChapter) };
 }
 
+// Full transcript for one episode, rebuilt from the indexed paragraph docs.
+// Paragraphs and chapters both come back ordered by start_time so callers can
+// interleave chapter headings without re-sorting. Returns null when the guid
+// has neither an episode doc nor any paragraphs.
+async function getEpisodeTranscript({ guid }) {
+  const [episode, paragraphDocs, chapterDocs] = await Promise.all([
+    JamieVectorMetadata.findOne({ type: 'episode', guid })
+      .select('guid feedId publishedDate publishedTimestamp metadataRaw')
+      .lean(),
+    JamieVectorMetadata.find({ type: 'paragraph', guid })
+      .select('pineconeId start_time end_time metadataRaw.text metadataRaw.start_time metadataRaw.end_time')
+      .sort({ start_time: 1 })
+      .lean(),
+    JamieVectorMetadata.find({ type: 'chapter', guid })
+      .select('pineconeId guid start_time end_time metadataRaw')
+      .sort({ start_time: 1 })
+      .lean(),
+  ]);
+
+  if (!episode && paragraphDocs.length === 0) return null;
+
+  const paragraphs = paragraphDocs
+    .map(doc => ({
+      pineconeId: doc.pineconeId,
+      text: (doc.metadataRaw?.text || '').trim(),
+      startTime: doc.start_time ?? doc.metadataRaw?.start_time ?? null,
+      endTime: doc.end_time ?? doc.metadataRaw?.end_time ?? null,
+    }))
+    .filter(p => p.text);
+
+  return {
+    episode: episode ? formatEpisode(episode) : { guid },
+    paragraphs,
+    chapters: chapterDocs.map(formatChapter),
+  };
+}
+
+// "Who said it" for an arbitrary time range of an episode (e.g. a clip).
+// Sums each diarized speaker's share of the overlapping paragraphs, weighted
+// by overlap seconds, and returns them most-talkative first. Empty when the
+// paragraphs in range carry no speaker labels.
+async function getSpeakersForRange({ guid, startTime, endTime }) {
+  if (!guid || !Number.isFinite(startTime) || !Number.isFinite(endTime) || endTime <= startTime) return [];
+
+  const paragraphs = await JamieVectorMetadata.find({
+    type: 'paragraph',
+    guid,
+    start_time: { $lt: endTime },
+    end_time: { $gt: startTime },
+  })
+    .select('start_time end_time metadataRaw.speaker metadataRaw.speakerLabel metadataRaw.speakerConfidence')
+    .lean();
+
+  const bySpeaker = new Map();
+  for (const p of paragraphs) {
+    const speaker = speakerFromMetadata(p.metadataRaw);
+    if (!speaker) continue;
+    const seconds = Math.min(p.end_time, endTime) - Math.max(p.start_time, startTime);
+    if (seconds <= 0) continue;
+    const key = speaker.name || speaker.label;
+    const entry = bySpeaker.get(key) || { name: speaker.name, label: speaker.label, seconds: 0 };
+    entry.seconds += seconds;
+    bySpeaker.set(key, entry);
+  }
+
+  const total = [...bySpeaker.values()].reduce((sum, e) => sum + e.seconds, 0);
+  return [...bySpeaker.values()]
+    .sort((a, b) => b.seconds - a.seconds)
+    .map(e => ({
+      name: e.name,
+      label: e.label,
+      seconds: parseFloat(e.seconds.toFixed(1)),
+      share: parseFloat((e.seconds / total).toFixed(3)),
+    }));
+}
+
+// Subset of `guids` with at least one paragraph diarized as spoken by `name`.
+async function getSpeakerLabelledGuids({ name, guids = [] }) {
+  const speakerKey = normalizeSpeakerKey(name);
+  if (!speakerKey || guids.length === 0) return [];
+  return JamieVectorMetadata.distinct('guid', {
+    type: 'paragraph',
+    speakerKey,
+    guid: { $in: guids },
+  });
+}
+
 // $group + $project tail shared by the guest and creator pipelines. `role`
 // distinguishes the two in the output.
 function personGroupAndProject(role) {
@@ -385,13 +473,247 @@ async function getPersonEpisodes({ name, guestsOnly = false, feedId, limit, page
   };
 }
 
+// ---------------------------------------------------------------------------
+// Topic trends (chapter keywords over publishedTimestamp)
+// ---------------------------------------------------------------------------
+
+const TREND_BUCKETS = ['week', 'month'];
+const TREND_MODES = ['series', 'rising'];
+const MAX_TREND_KEYWORDS = 20;
+// Default look-back when minDate is omitted, in buckets.
+const DEFAULT_SERIES_BUCKETS = { week: 26, month: 12 };
+const DEFAULT_BASELINE_BUCKETS = { week: 8, month: 6 };
+
+function splitList(value) {
+  if (value == null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/** Start of the UTC bucket containing `date` (weeks start Monday, like $dateTrunc). */
+function bucketStart(date, bucket) {
+  const d = new Date(date);
+  if (bucket === 'month') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day));
+}
+
+function addBuckets(date, bucket, n) {
+  const d = new Date(date);
+  if (bucket === 'month') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+  return new Date(d.getTime() + n * 7 * 24 * 60 * 60 * 1000);
+}
+
+/** Every bucket start from the bucket containing `start` through the one containing `end`. */
+function listBuckets(start, end, bucket) {
+  const out = [];
+  for (let b = bucketStart(start, bucket); b <= end; b = addBuckets(b, bucket, 1)) {
+    out.push(b);
+  }
+  return out;
+}
+
+/**
+ * Rank keywords by growth of the recent window over the trailing baseline.
+ * Growth is measured on distinct episodes (one episode with five chapters on a
+ * topic is one mention of it) and Laplace-smoothed so a keyword going 0 → 1
+ * does not outrank 10 → 30.
+ *
+ * @param {Array<{ keyword, window: 'recent'|'baseline', chapters, episodes }>} rows
+ */
+function rankRisingTopics(rows, { recentBuckets, baselineBuckets, minMentions = 3, limit = 20 }) {
+  const byKeyword = new Map();
+  for (const row of rows) {
+    if (!byKeyword.has(row.keyword)) {
+      byKeyword.set(row.keyword, {
+        keyword: row.keyword,
+        recent: { chapters: 0, episodes: 0 },
+        baseline: { chapters: 0, episodes: 0 },
+      });
+    }
+    byKeyword.get(row.keyword)[row.window] = { chapters: row.chapters, episodes: row.episodes };
+  }
+
+  return [...byKeyword.values()]
+    .filter(t => t.recent.episodes >= minMentions)
+    .map((t) => {
+      const recentRate = t.recent.episodes / recentBuckets;
+      const baselineRate = t.baseline.episodes / baselineBuckets;
+      return {
+        ...t,
+        recentPerBucket: parseFloat(recentRate.toFixed(3)),
+        baselinePerBucket: parseFloat(baselineRate.toFixed(3)),
+        growth: parseFloat(((recentRate + 1) / (baselineRate + 1)).toFixed(3)),
+      };
+    })
+    .filter(t => t.growth > 1)
+    .sort((a, b) => b.growth - a.growth || b.recent.episodes - a.recent.episodes || a.keyword.localeCompare(b.keyword))
+    .slice(0, limit);
+}
+
+function keywordVariants(keyword) {
+  const lower = keyword.toLowerCase();
+  const titleCase = keyword.replace(/\w\S*/g, w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase());
+  const firstCap = keyword.charAt(0).toUpperCase() + keyword.slice(1).toLowerCase();
+  return [keyword, lower, keyword.toUpperCase(), titleCase, firstCap];
+}
+
+// Lowercased keywords of a chapter, optionally intersected with a target list.
+function lowerKeywordsExpr(targets) {
+  const lowered = {
+    $map: { input: { $ifNull: ['$metadataRaw.keywords', []] }, as: 'k', in: { $toLower: '$$k' } },
+  };
+  return targets ? { $setIntersection: [lowered, targets] } : { $setUnion: [lowered, []] };
+}
+
+/**
+ * Keyword mention counts over time, or the fastest-rising keywords.
+ *
+ *   mode 'series' (default) — per-bucket { chapters, episodes } for each of
+ *     `keywords`, zero-filled, from minDate (default: 26 weeks / 12 months
+ *     back) to maxDate (default: now).
+ *   mode 'rising' — keywords ranked by recent-vs-baseline growth. The recent
+ *     window is the last `recentBuckets` complete buckets before maxDate; the
+ *     baseline is the `baselineBuckets` before that. `keywords` optionally
+ *     restricts the candidates.
+ *
+ * Keywords match case-insensitively against chapter `metadataRaw.keywords`;
+ * dates come from `publishedTimestamp`.
+ */
+async function getTopicTrends({
+  keywords, bucket = 'week', feedIds, minDate, maxDate, mode = 'series',
+  recentBuckets, baselineBuckets, minMentions, limit,
+} = {}) {
+  if (!TREND_BUCKETS.includes(bucket)) {
+    return { error: `bucket must be one of: ${TREND_BUCKETS.join(', ')}` };
+  }
+  if (!TREND_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${TREND_MODES.join(', ')}` };
+  }
+  const keywordList = [...new Set(splitList(keywords).map(k => k.toLowerCase()))];
+  if (keywordList.length > MAX_TREND_KEYWORDS) {
+    return { error: `At most ${MAX_TREND_KEYWORDS} keywords per request` };
+  }
+  if (mode === 'series' && keywordList.length === 0) {
+    return { error: 'keywords is required (comma-separated) unless mode=rising' };
+  }
+  const end = maxDate ? new Date(maxDate) : new Date();
+  const requestedStart = minDate ? new Date(minDate) : null;
+  if (Number.isNaN(end.getTime()) || (requestedStart && Number.isNaN(requestedStart.getTime()))) {
+    return { error: 'minDate and maxDate must be valid dates' };
+  }
+  const feedList = splitList(feedIds);
+
+  const match = { type: 'chapter' };
+  if (feedList.length) match.feedId = { $in: feedList };
+  if (keywordList.length) {
+    match['metadataRaw.keywords'] = { $in: [...new Set(keywordList.flatMap(keywordVariants))] };
+  }
+
+  if (mode === 'rising') {
+    const recent = Math.min(Math.max(1, parseInt(recentBuckets, 10) || 1), 12);
+    const baseline = Math.min(Math.max(1, parseInt(baselineBuckets, 10) || DEFAULT_BASELINE_BUCKETS[bucket]), 52);
+    const recentEnd = bucketStart(end, bucket);
+    const recentStart = addBuckets(recentEnd, bucket, -recent);
+    const baselineStart = addBuckets(recentStart, bucket, -baseline);
+    const rows = await JamieVectorMetadata.aggregate([
+      { $match: { ...match, publishedTimestamp: { $gte: baselineStart.getTime(), $lt: recentEnd.getTime() } } },
+      { $project: { guid: 1, publishedTimestamp: 1, kw: lowerKeywordsExpr(keywordList.length ? keywordList : null) } },
+      { $unwind: '$kw' },
+      {
+        $group: {
+          _id: {
+            keyword: '$kw',
+            window: { $cond: [{ $gte: ['$publishedTimestamp', recentStart.getTime()] }, 'recent', 'baseline'] },
+          },
+          chapters: { $sum: 1 },
+          episodes: { $addToSet: '$guid' },
+        },
+      },
+      { $project: { _id: 0, keyword: '$_id.keyword', window: '$_id.window', chapters: 1, episodes: { $size: '$episodes' } } },
+    ]).option({ allowDiskUse: true });
+
+    const topics = rankRisingTopics(rows, {
+      recentBuckets: recent,
+      baselineBuckets: baseline,
+      minMentions: Math.max(1, parseInt(minMentions, 10) || 3),
+      limit: Math.min(Math.max(1, parseInt(limit, 10) || 20), 100),
+    });
+    return {
+      mode,
+      bucket,
+      windows: {
+        recent: { start: recentStart.toISOString(), end: recentEnd.toISOString(), buckets: recent },
+        baseline: { start: baselineStart.toISOString(), end: recentStart.toISOString(), buckets: baseline },
+      },
+      data: topics,
+      query: { keywords: keywordList.length ? keywordList : null, feedIds: feedList.length ? feedList : null },
+    };
+  }
+
+  const start = requestedStart || addBuckets(bucketStart(end, bucket), bucket, -(DEFAULT_SERIES_BUCKETS[bucket] - 1));
+  if (start > end) return { error: 'minDate must be before maxDate' };
+  const buckets = listBuckets(start, end, bucket);
+  if (buckets.length > 520) return { error: 'Date range too large for this bucket size' };
+
+  const rows = await JamieVectorMetadata.aggregate([
+    { $match: { ...match, publishedTimestamp: { $gte: start.getTime(), $lte: end.getTime() } } },
+    { $project: { guid: 1, publishedTimestamp: 1, kw: lowerKeywordsExpr(keywordList) } },
+    { $unwind: '$kw' },
+    {
+      $group: {
+        _id: {
+          keyword: '$kw',
+          bucket: {
+            $dateTrunc: { date: { $toDate: '$publishedTimestamp' }, unit: bucket, startOfWeek: 'monday', timezone: 'UTC' },
+          },
+        },
+        chapters: { $sum: 1 },
+        episodes: { $addToSet: '$guid' },
+      },
+    },
+    { $project: { _id: 0, keyword: '$_id.keyword', bucket: '$_id.bucket', chapters: 1, episodes: '$episodes' } },
+  ]);
+
+  const series = keywordList.map((keyword) => {
+    const mine = rows.filter(r => r.keyword === keyword);
+    const byBucket = new Map(mine.map(r => [new Date(r.bucket).getTime(), r]));
+    const allEpisodes = new Set(mine.flatMap(r => r.episodes));
+    return {
+      keyword,
+      total: { chapters: mine.reduce((n, r) => n + r.chapters, 0), episodes: allEpisodes.size },
+      buckets: buckets.map((b) => {
+        const row = byBucket.get(b.getTime());
+        return { start: b.toISOString(), chapters: row ? row.chapters : 0, episodes: row ? row.episodes.length : 0 };
+      }),
+    };
+  });
+
+  return {
+    mode,
+    bucket,
+    range: { start: buckets[0].toISOString(), end: end.toISOString() },
+    data: series,
+    query: { keywords: keywordList, feedIds: feedList.length ? feedList : null },
+  };
+}
+
 module.exports = {
   getFeed,
   getFeedEpisodes,
   getEpisode,
   listChapters,
+  getEpisodeTranscript,
+  getSpeakersForRange,
+  getSpeakerLabelledGuids,
   findPeople,
   getPersonEpisodes,
+  getTopicTrends,
+  rankRisingTopics,
+  bucketStart,
+  listBuckets,
+  TREND_BUCKETS,
   formatFeed,
   formatEpisode,
   formatChapter,
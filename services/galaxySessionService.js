@@ -0,0 +1,190 @@
+/**
+ * Galaxy Session Service — persistence and incremental projection for
+ * multi-search 3D sessions (POST /api/search-quotes-3d with createSession,
+ * POST /api/search-quotes-3d/expand, GET /api/search-quotes-3d/sessions/:id).
+ *
+ * Pure business logic: accepts params, returns data. No req/res.
+ *
+ * MultiSearchCacheManager stays the hot copy; every create/expand is written
+ * through to MongoDB (models/GalaxySession.js) together with the fitted
+ * projection, and a cache miss re-opens the session from there. Expands place
+ * new points into the stored space with UmapProjector.transform, so points a
+ * user has already seen keep their positions across expands and restarts.
+ * A full refit only happens on request (refit: true) or for sessions that
+ * have no stored projection yet.
+ *
+ * A sessionId is a capability: anyone holding it can re-open and expand the
+ * session, and no owner is recorded. Ids carry 128 random bits
+ * (MultiSearchCacheManager) so they can't be guessed.
+ */
+
+const { GalaxySession } = require('../models/GalaxySession');
+const { multiSearchCache } = require('../utils/MultiSearchCacheManager');
+const UmapProjector = require('../utils/UmapProjector');
+const { printLog } = require('../constants');
+
+const SESSION_TTL_MS = (parseFloat(process.env.GALAXY_SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+function toDocument(session) {
+  return {
+    queries: session.queries.map(q => ({ ...q, timestamp: new Date(q.timestamp) })),
+    items: session.items.map(item => ({
+      pineconeId: item.pineconeId,
+      embedding: item.embedding || [],
+      metadata: item.metadata,
+      coordinates3d: item.coordinates3d || null,
+      rawCoordinates: item.rawCoordinates || [],
+      sourceQueryIndex: item.sourceQueryIndex || 0
+    })),
+    axisLabels: session.axisLabels || null,
+    umapConfig: session.umapConfig || 'standard',
+    projection: session.projection || null
+  };
+}
+
+function fromDocument(doc) {
+  return {
+    id: doc.sessionId,
+    createdAt: new Date(doc.createdAt).getTime(),
+    lastAccessedAt: Date.now(),
+    queries: (doc.queries || []).map(q => ({
+      query: q.query,
+      timestamp: new Date(q.timestamp).getTime(),
+      itemCount: q.itemCount
+    })),
+    items: (doc.items || []).map(item => ({
+      pineconeId: item.pineconeId,
+      embedding: item.embedding,
+      metadata: item.metadata,
+      coordinates3d: item.coordinates3d,
+      rawCoordinates: item.rawCoordinates?.length ? item.rawCoordinates : null,
+      sourceQueryIndex: item.sourceQueryIndex
+    })),
+    axisLabels: doc.axisLabels || null,
+    umapConfig: doc.umapConfig || 'standard',
+    projection: doc.projection || null
+  };
+}
+
+/**
+ * Upsert a cached session into MongoDB and push its expiry forward.
+ * @param {Object} session - MultiSearchCacheManager session
+ * @returns {Promise<{ saved: boolean, error?: string }>}
+ */
+async function saveGalaxySession(session) {
+  const now = new Date();
+  try {
+    await GalaxySession.updateOne(
+      { sessionId: session.id },
+      {
+        $set: {
+          ...toDocument(session),
+          lastAccessedAt: now,
+          expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+        }
+      },
+      { upsert: true }
+    );
+    return { saved: true };
+  } catch (err) {
+    printLog(`[GalaxySession] Failed to persist ${session.id}: ${err.message}`);
+    return { saved: false, error: err.message };
+  }
+}
+
+/**
+ * Cached session, or the persisted one re-opened into the cache.
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getGalaxySession(sessionId) {
+  const cached = multiSearchCache.getSession(sessionId);
+  if (cached) return cached;
+
+  const now = new Date();
+  const doc = await GalaxySession.findOneAndUpdate(
+    { sessionId },
+    { $set: { lastAccessedAt: now, expiresAt: new Date(now.getTime() + SESSION_TTL_MS) } },
+    { new: true }
+  ).lean();
+  if (!doc) return null;
+
+  printLog(`[GalaxySession] Re-opened ${sessionId} from MongoDB (${doc.items?.length || 0} items)`);
+  return multiSearchCache.restoreSession(fromDocument(doc));
+}
+
+/**
+ * Coordinates for every item in a session. Items that already have a raw
+ * layout keep it; the rest are placed into the stored projection. Refits from
+ * scratch when asked to, or when the session has no usable projection.
+ *
+ * @param {Object} session - Session whose items all carry embeddings
+ * @param {Object} options
+ * @param {boolean} [options.fastMode] - Fast UMAP config for a (re)fit
+ * @param {boolean} [options.refit] - Discard the stored projection and fit all items
+ * @param {string} [options.embeddingModelId] - Model that embedded the new items
+ * @returns {Promise<{ coordinates3d, rawCoordinates, projection, mode: 'fit'|'transform', placed: number } | { error: string, status: number }>}
+ */
+async function placeSessionItems(session, { fastMode = false, refit = false, embeddingModelId = null } = {}) {
+  const { items, projection } = session;
+  const placedIdx = [];
+  const newIdx = [];
+  items.forEach((item, index) => (item.rawCoordinates?.length ? placedIdx : newIdx).push(index));
+
+  if (
+    projection?.embeddingModelId &&
+    embeddingModelId &&
+    projection.embeddingModelId !== embeddingModelId
+  ) {
+    return {
+      error: `Session was embedded with ${projection.embeddingModelId}; current model is ${embeddingModelId}. Start a new session.`,
+      status: 409
+    };
+  }
+
+  const projector = new UmapProjector(fastMode ? UmapProjector.getFastModeConfig() : {});
+
+  if (refit || !projection?.mins || placedIdx.length === 0) {
+    const fitted = await projector.fit(items.map(item => item.embedding));
+    return {
+      coordinates3d: fitted.coordinates,
+      rawCoordinates: fitted.rawCoordinates,
+      projection: {
+        ...fitted.projection,
+        embeddingModelId: embeddingModelId || projection?.embeddingModelId || null,
+        fittedCount: items.length,
+        fittedAt: new Date().toISOString()
+      },
+      mode: 'fit',
+      placed: items.length
+    };
+  }
+
+  const coordinates3d = items.map(item => item.coordinates3d);
+  const rawCoordinates = items.map(item => item.rawCoordinates);
+
+  if (newIdx.length > 0) {
+    const transformed = projector.transform(
+      newIdx.map(i => items[i].embedding),
+      {
+        embeddings: placedIdx.map(i => items[i].embedding),
+        rawCoordinates: placedIdx.map(i => items[i].rawCoordinates),
+        projection
+      }
+    );
+    newIdx.forEach((itemIndex, j) => {
+      coordinates3d[itemIndex] = transformed.coordinates[j];
+      rawCoordinates[itemIndex] = transformed.rawCoordinates[j];
+    });
+  }
+
+  return { coordinates3d, rawCoordinates, projection, mode: 'transform', placed: newIdx.length };
+}
+
+module.exports = {
+  saveGalaxySession,
+  getGalaxySession,
+  placeSessionItems,
+  toDocument,
+  fromDocument
+};
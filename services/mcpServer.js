@@ -0,0 +1,167 @@
+/**
+ * MCP Server — publishes the Jamie agent tools over the Model Context Protocol.
+ *
+ * Transport-agnostic JSON-RPC 2.0 core. The streamable HTTP transport lives in
+ * routes/mcpRoutes.js (POST /api/mcp); the stdio transport is
+ * scripts/mcp-stdio.js, which relays to the HTTP endpoint so both go through
+ * the same L402 / HMAC entitlement checks.
+ *
+ * Tool schemas come straight from setup-agent.js TOOL_DEFINITIONS and calls
+ * run through utils/agentToolHandler.js, so MCP hosts get the same fluff
+ * filter, reranker and result clamping as the in-house agent.
+ *
+ * Each tool is billed like its REST twin (MCP_TOOL_ENTITLEMENTS); tools whose
+ * REST endpoint is free are free here too.
+ */
+
+const { TOOL_DEFINITIONS } = require('../setup-agent');
+const { ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
+const { version: SERVER_VERSION } = require('../package.json');
+
+const SERVER_NAME = 'pullthatupjamie';
+
+// Newest first; we answer with the client's version when we support it
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Tool → entitlement of the REST endpoint it mirrors (null = free there too)
+const MCP_TOOL_ENTITLEMENTS = {
+  search_quotes: ENTITLEMENT_TYPES.SEARCH_QUOTES,
+  search_chapters: ENTITLEMENT_TYPES.CHAPTER_SEARCH,
+  discover_podcasts: ENTITLEMENT_TYPES.DISCOVER_PODCASTS,
+  find_person: null,
+  get_adjacent_paragraphs: null,
+  create_research_session: null,
+};
+
+const MCP_TOOL_NAMES = Object.keys(MCP_TOOL_ENTITLEMENTS);
+
+const SERVER_INSTRUCTIONS =
+  'Search and cite a corpus of transcribed podcasts. Start with search_quotes for what was said, ' +
+  'find_person to resolve a guest or host, search_chapters for structured segments and ' +
+  'discover_podcasts for shows outside the corpus. Quote results carry a shareLink (pineconeId) ' +
+  'usable with get_adjacent_paragraphs and create_research_session.';
+
+// JSON-RPC 2.0 error codes
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+/**
+ * MCP tool descriptors ({ name, description, inputSchema }) for tools/list.
+ */
+function listMcpTools() {
+  return TOOL_DEFINITIONS
+    .filter(tool => MCP_TOOL_NAMES.includes(tool.name))
+    .map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.input_schema,
+    }));
+}
+
+/**
+ * Entitlement type a tools/call message is billed against, or null when the
+ * message is free (not a tool call, unknown tool, or a free tool).
+ */
+function entitlementForMessage(message) {
+  if (message?.method !== 'tools/call') return null;
+  return MCP_TOOL_ENTITLEMENTS[message.params?.name] ?? null;
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Wrap an agentToolHandler result as an MCP CallToolResult. Handler failures
+ * come back as `{ error }` objects and are reported as tool errors, which the
+ * host shows to its model, rather than protocol errors.
+ */
+function toCallToolResult(result) {
+  const isError = !!(result && typeof result === 'object' && result.error);
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result ?? null) }],
+    structuredContent: result && typeof result === 'object' && !Array.isArray(result) ? result : { value: result ?? null },
+    isError,
+  };
+}
+
+/**
+ * Handle one JSON-RPC message.
+ *
+ * @param {Object} message - parsed JSON-RPC request or notification
+ * @param {Object} deps
+ * @param {Function} deps.callTool - async (name, args) => agentToolHandler result
+ * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+ */
+async function handleMcpMessage(message, { callTool }) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)
+      || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return rpcError(message?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+  }
+
+  const { id, method, params = {} } = message;
+  // Notifications (no id) never get a response: notifications/initialized,
+  // notifications/cancelled, ...
+  if (id === undefined || id === null) return null;
+
+  switch (method) {
+    case 'initialize':
+      return rpcResult(id, {
+        protocolVersion: negotiateProtocolVersion(params.protocolVersion),
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: SERVER_NAME, version: SERVER_VERSION },
+        instructions: SERVER_INSTRUCTIONS,
+      });
+
+    case 'ping':
+      return rpcResult(id, {});
+
+    case 'tools/list':
+      return rpcResult(id, { tools: listMcpTools() });
+
+    case 'tools/call': {
+      const { name, arguments: args = {} } = params;
+      if (!MCP_TOOL_NAMES.includes(name)) {
+        return rpcError(id, JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+      }
+      if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return rpcError(id, JSON_RPC_ERRORS.INVALID_PARAMS, 'arguments must be an object');
+      }
+      try {
+        return rpcResult(id, toCallToolResult(await callTool(name, args)));
+      } catch (err) {
+        return rpcError(id, JSON_RPC_ERRORS.INTERNAL_ERROR, err.message || 'Tool call failed');
+      }
+    }
+
+    default:
+      return rpcError(id, JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+module.exports = {
+  handleMcpMessage,
+  listMcpTools,
+  entitlementForMessage,
+  toCallToolResult,
+  rpcError,
+  MCP_TOOL_NAMES,
+  MCP_TOOL_ENTITLEMENTS,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  JSON_RPC_ERRORS,
+};
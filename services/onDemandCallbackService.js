@@ -0,0 +1,346 @@
+/**
+ * On-Demand Callback Service — signed completion webhooks for
+ * /api/on-demand/submitOnDemandRun jobs.
+ *
+ * The ingestor updates WorkProductV2.result.episodes[].status out of band,
+ * so delivery is driven by a once-a-minute sweep (server.js, guarded by
+ * runIfLockHeld) rather than at write time:
+ *   1. diff each active job's episode statuses against callback.deliveries
+ *      and queue one event per newly terminal episode, plus one for the job;
+ *   2. POST every due event, signed with middleware/hmac.js#signRequest and
+ *      only to public hosts (utils/webhookTarget.js);
+ *   3. on non-2xx / network error, back off exponentially up to
+ *      MAX_ATTEMPTS, appending every attempt to callback.log.
+ *
+ * Receivers verify with serviceHmac() using { [keyId]: secret }.
+ *
+ * The same episode outcomes settle prepaid debits held on the job
+ * (WorkProductV2.debits): settleOnDemandDebits() confirms an episode's debit
+ * once it finished and voids it once it (or the job) failed. It runs from the
+ * same cron tick and whenever getOnDemandJobStatus reads the job.
+ */
+
+const axios = require('axios');
+const { WorkProductV2 } = require('../models/WorkProductV2');
+const { signRequest } = require('../middleware/hmac');
+const { confirmDeferredDebit, voidDebit } = require('../utils/debitSettlement');
+const { validateWebhookUrl, parseWebhookTarget, webhookAgents } = require('../utils/webhookTarget');
+const { printLog } = require('../constants');
+
+const DEFAULT_KEY_ID = 'jamie-on-demand';
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 2 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_LOG_ENTRIES = 200;
+const MAX_JOBS_PER_SWEEP = 100;
+// Jobs the ingestor never finishes stop being watched after this long.
+const WATCH_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+const EPISODE_SUCCESS_STATUSES = ['success', 'skipped', 'all_skipped'];
+const EPISODE_FAILURE_STATUSES = ['failed', 'error'];
+const JOB_TERMINAL_STATUSES = ['complete', 'failed'];
+
+/**
+ * Validate callback fields from a submitOnDemandRun body.
+ * @returns {{ callback?: { url, secret, keyId }, error?: string }} callback is
+ *   undefined when no callbackUrl was supplied.
+ */
+function parseCallbackOptions({ callbackUrl, callbackSecret, callbackKeyId } = {}) {
+  const { target, error } = parseWebhookTarget(
+    { url: callbackUrl, secret: callbackSecret, keyId: callbackKeyId },
+    { prefix: 'callback', defaultKeyId: DEFAULT_KEY_ID }
+  );
+  if (error) return { error };
+  return target ? { callback: target } : {};
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures:
+ * 30s, 2m, 8m, 32m, 2h (capped).
+ */
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(4, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Events that should exist for the job's current state but are not yet in
+ * `deliveries`. Event ids are deterministic so re-sweeps never duplicate.
+ */
+function collectNewEvents(jobResult, deliveries, now = new Date()) {
+  const known = new Set((deliveries || []).map(d => d.eventId));
+  const events = [];
+  const jobStatus = jobResult?.jobStatus;
+
+  for (const ep of jobResult?.episodes || []) {
+    let event = null;
+    if (EPISODE_SUCCESS_STATUSES.includes(ep.status)) event = 'episode.completed';
+    else if (EPISODE_FAILURE_STATUSES.includes(ep.status)) event = 'episode.failed';
+    // A job that failed as a whole (e.g. the ingestor rejected it) leaves its
+    // episodes pending forever; report them as failed.
+    else if (jobStatus === 'failed') event = 'episode.failed';
+    if (!event) continue;
+
+    const eventId = `episode:${ep.guid}`;
+    if (known.has(eventId)) continue;
+    events.push({ eventId, event, guid: ep.guid, status: ep.status, state: 'pending', attempts: 0, nextAttemptAt: now });
+  }
+
+  if (JOB_TERMINAL_STATUSES.includes(jobStatus) && !known.has('job')) {
+    events.push({
+      eventId: 'job',
+      event: jobStatus === 'complete' ? 'job.completed' : 'job.failed',
+      guid: null,
+      status: jobStatus,
+      state: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+    });
+  }
+  return events;
+}
+
+function buildPayload(job, delivery) {
+  const result = job.result || {};
+  const episode = delivery.guid
+    ? (result.episodes || []).find(ep => ep.guid === delivery.guid) || { guid: delivery.guid }
+    : null;
+
+  return {
+    event: delivery.event,
+    deliveryId: `${job.lookupHash}:${delivery.eventId}`,
+    attempt: delivery.attempts + 1,
+    jobId: job.lookupHash,
+    occurredAt: new Date().toISOString(),
+    ...(episode ? {
+      episode: {
+        guid: episode.guid,
+        feedId: episode.feedId || null,
+        feedGuid: episode.feedGuid || null,
+        status: episode.status || delivery.status,
+        error: episode.error || null,
+      },
+    } : {}),
+    job: {
+      status: result.jobStatus,
+      stats: {
+        totalEpisodes: result.totalEpisodes,
+        episodesProcessed: result.episodesProcessed,
+        episodesSkipped: result.episodesSkipped,
+        episodesFailed: result.episodesFailed,
+      },
+      statusUrl: '/api/on-demand/getOnDemandJobStatus',
+    },
+  };
+}
+
+async function attemptDelivery(job, delivery) {
+  const { url, keyId, secret } = job.callback;
+  const body = JSON.stringify(buildPayload(job, delivery));
+  const startedAt = Date.now();
+
+  // A target saved before the public-host check, or one that has since
+  // started resolving inward, fails like any other attempt
+  let httpStatus = null;
+  let error = validateWebhookUrl(url, 'callbackUrl');
+  if (!error) {
+    try {
+      const response = await axios.post(url, body, {
+        ...webhookAgents,
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PullThatUpJamie-Webhooks/1.0',
+          'X-Jamie-Event': delivery.event,
+          'X-Jamie-Delivery': `${job.lookupHash}:${delivery.eventId}`,
+          ...signRequest({ method: 'POST', url, body, keyId, secret }),
+        },
+      });
+      httpStatus = response.status;
+      if (httpStatus < 200 || httpStatus >= 300) error = `HTTP ${httpStatus}`;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const now = new Date();
+  delivery.attempts += 1;
+  delivery.lastHttpStatus = httpStatus;
+  delivery.lastError = error;
+  if (!error) {
+    delivery.state = 'delivered';
+    delivery.deliveredAt = now;
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.state = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + backoffMs(delivery.attempts));
+  }
+
+  return {
+    eventId: delivery.eventId,
+    attempt: delivery.attempts,
+    at: now,
+    httpStatus,
+    error,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * One sweep over all jobs with an active callback. Safe to call repeatedly;
+ * the caller is responsible for making sure only one instance runs it.
+ */
+async function dispatchOnDemandCallbacks() {
+  const jobs = await WorkProductV2.find({ type: 'on-demand-jamie-episodes', 'callback.active': true })
+    .select('+callback.secret')
+    .sort({ updatedAt: 1 })
+    .limit(MAX_JOBS_PER_SWEEP)
+    .lean();
+
+  const summary = { jobs: jobs.length, attempted: 0, delivered: 0, failed: 0 };
+
+  for (const job of jobs) {
+    try {
+      const now = new Date();
+      const deliveries = job.callback.deliveries || [];
+      deliveries.push(...collectNewEvents(job.result, deliveries, now));
+
+      const logEntries = [];
+      for (const delivery of deliveries) {
+        if (delivery.state !== 'pending' || (delivery.nextAttemptAt && delivery.nextAttemptAt > now)) continue;
+        const entry = await attemptDelivery(job, delivery);
+        logEntries.push(entry);
+        summary.attempted++;
+        if (delivery.state === 'delivered') summary.delivered++;
+        else if (delivery.state === 'failed') summary.failed++;
+      }
+
+      const jobTerminal = JOB_TERMINAL_STATUSES.includes(job.result?.jobStatus);
+      const allSettled = deliveries.every(d => d.state !== 'pending');
+      const expired = now - new Date(job.createdAt) > WATCH_WINDOW_MS;
+      const active = !((jobTerminal && allSettled) || expired);
+
+      const update = { $set: { 'callback.deliveries': deliveries, 'callback.active': active } };
+      if (logEntries.length > 0) {
+        update.$push = { 'callback.log': { $each: logEntries, $slice: -MAX_LOG_ENTRIES } };
+      }
+      await WorkProductV2.updateOne({ _id: job._id }, update);
+
+      if (logEntries.length > 0) {
+        printLog(`[OnDemandCallback] job=${job.lookupHash} attempts=${logEntries.length} active=${active}`);
+      }
+    } catch (error) {
+      console.error(`[OnDemandCallback] Sweep failed for job ${job.lookupHash}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * What a pending debit on `guid` should become given the job's current
+ * state: 'confirmed', 'voided', or null while the episode is still running.
+ */
+function debitOutcome(jobResult, guid) {
+  const episode = (jobResult?.episodes || []).find(ep => ep.guid === guid);
+  if (EPISODE_FAILURE_STATUSES.includes(episode?.status) || jobResult?.jobStatus === 'failed') return 'voided';
+  if (EPISODE_SUCCESS_STATUSES.includes(episode?.status) || jobResult?.jobStatus === 'complete') return 'confirmed';
+  return null;
+}
+
+/**
+ * Settle the job's pending debits whose episode has an outcome. Each debit
+ * is claimed on the job first, so concurrent callers settle it once.
+ *
+ * @param {Object} job - WorkProductV2 (lean or document) with `debits`
+ * @returns {Promise<{ confirmed: number, voided: number }>}
+ */
+async function settleOnDemandDebits(job) {
+  const settled = { confirmed: 0, voided: 0 };
+  for (const debit of job.debits || []) {
+    if (debit.state !== 'pending') continue;
+    const outcome = debitOutcome(job.result, debit.guid);
+    if (!outcome) continue;
+
+    const claimed = await WorkProductV2.updateOne(
+      { _id: job._id, debits: { $elemMatch: { entryId: debit.entryId, state: 'pending' } } },
+      { $set: { 'debits.$.state': outcome } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    if (outcome === 'confirmed') {
+      await confirmDeferredDebit(debit.entryId);
+    } else {
+      const episode = (job.result?.episodes || []).find(ep => ep.guid === debit.guid);
+      await voidDebit(debit.entryId, { reason: `On-demand transcription failed: ${episode?.error || job.result?.error || episode?.status || 'job failed'}` });
+    }
+    settled[outcome]++;
+  }
+  return settled;
+}
+
+/**
+ * One sweep over recent jobs that still hold pending debits. Jobs the
+ * ingestor never finishes leave their debits pending after WATCH_WINDOW_MS;
+ * those go through the refund-request review like any disputed call.
+ */
+async function settleDueOnDemandDebits() {
+  const jobs = await WorkProductV2.find({
+    type: 'on-demand-jamie-episodes',
+    'debits.state': 'pending',
+    createdAt: { $gte: new Date(Date.now() - WATCH_WINDOW_MS) }
+  })
+    .select('lookupHash result debits')
+    .sort({ updatedAt: 1 })
+    .limit(MAX_JOBS_PER_SWEEP)
+    .lean();
+
+  const summary = { jobs: jobs.length, confirmed: 0, voided: 0 };
+  for (const job of jobs) {
+    try {
+      const settled = await settleOnDemandDebits(job);
+      summary.confirmed += settled.confirmed;
+      summary.voided += settled.voided;
+    } catch (error) {
+      console.error(`[OnDemandCallback] Debit settlement failed for job ${job.lookupHash}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Public view of a job's callback state for the status endpoint
+ * (never includes the secret).
+ */
+function summarizeCallback(callback) {
+  if (!callback) return null;
+  return {
+    active: callback.active,
+    deliveries: (callback.deliveries || []).map(d => ({
+      event: d.event,
+      guid: d.guid,
+      state: d.state,
+      attempts: d.attempts,
+      deliveredAt: d.deliveredAt,
+      nextAttemptAt: d.nextAttemptAt,
+      lastHttpStatus: d.lastHttpStatus,
+      lastError: d.lastError,
+    })),
+  };
+}
+
+module.exports = {
+  parseCallbackOptions,
+  collectNewEvents,
+  backoffMs,
+  dispatchOnDemandCallbacks,
+  debitOutcome,
+  settleOnDemandDebits,
+  settleDueOnDemandDebits,
+  summarizeCallback,
+  MAX_ATTEMPTS,
+};
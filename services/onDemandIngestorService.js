@@ -0,0 +1,66 @@
+/**
+ * On-demand ingestor client — hands a WorkProductV2 'on-demand-jamie-episodes'
+ * job to the AWS parallel ingestor, which transcribes, chapters and indexes
+ * each episode and writes progress back onto the WorkProductV2 by lookupHash.
+ *
+ * Shared by POST /api/on-demand/submitOnDemandRun and podcast follow
+ * auto-ingest (services/podcastFollowService.js).
+ */
+
+const axios = require('axios');
+
+/**
+ * Group episodes by feedGuid into the ingestor's jobConfig.
+ *
+ * @param {string} lookupHash - WorkProductV2 lookupHash (doubles as jobId)
+ * @param {Array<{ guid: string, feedGuid: string, feedId: string }>} episodes
+ * @returns {Object} request body for AWS_INGESTOR_PARALLEL_URL
+ */
+function buildIngestorPayload(lookupHash, episodes) {
+    const feedGuids = {};
+    episodes.forEach(episode => {
+        if (!feedGuids[episode.feedGuid]) {
+            feedGuids[episode.feedGuid] = {
+                feedId: episode.feedId,
+                episodes: []
+            };
+        }
+        feedGuids[episode.feedGuid].episodes.push(episode.guid);
+    });
+
+    return {
+        jobId: lookupHash,
+        jobConfig: {
+            onDemand: true,
+            feedGuids,
+            workProductV2LookupHash: lookupHash,
+            overrideExistence: false
+        }
+    };
+}
+
+/**
+ * POST the job to the ingestor. Throws the axios error on failure.
+ */
+async function submitToIngestor(lookupHash, episodes) {
+    const awsPayload = buildIngestorPayload(lookupHash, episodes);
+
+    console.log('Try Jamie On Demand URL:', process.env.AWS_INGESTOR_PARALLEL_URL)
+    console.log('awsPayload:', JSON.stringify(awsPayload, null, 2));
+
+    return axios.post(
+        process.env.AWS_INGESTOR_PARALLEL_URL,
+        awsPayload,
+        {
+            headers: {
+                'x-api-key': process.env.AWS_INGESTOR_PARALLEL_API_KEY,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+}
+
+module.exports = {
+    buildIngestorPayload,
+    submitToIngestor
+};
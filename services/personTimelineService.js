@@ -0,0 +1,298 @@
+/**
+ * Person Timeline Service — "how did X's view on Y evolve".
+ *
+ * For a person and a topic: list their appearances (corpusService
+ * getPersonEpisodes), find the best-matching passage in each one
+ * (searchQuotes scoped to that episode, speaker-filtered where the episode is
+ * diarized for the person), order the passages by publish date, and classify
+ * each passage's stance toward the topic (services/tape/stanceClassifier.js)
+ * so changes between consecutive passages can be flagged.
+ *
+ * Re-uploads of the same appearance on other feeds collapse into the earliest
+ * airing (utils/nearDuplicates.js), so a syndicated interview is one step on
+ * the timeline, not three.
+ *
+ * Pure business logic: returns data or `{ error, status }`. No req/res.
+ */
+
+const { printLog } = require('../constants.js');
+const { searchQuotes } = require('./searchQuotesService');
+const { getPersonEpisodes, getSpeakerLabelledGuids } = require('./corpusService');
+const { classifyStance, STANCE_MODEL } = require('./tape/stanceClassifier');
+const { normalizeSpeakerKey } = require('../utils/speakerLabels');
+const { collapseNearDuplicates } = require('../utils/nearDuplicates');
+
+const DEFAULT_MAX_APPEARANCES = 12;
+const MAX_APPEARANCES = 30;
+// getPersonEpisodes caps a page at 200; date filtering happens after the fetch
+const APPEARANCE_SCAN_LIMIT = 200;
+// Passages considered per appearance; the best one by similarity wins
+const PASSAGES_PER_APPEARANCE = 3;
+
+// The stance classifier speaks market ("bull"/"bear"); a timeline is about any
+// topic, so it reports the direction of the view instead.
+const STANCE_LABELS = { bull: 'positive', bear: 'negative', neutral: 'neutral' };
+
+function parseDateParam(value, label) {
+  if (value == null || value === '') return { date: null };
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    return { error: `${label} must be an ISO date (YYYY-MM-DD)` };
+  }
+  return { date };
+}
+
+/**
+ * Validate and normalize a timeline request body.
+ * @returns {{ params: Object } | { error: string, status: number }}
+ */
+function sanitizeTimelineParams(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'name is required', status: 400 };
+  const topic = typeof input.topic === 'string' ? input.topic.trim() : '';
+  if (!topic) return { error: 'topic is required', status: 400 };
+
+  const min = parseDateParam(input.minDate, 'minDate');
+  if (min.error) return { error: min.error, status: 400 };
+  const max = parseDateParam(input.maxDate, 'maxDate');
+  if (max.error) return { error: max.error, status: 400 };
+  // A bare YYYY-MM-DD maxDate includes that whole day
+  if (max.date && /^\d{4}-\d{2}-\d{2}$/.test(input.maxDate)) {
+    max.date = new Date(max.date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  if (min.date && max.date && min.date > max.date) {
+    return { error: 'minDate must be before maxDate', status: 400 };
+  }
+
+  let maxAppearances = DEFAULT_MAX_APPEARANCES;
+  if (input.maxAppearances != null) {
+    maxAppearances = parseInt(input.maxAppearances, 10);
+    if (!Number.isFinite(maxAppearances) || maxAppearances < 1) {
+      return { error: 'maxAppearances must be a positive integer', status: 400 };
+    }
+    maxAppearances = Math.min(maxAppearances, MAX_APPEARANCES);
+  }
+
+  let minSimilarity = null;
+  if (input.minSimilarity != null) {
+    minSimilarity = Number(input.minSimilarity);
+    if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      return { error: 'minSimilarity must be a number between 0 and 1', status: 400 };
+    }
+  }
+
+  return {
+    params: {
+      name,
+      topic,
+      guestsOnly: input.guestsOnly === true || input.guestsOnly === 'true',
+      feedId: input.feedId ? String(input.feedId) : null,
+      minDate: min.date,
+      maxDate: max.date,
+      maxAppearances,
+      minSimilarity,
+    },
+  };
+}
+
+function appearanceTime(appearance) {
+  const time = appearance.publishedDate ? new Date(appearance.publishedDate).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Keep appearances inside [minDate, maxDate] and return the most recent
+ * `limit` of them, oldest first. Undated appearances can't be placed on a
+ * timeline and are dropped.
+ */
+function selectAppearances(appearances, { minDate = null, maxDate = null, limit = DEFAULT_MAX_APPEARANCES } = {}) {
+  return appearances
+    .map(appearance => ({ appearance, time: appearanceTime(appearance) }))
+    .filter(({ time }) => time !== null
+      && (!minDate || time >= minDate.getTime())
+      && (!maxDate || time <= maxDate.getTime()))
+    .sort((a, b) => b.time - a.time)
+    .slice(0, limit)
+    .reverse()
+    .map(({ appearance }) => appearance);
+}
+
+/**
+ * Flag stance changes between consecutive passages. Passages without a
+ * verdict are skipped, so a shift compares against the last known stance.
+ *
+ * Kinds: `reversal` (positive <-> negative), `softened` (directional ->
+ * neutral), `hardened` (neutral -> directional).
+ *
+ * @param {Array<{ stance: string|null }>} entries - chronological
+ * @returns {Array<{ fromIndex: number, toIndex: number, from: string, to: string, kind: string }>}
+ */
+function detectStanceShifts(entries) {
+  const shifts = [];
+  let previousIndex = null;
+  entries.forEach((entry, index) => {
+    if (!entry.stance) return;
+    if (previousIndex !== null) {
+      const from = entries[previousIndex].stance;
+      const to = entry.stance;
+      if (from !== to) {
+        const kind = from === 'neutral' ? 'hardened' : to === 'neutral' ? 'softened' : 'reversal';
+        shifts.push({ fromIndex: previousIndex, toIndex: index, from, to, kind });
+      }
+    }
+    previousIndex = index;
+  });
+  return shifts;
+}
+
+function formatPassage(appearance, result, speakerKey) {
+  return {
+    pineconeId: result.shareLink,
+    quote: result.quote,
+    shareUrl: result.shareUrl,
+    audioUrl: result.audioUrl,
+    timeContext: result.timeContext,
+    similarity: result.similarity?.combined ?? null,
+    speaker: result.speaker || null,
+    speakerVerified: !!result.speaker?.name && normalizeSpeakerKey(result.speaker.name) === speakerKey,
+    episode: {
+      guid: appearance.guid,
+      title: appearance.title,
+      feedId: appearance.feedId != null ? String(appearance.feedId) : null,
+      feedTitle: appearance.feedTitle,
+      publishedDate: appearance.publishedDate,
+      role: appearance.role,
+      imageUrl: appearance.imageUrl,
+    },
+  };
+}
+
+/**
+ * Build a person's topic timeline.
+ *
+ * @param {Object} body - { name, topic, guestsOnly?, feedId?, minDate?, maxDate?, maxAppearances?, minSimilarity? }
+ * @param {Object} deps - { openai, recordHelperLlmUsage? }
+ * @returns {Promise<Object>} timeline response, or `{ error, status }`
+ */
+async function getPersonTimeline(body, { openai, recordHelperLlmUsage } = {}) {
+  const sanitized = sanitizeTimelineParams(body);
+  if (sanitized.error) return sanitized;
+  const { name, topic, guestsOnly, feedId, minDate, maxDate, maxAppearances, minSimilarity } = sanitized.params;
+
+  const episodesResult = await getPersonEpisodes({ name, guestsOnly, feedId, limit: APPEARANCE_SCAN_LIMIT });
+  if (episodesResult.error) return { error: episodesResult.error, status: episodesResult.status || 500 };
+
+  const appearances = selectAppearances(episodesResult.data || [], { minDate, maxDate, limit: maxAppearances });
+  if (appearances.length === 0) {
+    return { error: `No dated appearances found for "${name}"`, status: 404 };
+  }
+
+  const labelledGuids = new Set(await getSpeakerLabelledGuids({ name, guids: appearances.map(a => a.guid) }));
+  const speakerKey = normalizeSpeakerKey(name);
+
+  printLog(`[PERSON-TIMELINE] "${name}" on "${topic}": searching ${appearances.length} appearances (${labelledGuids.size} diarized)`);
+
+  const searches = await Promise.all(appearances.map(appearance =>
+    searchQuotes({
+      query: topic,
+      guids: [appearance.guid],
+      limit: PASSAGES_PER_APPEARANCE,
+      speaker: labelledGuids.has(appearance.guid) ? name : null,
+      // One episode per search; cross-episode copies are collapsed below
+      collapseDuplicates: false,
+    }, { openai, recordHelperLlmUsage })
+      .then(response => ({ appearance, results: response.results || [] }))
+      .catch(err => {
+        printLog(`[PERSON-TIMELINE] search failed for ${appearance.guid} (skipped): ${err.message}`);
+        return { appearance, results: [] };
+      })
+  ));
+
+  const passages = [];
+  for (const { appearance, results } of searches) {
+    const best = results.find(r => minSimilarity === null
+      || (typeof r.similarity?.combined === 'number' && r.similarity.combined >= minSimilarity));
+    if (best) passages.push({ appearance, result: best });
+  }
+
+  // Chronological input, so the canonical copy is the earliest airing
+  const { results: canonical, collapsed } = collapseNearDuplicates(passages.map(({ appearance, result }) => ({
+    shareLink: result.shareLink,
+    quote: result.quote,
+    guid: appearance.guid,
+    feedId: appearance.feedId,
+    episode: appearance.title,
+    creator: appearance.feedTitle,
+    date: appearance.publishedDate,
+    passage: formatPassage(appearance, result, speakerKey),
+  })));
+  const timeline = canonical.map(({ passage, alsoAppearsIn }) => (
+    alsoAppearsIn ? { ...passage, alsoAppearsIn } : passage
+  ));
+
+  const { stances, usage } = await classifyStance({
+    subject: topic,
+    clips: timeline.map(p => ({ pineconeId: p.pineconeId, quote: p.quote })),
+    openai,
+  });
+  if (typeof recordHelperLlmUsage === 'function' && (usage.input_tokens || usage.output_tokens)) {
+    recordHelperLlmUsage(usage.model, usage.input_tokens, usage.output_tokens);
+  }
+  timeline.forEach(passage => {
+    const verdict = stances.get(passage.pineconeId);
+    passage.stance = verdict ? STANCE_LABELS[verdict] : null;
+    passage.stanceShift = null;
+  });
+
+  const shifts = detectStanceShifts(timeline).map(shift => {
+    const from = timeline[shift.fromIndex];
+    const to = timeline[shift.toIndex];
+    to.stanceShift = { from: shift.from, to: shift.to, kind: shift.kind, since: from.pineconeId };
+    return {
+      kind: shift.kind,
+      from: shift.from,
+      to: shift.to,
+      fromPineconeId: from.pineconeId,
+      toPineconeId: to.pineconeId,
+      fromDate: from.episode.publishedDate,
+      toDate: to.episode.publishedDate,
+    };
+  });
+
+  printLog(`[PERSON-TIMELINE] "${name}" on "${topic}": ${timeline.length} passages, ${shifts.length} stance shifts`);
+
+  return {
+    person: name,
+    topic,
+    timeline,
+    shifts,
+    appearances: {
+      searched: appearances.length,
+      matched: passages.length,
+      duplicatesCollapsed: collapsed,
+    },
+    stanceClassified: stances.size > 0,
+    stanceModel: STANCE_MODEL,
+    query: {
+      name,
+      topic,
+      guestsOnly,
+      feedId,
+      minDate: minDate ? minDate.toISOString().slice(0, 10) : null,
+      maxDate: maxDate ? maxDate.toISOString().slice(0, 10) : null,
+      maxAppearances,
+      minSimilarity,
+    },
+  };
+}
+
+module.exports = {
+  getPersonTimeline,
+  sanitizeTimelineParams,
+  selectAppearances,
+  detectStanceShifts,
+  STANCE_LABELS,
+  DEFAULT_MAX_APPEARANCES,
+  MAX_APPEARANCES,
+};
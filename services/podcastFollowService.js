@@ -0,0 +1,397 @@
+/**
+ * Podcast Follow Service — auto-ingest new episodes of followed feeds.
+ *
+ * Pure business logic: accepts params, returns data. No req/res.
+ *
+ * A follow is created from a /api/discover-podcasts result (feedId, plus
+ * feedGuid / url when known). Following takes a baseline: every episode
+ * already in the feed is marked seen, so only episodes published afterwards
+ * are transcribed. The daily check (runDueFollows, under runIfLockHeld) then:
+ *
+ *   1. fetches the feed's latest episodes from the RSS extractor
+ *   2. skips anything seen or already in the corpus
+ *   3. charges each new episode to the follower — one submit-on-demand-run
+ *      quota unit for users, the per-episode L402 price for prepaid
+ *      credentials (a pending ledger debit, like a direct submitOnDemandRun)
+ *   4. submits the funded episodes as one on-demand job
+ *
+ * Episodes the follower can't pay for stay unseen and are retried on the next
+ * check (at most MAX_NEW_EPISODES_PER_CHECK per feed per check, newest first).
+ * If the ingestor rejects the job, every charge for it is refunded. Once
+ * submitted, each prepaid debit is confirmed or voided with its own episode's
+ * transcription outcome (settleOnDemandDebits, services/onDemandCallbackService.js).
+ */
+
+const crypto = require('crypto');
+const { PodcastFollow } = require('../models/PodcastFollow');
+const { WorkProductV2 } = require('../models/WorkProductV2');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const { Entitlement } = require('../models/Entitlement');
+const { User } = require('../models/shared/UserSchema');
+const { ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
+const { getAgentCostMicroUsd } = require('../constants/agentPricing');
+const { getOrCreateEntitlement } = require('../utils/entitlementMiddleware');
+const { determineTier } = require('../utils/identityResolver');
+const { submitToIngestor } = require('./onDemandIngestorService');
+const { generateUsageRequestId, recordDebit } = require('./agentUsageLedger');
+const { voidDebit } = require('../utils/debitSettlement');
+const { printLog } = require('../constants');
+
+const CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// The daily tick is wall-clock (07:00 America/Chicago), so consecutive ticks can
+// be 23h apart across a DST change, and a few ms closer than the last one on any
+// day. Coming due this much early keeps a checked follow due on the next tick.
+const CHECK_GRACE_MS = 2 * 60 * 60 * 1000;
+const MAX_FOLLOWS_PER_OWNER = parseInt(process.env.PODCAST_FOLLOW_MAX_PER_OWNER || '50', 10);
+const MAX_NEW_EPISODES_PER_CHECK = parseInt(process.env.PODCAST_FOLLOW_MAX_EPISODES_PER_CHECK || '3', 10);
+const MAX_DUE_PER_TICK = parseInt(process.env.PODCAST_FOLLOW_MAX_PER_TICK || '200', 10);
+const MAX_SEEN_GUIDS = 500;
+
+function computeNextCheckAt(from = new Date()) {
+  return new Date(from.getTime() + CHECK_INTERVAL_MS - CHECK_GRACE_MS);
+}
+
+/**
+ * Validate the feed a caller wants to follow. Accepts a discover-podcasts
+ * result as-is (url or feedUrl).
+ * @returns {{ feed?: Object, error?: string }}
+ */
+function sanitizeFeed(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'body must be an object' };
+  }
+  const feedId = raw.feedId !== undefined && raw.feedId !== null ? String(raw.feedId).trim() : '';
+  if (!/^\d+$/.test(feedId)) {
+    return { error: 'feedId (Podcast Index feed id) is required' };
+  }
+  const feedUrl = raw.feedUrl || raw.url || null;
+  if (feedUrl !== null && (typeof feedUrl !== 'string' || !/^https?:\/\//i.test(feedUrl))) {
+    return { error: 'feedUrl must be an http(s) URL' };
+  }
+  return {
+    feed: {
+      feedId,
+      feedGuid: typeof raw.feedGuid === 'string' && raw.feedGuid.trim() ? raw.feedGuid.trim() : null,
+      feedUrl,
+      title: typeof raw.title === 'string' ? raw.title.slice(0, 300) : '',
+      image: typeof raw.image === 'string' ? raw.image : ''
+    }
+  };
+}
+
+/**
+ * Latest episodes for a feed, newest first, in on-demand submission shape.
+ * @returns {Promise<{ feedGuid: string|null, episodes: Array<{ guid: string, title: string, publishedAt: Date|null }> }>}
+ */
+async function fetchFeedEpisodes({ feedId, feedUrl, feedGuid }) {
+  // Lazy: discoverRoutes builds an OpenAI client at load time
+  const { discoverInternal } = require('../routes/discoverRoutes');
+  const { feedInfo, episodes } = await discoverInternal.fetchEpisodesForFeed(feedId, feedUrl);
+  const normalized = [];
+  for (const raw of episodes || []) {
+    const guid = raw.episodeGUID || raw.guid;
+    if (!guid) continue;
+    const published = raw.publishedDate || raw.datePublished || null;
+    normalized.push({
+      guid: String(guid),
+      title: raw.itemTitle || raw.title || 'Untitled',
+      publishedAt: published ? new Date(published * 1000) : null
+    });
+  }
+  normalized.sort((a, b) => (b.publishedAt?.getTime() || 0) - (a.publishedAt?.getTime() || 0));
+  return {
+    feedGuid: feedGuid || feedInfo?.feedGuid || feedInfo?.podcastGuid || null,
+    episodes: normalized
+  };
+}
+
+/**
+ * Unseen episodes, newest first, capped.
+ */
+function selectNewEpisodes(episodes, seenGuids, limit = MAX_NEW_EPISODES_PER_CHECK) {
+  const seen = new Set(seenGuids || []);
+  return episodes.filter(ep => !seen.has(ep.guid)).slice(0, limit);
+}
+
+/**
+ * Charge one episode to the follower.
+ * @returns {Promise<null | { kind: 'quota', entitlementId: Object, unlimited: boolean, tier: string, email: string|null } | { kind: 'prepaid', paymentHash: string, entryId: string|null, costMicroUsd: number }>}
+ *   null when the follower has no quota / balance left
+ */
+async function chargeFollowEpisode(follow) {
+  if (follow.identifierType === 'prepaid') {
+    const costMicroUsd = getAgentCostMicroUsd(ENTITLEMENT_TYPES.SUBMIT_ON_DEMAND_RUN);
+    const updated = await Entitlement.findOneAndUpdate(
+      {
+        identifier: follow.identifier,
+        identifierType: 'prepaid',
+        entitlementType: 'apiAccess',
+        status: 'active',
+        $expr: { $lte: [{ $add: ['$usedCount', costMicroUsd] }, '$maxUsage'] }
+      },
+      { $inc: { usedCount: costMicroUsd }, $set: { lastUsed: new Date() } },
+      { new: true }
+    ).lean();
+    if (!updated) return null;
+
+    const entryId = await recordDebit({
+      paymentHash: follow.identifier,
+      entitlementType: ENTITLEMENT_TYPES.SUBMIT_ON_DEMAND_RUN,
+      amountUsdMicro: costMicroUsd,
+      balanceAfterUsdMicro: updated.maxUsage - updated.usedCount,
+      requestId: generateUsageRequestId(),
+      method: 'FOLLOW',
+      path: `/api/podcast-follows/${follow._id}`
+    });
+    return { kind: 'prepaid', paymentHash: follow.identifier, entryId: entryId ? String(entryId) : null, costMicroUsd };
+  }
+
+  const user = await User.findById(follow.identifier).select('email subscriptionType').lean();
+  if (!user) return null;
+  const tier = await determineTier(user);
+  const entitlement = await getOrCreateEntitlement(follow.identifier, 'mongoUserId', ENTITLEMENT_TYPES.SUBMIT_ON_DEMAND_RUN, tier);
+  if (entitlement.maxUsage !== -1) {
+    const consumed = await Entitlement.findOneAndUpdate(
+      { _id: entitlement._id, $expr: { $lt: ['$usedCount', '$maxUsage'] } },
+      { $inc: { usedCount: 1 }, $set: { lastUsed: new Date() } },
+      { new: true }
+    ).lean();
+    if (!consumed) return null;
+  }
+  return { kind: 'quota', entitlementId: entitlement._id, unlimited: entitlement.maxUsage === -1, tier, email: user.email || null };
+}
+
+/**
+ * Give back an episode's charge when its job could not be submitted.
+ * Submitted episodes settle with their transcription instead: prepaid debits
+ * ride on WorkProductV2.debits (settleOnDemandDebits).
+ */
+async function refundFollowCharge(charge, reason) {
+  if (charge.kind === 'prepaid') {
+    if (charge.entryId) return voidDebit(charge.entryId, { reason });
+    // No ledger row to void: put the balance back directly
+    await Entitlement.updateOne(
+      { identifier: charge.paymentHash, identifierType: 'prepaid', entitlementType: 'apiAccess' },
+      { $inc: { usedCount: -charge.costMicroUsd } }
+    );
+    return null;
+  }
+  if (!charge.unlimited) {
+    await Entitlement.updateOne({ _id: charge.entitlementId }, { $inc: { usedCount: -1 } });
+  }
+  return null;
+}
+
+async function submitFollowJob(follow, feedGuid, funded) {
+  const lookupHash = crypto.randomBytes(12).toString('hex');
+  const episodes = funded.map(({ episode }) => ({ guid: episode.guid, feedGuid, feedId: follow.feedId, title: episode.title }));
+  const firstCharge = funded[0].charge;
+
+  const wpDoc = {
+    type: 'on-demand-jamie-episodes',
+    lookupHash,
+    result: {
+      jobStatus: 'pending',
+      totalFeeds: 1,
+      totalEpisodes: episodes.length,
+      episodesProcessed: 0,
+      episodesSkipped: 0,
+      episodesFailed: 0,
+      episodes: episodes.map(ep => ({ ...ep, status: 'pending' })),
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      userEmail: firstCharge.email || null,
+      clientIp: null,
+      authType: 'user',
+      entitlementConsumed: true,
+      tier: firstCharge.tier || null,
+      followId: String(follow._id)
+    }
+  };
+  if (follow.identifierType === 'prepaid') {
+    wpDoc.paymentHash = follow.identifier;
+    const debits = funded
+      .filter(({ charge }) => charge.entryId)
+      .map(({ episode, charge }) => ({ guid: episode.guid, entryId: charge.entryId, state: 'pending' }));
+    if (debits.length > 0) wpDoc.debits = debits;
+  }
+  await WorkProductV2.create(wpDoc);
+
+  try {
+    await submitToIngestor(lookupHash, episodes);
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    await WorkProductV2.findOneAndUpdate(
+      { lookupHash },
+      {
+        'result.jobStatus': 'failed',
+        'result.error': message,
+        ...(wpDoc.debits ? { 'debits.$[].state': 'voided' } : {})
+      }
+    );
+    for (const { charge } of funded) {
+      await refundFollowCharge(charge, `Follow ingest submission failed: ${message}`);
+    }
+    throw new Error(`Ingestor rejected follow job: ${message}`);
+  }
+
+  return lookupHash;
+}
+
+/**
+ * Check one follow for new episodes and submit them.
+ * @param {Object} follow - lean PodcastFollow
+ * @param {Date} [tickAt] - start of the scheduler tick; the next check is scheduled from it
+ * @returns {Promise<{ baseline: boolean, newEpisodes: number, submitted: number, unfunded: number, jobId: string|null, error: string|null }>}
+ */
+async function checkFollow(follow, tickAt = new Date()) {
+  const checkedAt = new Date();
+  const outcome = { baseline: false, newEpisodes: 0, submitted: 0, unfunded: 0, jobId: null, error: null };
+  const seenToAdd = [];
+  const set = { lastCheckedAt: checkedAt, nextCheckAt: computeNextCheckAt(tickAt) };
+  const inc = {};
+
+  try {
+    const { feedGuid, episodes } = await fetchFeedEpisodes(follow);
+    if (feedGuid && !follow.feedGuid) set.feedGuid = feedGuid;
+
+    if (!follow.baselineAt) {
+      // The feed was unreachable (or empty) when followed; take the baseline now
+      outcome.baseline = true;
+      seenToAdd.push(...episodes.map(ep => ep.guid));
+      if (episodes.length > 0) set.baselineAt = checkedAt;
+    } else {
+      const fresh = selectNewEpisodes(episodes, follow.seenGuids);
+      outcome.newEpisodes = fresh.length;
+
+      if (fresh.length > 0) {
+        const transcribed = new Set((await JamieVectorMetadata.find({
+          type: 'episode', guid: { $in: fresh.map(ep => ep.guid) }
+        }).select('guid').lean()).map(doc => doc.guid));
+        const toSubmit = fresh.filter(ep => !transcribed.has(ep.guid));
+        seenToAdd.push(...transcribed);
+
+        if (toSubmit.length > 0 && !feedGuid) {
+          throw new Error('Feed GUID unknown; cannot submit episodes for transcription');
+        }
+
+        const funded = [];
+        for (const episode of toSubmit) {
+          const charge = await chargeFollowEpisode(follow);
+          if (!charge) break;
+          funded.push({ episode, charge });
+        }
+        outcome.unfunded = toSubmit.length - funded.length;
+
+        if (funded.length > 0) {
+          outcome.jobId = await submitFollowJob(follow, feedGuid, funded);
+          outcome.submitted = funded.length;
+          seenToAdd.push(...funded.map(({ episode }) => episode.guid));
+          set.lastSubmittedAt = checkedAt;
+          set.lastJobId = outcome.jobId;
+          inc.episodesSubmitted = funded.length;
+        }
+      }
+    }
+  } catch (error) {
+    outcome.error = error.message;
+  }
+
+  set.lastCheckStatus = outcome.error ? 'error' : outcome.unfunded > 0 ? 'unfunded' : 'ok';
+  set.lastError = outcome.error || (outcome.unfunded > 0
+    ? `${outcome.unfunded} new episode(s) not submitted: no ${follow.identifierType === 'prepaid' ? 'L402 balance' : 'on-demand quota'} left`
+    : null);
+
+  const update = { $set: set };
+  if (Object.keys(inc).length > 0) update.$inc = inc;
+  if (seenToAdd.length > 0) {
+    update.$push = { seenGuids: { $each: seenToAdd, $position: 0, $slice: MAX_SEEN_GUIDS } };
+  }
+  await PodcastFollow.updateOne({ _id: follow._id }, update);
+
+  printLog(`[PodcastFollow] ${follow._id} feed=${follow.feedId} baseline=${outcome.baseline} new=${outcome.newEpisodes} submitted=${outcome.submitted} unfunded=${outcome.unfunded}${outcome.error ? ` error=${outcome.error}` : ''}`);
+  return outcome;
+}
+
+/**
+ * Follow a feed, taking the episode baseline right away when the feed is
+ * reachable (otherwise the first daily check takes it).
+ *
+ * @param {{ identifier: string, identifierType: string }} owner
+ * @param {Object} rawFeed - request body
+ * @returns {Promise<{ follow: Object } | { error: string, status: number }>}
+ */
+async function followFeed(owner, rawFeed) {
+  const { feed, error } = sanitizeFeed(rawFeed);
+  if (error) return { error, status: 400 };
+
+  const existing = await PodcastFollow.findOne({ ...owner, feedId: feed.feedId }).lean();
+  if (existing) {
+    return { error: 'Already following this feed', status: 409, follow: existing };
+  }
+  const count = await PodcastFollow.countDocuments(owner);
+  if (count >= MAX_FOLLOWS_PER_OWNER) {
+    return { error: `Follow limit reached: at most ${MAX_FOLLOWS_PER_OWNER} followed feeds`, status: 409 };
+  }
+
+  const now = new Date();
+  const { feedGuid, episodes } = await fetchFeedEpisodes(feed);
+  feed.feedGuid = feedGuid;
+  const baselineAt = episodes.length > 0 ? now : null;
+  if (!baselineAt) {
+    printLog(`[PodcastFollow] No episodes fetched for feed ${feed.feedId}; baseline deferred to the first check`);
+  }
+
+  const follow = await PodcastFollow.create({
+    ...owner,
+    ...feed,
+    seenGuids: episodes.map(ep => ep.guid).slice(0, MAX_SEEN_GUIDS),
+    baselineAt,
+    nextCheckAt: computeNextCheckAt(now)
+  });
+  return { follow: follow.toObject() };
+}
+
+/**
+ * Check every enabled follow whose nextCheckAt has passed, oldest first.
+ * Called from the daily scheduler under runIfLockHeld so only one instance runs it.
+ *
+ * Every follow checked in this tick is next due a day after the tick started
+ * (less CHECK_GRACE_MS), not a day after its own check, so a long tick doesn't
+ * push follows past the next one.
+ *
+ * @param {Date} [tickAt] - start of the scheduler tick
+ */
+async function runDueFollows(tickAt = new Date()) {
+  const due = await PodcastFollow.find({ enabled: true, nextCheckAt: { $lte: tickAt } })
+    .sort({ nextCheckAt: 1 })
+    .limit(MAX_DUE_PER_TICK)
+    .lean();
+
+  const summary = { checked: 0, failed: 0, submitted: 0, unfunded: 0 };
+  for (const follow of due) {
+    try {
+      const outcome = await checkFollow(follow, tickAt);
+      summary.checked++;
+      if (outcome.error) summary.failed++;
+      summary.submitted += outcome.submitted;
+      summary.unfunded += outcome.unfunded;
+    } catch (error) {
+      summary.checked++;
+      summary.failed++;
+      console.error(`[PodcastFollow] Check failed for ${follow._id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  MAX_FOLLOWS_PER_OWNER,
+  computeNextCheckAt,
+  sanitizeFeed,
+  selectNewEpisodes,
+  fetchFeedEpisodes,
+  checkFollow,
+  followFeed,
+  runDueFollows
+};
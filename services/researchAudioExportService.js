@@ -0,0 +1,574 @@
+/**
+ * Research Audio Export Service — "listen in 10 minutes" supercuts.
+ *
+ * Stitches every item of a ResearchSession into one MP3/M4A:
+ *   [separator] [clip 1] [separator] [clip 2] ...
+ * with optional EBU R128 loudness normalization and one chapter per item
+ * (ID3v2 CHAP frames for MP3, QuickTime chapters for M4A) naming the
+ * episode and speaker.
+ *
+ * Jobs ride the persistent clip queue: requestResearchAudioExport() writes a
+ * WorkProductV2 ('research-audio-export') plus a QueueJob with
+ * jobType 'research-audio-export'; whichever instance's ClipQueueManager
+ * claims it calls processResearchAudioExport(). Segments are cut with
+ * ClipUtils.extractAudioClip.
+ *
+ * A prepaid debit for the export rides on the QueueJob (joinExportDebit), so
+ * ClipQueueManager confirms it when the render completes and voids it when
+ * the job finally fails. A request for an export that is already rendered is
+ * answered before the entitlement middleware (planResearchAudioExport), so it
+ * isn't charged again.
+ *
+ * Spoken separators are OpenAI TTS calls; their characters and cost are
+ * tallied on the WorkProductV2 (result.ttsUsage) across attempts and copied
+ * to the export's first prepaid debit as its serve cost.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { OpenAI } = require('openai');
+const QueueJob = require('../models/QueueJob');
+const { WorkProductV2 } = require('../models/WorkProductV2');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const { formatResults } = require('../agent-tools/pineconeTools');
+const { confirmDeferredDebit, voidDebit } = require('../utils/debitSettlement');
+const { recordServeCost } = require('./agentUsageLedger');
+const { printLog } = require('../constants');
+
+const EXPORT_FORMATS = ['mp3', 'm4a'];
+const SEPARATORS = ['tone', 'spoken', 'none'];
+const MAX_SEGMENT_SECONDS = 180;
+const MAX_EXPORT_SECONDS = parseInt(process.env.RESEARCH_AUDIO_EXPORT_MAX_SECONDS || '1800', 10);
+const TONE_SECONDS = 0.35;
+const TONE_FREQUENCY_HZ = 880;
+const TTS_MODEL = process.env.RESEARCH_AUDIO_EXPORT_TTS_MODEL || 'tts-1';
+const TTS_VOICE = process.env.RESEARCH_AUDIO_EXPORT_TTS_VOICE || 'alloy';
+// USD per 1M input characters (OpenAI list price: tts-1 $15, tts-1-hd $30)
+const TTS_PRICE_PER_1M_CHARS = parseFloat(
+  process.env.OPENAI_TTS_PER_1M_CHARS || (TTS_MODEL === 'tts-1-hd' ? '30' : '15')
+);
+const CONTENT_TYPES = { mp3: 'audio/mpeg', m4a: 'audio/mp4' };
+
+let openai = null;
+function getOpenAI() {
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+}
+
+/**
+ * Validate export options from the request body.
+ * @returns {{ options?: { format, separator, normalize, maxDurationSeconds }, error?: string }}
+ */
+function parseExportOptions({ format = 'mp3', separator = 'tone', normalize = true, maxDurationSeconds } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  if (!SEPARATORS.includes(separator)) {
+    return { error: `separator must be one of: ${SEPARATORS.join(', ')}` };
+  }
+  if (typeof normalize !== 'boolean') {
+    return { error: 'normalize must be a boolean' };
+  }
+  let maxSeconds = MAX_EXPORT_SECONDS;
+  if (maxDurationSeconds !== undefined) {
+    if (!Number.isFinite(maxDurationSeconds) || maxDurationSeconds < 30) {
+      return { error: 'maxDurationSeconds must be a number >= 30' };
+    }
+    maxSeconds = Math.min(maxDurationSeconds, MAX_EXPORT_SECONDS);
+  }
+  return { options: { format, separator, normalize, maxDurationSeconds: maxSeconds } };
+}
+
+/**
+ * Deterministic id for an export: same session contents + options → same
+ * file, so repeated requests return the cached result.
+ */
+function buildExportLookupHash(sessionId, pineconeIds, options) {
+  const input = [
+    'research-audio',
+    String(sessionId),
+    pineconeIds.join(','),
+    options.format,
+    options.separator,
+    options.normalize ? 'norm' : 'raw',
+    options.maxDurationSeconds,
+  ].join(':');
+  return `ra-${crypto.createHash('sha256').update(input).digest('hex').substring(0, 24)}`;
+}
+
+function chapterTitle(segment) {
+  const who = segment.speaker || segment.creator;
+  return who ? `${segment.episode} — ${who}` : segment.episode;
+}
+
+/**
+ * Turn session items (formatted clip metadata) into an ordered cut list.
+ * Items without audio or a usable time range are skipped; long paragraphs
+ * are capped at MAX_SEGMENT_SECONDS; items that would push the total past
+ * maxDurationSeconds are dropped.
+ *
+ * @returns {{ segments: object[], skipped: Array<{ pineconeId, reason }> }}
+ */
+function planSegments(items, { maxDurationSeconds = MAX_EXPORT_SECONDS } = {}) {
+  const segments = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const { pineconeId, metadata } of items) {
+    const audioUrl = metadata?.audioUrl;
+    const start = metadata?.timeContext?.start_time;
+    const end = metadata?.timeContext?.end_time;
+
+    if (!audioUrl || !/^https?:\/\//.test(audioUrl)) {
+      skipped.push({ pineconeId, reason: 'no-audio' });
+      continue;
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      skipped.push({ pineconeId, reason: 'no-time-range' });
+      continue;
+    }
+
+    const duration = Math.min(end - start, MAX_SEGMENT_SECONDS);
+    if (total + duration > maxDurationSeconds) {
+      skipped.push({ pineconeId, reason: 'over-duration' });
+      continue;
+    }
+    total += duration;
+
+    segments.push({
+      pineconeId,
+      audioUrl,
+      start,
+      end: start + duration,
+      episode: metadata.episode || 'Unknown episode',
+      creator: metadata.creator && metadata.creator !== 'Creator not specified' ? metadata.creator : null,
+      speaker: metadata.speaker?.name || null,
+    });
+  }
+  return { segments, skipped };
+}
+
+function escapeMetadataValue(value) {
+  return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+/**
+ * FFMETADATA1 document with one [CHAPTER] per entry.
+ * @param {Array<{ title, startMs, endMs }>} chapters
+ */
+function buildChapterMetadata({ title, chapters }) {
+  const lines = [';FFMETADATA1'];
+  if (title) lines.push(`title=${escapeMetadataValue(title)}`);
+  lines.push('artist=Pull That Up Jamie');
+  for (const chapter of chapters) {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.startMs)}`,
+      `END=${Math.round(chapter.endMs)}`,
+      `title=${escapeMetadataValue(chapter.title)}`
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Request / status
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve item metadata for a session, hydrating missing snapshots from the
+ * Mongo mirror (same fallback as GET /api/research-sessions/:id).
+ */
+async function resolveSessionItems(session) {
+  const storedById = new Map();
+  for (const item of session.items || []) {
+    if (item?.pineconeId && item.metadata && typeof item.metadata === 'object') {
+      storedById.set(item.pineconeId, item.metadata);
+    }
+  }
+
+  const missing = (session.pineconeIds || []).filter(id => !storedById.has(id));
+  if (missing.length > 0) {
+    const docs = await JamieVectorMetadata.find({ pineconeId: { $in: missing } })
+      .select('pineconeId metadataRaw')
+      .lean();
+    formatResults(docs.map(doc => ({ id: doc.pineconeId, score: 1, metadata: doc.metadataRaw || {} })))
+      .forEach(clip => storedById.set(clip.shareLink, clip));
+  }
+
+  return (session.pineconeIds || []).map(pineconeId => ({ pineconeId, metadata: storedById.get(pineconeId) || null }));
+}
+
+/**
+ * Cut list, cache key and any existing export for a session's current state.
+ * `completed` is set when the file is already rendered.
+ *
+ * @returns {Promise<{ lookupHash, segments, skipped, existing, completed: Object|null }
+ *   | { error: string, httpStatus: number }>}
+ */
+async function planResearchAudioExport({ session, options }) {
+  const items = await resolveSessionItems(session);
+  const { segments, skipped } = planSegments(items, options);
+  if (segments.length === 0) {
+    return { httpStatus: 400, error: 'No exportable items: every item is missing audio or a time range' };
+  }
+
+  const lookupHash = buildExportLookupHash(session._id, session.pineconeIds || [], options);
+  const existing = await WorkProductV2.findOne({ lookupHash }).lean();
+  const completed = existing?.cdnFileId
+    ? { status: 'completed', lookupHash, url: existing.cdnFileId, segments: segments.length, skipped }
+    : null;
+  return { lookupHash, segments, skipped, existing, completed };
+}
+
+/**
+ * Queue (or return the cached) audio export for a session.
+ *
+ * @param {Object} params
+ * @param {Object} params.session
+ * @param {Object} params.options - parseExportOptions() result
+ * @param {Object} [params.plan] - planResearchAudioExport() result, when already computed
+ * @returns {Promise<{ status: 'completed'|'queued'|'processing'|'failed', lookupHash, url?, segments, skipped }
+ *   | { error: string, httpStatus: number }>}
+ */
+async function requestResearchAudioExport({ session, options, plan = null }) {
+  const planned = plan || await planResearchAudioExport({ session, options });
+  if (planned.error) return planned;
+  const { lookupHash, segments, skipped, existing, completed } = planned;
+  if (completed) return completed;
+  if (existing && existing.status !== 'failed') {
+    return { status: existing.status || 'queued', lookupHash, segments: segments.length, skipped };
+  }
+
+  const title = session.title || 'Research session';
+  await WorkProductV2.findOneAndUpdate(
+    { lookupHash },
+    {
+      $set: {
+        type: 'research-audio-export',
+        status: 'queued',
+        cdnFileId: null,
+        result: {
+          sessionId: String(session._id),
+          title,
+          format: options.format,
+          separator: options.separator,
+          normalize: options.normalize,
+          segmentCount: segments.length,
+          skipped,
+          progress: { done: 0, total: segments.length },
+        },
+      },
+    },
+    { upsert: true }
+  );
+
+  // A previously failed job is reset for another run
+  await QueueJob.findOneAndUpdate(
+    { lookupHash },
+    {
+      $set: {
+        jobType: 'research-audio-export',
+        clipData: { sessionId: String(session._id), title, segments, options },
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        queuedAt: new Date(),
+        debitEntryId: null,
+        joinedDebitEntryIds: [],
+      },
+    },
+    { upsert: true }
+  );
+
+  printLog(`[RESEARCH-AUDIO] Queued ${lookupHash} for session ${session._id} (${segments.length} segments)`);
+  return { status: 'queued', lookupHash, segments: segments.length, skipped };
+}
+
+/**
+ * Hang a deferred prepaid debit on the export's queue job. If the job has
+ * already finished, settle it now with the job's outcome.
+ *
+ * @param {string} lookupHash
+ * @param {string} entryId - deferDebit() result
+ */
+async function joinExportDebit(lookupHash, entryId) {
+  const joined = await QueueJob.findOneAndUpdate(
+    { lookupHash, status: { $in: ['queued', 'processing'] } },
+    { $addToSet: { joinedDebitEntryIds: entryId } }
+  );
+  if (joined) return;
+
+  const finished = await QueueJob.findOne({ lookupHash }).select('status lastError').lean();
+  if (finished?.status === 'completed') {
+    await confirmDeferredDebit(entryId);
+  } else {
+    await voidDebit(entryId, { reason: `Research audio export failed: ${finished?.lastError || 'unknown error'}` });
+  }
+}
+
+async function getResearchAudioExportStatus(sessionId, lookupHash) {
+  const product = await WorkProductV2.findOne({ lookupHash, type: 'research-audio-export' }).lean();
+  if (!product || product.result?.sessionId !== String(sessionId)) return null;
+
+  let queuePosition = null;
+  const job = await QueueJob.findOne({ lookupHash }).select('status queuedAt attempts lastError').lean();
+  if (job?.status === 'queued') {
+    queuePosition = 1 + await QueueJob.countDocuments({ status: 'queued', queuedAt: { $lt: job.queuedAt } });
+  }
+
+  const result = product.result || {};
+  return {
+    lookupHash,
+    status: product.cdnFileId ? 'completed' : (product.status || 'queued'),
+    url: product.cdnFileId || null,
+    format: result.format,
+    durationSeconds: result.durationSeconds ?? null,
+    chapters: result.chapters || [],
+    skipped: result.skipped || [],
+    progress: result.progress || null,
+    queuePosition,
+    attempts: job?.attempts ?? 0,
+    error: product.status === 'failed' ? (result.lastError || job?.lastError || null) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Worker (called from ClipQueueManager)
+// ---------------------------------------------------------------------------
+
+function probeDurationSeconds(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => {
+      if (err) return reject(err);
+      resolve(parseFloat(data?.format?.duration) || 0);
+    });
+  });
+}
+
+function renderTone(outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(`sine=frequency=${TONE_FREQUENCY_HZ}:duration=${TONE_SECONDS}`)
+      .inputFormat('lavfi')
+      .audioFilters('afade=t=out:st=0.2:d=0.15')
+      .outputOptions(['-y', '-ar', '44100', '-ac', '2', '-acodec', 'libmp3lame', '-b:a', '128k'])
+      .on('error', err => reject(new Error(`Tone generation failed: ${err.message}`)))
+      .on('end', () => resolve(outputPath))
+      .save(outputPath);
+  });
+}
+
+async function renderSpokenIntro(text, outputPath) {
+  const response = await getOpenAI().audio.speech.create({
+    model: TTS_MODEL,
+    voice: TTS_VOICE,
+    input: text,
+    response_format: 'mp3',
+  });
+  await fs.promises.writeFile(outputPath, Buffer.from(await response.arrayBuffer()));
+  return outputPath;
+}
+
+/**
+ * Add one attempt's spoken-separator characters to the export's TTS tally and
+ * attach the running cost to its first prepaid debit. Non-fatal.
+ *
+ * @param {string} lookupHash
+ * @param {number} characters - characters sent to the TTS model
+ */
+async function recordTtsUsage(lookupHash, characters) {
+  if (!characters) return;
+  try {
+    const product = await WorkProductV2.findOneAndUpdate(
+      { lookupHash },
+      {
+        $set: { 'result.ttsUsage.model': TTS_MODEL },
+        $inc: {
+          'result.ttsUsage.characters': characters,
+          'result.ttsUsage.costUsdMicro': Math.round(characters * TTS_PRICE_PER_1M_CHARS),
+        },
+      },
+      { new: true }
+    ).lean();
+    const totalUsd = (product?.result?.ttsUsage?.costUsdMicro || 0) / 1_000_000;
+    printLog(`[RESEARCH-AUDIO][${lookupHash}] TTS ${TTS_MODEL}: ${characters} chars (export total $${totalUsd.toFixed(6)})`);
+
+    const job = await QueueJob.findOne({ lookupHash }).select('debitEntryId joinedDebitEntryIds').lean();
+    const entryId = job?.debitEntryId || job?.joinedDebitEntryIds?.[0];
+    if (entryId) {
+      await recordServeCost(entryId, { helpers: { cost: totalUsd }, total: totalUsd });
+    }
+  } catch (error) {
+    console.error(`[RESEARCH-AUDIO][${lookupHash}] Failed to record TTS usage: ${error.message}`);
+  }
+}
+
+function concatAudio({ inputs, metadataPath, outputPath, format, normalize }) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    inputs.forEach(input => command.input(input));
+    command.input(metadataPath);
+
+    // Every input is resampled to 44.1k stereo so concat accepts TTS clips too
+    const filters = inputs.map((_, i) => `[${i}:a]aformat=sample_rates=44100:channel_layouts=stereo[a${i}]`);
+    const concatInputs = inputs.map((_, i) => `[a${i}]`).join('');
+    filters.push(`${concatInputs}concat=n=${inputs.length}:v=0:a=1${normalize ? '[cat]' : '[out]'}`);
+    if (normalize) filters.push('[cat]loudnorm=I=-16:TP=-1.5:LRA=11[out]');
+
+    const metadataIndex = inputs.length;
+    const codecOptions = format === 'm4a'
+      ? ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart']
+      : ['-c:a', 'libmp3lame', '-b:a', '128k', '-id3v2_version', '3'];
+
+    command
+      .complexFilter(filters)
+      .outputOptions([
+        '-y',
+        '-map', '[out]',
+        '-map_metadata', String(metadataIndex),
+        '-map_chapters', String(metadataIndex),
+        '-ar', '44100',
+        ...codecOptions,
+      ])
+      .on('error', err => reject(new Error(`Supercut render failed: ${err.message}`)))
+      .on('end', () => resolve(outputPath))
+      .save(outputPath);
+  });
+}
+
+/**
+ * Render, upload and record one claimed export job. Throws on failure so
+ * ClipQueueManager's retry bookkeeping applies; the export only shows as
+ * failed once the queue has no attempts left for it.
+ */
+async function processResearchAudioExport(job, clipUtils) {
+  const { lookupHash } = job;
+  const { sessionId, title, segments, options } = job.clipData;
+  const logPrefix = `[RESEARCH-AUDIO][${lookupHash}]`;
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `${lookupHash}-`));
+  const tempFiles = [];
+  let ttsCharacters = 0;
+
+  await WorkProductV2.updateOne({ lookupHash }, { $set: { status: 'processing' } });
+
+  try {
+    let tonePath = null;
+    if (options.separator === 'tone') {
+      tonePath = await renderTone(path.join(workDir, 'tone.mp3'));
+    }
+
+    const inputs = [];
+    const chapters = [];
+    let cursorMs = 0;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const chapterStartMs = cursorMs;
+
+      let separatorPath = tonePath;
+      if (options.separator === 'spoken') {
+        const intro = segment.speaker ? `${segment.speaker}, on ${segment.episode}.` : `From ${segment.episode}.`;
+        try {
+          separatorPath = await renderSpokenIntro(intro, path.join(workDir, `intro-${i}.mp3`));
+          ttsCharacters += intro.length;
+        } catch (err) {
+          console.warn(`${logPrefix} Spoken intro failed, using tone: ${err.message}`);
+          separatorPath = tonePath || await renderTone(path.join(workDir, 'tone.mp3'));
+          tonePath = separatorPath;
+        }
+      }
+      if (separatorPath) {
+        inputs.push(separatorPath);
+        cursorMs += (await probeDurationSeconds(separatorPath)) * 1000;
+      }
+
+      const clipPath = await clipUtils.extractAudioClip(segment.audioUrl, segment.start, segment.end);
+      clipUtils.registerTempFile(clipPath);
+      tempFiles.push(clipPath);
+      inputs.push(clipPath);
+      cursorMs += (await probeDurationSeconds(clipPath)) * 1000;
+
+      chapters.push({
+        title: chapterTitle(segment),
+        pineconeId: segment.pineconeId,
+        startMs: chapterStartMs,
+        endMs: cursorMs,
+      });
+
+      await WorkProductV2.updateOne(
+        { lookupHash },
+        { $set: { 'result.progress': { done: i + 1, total: segments.length } } }
+      );
+    }
+
+    const metadataPath = path.join(workDir, 'chapters.txt');
+    await fs.promises.writeFile(metadataPath, buildChapterMetadata({ title, chapters }));
+
+    const outputPath = path.join(workDir, `supercut.${options.format}`);
+    await concatAudio({ inputs, metadataPath, outputPath, format: options.format, normalize: options.normalize });
+    const durationSeconds = await probeDurationSeconds(outputPath);
+
+    const cdnKey = `research-exports/${sessionId}/${lookupHash}.${options.format}`;
+    const uploadedUrl = await clipUtils.spacesManager.uploadFile(
+      process.env.SPACES_CLIP_BUCKET_NAME,
+      cdnKey,
+      await fs.promises.readFile(outputPath),
+      CONTENT_TYPES[options.format]
+    );
+
+    await WorkProductV2.updateOne(
+      { lookupHash },
+      {
+        $set: {
+          status: 'completed',
+          cdnFileId: uploadedUrl,
+          'result.durationSeconds': Math.round(durationSeconds),
+          'result.chapters': chapters.map(c => ({
+            title: c.title,
+            pineconeId: c.pineconeId,
+            start: Math.round(c.startMs) / 1000,
+            end: Math.round(c.endMs) / 1000,
+          })),
+          'result.completedAt': new Date(),
+        },
+      }
+    );
+    printLog(`${logPrefix} Uploaded ${uploadedUrl} (${Math.round(durationSeconds)}s, ${chapters.length} chapters)`);
+  } catch (error) {
+    const finalAttempt = job.attempts >= job.maxAttempts;
+    await WorkProductV2.updateOne(
+      { lookupHash },
+      {
+        $set: finalAttempt
+          ? { status: 'failed', 'result.lastError': error.message, 'result.failedAt': new Date() }
+          : { status: 'queued', 'result.lastError': error.message },
+      }
+    ).catch(() => {});
+    throw error;
+  } finally {
+    // Billed by OpenAI whether or not this attempt's render succeeds
+    await recordTtsUsage(lookupHash, ttsCharacters);
+    await Promise.all(tempFiles.map(f => clipUtils.cleanupTempFile(f)));
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  SEPARATORS,
+  parseExportOptions,
+  buildExportLookupHash,
+  planSegments,
+  buildChapterMetadata,
+  planResearchAudioExport,
+  requestResearchAudioExport,
+  joinExportDebit,
+  recordTtsUsage,
+  getResearchAudioExportStatus,
+  processResearchAudioExport,
+};
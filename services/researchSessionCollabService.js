@@ -0,0 +1,262 @@
+/**
+ * Research Session Collaboration Service
+ *
+ * Roles and the append-only change log for shared research sessions.
+ *
+ *   owner   the session's userId/clientId; manages collaborators
+ *   editor  invited user; may PATCH the item list and revert
+ *   viewer  invited user; may read the session and its history
+ *
+ * Every change to a session's ordered pineconeIds is recorded as one
+ * ResearchSessionChange revision (add / remove / move ops plus the full id
+ * list afterwards), so GET /:id/history can show who changed what and
+ * POST /:id/revert can restore any earlier revision.
+ */
+
+const { ResearchSession } = require('../models/ResearchSession');
+const { ResearchSessionChange } = require('../models/ResearchSessionChange');
+const { getClipsByIdsBatch } = require('../agent-tools/pineconeTools');
+const { printLog } = require('../constants.js');
+
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+const MAX_COLLABORATORS = parseInt(process.env.RESEARCH_SESSION_MAX_COLLABORATORS || '20', 10);
+const MAX_SESSION_ITEMS = 50;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Query matching sessions the caller owns or collaborates on. Collaborator
+ * access is only granted to authenticated users.
+ */
+function buildAccessQuery(owner, additionalCriteria = {}) {
+  const clauses = [];
+  if (owner.userId) {
+    clauses.push({ userId: owner.userId }, { 'collaborators.userId': owner.userId });
+  }
+  if (owner.clientId) {
+    clauses.push({ clientId: owner.clientId });
+  }
+  return { $or: clauses, ...additionalCriteria };
+}
+
+/**
+ * The caller's role on a session: 'owner' | 'editor' | 'viewer' | null.
+ */
+function resolveSessionRole(session, owner) {
+  if (!session || !owner) return null;
+  if (owner.userId && session.userId && String(session.userId) === String(owner.userId)) return 'owner';
+  if (owner.clientId && session.clientId && session.clientId === owner.clientId) return 'owner';
+  if (owner.userId) {
+    const collaborator = (session.collaborators || [])
+      .find(c => String(c.userId) === String(owner.userId));
+    if (collaborator) return collaborator.role;
+  }
+  return null;
+}
+
+function canEdit(role) {
+  return role === 'owner' || role === 'editor';
+}
+
+/**
+ * Describe how `before` became `after` (both de-duplicated, ordered id lists).
+ * Moves are the minimum set of ids that must change position: everything
+ * outside the longest run of common ids that kept their relative order.
+ *
+ * @returns {Array<{op: 'add'|'remove'|'move', pineconeId, fromIndex, toIndex}>}
+ */
+function diffPineconeIds(before = [], after = []) {
+  const beforeIndex = new Map(before.map((id, i) => [id, i]));
+  const afterIndex = new Map(after.map((id, i) => [id, i]));
+  const changes = [];
+
+  before.forEach((id, i) => {
+    if (!afterIndex.has(id)) changes.push({ op: 'remove', pineconeId: id, fromIndex: i, toIndex: null });
+  });
+  after.forEach((id, i) => {
+    if (!beforeIndex.has(id)) changes.push({ op: 'add', pineconeId: id, fromIndex: null, toIndex: i });
+  });
+
+  // Longest increasing subsequence of after-positions, walked in before-order
+  const common = before.filter(id => afterIndex.has(id));
+  const positions = common.map(id => afterIndex.get(id));
+  const tails = [];
+  const tailIdx = [];
+  const prev = new Array(positions.length).fill(-1);
+  positions.forEach((pos, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < pos) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = pos;
+    tailIdx[lo] = i;
+    prev[i] = lo > 0 ? tailIdx[lo - 1] : -1;
+  });
+  const stable = new Set();
+  for (let i = tailIdx[tails.length - 1]; i !== undefined && i >= 0; i = prev[i]) {
+    stable.add(common[i]);
+  }
+
+  common.forEach((id) => {
+    if (!stable.has(id)) {
+      changes.push({ op: 'move', pineconeId: id, fromIndex: beforeIndex.get(id), toIndex: afterIndex.get(id) });
+    }
+  });
+  return changes;
+}
+
+function actorFromOwner(owner, role) {
+  return {
+    userId: owner?.userId || null,
+    clientId: owner?.userId ? null : (owner?.clientId || null),
+    role: role || 'owner',
+  };
+}
+
+/**
+ * Append a revision for a session whose item list was just saved.
+ *
+ * @param {object} params
+ * @param {object} params.session - saved ResearchSession (doc or lean)
+ * @param {string[]} params.before - pineconeIds before the write ([] on create)
+ * @param {object} params.actor - { userId, clientId, role }
+ * @param {'create'|'update'|'revert'} params.action
+ * @returns {Promise<object|null>} the change entry, or null if nothing changed
+ */
+async function recordSessionChange({ session, before = [], actor, action, lastItemMetadataChanged = false, revertedTo = null }) {
+  const after = Array.isArray(session.pineconeIds) ? [...session.pineconeIds] : [];
+  const changes = diffPineconeIds(before, after);
+  if (action === 'update' && changes.length === 0 && !lastItemMetadataChanged) return null;
+
+  const bumped = await ResearchSession.findOneAndUpdate(
+    { _id: session._id },
+    { $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  ).lean();
+  if (!bumped) return null;
+  const revision = bumped.revision;
+
+  // Sessions created before change tracking have no revision 0 to revert to
+  if (revision === 1 && action !== 'create') {
+    await ResearchSessionChange.create({
+      sessionId: session._id,
+      revision: 0,
+      action: 'baseline',
+      actor: { userId: null, clientId: null, role: 'system' },
+      changes: [],
+      pineconeIds: before,
+    });
+  }
+
+  const entry = await ResearchSessionChange.create({
+    sessionId: session._id,
+    revision,
+    action,
+    actor,
+    changes,
+    lastItemMetadataChanged,
+    revertedTo,
+    pineconeIds: after,
+  });
+
+  printLog(`[RESEARCH-COLLAB] session=${session._id} rev=${revision} action=${action} ops=${changes.length}`);
+  return entry.toObject();
+}
+
+/**
+ * Revisions for a session, newest first.
+ * @returns {Promise<{ revisions: object[], nextBefore: number|null }>}
+ */
+async function getSessionHistory(sessionId, { limit, before } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const query = { sessionId };
+  const beforeRevision = parseInt(before, 10);
+  if (Number.isFinite(beforeRevision)) query.revision = { $lt: beforeRevision };
+
+  const entries = await ResearchSessionChange.find(query)
+    .sort({ revision: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = entries.length > pageSize;
+  const page = hasMore ? entries.slice(0, pageSize) : entries;
+  return {
+    revisions: page.map(e => ({
+      revision: e.revision,
+      action: e.action,
+      actor: e.actor,
+      changes: e.changes,
+      lastItemMetadataChanged: !!e.lastItemMetadataChanged,
+      revertedTo: e.revertedTo ?? null,
+      pineconeIdsCount: (e.pineconeIds || []).length,
+      createdAt: e.createdAt,
+    })),
+    nextBefore: hasMore ? page[page.length - 1].revision : null,
+  };
+}
+
+/**
+ * Restore a session's item list to an earlier revision. Items still present
+ * keep their stored snapshot; re-added ids are re-fetched. Recorded as a new
+ * 'revert' revision, so reverts are themselves revertible.
+ *
+ * @param {object} session - ResearchSession document (not lean)
+ * @returns {Promise<{ session, change }|{ status: number, error: string, details: string }>}
+ */
+async function revertSessionToRevision({ session, revision, actor }) {
+  const target = await ResearchSessionChange.findOne({ sessionId: session._id, revision }).lean();
+  if (!target) {
+    return { status: 404, error: 'Revision not found', details: `No revision ${revision} for this session` };
+  }
+  if (target.pineconeIds.length > MAX_SESSION_ITEMS) {
+    return { status: 400, error: 'Too many items', details: `A research session can contain at most ${MAX_SESSION_ITEMS} unique items` };
+  }
+
+  const before = [...(session.pineconeIds || [])];
+  const itemById = new Map((session.items || []).map(item => [item.pineconeId, item]));
+  const missing = target.pineconeIds.filter(id => !itemById.has(id));
+
+  if (missing.length > 0) {
+    const clips = await getClipsByIdsBatch(missing);
+    const clipById = new Map();
+    (clips || []).forEach((clip) => {
+      if (clip && clip.shareLink) {
+        const { embedding, ...rest } = clip;
+        clipById.set(clip.shareLink, rest);
+      }
+    });
+    missing.forEach(id => itemById.set(id, { pineconeId: id, metadata: clipById.get(id) || null }));
+  }
+
+  session.pineconeIds = [...target.pineconeIds];
+  session.items = target.pineconeIds.map(id => itemById.get(id));
+  const last = session.items[session.items.length - 1];
+  session.lastItemMetadata = last?.metadata || null;
+  await session.save();
+
+  const change = await recordSessionChange({
+    session,
+    before,
+    actor,
+    action: 'revert',
+    lastItemMetadataChanged: true,
+    revertedTo: revision,
+  });
+  return { session, change };
+}
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  MAX_COLLABORATORS,
+  buildAccessQuery,
+  resolveSessionRole,
+  canEdit,
+  diffPineconeIds,
+  actorFromOwner,
+  recordSessionChange,
+  getSessionHistory,
+  revertSessionToRevision,
+};
@@ -7,6 +7,8 @@
 
 const { ResearchSession } = require('../models/ResearchSession');
 const { getClipsByIdsBatch } = require('../agent-tools/pineconeTools');
+const { recordSessionChange } = require('./researchSessionCollabService');
+const { collapseNearDuplicates } = require('../utils/nearDuplicates');
 const { OpenAI } = require('openai');
 const { printLog } = require('../constants.js');
 
@@ -64,13 +66,16 @@ async function generateSmartTitle(lastItemMetadata, fallbackTitle) {
 /**
  * Create a research session directly (no HTTP).
  *
+ * Near-duplicate clips from different episodes are merged into the first
+ * one, which records the others under metadata.alsoAppearsIn.
+ *
  * @param {object} opts
  * @param {string[]} opts.pineconeIds - Clip IDs (shareLink values)
  * @param {string} [opts.title] - Optional title override
  * @param {string} [opts.userId] - Authenticated user ID
  * @param {string} [opts.clientId] - Anonymous client ID
  * @param {Map<string, object>} [opts.clipCache] - Pre-fetched clip metadata from agent search results
- * @returns {{ sessionId: string, url: string, title: string, itemCount: number }}
+ * @returns {{ sessionId: string, url: string, title: string, itemCount: number, duplicatesCollapsed?: number }}
  */
 async function createResearchSessionDirect({ pineconeIds, title, userId, clientId, clipCache }) {
   if (!Array.isArray(pineconeIds) || pineconeIds.length === 0) {
@@ -92,6 +97,7 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
 
   // Build metadata from cache (populated by prior search_quotes calls) or Pinecone fallback
   const clipById = new Map();
+  const embeddingById = new Map();
   const uncachedIds = [];
 
   for (const id of uniqueIds) {
@@ -99,6 +105,7 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
     if (cached) {
       const { embedding, ...rest } = cached;
       clipById.set(id, rest);
+      if (embedding) embeddingById.set(id, embedding);
     } else {
       uncachedIds.push(id);
     }
@@ -119,6 +126,7 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
           if (clip && clip.shareLink) {
             const { embedding, ...rest } = clip;
             clipById.set(clip.shareLink, rest);
+            if (embedding) embeddingById.set(clip.shareLink, embedding);
           }
         }
       } catch (err) {
@@ -127,9 +135,21 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
     }
   }
 
-  const items = uniqueIds.map(id => ({
-    pineconeId: id,
-    metadata: clipById.get(id) || null,
+  // The agent often gathers the same quote from several feeds across
+  // searches; keep one item per paragraph and note where else it aired.
+  // Clips without metadata can't be compared and are always kept.
+  const { results: canonicalClips, collapsed } = collapseNearDuplicates(
+    uniqueIds.map(id => clipById.get(id) || { shareLink: id }),
+    { getEmbedding: clip => embeddingById.get(clip.shareLink), getText: clip => clip.quote || '' }
+  );
+  if (collapsed > 0) {
+    printLog(`[SESSION-SVC] Collapsed ${collapsed} near-duplicate clips`);
+  }
+  const sessionIds = canonicalClips.map(clip => clip.shareLink);
+
+  const items = canonicalClips.map(clip => ({
+    pineconeId: clip.shareLink,
+    metadata: clipById.has(clip.shareLink) ? clip : null,
   }));
 
   const lastClip = items.length > 0 ? items[items.length - 1].metadata : null;
@@ -139,7 +159,7 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
   const session = new ResearchSession({
     userId: userId || undefined,
     clientId: userId ? undefined : (clientId || undefined),
-    pineconeIds: uniqueIds,
+    pineconeIds: sessionIds,
     items,
     title: sessionTitle,
     lastItemMetadata: lastClip,
@@ -147,14 +167,22 @@ async function createResearchSessionDirect({ pineconeIds, title, userId, clientI
 
   await session.save();
 
+  await recordSessionChange({
+    session,
+    before: [],
+    actor: { userId: userId || null, clientId: userId ? null : (clientId || null), role: 'owner' },
+    action: 'create',
+  }).catch(err => printLog(`[SESSION-SVC] Failed to record create revision (non-fatal): ${err.message}`));
+
   const url = `${SESSION_BASE_URL}?researchSessionId=${session._id}`;
-  printLog(`[SESSION-SVC] Session created: ${session._id} (${uniqueIds.length} items) → ${url}`);
+  printLog(`[SESSION-SVC] Session created: ${session._id} (${sessionIds.length} items) → ${url}`);
 
   return {
     sessionId: String(session._id),
     url,
     title: sessionTitle,
-    itemCount: uniqueIds.length,
+    itemCount: sessionIds.length,
+    ...(collapsed > 0 ? { duplicatesCollapsed: collapsed } : {}),
   };
 }
 
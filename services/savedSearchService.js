@@ -0,0 +1,287 @@
+/**
+ * Saved Search Service — re-runs stored search-quotes / search-chapters
+ * queries on a cadence and reports only what is new since the previous run.
+ *
+ * Pure business logic: accepts params, returns data. No req/res.
+ *
+ * "New" means both:
+ *   - the episode was published on/after the previous run (minus a lookback
+ *     window, because episodes are often indexed hours after they air), and
+ *   - the pineconeId is not in the saved search's seenIds.
+ * The lookback re-scans recently published episodes so late ingests are not
+ * missed; seenIds keeps those re-scans from reporting the same hit twice.
+ *
+ * The first run of a saved search is a baseline: it seeds seenIds with the
+ * current matches and reports nothing.
+ *
+ * Webhook deliveries go only to public hosts and are signed like on-demand
+ * callbacks (utils/webhookTarget.js, middleware/hmac.js#signRequest), so
+ * receivers verify them with serviceHmac() using { [webhookKeyId]: webhookSecret }.
+ */
+
+const axios = require('axios');
+const { SavedSearch, SavedSearchRun, SAVED_SEARCH_KINDS, SAVED_SEARCH_CADENCES } = require('../models/SavedSearch');
+const { searchChapters } = require('./searchChaptersService');
+const { signRequest } = require('../middleware/hmac');
+const { validateWebhookUrl, parseWebhookTarget, webhookAgents } = require('../utils/webhookTarget');
+const { printLog } = require('../constants');
+
+const CADENCE_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// Scheduled runs start a few ms later or earlier on each hourly tick; coming
+// due this much early keeps a search run on one tick due on the tick a cadence later.
+const SCHEDULE_GRACE_MS = 10 * 60 * 1000;
+
+const INGEST_LOOKBACK_MS = (parseFloat(process.env.SAVED_SEARCH_LOOKBACK_HOURS) || 48) * 60 * 60 * 1000;
+const MAX_SEEN_IDS = 5000;
+const MAX_RESULTS_PER_RUN = 50;
+const MAX_DUE_PER_TICK = parseInt(process.env.SAVED_SEARCH_MAX_PER_TICK || '50', 10);
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEFAULT_WEBHOOK_KEY_ID = 'jamie-saved-search';
+
+// Request-body keys forwarded to each underlying search service. Anything
+// else (smartMode, expansions, minDate, ...) is dropped: smartMode would bill
+// an LLM triage call on every scheduled run, and the date window is owned by
+// the runner.
+const ALLOWED_PARAMS = {
+  quotes: ['query', 'feedIds', 'guid', 'guids', 'episodeName', 'retrievalMode', 'hybridWeights', 'limit'],
+  chapters: ['search', 'feedIds', 'limit'],
+};
+
+function computeNextRunAt(cadence, from = new Date()) {
+  return new Date(from.getTime() + (CADENCE_MS[cadence] || CADENCE_MS.daily) - SCHEDULE_GRACE_MS);
+}
+
+/**
+ * Validate and whitelist the search params for a saved search.
+ * @returns {{ params?: Object, error?: string }}
+ */
+function sanitizeParams(kind, rawParams) {
+  if (!SAVED_SEARCH_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${SAVED_SEARCH_KINDS.join(', ')}` };
+  }
+  if (!rawParams || typeof rawParams !== 'object' || Array.isArray(rawParams)) {
+    return { error: 'params must be an object' };
+  }
+
+  const params = {};
+  for (const key of ALLOWED_PARAMS[kind]) {
+    if (rawParams[key] !== undefined && rawParams[key] !== null) params[key] = rawParams[key];
+  }
+
+  const textKey = kind === 'quotes' ? 'query' : 'search';
+  if (typeof params[textKey] !== 'string' || params[textKey].trim().length === 0) {
+    return { error: `params.${textKey} is required for kind '${kind}'` };
+  }
+  params[textKey] = params[textKey].trim();
+
+  if (params.feedIds !== undefined) {
+    const feedIds = Array.isArray(params.feedIds) ? params.feedIds : [params.feedIds];
+    params.feedIds = feedIds.filter(Boolean).map(String);
+  }
+
+  const limit = parseInt(params.limit, 10);
+  params.limit = Math.min(Math.max(1, Number.isFinite(limit) ? limit : 20), MAX_RESULTS_PER_RUN);
+
+  return { params };
+}
+
+/**
+ * Validate webhook fields from a create/update body: a public https URL plus
+ * the secret deliveries are signed with.
+ * @returns {{ webhook?: { url, secret, keyId }, error?: string }} webhook is
+ *   undefined when no webhookUrl was supplied
+ */
+function parseWebhookOptions({ webhookUrl, webhookSecret, webhookKeyId } = {}) {
+  const { target, error } = parseWebhookTarget(
+    { url: webhookUrl, secret: webhookSecret, keyId: webhookKeyId },
+    { prefix: 'webhook', defaultKeyId: DEFAULT_WEBHOOK_KEY_ID }
+  );
+  if (error) return { error };
+  return target ? { webhook: target } : {};
+}
+
+function validateCadence(cadence) {
+  return SAVED_SEARCH_CADENCES.includes(cadence)
+    ? null
+    : `cadence must be one of: ${SAVED_SEARCH_CADENCES.join(', ')}`;
+}
+
+/**
+ * Run the underlying search and normalize hits to { id, publishedAt, result }.
+ */
+async function executeSearch(savedSearch, since, { openai }) {
+  const minDate = since ? new Date(since.getTime() - INGEST_LOOKBACK_MS).toISOString() : null;
+
+  if (savedSearch.kind === 'chapters') {
+    // Newest first, so `limit` keeps the latest chapters rather than the
+    // alphabetically first headlines
+    const response = await searchChapters({ ...savedSearch.params, minDate, page: 1, sort: 'newest' });
+    if (response.error) throw new Error(response.error);
+    return (response.data || []).map(hit => ({ id: hit.chapter.pineconeId, result: hit }));
+  }
+
+  // Lazy require: searchQuotesService builds a Pinecone client at import time.
+  const { searchQuotes } = require('./searchQuotesService');
+  const response = await searchQuotes({ ...savedSearch.params, minDate }, { openai });
+  if (response.status) throw new Error(response.message || response.error || `search failed (${response.status})`);
+  return (response.results || []).map(hit => ({ id: hit.shareLink, result: hit }));
+}
+
+async function deliverWebhook(savedSearch, run) {
+  const url = savedSearch.webhookUrl;
+  const targetError = validateWebhookUrl(url);
+  if (targetError) {
+    return { status: 'failed', httpStatus: null, error: targetError, deliveredAt: null };
+  }
+
+  // webhookSecret is select: false, so most callers' documents lack it
+  const secret = savedSearch.webhookSecret
+    || (await SavedSearch.findById(savedSearch._id).select('+webhookSecret').lean())?.webhookSecret;
+  if (!secret) {
+    return { status: 'failed', httpStatus: null, error: 'webhookSecret is not set; update the saved search to receive webhooks', deliveredAt: null };
+  }
+
+  const body = JSON.stringify({
+    event: 'saved_search.new_results',
+    savedSearchId: String(savedSearch._id),
+    name: savedSearch.name,
+    kind: savedSearch.kind,
+    runId: String(run._id),
+    ranAt: run.ranAt.toISOString(),
+    since: run.since ? run.since.toISOString() : null,
+    newCount: run.newCount,
+    results: run.results,
+  });
+  const keyId = savedSearch.webhookKeyId || DEFAULT_WEBHOOK_KEY_ID;
+
+  try {
+    const response = await axios.post(url, body, {
+      ...webhookAgents,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PullThatUpJamie-SavedSearch/1.0',
+        'X-Jamie-Event': 'saved_search.new_results',
+        'X-Jamie-Delivery': `${savedSearch._id}:${run._id}`,
+        ...signRequest({ method: 'POST', url, body, keyId, secret }),
+      },
+      validateStatus: () => true,
+      maxRedirects: 0,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      status: ok ? 'delivered' : 'failed',
+      httpStatus: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      deliveredAt: ok ? new Date() : null,
+    };
+  } catch (error) {
+    return { status: 'failed', httpStatus: null, error: error.message, deliveredAt: null };
+  }
+}
+
+/**
+ * Execute one saved search, record a SavedSearchRun and advance the schedule.
+ *
+ * @param {Object} savedSearch - SavedSearch mongoose document
+ * @param {Object} deps - { openai }
+ * @param {Object} [options] - { trigger: 'schedule' | 'manual', tickAt: Date }
+ *   tickAt is the start of the scheduler tick; the next run is scheduled from
+ *   it rather than from this run's own start
+ * @returns {Promise<Object>} the saved SavedSearchRun (lean)
+ */
+async function runSavedSearch(savedSearch, { openai }, { trigger = 'schedule', tickAt = null } = {}) {
+  const ranAt = new Date();
+  const since = savedSearch.lastRunAt || null;
+  const baseline = !since;
+
+  const run = new SavedSearchRun({
+    savedSearchId: savedSearch._id,
+    userId: savedSearch.userId,
+    trigger,
+    ranAt,
+    since,
+    baseline,
+  });
+
+  let newIds = [];
+  try {
+    const hits = await executeSearch(savedSearch, since, { openai });
+    const seen = new Set(savedSearch.seenIds || []);
+    const fresh = hits.filter(hit => hit.id && !seen.has(hit.id));
+
+    run.totalMatched = hits.length;
+    newIds = fresh.map(hit => hit.id);
+    if (!baseline) {
+      run.results = fresh.map(hit => hit.result);
+      run.newCount = fresh.length;
+    }
+  } catch (error) {
+    run.error = error.message;
+  }
+
+  if (!run.error && run.newCount > 0 && savedSearch.webhookUrl) {
+    run.webhook = await deliverWebhook(savedSearch, run);
+  }
+
+  await run.save();
+
+  const update = {
+    $set: {
+      lastRunAt: run.error ? savedSearch.lastRunAt : ranAt,
+      nextRunAt: computeNextRunAt(savedSearch.cadence, tickAt || ranAt),
+      lastRunStatus: run.error ? 'error' : 'ok',
+      lastError: run.error,
+    },
+    $inc: { runCount: 1 },
+  };
+  if (newIds.length > 0) {
+    update.$push = { seenIds: { $each: newIds, $position: 0, $slice: MAX_SEEN_IDS } };
+  }
+  await SavedSearch.updateOne({ _id: savedSearch._id }, update);
+
+  printLog(`[SavedSearch] ${savedSearch._id} (${trigger}) baseline=${baseline} matched=${run.totalMatched} new=${run.newCount}${run.error ? ` error=${run.error}` : ''}`);
+  return run.toObject();
+}
+
+/**
+ * Run every enabled saved search whose nextRunAt has passed, oldest first.
+ * Called from the scheduler under runIfLockHeld so only one instance runs it.
+ *
+ * @param {Object} deps - { openai }
+ * @param {Object} [options] - { tickAt: Date } start of the scheduler tick
+ */
+async function runDueSavedSearches({ openai }, { tickAt = new Date() } = {}) {
+  const due = await SavedSearch.find({ enabled: true, nextRunAt: { $lte: tickAt } })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_DUE_PER_TICK);
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, newResults: 0 };
+  for (const savedSearch of due) {
+    try {
+      const run = await runSavedSearch(savedSearch, { openai }, { trigger: 'schedule', tickAt });
+      summary.processed++;
+      if (run.error) summary.failed++;
+      else summary.succeeded++;
+      summary.newResults += run.newCount;
+    } catch (error) {
+      summary.processed++;
+      summary.failed++;
+      console.error(`[SavedSearch] Run failed for ${savedSearch._id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  runSavedSearch,
+  runDueSavedSearches,
+  sanitizeParams,
+  parseWebhookOptions,
+  validateCadence,
+  computeNextRunAt,
+};
@@ -6,7 +6,14 @@
 
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 
-async function searchChapters({ search, feedIds = [], limit: rawLimit = 20, page: rawPage = 1 }) {
+// 'headline' is the browsing order; 'newest' is for callers that only want
+// the latest chapters (saved-search re-runs)
+const CHAPTER_SORTS = {
+  headline: { 'metadataRaw.headline': 1 },
+  newest: { publishedTimestamp: -1, pineconeId: 1 },
+};
+
+async function searchChapters({ search, feedIds = [], minDate = null, maxDate = null, limit: rawLimit = 20, page: rawPage = 1, sort = 'headline' }) {
   if (!search || typeof search !== 'string' || search.trim().length === 0) {
     return { error: 'search is required', status: 400 };
   }
@@ -32,11 +39,17 @@ async function searchChapters({ search, feedIds = [], limit: rawLimit = 20, page
     query.feedId = { $in: feedIdArray };
   }
 
+  if (minDate || maxDate) {
+    query.publishedTimestamp = {};
+    if (minDate) query.publishedTimestamp.$gte = new Date(minDate).getTime();
+    if (maxDate) query.publishedTimestamp.$lte = new Date(maxDate).getTime();
+  }
+
   const totalCount = await JamieVectorMetadata.countDocuments(query);
 
   const chapters = await JamieVectorMetadata.find(query)
     .select('pineconeId guid feedId start_time end_time metadataRaw')
-    .sort({ 'metadataRaw.headline': 1 })
+    .sort(Object.hasOwn(CHAPTER_SORTS, sort) ? CHAPTER_SORTS[sort] : CHAPTER_SORTS.headline)
     .skip(skip)
     .limit(limit)
     .lean();
@@ -103,7 +116,12 @@ async function searchChapters({ search, feedIds = [], limit: rawLimit = 20, page
   return {
     data,
     pagination: { page, totalPages, totalCount, limit, hasMore: page < totalPages },
-    query: { search: searchTerm, feedIds: feedIdArray.length > 0 ? feedIdArray : null },
+    query: {
+      search: searchTerm,
+      feedIds: feedIdArray.length > 0 ? feedIdArray : null,
+      minDate: minDate || null,
+      maxDate: maxDate || null,
+    },
   };
 }
 
@@ -8,10 +8,34 @@
  * on, an Atlas Search lexical aggregation runs in parallel and its results are
  * interleaved before the vector results. See docs/WIP/PROPER_NOUN_RECALL_FIX.md
  * for the why.
+ *
+ * Callers can override that default with `retrievalMode`:
+ *   - 'vector'     — Pinecone only, lexical never runs
+ *   - 'lexical'    — Atlas Search only, no embedding call
+ *   - 'hybrid-rrf' — both paths run for every query (no proper-noun gate) and
+ *                    are fused with weighted reciprocal-rank fusion
+ * Omitting it keeps the heuristic-gated literal-first interleave.
+ *
+ * `properNounSearch` (boolean) overrides the PROPER_NOUN_SEARCH_ENABLED kill
+ * switch for one call so the retrieval eval harness (scripts/retrieval-eval.js)
+ * can compare lexical on/off without restarting the process.
+ *
+ * `speaker` restricts results to paragraphs diarized as spoken by that person
+ * (see utils/speakerLabels.js). It is a Pinecone metadata filter on the vector
+ * path; Atlas can't filter on it, so lexical hits are over-fetched and
+ * narrowed in MongoDB before they are merged. Unlabelled paragraphs never
+ * match. Every result carries `speaker` ("who said it") when known.
+ *
+ * Near-identical paragraphs from different episodes (re-uploads, clips
+ * channels, syndicated feeds) are collapsed into the highest-ranked one, which
+ * lists the others under `alsoAppearsIn` (see utils/nearDuplicates.js).
+ * The merged pool is over-fetched and only cut to `limit` after collapsing;
+ * stored vectors are fetched just for results whose text partly overlaps
+ * another's. `collapseDuplicates: false` returns every copy.
  */
 
 const { printLog } = require('../constants.js');
-const { findSimilarDiscussions } = require('../agent-tools/pineconeTools.js');
+const { findSimilarDiscussions, getVectorValuesByIds } = require('../agent-tools/pineconeTools.js');
 const { publicAudioUrl } = require('../utils/audioFormat.js');
 const { triageQuery } = require('../utils/queryTriage');
 const { isProperNounShaped } = require('../utils/properNounDetector');
@@ -19,10 +43,36 @@ const { atlasTextSearch } = require('./atlasTextSearch');
 const { expandProperNounQuery } = require('./properNounLLMExpansion');
 const JamieVectorMetadata = require('../models/JamieVectorMetadata');
 const { ensureFeedLanguages, getFeedLanguageSync } = require('../utils/feedLanguage');
+const { normalizeSpeakerKey, speakerFromMetadata } = require('../utils/speakerLabels');
+const { createEmbeddings, getEmbeddingProvider } = require('../utils/embeddings');
+const { collapseNearDuplicates, embeddingCandidates } = require('../utils/nearDuplicates');
 
 const PROPER_NOUN_SEARCH_ENABLED = process.env.PROPER_NOUN_SEARCH_ENABLED === 'true';
 const PROPER_NOUN_LLM_EXPANSION_ENABLED = process.env.PROPER_NOUN_LLM_EXPANSION_ENABLED === 'true';
 
+const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid-rrf'];
+
+// Standard RRF damping constant (Cormack et al.). Larger k flattens the
+// advantage of the top ranks; 60 is the value the literature and Atlas'
+// own $rankFusion default to.
+// Unset, non-numeric or negative env values fall back to these defaults.
+function nonNegativeEnv(value, fallback, parse) {
+  const parsed = parse(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+const RRF_K = nonNegativeEnv(process.env.HYBRID_RRF_K, 60, v => parseInt(v, 10));
+const DEFAULT_RRF_WEIGHTS = {
+  vector: nonNegativeEnv(process.env.HYBRID_RRF_VECTOR_WEIGHT, 1, parseFloat),
+  lexical: nonNegativeEnv(process.env.HYBRID_RRF_LEXICAL_WEIGHT, 1, parseFloat),
+};
+// Each retriever is asked for more candidates than the final limit so a
+// document ranked modestly by both lists can still fuse into the top N.
+const HYBRID_CANDIDATE_MULTIPLIER = 2;
+const HYBRID_CANDIDATE_CAP = 50;
+// Collapsing near-duplicates removes results after the merge, so the merged
+// pool is this many times the limit and cut down afterwards.
+const COLLAPSE_POOL_MULTIPLIER = 2;
+
 /**
  * Merge vector + lexical retrieval results into a single, deduped, capped list.
  *
@@ -85,13 +135,114 @@ function mergeVectorAndLexical(vectorResults, lexicalResults, limit) {
   return merged;
 }
 
+/**
+ * Merge vector + lexical retrieval results with weighted reciprocal-rank
+ * fusion: each document scores `Σ weight / (k + rank)` over the lists it
+ * appears in (1-based ranks). Raw retriever scores are ignored for ordering —
+ * cosine similarity and Atlas BM25 scores live on incomparable scales, ranks
+ * don't.
+ *
+ * Each fused entry carries its component ranks (null when absent from that
+ * list) so callers can explain why a result landed where it did.
+ */
+function fuseReciprocalRank(vectorResults, lexicalResults, limit, { k = RRF_K, weights = DEFAULT_RRF_WEIGHTS } = {}) {
+  const vectorWeight = Number.isFinite(weights?.vector) ? weights.vector : DEFAULT_RRF_WEIGHTS.vector;
+  const lexicalWeight = Number.isFinite(weights?.lexical) ? weights.lexical : DEFAULT_RRF_WEIGHTS.lexical;
+  const byId = new Map();
+
+  const accumulate = (list, kind, weight) => {
+    let rank = 0;
+    for (const hit of Array.isArray(list) ? list : []) {
+      if (!hit || !hit.id) continue;
+      let entry = byId.get(hit.id);
+      if (entry && entry[`${kind}Rank`] !== null) continue; // duplicate within one list
+      rank++;
+      if (!entry) {
+        entry = {
+          id: hit.id,
+          fusedScore: 0,
+          vectorRank: null,
+          lexicalRank: null,
+          vectorScore: null,
+          lexicalScore: null,
+        };
+        byId.set(hit.id, entry);
+      }
+      entry[`${kind}Rank`] = rank;
+      entry[`${kind}Score`] = typeof hit.score === 'number' ? hit.score : null;
+      entry.fusedScore += weight / (k + rank);
+    }
+  };
+
+  accumulate(vectorResults, 'vector', vectorWeight);
+  accumulate(lexicalResults, 'lexical', lexicalWeight);
+
+  // Ties (identical fused score) fall back to the best single-list rank so
+  // the ordering is deterministic.
+  const bestRank = e => Math.min(e.vectorRank ?? Infinity, e.lexicalRank ?? Infinity);
+  return [...byId.values()]
+    .sort((a, b) => (b.fusedScore - a.fusedScore) || (bestRank(a) - bestRank(b)))
+    .slice(0, limit)
+    .map(e => ({
+      ...e,
+      score: e.fusedScore,
+      source: e.vectorRank !== null && e.lexicalRank !== null
+        ? 'both'
+        : (e.vectorRank !== null ? 'vector' : 'lexical'),
+    }));
+}
+
+/**
+ * Resolve caller-supplied `hybridWeights` against the env defaults. Negative
+ * or non-numeric weights fall back so a typo can't invert a retriever.
+ */
+function normalizeHybridWeights(hybridWeights) {
+  const pick = (value, fallback) => (
+    typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback
+  );
+  return {
+    vector: pick(hybridWeights?.vector, DEFAULT_RRF_WEIGHTS.vector),
+    lexical: pick(hybridWeights?.lexical, DEFAULT_RRF_WEIGHTS.lexical),
+  };
+}
+
 async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
   let {
     query, feedIds = [], limit = 5, minDate = null, maxDate = null,
     episodeName = null, guid = null, guids: guidsParam = [], smartMode = false,
-    expansions = [],
+    expansions = [], retrievalMode = null, hybridWeights = null, speaker = null,
+    properNounSearch = null, collapseDuplicates = true,
   } = params;
 
+  if (retrievalMode != null && !RETRIEVAL_MODES.includes(retrievalMode)) {
+    return {
+      status: 400,
+      error: 'Bad request',
+      message: `retrievalMode must be one of: ${RETRIEVAL_MODES.join(', ')}`,
+      results: [],
+    };
+  }
+  if (speaker != null && (typeof speaker !== 'string' || !normalizeSpeakerKey(speaker))) {
+    return {
+      status: 400,
+      error: 'Bad request',
+      message: 'speaker must be a non-empty string',
+      results: [],
+    };
+  }
+  const speakerKey = speaker != null ? normalizeSpeakerKey(speaker) : null;
+
+  // The Atlas index has no `episode` mapping (see atlasTextSearch), so a
+  // lexical-only search cannot honour an exact episode filter.
+  if (retrievalMode === 'lexical' && episodeName) {
+    return {
+      status: 400,
+      error: 'Bad request',
+      message: "retrievalMode 'lexical' does not support episodeName; use guid or retrievalMode 'vector'",
+      results: [],
+    };
+  }
+
   // Model-provided expansions: pre-cleaned in the tool handler, but defensive
   // re-dedupe here in case searchQuotes is called from another path.
   const modelExpansions = Array.isArray(expansions)
@@ -116,12 +267,12 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
       query: typeof query === 'string' ? query : '',
       results: [],
       total: 0,
-      model: 'text-embedding-ada-002',
+      model: getEmbeddingProvider().model,
       error: 'Embeddings search requires a non-empty query string. Retry with a concrete phrase from the user question.',
     };
   }
 
-  printLog(`[${requestId}] searchQuotes: query="${query}", limit=${limit}, smartMode=${smartMode}`);
+  printLog(`[${requestId}] searchQuotes: query="${query}", limit=${limit}, smartMode=${smartMode}${retrievalMode ? `, retrievalMode=${retrievalMode}` : ''}${speakerKey ? `, speaker="${speakerKey}"` : ''}`);
 
   let triageResult = null;
   if (smartMode && !feedIds.length && !guids.length) {
@@ -131,7 +282,7 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
       if (triageResult.rewrittenQuery) query = triageResult.rewrittenQuery;
       if (triageResult.feedIds?.length) feedIds = triageResult.feedIds;
       if (triageResult.guids?.length) guids = triageResult.guids;
-      if (triageResult.episodeName) episodeName = triageResult.episodeName;
+      if (triageResult.episodeName && retrievalMode !== 'lexical') episodeName = triageResult.episodeName;
       if (triageResult.minDate && !minDate) minDate = triageResult.minDate;
       if (triageResult.maxDate && !maxDate) maxDate = triageResult.maxDate;
     } catch (err) {
@@ -145,7 +296,7 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
       query: '',
       results: [],
       total: 0,
-      model: 'text-embedding-ada-002',
+      model: getEmbeddingProvider().model,
       error: 'Query became empty after triage rewrite. Retry search_quotes with an explicit keyword phrase (do not rely on triage alone).',
       ...(triageResult ? { triage: triageResult.triage, originalQuery } : {}),
     };
@@ -156,11 +307,32 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
   // Model-provided expansions are themselves a strong proper-noun signal, so
   // they bypass the heuristic gate: if the orchestrator thought variants were
   // worth generating, the lexical path is worth running.
-  const lexicalActivated = PROPER_NOUN_SEARCH_ENABLED
-    && !episodeName
-    && (isProperNounShaped(query) || modelExpansions.length > 0);
-
-  const llmExpansionActivated = lexicalActivated && PROPER_NOUN_LLM_EXPANSION_ENABLED;
+  // An explicit retrievalMode replaces the gate entirely: 'lexical' and
+  // 'hybrid-rrf' run Atlas for any query shape (jargon like "mempool policy"
+  // never looks like a proper noun), still skipping it under episodeName.
+  const properNounShaped = isProperNounShaped(query) || modelExpansions.length > 0;
+  const vectorActivated = retrievalMode !== 'lexical';
+  const lexicalActivated = retrievalMode
+    ? retrievalMode !== 'vector' && !episodeName
+    : (properNounSearch ?? PROPER_NOUN_SEARCH_ENABLED) && !episodeName && properNounShaped;
+  const hybridActivated = retrievalMode === 'hybrid-rrf';
+  // hybrid-rrf under an episode filter degrades to vector-only; say so in
+  // the response rather than silently returning unfused results.
+  const lexicalSkipped = hybridActivated && episodeName ? 'episodeName' : null;
+  if (lexicalSkipped) {
+    printLog(`[${requestId}] hybrid-rrf: lexical leg skipped (episodeName is not in the Atlas index)`);
+  }
+  const collapseActivated = collapseDuplicates !== false;
+  const poolLimit = collapseActivated
+    ? Math.max(limit, Math.min(limit * COLLAPSE_POOL_MULTIPLIER, HYBRID_CANDIDATE_CAP))
+    : limit;
+  const candidateLimit = hybridActivated
+    ? Math.max(poolLimit, Math.min(poolLimit * HYBRID_CANDIDATE_MULTIPLIER, HYBRID_CANDIDATE_CAP))
+    : poolLimit;
+
+  // Expansion variants only help literal-term recall, so even when a mode
+  // forces lexical on we keep the proper-noun gate for the LLM call.
+  const llmExpansionActivated = lexicalActivated && properNounShaped && PROPER_NOUN_LLM_EXPANSION_ENABLED;
   const lexicalStartedAt = lexicalActivated ? Date.now() : null;
 
   // LLM expansion runs in parallel with the embedding call so its latency is
@@ -170,7 +342,9 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     ? expandProperNounQuery(query, { openai }, { requestId })
     : Promise.resolve({ variants: [], usage: null });
 
-  const embeddingPromise = openai.embeddings.create({ model: 'text-embedding-ada-002', input: query });
+  const embeddingPromise = vectorActivated
+    ? createEmbeddings({ input: query, openai })
+    : Promise.resolve(null);
 
   const [embeddingResponse, expansionResult] = await Promise.all([
     embeddingPromise,
@@ -182,12 +356,13 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     : (expansionResult?.variants || []);
 
   // Record real-money helper spend on this search:
-  //   - text-embedding-ada-002 always fires (input-only billing).
+  //   - the corpus embedding model fires unless retrievalMode is 'lexical' (input-only
+  //     billing; local/stub providers report zero tokens).
   //   - gpt-4o-mini expansion fires only when llmExpansionActivated.
   if (typeof recordHelperLlmUsage === 'function') {
     const embedTokens = embeddingResponse?.usage?.total_tokens || embeddingResponse?.usage?.prompt_tokens || 0;
     if (embedTokens > 0) {
-      recordHelperLlmUsage('text-embedding-ada-002', embedTokens, 0);
+      recordHelperLlmUsage(embeddingResponse.model, embedTokens, 0);
     }
     const expansionUsage = !Array.isArray(expansionResult) && expansionResult?.usage;
     if (expansionUsage) {
@@ -207,26 +382,58 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     ...expansionVariants.map(s => (typeof s === 'string' ? s.trim() : '')).filter(Boolean),
   ])];
 
-  const lexicalRaw = lexicalActivated
+  let lexicalRaw = lexicalActivated
     ? await atlasTextSearch({
-        query, feedIds, guids, minDate, maxDate, limit, requestId,
+        query, feedIds, guids, minDate, maxDate,
+        limit: speakerKey ? HYBRID_CANDIDATE_CAP : candidateLimit,
+        requestId,
         extraQueries: mergedExpansions,
       })
     : [];
 
-  const embedding = embeddingResponse.data[0].embedding;
+  // Drop other speakers' lexical hits before the merge so they can't take
+  // slots (or ranks) from the speaker's own paragraphs.
+  if (speakerKey && lexicalRaw.length > 0) {
+    const spoken = await JamieVectorMetadata.find({
+      pineconeId: { $in: lexicalRaw.map(r => r.id) },
+      type: 'paragraph',
+      speakerKey,
+    })
+      .select('pineconeId')
+      .lean();
+    const spokenIds = new Set(spoken.map(doc => doc.pineconeId));
+    const lexicalHits = lexicalRaw.length;
+    lexicalRaw = lexicalRaw.filter(r => spokenIds.has(r.id));
+    printLog(`[${requestId}] Speaker filter kept ${lexicalRaw.length}/${lexicalHits} lexical hits`);
+  }
 
   const lexicalLatencyMs = lexicalStartedAt ? Date.now() - lexicalStartedAt : null;
 
-  const minimalResults = await findSimilarDiscussions({
-    embedding, feedIds, guids, limit, query,
-    minDate, maxDate, episodeName, includeMetadata: false,
-  });
-  printLog(`[${requestId}] Pinecone returned ${minimalResults.length} results`);
+  let minimalResults = [];
+  if (vectorActivated) {
+    const embedding = embeddingResponse.data[0].embedding;
+    minimalResults = await findSimilarDiscussions({
+      embedding, feedIds, guids, limit: candidateLimit, query,
+      minDate, maxDate, episodeName, speakerKey, includeMetadata: false,
+      embeddingModelId: embeddingResponse.modelId,
+    });
+    printLog(`[${requestId}] Pinecone returned ${minimalResults.length} results`);
+  }
 
-  const merged = lexicalActivated
-    ? mergeVectorAndLexical(minimalResults, lexicalRaw, limit)
-    : minimalResults.map(r => ({ id: r.id, score: r.score, source: 'vector', vectorScore: r.score }));
+  let merged;
+  if (hybridActivated) {
+    merged = fuseReciprocalRank(minimalResults, lexicalRaw, poolLimit, {
+      weights: normalizeHybridWeights(hybridWeights),
+    });
+  } else if (retrievalMode === 'lexical') {
+    merged = lexicalRaw.slice(0, poolLimit).map((r, i) => ({
+      id: r.id, score: r.score, source: 'lexical', lexicalScore: r.score, lexicalRank: i + 1,
+    }));
+  } else if (lexicalActivated) {
+    merged = mergeVectorAndLexical(minimalResults, lexicalRaw, poolLimit);
+  } else {
+    merged = minimalResults.map(r => ({ id: r.id, score: r.score, source: 'vector', vectorScore: r.score }));
+  }
 
   if (lexicalActivated) {
     const sourceMix = merged.reduce((acc, r) => {
@@ -240,13 +447,14 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     const modelExpansionSuffix = modelExpansions.length
       ? `, modelExpansion=${modelExpansions.length} variant(s) ${JSON.stringify(modelExpansions)}`
       : '';
-    printLog(`[${requestId}] Lexical activated: hits=${lexicalRaw.length}, latency=${lexicalLatencyMs}ms, overlap=${overlap}, finalMix=${JSON.stringify(sourceMix)}${modelExpansionSuffix}${expansionSuffix}`);
+    printLog(`[${requestId}] Lexical activated${retrievalMode ? ` (mode=${retrievalMode})` : ''}: hits=${lexicalRaw.length}, latency=${lexicalLatencyMs}ms, overlap=${overlap}, finalMix=${JSON.stringify(sourceMix)}${modelExpansionSuffix}${expansionSuffix}`);
   }
 
   const pineconeIds = merged.map(r => r.id);
   const metadataDocs = await JamieVectorMetadata.find({
     pineconeId: { $in: pineconeIds },
     type: 'paragraph',
+    ...(speakerKey ? { speakerKey } : {}),
   })
     .select('pineconeId metadataRaw')
     .lean();
@@ -259,7 +467,7 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
   await ensureFeedLanguages();
 
   const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
-  const results = merged
+  let results = merged
     .map(merge => {
       const metadata = metadataMap.get(merge.id);
       if (!metadata) return null;
@@ -271,6 +479,7 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
 
       const vectorScore = typeof merge.vectorScore === 'number' ? merge.vectorScore : null;
       const lexicalScore = typeof merge.lexicalScore === 'number' ? merge.lexicalScore : null;
+      const fusedScore = typeof merge.fusedScore === 'number' ? merge.fusedScore : null;
 
       return {
         shareUrl: `${baseUrl}/share?clip=${merge.id}`,
@@ -289,12 +498,25 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
         episodeImage: metadata.episodeImage || 'Image unavailable',
         listenLink: metadata.listenLink || '',
         date: metadata.publishedDate || 'Date not provided',
+        // Who said it: { name, label, confidence } from diarization, null when
+        // the paragraph has not been speaker-labelled.
+        speaker: speakerFromMetadata(metadata),
         source: merge.source,
         similarity: {
-          combined: vectorScore !== null ? parseFloat(vectorScore.toFixed(4)) : null,
+          combined: fusedScore !== null
+            ? parseFloat(fusedScore.toFixed(6))
+            : (vectorScore !== null ? parseFloat(vectorScore.toFixed(4)) : null),
           vector: vectorScore !== null ? parseFloat(vectorScore.toFixed(4)) : null,
           lexical: lexicalScore !== null ? parseFloat(lexicalScore.toFixed(4)) : null,
+          // RRF scores are tiny (≤ Σweights / (k + 1)), hence the extra precision.
+          ...(fusedScore !== null ? { fused: parseFloat(fusedScore.toFixed(6)) } : {}),
         },
+        ...(retrievalMode ? {
+          ranks: {
+            vector: merge.vectorRank ?? null,
+            lexical: merge.lexicalRank ?? null,
+          },
+        } : {}),
         timeContext: {
           start_time: metadata.start_time || null,
           end_time: metadata.end_time || null,
@@ -303,13 +525,37 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     })
     .filter(Boolean);
 
+  const afterMerge = results.length;
+  let duplicatesCollapsed = 0;
+  if (collapseActivated) {
+    // Only pairs with partial text overlap need the cosine check; everything
+    // else is decided on shingles, so most searches fetch no vectors at all.
+    const vectorIds = embeddingCandidates(results).map(r => r.shareLink);
+    let valuesById = new Map();
+    if (vectorIds.length > 0) {
+      try {
+        valuesById = await getVectorValuesByIds(vectorIds);
+      } catch (err) {
+        printLog(`[${requestId}] Near-duplicate vector fetch failed (non-fatal, shingles only): ${err.message}`);
+      }
+    }
+    const deduped = collapseNearDuplicates(results, { getEmbedding: r => valuesById.get(r.shareLink) });
+    results = deduped.results;
+    duplicatesCollapsed = deduped.collapsed;
+    if (duplicatesCollapsed > 0) {
+      printLog(`[${requestId}] Near-duplicate pass: collapsed ${duplicatesCollapsed} cross-episode copies`);
+    }
+  }
+  results = results.slice(0, limit);
+
   printLog(`[${requestId}] searchQuotes complete: ${results.length} results`);
 
   const response = {
     query,
     results,
     total: results.length,
-    model: 'text-embedding-ada-002',
+    ...(duplicatesCollapsed > 0 ? { duplicatesCollapsed } : {}),
+    model: getEmbeddingProvider().model,
     relatedEndpoints: {
       discoverPodcasts: {
         description: 'Search the full Podcast Index catalog for podcasts not yet in our corpus',
@@ -323,12 +569,23 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
       },
     },
   };
+  if (retrievalMode) {
+    response.retrievalMode = retrievalMode;
+  }
+  if (speakerKey) {
+    response.speaker = speaker.trim();
+  }
+  if (hybridActivated) {
+    response.fusion = { method: 'rrf', k: RRF_K, weights: normalizeHybridWeights(hybridWeights) };
+  }
   if (lexicalActivated) {
     response.lexical = {
       activated: true,
       latencyMs: lexicalLatencyMs,
       hits: Array.isArray(lexicalRaw) ? lexicalRaw.length : 0,
     };
+  } else if (lexicalSkipped) {
+    response.lexical = { activated: false, skipped: lexicalSkipped };
   }
   if (triageResult) {
     response.originalQuery = originalQuery;
@@ -344,6 +601,8 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
     : null;
   response._meta = {
     query,
+    retrievalMode: retrievalMode || 'auto',
+    speaker: speakerKey,
     lexical: lexicalActivated
       ? {
           activated: true,
@@ -352,17 +611,24 @@ async function searchQuotes(params, { openai, recordHelperLlmUsage }) {
           expansionVariants: Array.isArray(expansionVariants) ? expansionVariants : [],
           expansionActivated: !!llmExpansionActivated,
         }
-      : { activated: false },
+      : { activated: false, ...(lexicalSkipped ? { skipped: lexicalSkipped } : {}) },
     vector: {
+      activated: vectorActivated,
       hits: Array.isArray(minimalResults) ? minimalResults.length : 0,
     },
     mix: sourceMix,
     overlap: lexicalActivated ? merged.filter(r => r.source === 'both').length : 0,
-    afterMerge: results.length,
+    afterMerge,
+    duplicatesCollapsed,
     triage: triageResult?.triage || null,
   };
 
   return response;
 }
 
-module.exports = { searchQuotes, mergeVectorAndLexical };
+module.exports = {
+  searchQuotes,
+  mergeVectorAndLexical,
+  fuseReciprocalRank,
+  RETRIEVAL_MODES,
+};
@@ -4,10 +4,15 @@
  * Powers Dossier, Arc, and the person side of Split. Composes corpus + search:
  *   resolve person -> appearances -> dedicated/mainstream filter ->
  *   search-quotes fan-out (guids × themes) -> dedup/span-sort -> confidence tag.
+ *
+ * Episodes whose paragraphs are speaker-diarized for this person are searched
+ * with the `speaker` filter, so those quotes are genuinely BY them
+ * (speakerVerified). Undiarized episodes fall back to episode scoping.
  */
 
 const { searchQuotes } = require('../searchQuotesService');
-const { findPeople, getPersonEpisodes } = require('../corpusService');
+const { findPeople, getPersonEpisodes, getSpeakerLabelledGuids } = require('../corpusService');
+const { normalizeSpeakerKey } = require('../../utils/speakerLabels');
 const taste = require('./tapeTaste');
 const { TapeHttpError } = require('./tapeErrors');
 const { candidateFromResult, validateDate } = require('./tapeShared');
@@ -82,13 +87,21 @@ async function personQuotes(input = {}, { openai } = {}) {
 
   const dedicatedGuids = new Set(episodes.filter((e) => taste.isDedicated(e.title, resolvedName)).map((e) => e.guid));
 
-  // 5. Fan out search-quotes across guids × themes.
+  // 5. Fan out search-quotes across guids × themes, speaker-filtered where
+  // the episode has diarization labels for this person.
+  const labelledGuids = new Set(await getSpeakerLabelledGuids({
+    name: resolvedName,
+    guids: episodes.map((e) => e.guid),
+  }));
+  underlying.speakerLabelledEpisodes = labelledGuids.size;
+
   const tasks = [];
   for (const ep of episodes) {
+    const speaker = labelledGuids.has(ep.guid) ? resolvedName : null;
     for (const theme of themes) {
       tasks.push(
         searchQuotes(
-          { query: theme, guids: [ep.guid], minDate, maxDate, limit: f.quotesPerEpisode },
+          { query: theme, guids: [ep.guid], minDate, maxDate, limit: f.quotesPerEpisode, speaker },
           { openai, recordHelperLlmUsage },
         ).then((r) => ({ ep, results: r.results || [] })),
       );
@@ -144,17 +157,20 @@ async function personQuotes(input = {}, { openai } = {}) {
 
   // 7. Confidence tagging.
   const maxSpan = candidates.reduce((m, c) => Math.max(m, c.spanSec || 0), 0) || 1;
+  const speakerKey = normalizeSpeakerKey(resolvedName);
   candidates = candidates.map((c) => {
     const dedicated = dedicatedGuids.has(c._ep?.guid);
     const mainstream = taste.isMainstream(c.creator);
     const spanRank = (c.spanSec || 0) / maxSpan;
     const firstPerson = firstPersonHeuristic(c.text);
-    const { score, tier } = taste.scoreConfidence({ dedicated, mainstream, spanRank, firstPerson });
+    const speakerVerified = !!c.speaker?.name && normalizeSpeakerKey(c.speaker.name) === speakerKey;
+    const { score, tier } = taste.scoreConfidence({ dedicated, mainstream, spanRank, firstPerson, speakerVerified });
     const { _ep, ...clean } = c;
     return {
       ...clean,
       confidenceTier: tier,
-      _signals: { dedicated, mainstream, spanRank: parseFloat(spanRank.toFixed(2)), firstPerson, score },
+      speakerVerified,
+      _signals: { dedicated, mainstream, spanRank: parseFloat(spanRank.toFixed(2)), firstPerson, speakerVerified, score },
     };
   });
 
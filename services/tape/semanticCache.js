@@ -3,9 +3,10 @@
  * query reuse a cached result even when the bytes differ ("spacex IPO" vs
  * "spacex ipo" vs "when is SpaceX going public").
  *
- * How: embed the query's free-text (ada-002), compare by cosine to the embeddings
- * of recent cached queries WITHIN the same hard scope (kind + prompt version +
- * asOfDate + model); a match ≥ threshold returns that query's cache key. No
+ * How: embed the query's free-text (the `tape-semantic-cache` embedding
+ * namespace, ada-002 by default), compare by cosine to the embeddings of recent
+ * cached queries WITHIN the same hard scope (kind + prompt version + asOfDate +
+ * model + embedding model); a match ≥ threshold returns that query's cache key. No
  * LLM-per-comparison — just one embedding + an in-memory cosine scan.
  *
  * Storage is tiny and in-memory: ~6 KB per vector, LRU-capped per scope, wiped on
@@ -16,10 +17,12 @@
  * kinds (brief / split / narrative / dossier) are where this helps.
  */
 
+const { createEmbeddings, getEmbeddingProvider } = require('../../utils/embeddings');
+
 const ENABLED = process.env.TAPE_SEMANTIC_CACHE !== 'false';
 const THRESHOLD = parseFloat(process.env.TAPE_SEMANTIC_CACHE_THRESHOLD || '0.93');
 const MAX_PER_SCOPE = parseInt(process.env.TAPE_SEMANTIC_CACHE_MAX || '2000', 10);
-const EMB_MODEL = process.env.TAPE_SEMANTIC_CACHE_MODEL || 'text-embedding-ada-002';
+const EMB_NAMESPACE = 'tape-semantic-cache';
 
 // scope string -> [{ emb: Float32Array, key, t }]
 const index = new Map();
@@ -37,15 +40,20 @@ function semanticText(kind, body = {}) {
   }
 }
 
-/** Hard-key fields that must match exactly for two queries to be interchangeable. */
+/**
+ * Hard-key fields that must match exactly for two queries to be interchangeable.
+ * The embedding model is part of the scope so vectors from different models are
+ * never compared after a provider switch.
+ */
 function scopeOf(kind, body = {}, promptVersion = '') {
-  return [kind, promptVersion, body.asOfDate || '', body.model || 'default'].join('|');
+  const embModel = getEmbeddingProvider(EMB_NAMESPACE).modelId;
+  return [kind, promptVersion, body.asOfDate || '', body.model || 'default', embModel].join('|');
 }
 
-async function embed(text, openai) {
-  if (!text || !openai) return null;
+async function embed(text) {
+  if (!text) return null;
   try {
-    const r = await openai.embeddings.create({ model: EMB_MODEL, input: text });
+    const r = await createEmbeddings({ input: text, namespace: EMB_NAMESPACE });
     const v = r && r.data && r.data[0] && r.data[0].embedding;
     return Array.isArray(v) ? Float32Array.from(v) : null;
   } catch (_) { return null; }
@@ -215,7 +215,7 @@ async function computeAndCacheKind({ kind, body, run, openai, refresh = false, n
     const semText = (semanticCache.ENABLED && openai) ? semanticCache.semanticText(kind, body) : '';
     if (semText) {
       const scope = semanticCache.scopeOf(kind, body, PROMPT_VERSION);
-      const emb = queryEmb || await semanticCache.embed(semText, openai);
+      const emb = queryEmb || await semanticCache.embed(semText);
       semanticCache.remember(scope, emb, key);
     }
   }
@@ -269,7 +269,7 @@ function withKindEndpoint({ kind, hourlyLimit, run, openai }) {
         if (prior) return serveCached(prior, 'exact');
         // Semantic fallback: a near-identical prior query in the same scope.
         if (semText) {
-          queryEmb = await semanticCache.embed(semText, openai);
+          queryEmb = await semanticCache.embed(semText);
           const sem = semanticCache.lookup(scope, queryEmb);
           if (sem) {
             const semPrior = await getCached(sem.key);
@@ -35,6 +35,7 @@ function candidateFromResult(r) {
     publishedDate: r.date && r.date !== 'Date not provided' ? r.date : null,
     spanSec,
     similarity: sim, // vector relevance (0..1); null for lexical-only / literal hits
+    speaker: r.speaker || null, // diarized "who said it" ({ name, label, confidence }) or null
   };
 }
 
@@ -27,7 +27,7 @@ const DEFAULTS = {
   feed_allow: {},
   dedicated_match: 'last-name',
   confidence_signals: {
-    dedicated_weight: 0.4, mainstream_weight: 0.3, span_weight: 0.3,
+    dedicated_weight: 0.4, mainstream_weight: 0.3, span_weight: 0.3, speaker_weight: 0.3,
     high_min: 0.7, medium_min: 0.4,
   },
   bull_keywords: [],
@@ -136,12 +136,14 @@ function isDedicated(title, name) {
  * @param {boolean} [signals.firstPerson]
  * @returns {{score:number, tier:'high'|'medium'|'low'}}
  */
-function scoreConfidence({ dedicated, mainstream, spanRank = 0, firstPerson = false }) {
+function scoreConfidence({ dedicated, mainstream, spanRank = 0, firstPerson = false, speakerVerified = false }) {
   const w = load().confidence_signals;
   let score =
     (dedicated ? w.dedicated_weight : 0) +
     (mainstream ? w.mainstream_weight : 0) +
-    (Math.max(0, Math.min(1, spanRank)) * w.span_weight);
+    (Math.max(0, Math.min(1, spanRank)) * w.span_weight) +
+    (speakerVerified ? w.speaker_weight : 0);
+  score = Math.min(1, score);
   if (firstPerson) score = Math.min(1, score + 0.05); // small nudge
   score = parseFloat(score.toFixed(3));
   let tier = 'low';
@@ -426,7 +426,10 @@ function buildClipManifest(clipCache, episodeCache) {
     // prominently — synthesis rules below forbid attributing these to a
     // named person.
     let guestStr;
-    if (hasGuests) {
+    if (meta.speaker?.name) {
+      // Diarized paragraph speaker — explicit speaker metadata (rule 5c).
+      guestStr = ` [speaker: ${meta.speaker.name}]`;
+    } else if (hasGuests) {
       guestStr = ` [guests: ${guests.slice(0, 3).join(', ')}]`;
     } else {
       guestStr = ' [SPEAKER UNVERIFIED — episode has no tagged guests; do NOT attribute this quote to any specific person by name]';
@@ -596,6 +599,8 @@ Examples:
         limit:      { type: 'number', description: 'Max results (default 5, hard cap 20). Start with 5 — only increase if you need broader coverage.' },
         minDate:    { type: 'string', description: 'ISO date string — only episodes after this date' },
         maxDate:    { type: 'string', description: 'ISO date string — only episodes before this date' },
+        speaker:    { type: 'string', description: 'Only return paragraphs diarized as spoken BY this person (full name, e.g. "Lyn Alden"). Use for "what did X say" questions; unlabelled episodes return nothing, so fall back to a guid-scoped search without it if results are empty.' },
+        retrievalMode: { type: 'string', enum: ['vector', 'lexical', 'hybrid-rrf'], description: 'Optional. Omit for the default. Use "hybrid-rrf" for jargon / exact-term queries that are not capitalized names (e.g. "proof of reserves", "mempool policy") — runs keyword and semantic search together and fuses them.' },
       },
       required: ['query'],
     },
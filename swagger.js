@@ -56,6 +56,10 @@ const doc = {
       name: 'Agent Auth',
       description: 'L402 Lightning-based prepaid credit system for agent API access. Hit any paid endpoint without auth to receive a 402 challenge with a Lightning invoice. Default invoice (no ?amountSats) is auto-sized per endpoint to roughly one call at the list USD price and current BTC rate, with a ~2% buffer for rate-cache drift, rounded up to whole sats. After payment, use Authorization: L402 <macaroon>:<preimage> for all subsequent requests — the same credential works across all endpoints until the balance is depleted. Add ?amountSats=N for a custom credit amount (min 10, max 500,000 sats). Each API call deducts its USD-equivalent cost from the prepaid balance. Compatible with lnget.'
     },
+    {
+      name: 'MCP',
+      description: 'Model Context Protocol server exposing the Jamie agent tools (quote search, chapter search, podcast discovery, person lookup, adjacent paragraphs, research sessions) to MCP-native hosts. Streamable HTTP at /api/mcp; stdio via scripts/mcp-stdio.js. Tool calls are billed like their REST equivalents.'
+    },
     {
       name: 'Pull',
       description: 'LLM-orchestrated agent endpoint. Send a natural-language research query and receive a Server-Sent Events (SSE) stream containing the agent\'s progress and a synthesized answer with podcast quotes, episode metadata, and optional follow-up actions. The agent can call internal tools (semantic quote search, chapter lookup, person resolution, podcast discovery) over multiple turns before delivering a final response. Authentication accepts L402 prepaid credentials, Bearer JWT, or anonymous free-tier quota (set X-Free-Tier: true to opt in). Per-tier quotas apply.'
@@ -232,6 +236,21 @@ const PROPER_SCHEMAS = {
           start_time: { type: 'number' },
           end_time: { type: 'number' }
         }
+      },
+      alsoAppearsIn: {
+        type: 'array',
+        description: 'Other episodes carrying a near-identical copy of this paragraph (re-uploads, clips channels, syndicated feeds). Present only when copies were collapsed.',
+        items: {
+          type: 'object',
+          properties: {
+            shareLink: { type: 'string' },
+            guid: { type: 'string' },
+            feedId: { type: 'string' },
+            episode: { type: 'string' },
+            creator: { type: 'string' },
+            date: { type: 'string' }
+          }
+        }
       }
     }
   },
@@ -296,7 +315,8 @@ const ALLOWED_TAGS = new Set([
   'Agent Auth',
   'Discovery',
   'On-Demand Transcription',
-  'Pull'
+  'Pull',
+  'MCP'
 ]);
 
 swaggerAutogen(outputFile, routes, doc).then(({ success, data }) => {
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for offline agent-run replay (services/agentReplayService.js).
+ *
+ *   node tests/agent-replay.test.js
+ *
+ * Pure node assertions over a hand-built run log; no LLM, Pinecone or MongoDB.
+ */
+
+const assert = require('assert');
+const {
+  extractToolRecords,
+  replayUnsupportedReason,
+  createReplayToolLayer,
+  createReplayContext,
+  buildReplayRequest,
+  extractClipIds,
+  diffReplay,
+} = require('../services/agentReplayService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const RUN_LOG = {
+  requestId: 'AGENT-abc12345',
+  query: 'What did Lyn Alden say about deficits?',
+  intent: 'direct_quote',
+  modelKey: 'deepseek-v4-flash',
+  executionProfile: 'fast',
+  compactResults: true,
+  compactHistory: false,
+  finalText: 'She called it fiscal dominance {{clip:ep1_p10}} and repeated it {{clip:ep2_p4}} {{clip:ep1_p10}}.',
+  replayInputs: {
+    targetLanguage: 'en',
+    history: [{ role: 'user', content: 'Who is Lyn Alden?' }, { role: 'assistant', content: 'A macro analyst.' }],
+    contextSection: '',
+    feedLookupSection: '\n\n## Feed ID Lookup\n1015378: Some Show',
+  },
+  rounds: [
+    { round: 1, type: 'tool_use', tools: [
+      { name: 'find_person', input: { name: 'Lyn Alden' }, resultCount: 1, output: { people: [{ name: 'Lyn Alden' }] } },
+    ] },
+    { round: 2, type: 'tool_use', tools: [
+      { name: 'search_quotes', input: { query: 'Lyn Alden fiscal deficits', limit: 5 }, resultCount: 2, output: { results: [{ shareLink: 'ep1_p10' }, { shareLink: 'ep2_p4' }] } },
+      { name: 'search_quotes', input: { limit: 5, query: 'Lyn Alden fiscal deficits' }, resultCount: 1, output: { results: [{ shareLink: 'ep3_p8' }] } },
+    ] },
+    { round: 3, type: 'final' },
+  ],
+  summary: { toolCalls: [{ name: 'find_person' }, { name: 'search_quotes' }, { name: 'search_quotes' }] },
+};
+
+(async () => {
+  console.log('recording');
+
+  await test('tool records come out in execution order; gaps make a run unreplayable', async () => {
+    assert.deepStrictEqual(extractToolRecords(RUN_LOG).map(r => r.name), ['find_person', 'search_quotes', 'search_quotes']);
+    assert.strictEqual(replayUnsupportedReason(RUN_LOG), null);
+    assert.match(replayUnsupportedReason({ ...RUN_LOG, replayInputs: undefined }), /before replay inputs/);
+    assert.match(replayUnsupportedReason({ ...RUN_LOG, error: 'boom' }), /original run failed/);
+    const withoutOutputs = { ...RUN_LOG, rounds: [{ tools: [{ name: 'find_person', input: {} }] }] };
+    assert.match(replayUnsupportedReason(withoutOutputs), /AGENT_RUN_LOG_TOOL_OUTPUTS/);
+  });
+
+  console.log('stub tool layer');
+
+  await test('exact inputs replay recorded outputs in order, regardless of key order', async () => {
+    const { executeTool, stats } = createReplayToolLayer(extractToolRecords(RUN_LOG));
+    const first = await executeTool('search_quotes', { query: 'Lyn Alden fiscal deficits', limit: 5 });
+    const second = await executeTool('search_quotes', { limit: 5, query: 'Lyn Alden fiscal deficits' });
+    const third = await executeTool('search_quotes', { query: 'Lyn Alden fiscal deficits', limit: 5 });
+    assert.deepStrictEqual(first.results.map(r => r.shareLink), ['ep1_p10', 'ep2_p4']);
+    assert.deepStrictEqual(second.results.map(r => r.shareLink), ['ep3_p8']);
+    assert.deepStrictEqual(third, second);
+    assert.strictEqual(stats.exact, 3);
+
+    // Callers mutate results; the recording must not change
+    first.results.pop();
+    const again = createReplayToolLayer(extractToolRecords(RUN_LOG));
+    assert.strictEqual((await again.executeTool('search_quotes', { query: 'Lyn Alden fiscal deficits', limit: 5 })).results.length, 2);
+  });
+
+  await test('reworded calls fall back to the closest recording; unrelated calls miss', async () => {
+    const { executeTool, stats } = createReplayToolLayer(extractToolRecords(RUN_LOG));
+    const close = await executeTool('search_quotes', { query: 'Lyn Alden on fiscal deficits', limit: 5 });
+    assert.deepStrictEqual(close.results.map(r => r.shareLink), ['ep1_p10', 'ep2_p4']);
+    const miss = await executeTool('search_chapters', { search: 'deficits' });
+    assert.strictEqual(miss.replayMiss, true);
+    assert.deepStrictEqual(miss.results, []);
+    assert.strictEqual(stats.approximate, 1);
+    assert.deepStrictEqual(stats.misses, [{ name: 'search_chapters', input: { search: 'deficits' } }]);
+  });
+
+  console.log('request + diff');
+
+  await test('replay request reuses the logged inputs; context carries intent and prompt sections', async () => {
+    const body = buildReplayRequest(RUN_LOG, { model: 'claude-sonnet' });
+    assert.strictEqual(body.message, RUN_LOG.query);
+    assert.deepStrictEqual(body.history, RUN_LOG.replayInputs.history);
+    assert.strictEqual(body.model, 'claude-sonnet');
+    assert.strictEqual(body.executionProfile, 'fast');
+    assert.strictEqual(body.compactHistory, false);
+    assert.strictEqual(body.stream, false);
+
+    const context = createReplayContext(RUN_LOG);
+    assert.strictEqual(context.intent, 'direct_quote');
+    assert.strictEqual(context.targetLanguage, 'en');
+    assert.strictEqual(context.feedLookupSection, RUN_LOG.replayInputs.feedLookupSection);
+    assert.strictEqual(typeof context.executeTool, 'function');
+  });
+
+  await test('diff reports text similarity and clip citation changes', async () => {
+    assert.deepStrictEqual(extractClipIds(RUN_LOG.finalText), ['ep1_p10', 'ep2_p4']);
+    const diff = diffReplay(
+      { finalText: RUN_LOG.finalText, toolCalls: ['find_person', 'search_quotes'] },
+      { finalText: 'She called it fiscal dominance {{clip:ep1_p10}} and later {{clip:ep3_p8}}.', toolCalls: ['search_quotes'] }
+    );
+    assert.strictEqual(diff.text.identical, false);
+    assert.ok(diff.text.similarity > 0.3 && diff.text.similarity < 1, `similarity ${diff.text.similarity}`);
+    assert.deepStrictEqual(diff.clips.kept, ['ep1_p10']);
+    assert.deepStrictEqual(diff.clips.removed, ['ep2_p4']);
+    assert.deepStrictEqual(diff.clips.added, ['ep3_p8']);
+    assert.deepStrictEqual(diff.toolCalls.replay, ['search_quotes']);
+    assert.strictEqual(diffReplay({ finalText: 'same' }, { finalText: 'same' }).text.similarity, 1);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for server-side /api/pull conversation threads
+ * (services/agentThreadService.js).
+ *
+ *   node tests/agent-threads.test.js
+ *
+ * Pure node assertions; no database, no LLM. Threads are plain objects with a
+ * no-op save(), and AgentThread.findOne is swapped for an in-memory lookup.
+ */
+
+const assert = require('assert');
+const { AgentThread } = require('../models/AgentThread');
+const {
+  loadThread,
+  appendTurn,
+  collectResolvedEntities,
+  mergeResolved,
+  THREAD_VERBATIM_MESSAGES,
+  MAX_RESOLVED_PER_KIND,
+} = require('../services/agentThreadService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const GUID = '0b5f3f7e-1c2d-4e5f-8a9b-0c1d2e3f4a5b';
+
+function fakeThread(extra = {}) {
+  return {
+    sessionId: 'agent-1',
+    userId: null,
+    clientId: 'client-a',
+    turns: [],
+    summary: '',
+    summarizedTurnCount: 0,
+    turnCount: 0,
+    resolved: { guids: [], feedIds: [], persons: [], clipIds: [] },
+    saves: 0,
+    async save() { this.saves++; return this; },
+    ...extra,
+  };
+}
+
+function fakeOpenai(reply) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        async create(params) {
+          calls.push(params);
+          if (reply instanceof Error) throw reply;
+          return { choices: [{ message: { content: reply } }], usage: { prompt_tokens: 120, completion_tokens: 40 } };
+        },
+      },
+    },
+  };
+}
+
+(async () => {
+  console.log('resolved entities');
+
+  await test('tool inputs and cited clips become resolved entities', async () => {
+    const resolved = collectResolvedEntities({
+      toolCalls: [
+        { name: 'find_person', input: { name: 'Lyn Alden' } },
+        { name: 'search_quotes', input: { query: 'deficits', feedIds: [1015378], speaker: 'lyn alden' } },
+        { name: 'get_episode', input: { guid: 'ep-guid-2' } },
+      ],
+      answerText: `She said it plainly {{clip:${GUID}_p12}} and again {{clip:${GUID}_p40}}.`,
+    });
+    assert.deepStrictEqual(resolved, {
+      guids: ['ep-guid-2', GUID],
+      feedIds: ['1015378'],
+      persons: ['lyn alden'],
+      clipIds: [`${GUID}_p12`, `${GUID}_p40`],
+    });
+  });
+
+  await test('merging dedupes, keeps the latest spelling last and caps each kind', async () => {
+    const many = Array.from({ length: MAX_RESOLVED_PER_KIND + 5 }, (_, i) => `feed-${i}`);
+    const merged = mergeResolved(
+      { guids: ['a', 'b'], feedIds: many, persons: ['Lyn Alden', 'Luke Gromen'] },
+      { guids: ['a'], persons: ['LYN ALDEN'] }
+    );
+    assert.deepStrictEqual(merged.guids, ['b', 'a']);
+    assert.deepStrictEqual(merged.persons, ['Luke Gromen', 'LYN ALDEN']);
+    assert.strictEqual(merged.feedIds.length, MAX_RESOLVED_PER_KIND);
+    assert.strictEqual(merged.feedIds[0], 'feed-5');
+  });
+
+  console.log('turns');
+
+  await test('old turns roll into the summary and the summarizer is billed', async () => {
+    const thread = fakeThread({
+      turns: [
+        { role: 'user', content: 'Who is Lyn Alden?' },
+        { role: 'assistant', content: 'A macro analyst.' },
+        { role: 'user', content: 'What did she say about deficits?' },
+        { role: 'assistant', content: 'Fiscal dominance.' },
+      ],
+      summary: 'Earlier: the user asked about macro shows.',
+      turnCount: 2,
+    });
+    const openai = fakeOpenai('The user is researching Lyn Alden on deficits.');
+    const billed = [];
+    const saved = await appendTurn({
+      thread,
+      owner: { clientId: 'client-a' },
+      sessionId: 'agent-1',
+      userMessage: 'Has her view changed?',
+      answerText: `Somewhat {{clip:${GUID}_p3}}`,
+      toolCalls: [{ name: 'get_person_episodes', input: { name: 'Lyn Alden' } }],
+      requestId: 'AGENT-1',
+      openai,
+      recordHelperLlmUsage: (...args) => billed.push(args),
+    });
+
+    assert.strictEqual(saved.saves, 1);
+    assert.strictEqual(saved.turnCount, 3);
+    assert.strictEqual(saved.turns.length, THREAD_VERBATIM_MESSAGES);
+    assert.deepStrictEqual(saved.turns.map(t => t.content), [
+      'What did she say about deficits?', 'Fiscal dominance.', 'Has her view changed?', `Somewhat {{clip:${GUID}_p3}}`,
+    ]);
+    assert.strictEqual(saved.summary, 'The user is researching Lyn Alden on deficits.');
+    assert.strictEqual(saved.summarizedTurnCount, 2);
+    assert.match(openai.calls[0].messages[1].content, /Earlier: the user asked about macro shows\.[\s\S]*Who is Lyn Alden\?/);
+    assert.deepStrictEqual(billed, [['gpt-4o-mini', 120, 40]]);
+    assert.deepStrictEqual(saved.resolved.persons, ['Lyn Alden']);
+    assert.deepStrictEqual(saved.resolved.clipIds, [`${GUID}_p3`]);
+  });
+
+  await test('a failing summarizer falls back to first lines without billing', async () => {
+    const thread = fakeThread({
+      turns: [
+        { role: 'user', content: 'First question\nwith detail' },
+        { role: 'assistant', content: 'First answer' },
+        { role: 'user', content: 'Second question' },
+        { role: 'assistant', content: 'Second answer' },
+      ],
+    });
+    const billed = [];
+    const saved = await appendTurn({
+      thread,
+      owner: { clientId: 'client-a' },
+      sessionId: 'agent-1',
+      userMessage: 'Third question',
+      answerText: 'Third answer',
+      openai: fakeOpenai(new Error('rate limited')),
+      recordHelperLlmUsage: (...args) => billed.push(args),
+    });
+    assert.strictEqual(saved.summary, 'User: First question\nAssistant: First answer');
+    assert.deepStrictEqual(billed, []);
+  });
+
+  console.log('ownership');
+
+  await test('threads load only for their owner; sign-in claims an anonymous thread for that user alone', async () => {
+    const stored = fakeThread();
+    const originalFindOne = AgentThread.findOne;
+    AgentThread.findOne = async ({ sessionId }) => (sessionId === stored.sessionId ? stored : null);
+    try {
+      assert.deepStrictEqual(await loadThread(null, 'agent-1'), { thread: null });
+      assert.deepStrictEqual(await loadThread({ clientId: 'client-a' }, 'agent-new'), { thread: null });
+      assert.strictEqual((await loadThread({ clientId: 'client-b' }, 'agent-1')).status, 403);
+      assert.strictEqual((await loadThread({ userId: 'user-1', clientId: null }, 'agent-1')).status, 403);
+
+      const { thread } = await loadThread({ userId: 'user-1', clientId: 'client-a' }, 'agent-1');
+      assert.strictEqual(thread, stored);
+      assert.strictEqual(thread.userId, 'user-1');
+      assert.strictEqual((await loadThread({ userId: 'user-1', clientId: null }, 'agent-1')).thread, stored);
+
+      // Once claimed, the clientId alone no longer opens it
+      assert.strictEqual((await loadThread({ userId: 'user-2', clientId: 'client-a' }, 'agent-1')).status, 403);
+      assert.strictEqual((await loadThread({ clientId: 'client-a' }, 'agent-1')).status, 403);
+    } finally {
+      AgentThread.findOne = originalFindOne;
+    }
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the L402 usage ledger formatting (services/agentUsageLedger.js)
+ * behind GET /api/agent/usage.
+ *
+ *   node tests/agent-usage-ledger.test.js
+ *
+ * Pure node assertions; no database. The route test runs routes/agentRoutes.js
+ * in-process with the ledger and entitlement lookups replaced.
+ */
+
+process.env.L402_MACAROON_SECRET = process.env.L402_MACAROON_SECRET || 'test-macaroon-secret';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { parseUsageQuery, formatEntry, usageToCsv, macaroonIdFor } = require('../services/agentUsageLedger');
+const { mintMacaroon, attenuateMacaroon } = require('../utils/macaroon-utils');
+const { AgentUsageEntry } = require('../models/AgentUsageEntry');
+const { Entitlement } = require('../models/Entitlement');
+const btcPrice = require('../utils/btcPrice');
+
+// agentRoutes refuses every call while the BTC/USD price is stale
+btcPrice.isLightningAvailable = () => true;
+const agentRoutes = require('../routes/agentRoutes');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const pullDebit = {
+  occurredAt: new Date('2026-10-19T14:00:00Z'),
+  kind: 'debit',
+  status: 'confirmed',
+  entitlementType: 'pull',
+  amountUsdMicro: 100000,
+  balanceAfterUsdMicro: 4700000,
+  requestId: 'L402-1-abcd',
+  macaroonId: '0123456789abcdef',
+  serveCost: { agentRequestId: 'AGENT-x', sessionId: 's', modelKey: 'fast', inputTokens: 1000, outputTokens: 50, llmCostUsdMicro: 2100, helpersCostUsdMicro: 300, totalCostUsdMicro: 2400 }
+};
+const topUp = {
+  occurredAt: new Date('2026-10-19T13:00:00Z'),
+  kind: 'topup',
+  amountUsdMicro: 5000000,
+  balanceAfterUsdMicro: 5000000,
+  amountSats: 5000,
+  btcUsdRate: 100000,
+  serveCost: { totalCostUsdMicro: null }
+};
+
+(async () => {
+  console.log('parseUsageQuery');
+
+  await test('defaults and clamps pagination', async () => {
+    const q = parseUsageQuery({});
+    assert.deepStrictEqual(
+      { page: q.page, limit: q.limit, format: q.format, kind: q.kind, from: q.from },
+      { page: 1, limit: 50, format: 'json', kind: null, from: null }
+    );
+    assert.strictEqual(parseUsageQuery({ limit: '9999', page: '-3' }).limit, 500);
+    assert.strictEqual(parseUsageQuery({ limit: '9999', page: '-3' }).page, 1);
+  });
+
+  await test('rejects bad filters', async () => {
+    assert.match(parseUsageQuery({ kind: 'chargeback' }).error, /kind must be/);
+    assert.strictEqual(parseUsageQuery({ kind: 'refund' }).kind, 'refund');
+    assert.match(parseUsageQuery({ from: 'yesterday' }).error, /from must be an ISO date/);
+    assert.match(parseUsageQuery({ from: '2026-10-02', to: '2026-10-01' }).error, /before/);
+    assert.match(parseUsageQuery({ format: 'xlsx' }).error, /json or csv/);
+    assert.match(parseUsageQuery({ macaroonId: 'nope' }).error, /16 hex/);
+  });
+
+  console.log('statement');
+
+  await test('entries carry list price and, for pull, the real serve cost', async () => {
+    const debit = formatEntry(pullDebit);
+    assert.strictEqual(debit.amountUsd, 0.1);
+    assert.strictEqual(debit.occurredAt, '2026-10-19T14:00:00.000Z');
+    assert.strictEqual(debit.serveCost.totalCostUsdMicro, 2400);
+    assert.strictEqual(formatEntry(topUp).serveCost, null);
+    assert.strictEqual(formatEntry(topUp).entitlementType, null);
+    assert.strictEqual(debit.metered, null);
+    const metered = formatEntry({ ...pullDebit, amountUsdMicro: 6000, metered: { ceilingMicroUsd: 250000, markup: 2.5, actualCostUsdMicro: 2400, settledAt: new Date() } });
+    assert.deepStrictEqual(metered.metered, { ceilingMicroUsd: 250000, markup: 2.5, actualCostUsdMicro: 2400, settled: true });
+    assert.ok(usageToCsv([metered]).split('\r\n')[1].endsWith(',2400,250000,2.5,confirmed,,'));
+  });
+
+  await test('CSV has a header row, blank nulls and quoted cells', async () => {
+    const csv = usageToCsv([formatEntry(pullDebit), formatEntry({ ...topUp, requestId: 'a,"b"' })]);
+    const lines = csv.split('\r\n');
+    assert.strictEqual(lines.length, 4); // header, 2 rows, trailing newline
+    assert.ok(lines[0].startsWith('occurredAt,kind,entitlementType,amountUsd,amountUsdMicro'));
+    assert.strictEqual(lines[1], '2026-10-19T14:00:00.000Z,debit,pull,0.1,100000,4700000,L402-1-abcd,0123456789abcdef,,,fast,1000,50,2100,300,2400,,,confirmed,,');
+    assert.strictEqual(lines[2], '2026-10-19T13:00:00.000Z,topup,,5,5000000,5000000,"a,""b""",,5000,100000,,,,,,,,,,,');
+    assert.strictEqual(lines[3], '');
+  });
+
+  await test('CSV text cells cannot start a spreadsheet formula', async () => {
+    const entry = formatEntry({ ...pullDebit, requestId: '=HYPERLINK("https://evil.example")', status: 'voided', reason: '@SUM(A1)' });
+    const cells = usageToCsv([entry, formatEntry({ ...topUp, requestId: '-2+3' })]).split('\r\n');
+    assert.ok(cells[1].includes(',"\'=HYPERLINK(""https://evil.example"")",'));
+    assert.ok(cells[1].endsWith(",voided,'@SUM(A1),"));
+    assert.ok(cells[2].includes(",'-2+3,"));
+    assert.ok(usageToCsv([formatEntry({ ...pullDebit, amountUsdMicro: -100000 })]).split('\r\n')[1].includes(',-100000,'));
+  });
+
+  await test('voided debits and their refund rows carry status, reason and any dispute', async () => {
+    const voided = formatEntry({
+      ...pullDebit,
+      status: 'voided',
+      refundRequest: { status: 'approved', reason: 'wrong episode', requestedAt: new Date('2026-10-19T15:00:00Z'), reviewedAt: null, note: null }
+    });
+    assert.strictEqual(voided.status, 'voided');
+    assert.deepStrictEqual(voided.refundRequest, {
+      status: 'approved', reason: 'wrong episode', requestedAt: new Date('2026-10-19T15:00:00Z'), reviewedAt: null, note: null
+    });
+    const refund = formatEntry({ ...pullDebit, _id: 'r1', kind: 'refund', status: null, refundOf: 'd1', reason: 'HTTP 503', serveCost: null });
+    assert.strictEqual(refund.refundOf, 'd1');
+    assert.strictEqual(refund.status, null);
+    assert.ok(usageToCsv([voided, refund]).split('\r\n')[1].endsWith(',voided,,approved'));
+    assert.ok(usageToCsv([voided, refund]).split('\r\n')[2].endsWith(',,HTTP 503,'));
+  });
+
+  await test('macaroon ids are short, stable and distinct per macaroon', async () => {
+    assert.strictEqual(macaroonIdFor('AgEa'), macaroonIdFor('AgEa'));
+    assert.notStrictEqual(macaroonIdFor('AgEa'), macaroonIdFor('AgEb'));
+    assert.match(macaroonIdFor('AgEa'), /^[0-9a-f]{16}$/);
+    assert.strictEqual(macaroonIdFor(null), null);
+  });
+
+  console.log('routes');
+
+  await test('root credentials see and dispute every call; attenuated ones only their own', async () => {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const root = mintMacaroon(paymentHash).macaroonBase64;
+    const scoped = attenuateMacaroon(root, { maxSpendMicroUsd: 100000 }).macaroonBase64;
+
+    const filters = [];
+    const chain = docs => ({ sort: () => chain(docs), skip: () => chain(docs), limit: () => chain(docs), lean: async () => docs });
+    const originals = {
+      entitlementFindOne: Entitlement.findOne,
+      find: AgentUsageEntry.find,
+      aggregate: AgentUsageEntry.aggregate,
+      findOne: AgentUsageEntry.findOne,
+      findOneAndUpdate: AgentUsageEntry.findOneAndUpdate
+    };
+    Entitlement.findOne = () => ({ lean: async () => ({ maxUsage: 5000000, usedCount: 100000 }) });
+    AgentUsageEntry.find = (filter) => { filters.push(['find', filter]); return chain([topUp, pullDebit]); };
+    AgentUsageEntry.aggregate = async () => [];
+    AgentUsageEntry.findOne = (filter) => {
+      filters.push(['findOne', filter]);
+      return { lean: async () => ({ _id: 'd1', ...pullDebit, occurredAt: new Date(), refundRequest: null }) };
+    };
+    AgentUsageEntry.findOneAndUpdate = (filter, update) => ({ lean: async () => ({ ...pullDebit, ...update.$set }) });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/agent', agentRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/agent`;
+    const auth = macaroon => ({ 'Content-Type': 'application/json', Authorization: `L402 ${macaroon}:${preimage}` });
+    const dispute = macaroon => fetch(`${base}/refund-request`, {
+      method: 'POST', headers: auth(macaroon), body: JSON.stringify({ requestId: 'L402-1-abcd', reason: 'wrong episode' })
+    });
+
+    try {
+      const statement = await fetch(`${base}/usage`, { headers: auth(root) });
+      assert.strictEqual(statement.status, 200);
+      const body = await statement.json();
+      assert.deepStrictEqual(body.entries.map(e => e.kind), ['topup', 'debit']);
+      assert.strictEqual(body.account.balanceUsdMicro, 4900000);
+      assert.strictEqual(filters.at(-1)[1].macaroonId, undefined);
+
+      assert.strictEqual((await dispute(root)).status, 202);
+      assert.strictEqual(filters.at(-1)[1].macaroonId, undefined);
+
+      const scopedStatement = await (await fetch(`${base}/usage`, { headers: auth(scoped) })).json();
+      assert.strictEqual(scopedStatement.account, null);
+      assert.strictEqual(filters.at(-1)[1].macaroonId, macaroonIdFor(scoped));
+
+      assert.strictEqual((await dispute(scoped)).status, 202);
+      assert.strictEqual(filters.at(-1)[1].macaroonId, macaroonIdFor(scoped));
+    } finally {
+      server.close();
+      Entitlement.findOne = originals.entitlementFindOne;
+      Object.assign(AgentUsageEntry, {
+        find: originals.find,
+        aggregate: originals.aggregate,
+        findOne: originals.findOne,
+        findOneAndUpdate: originals.findOneAndUpdate
+      });
+    }
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for reranker score caching and round batching in
+ * utils/clipReranker.js.
+ *
+ *   node tests/clip-reranker-cache.test.js
+ *
+ * The OpenAI client is injected, so a recording fake stands in for it and
+ * scores clips from a keyword in their text. The shared cross-request cache
+ * is disabled so each test starts cold.
+ */
+
+process.env.RERANKER_SCORE_CACHE_TTL_MS = '0';
+
+const assert = require('assert');
+const { rerankClips, createRerankBatch, createRerankScoreCache } = require('../utils/clipReranker');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+function fakeOpenAI() {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        async create({ messages }) {
+          const lines = messages[1].content.split('\n').filter(l => /^\[\d+\]/.test(l));
+          calls.push(lines.length);
+          const scores = lines.map((l, i) => ({ i, s: l.includes('bitcoin') ? 8 : 2 }));
+          return {
+            choices: [{ message: { content: JSON.stringify({ scores }) } }],
+            usage: { prompt_tokens: 100 * lines.length, completion_tokens: 10, total_tokens: 100 * lines.length + 10 },
+          };
+        },
+      },
+    },
+  };
+}
+
+const clip = (id, text) => ({ pineconeId: id, quote: text, creator: 'Show', episode: 'Ep' });
+const setA = [clip('a', 'bitcoin halving'), clip('b', 'sourdough'), clip('c', 'bitcoin fees')];
+const setB = [clip('c', 'bitcoin fees'), clip('d', 'bitcoin mining'), clip('e', 'gardening')];
+
+(async () => {
+  console.log('score cache');
+
+  await test('later rounds only score clips not seen this request', async () => {
+    const openai = fakeOpenAI();
+    const scoreCache = createRerankScoreCache();
+    const first = await rerankClips({ query: 'q', userMessage: 'Bitcoin?', clips: setA, openai, scoreCache });
+    const second = await rerankClips({ query: 'q2', userMessage: '  bitcoin? ', clips: setB, openai, scoreCache });
+    assert.deepStrictEqual(openai.calls, [3, 2]);
+    assert.deepStrictEqual(first.clips.map(c => c.pineconeId), ['a', 'c']);
+    assert.deepStrictEqual(second.clips.map(c => c.pineconeId), ['c', 'd']);
+    assert.strictEqual(second.cacheHits, 1);
+
+    await rerankClips({ query: 'q', userMessage: 'Something else', clips: setA, openai, scoreCache });
+    assert.deepStrictEqual(openai.calls, [3, 2, 3]);
+  });
+
+  console.log('batch mode');
+
+  await test('parallel calls in a round share one scoring call and usage is counted once', async () => {
+    const openai = fakeOpenAI();
+    const batch = createRerankBatch({ openai, scoreCache: createRerankScoreCache() });
+    const p1 = batch.join();
+    const p2 = batch.join();
+    const p3 = batch.join();
+    const [r1, r2] = await Promise.all([
+      p1.rerank({ query: 'x', userMessage: 'bitcoin', clips: setA }),
+      p2.rerank({ query: 'y', userMessage: 'bitcoin', clips: setB, minScore: 9 }),
+      Promise.resolve().then(() => p3.release()),
+    ]);
+    assert.deepStrictEqual(openai.calls, [5]);
+    assert.deepStrictEqual(r1.clips.map(c => c.pineconeId), ['a', 'c']);
+    assert.deepStrictEqual(r2.clips, []);
+    assert.strictEqual(r1.usage.input_tokens, 500);
+    assert.strictEqual(r2.usage.input_tokens, 0);
+    assert.deepStrictEqual(r1.batched, { size: 2, scored: 5 });
+  });
+
+  await test('a failed scoring call leaves every result set unranked', async () => {
+    const openai = { chat: { completions: { async create() { throw new Error('boom'); } } } };
+    const batch = createRerankBatch({ openai });
+    const p1 = batch.join();
+    const result = await p1.rerank({ query: 'x', clips: setA });
+    assert.strictEqual(result.clips, setA);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
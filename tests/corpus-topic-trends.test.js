@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for topic trend bucketing and rising-topic ranking in
+ * services/corpusService.js (GET /api/corpus/topics/trends).
+ *
+ *   node tests/corpus-topic-trends.test.js
+ *
+ * Pure node assertions; no database. Validation errors return before any
+ * query runs.
+ */
+
+const assert = require('assert');
+const {
+  bucketStart,
+  listBuckets,
+  rankRisingTopics,
+  getTopicTrends,
+} = require('../services/corpusService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+(async () => {
+  console.log('buckets');
+
+  await test('weeks start Monday UTC and months on the 1st', async () => {
+    assert.strictEqual(bucketStart('2026-10-18T23:00:00Z', 'week').toISOString(), '2026-10-12T00:00:00.000Z');
+    assert.strictEqual(bucketStart('2026-10-19T00:00:00Z', 'week').toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(bucketStart('2026-10-19T08:00:00Z', 'month').toISOString(), '2026-10-01T00:00:00.000Z');
+    const months = listBuckets(new Date('2025-12-15Z'), new Date('2026-02-01Z'), 'month');
+    assert.deepStrictEqual(months.map(d => d.toISOString().slice(0, 7)), ['2025-12', '2026-01', '2026-02']);
+  });
+
+  console.log('rising topics');
+
+  await test('ranks by smoothed episode growth and drops thin or flat keywords', async () => {
+    const rows = [
+      { keyword: 'stablecoins', window: 'recent', chapters: 12, episodes: 8 },
+      { keyword: 'stablecoins', window: 'baseline', chapters: 8, episodes: 8 },
+      { keyword: 'ai agents', window: 'recent', chapters: 9, episodes: 6 },
+      { keyword: 'bitcoin', window: 'recent', chapters: 30, episodes: 20 },
+      { keyword: 'bitcoin', window: 'baseline', chapters: 200, episodes: 160 },
+      { keyword: 'one-off', window: 'recent', chapters: 4, episodes: 1 },
+    ];
+    const ranked = rankRisingTopics(rows, { recentBuckets: 1, baselineBuckets: 8 });
+    assert.deepStrictEqual(ranked.map(t => t.keyword), ['ai agents', 'stablecoins']);
+    assert.strictEqual(ranked[0].growth, 7);
+    assert.deepStrictEqual(ranked[0].baseline, { chapters: 0, episodes: 0 });
+  });
+
+  await test('invalid parameters are rejected before querying', async () => {
+    assert.match((await getTopicTrends({ keywords: 'ai', bucket: 'day' })).error, /bucket/);
+    assert.match((await getTopicTrends({})).error, /keywords is required/);
+    assert.match((await getTopicTrends({ keywords: 'ai', minDate: 'soon' })).error, /valid dates/);
+    const many = Array.from({ length: 21 }, (_, i) => `k${i}`).join(',');
+    assert.match((await getTopicTrends({ keywords: many })).error, /At most 20/);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
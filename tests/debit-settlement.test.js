@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for confirming / voiding prepaid debits (utils/debitSettlement.js)
+ * and refund-request validation (services/agentUsageLedger.js).
+ *
+ *   node tests/debit-settlement.test.js
+ *
+ * Pure node assertions; no database. Most paths return before any Mongo
+ * call; the void test swaps the model calls it makes for in-memory fakes.
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const {
+  voidDebit,
+  confirmDeferredDebit,
+  attachDebitSettlement,
+  deferDebit,
+  voidRequestDebit
+} = require('../utils/debitSettlement');
+const { openRefundRequest } = require('../services/agentUsageLedger');
+const { debitOutcome } = require('../services/onDemandCallbackService');
+const { AgentUsageEntry } = require('../models/AgentUsageEntry');
+const { Entitlement } = require('../models/Entitlement');
+const { MacaroonBudget } = require('../models/MacaroonBudget');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+(async () => {
+  console.log('request settlement');
+
+  await test('only prepaid debits are tracked', async () => {
+    const req = { entitlement: { type: 'pull', isLightning: false } };
+    const res = new EventEmitter();
+    attachDebitSettlement(req, res);
+    assert.strictEqual(req.entitlement.debit, undefined);
+    assert.strictEqual(res.listenerCount('close'), 0);
+    assert.strictEqual(deferDebit(req), null);
+    assert.strictEqual(await voidRequestDebit(req, 'HTTP 500'), null);
+    assert.strictEqual(await voidRequestDebit({}, 'HTTP 500'), null);
+  });
+
+  await test('a deferred debit is left for the background job', async () => {
+    const req = { entitlement: { usageEntryId: 'abc123', metered: null } };
+    const res = new EventEmitter();
+    res.statusCode = 500;
+    attachDebitSettlement(req, res);
+    assert.deepStrictEqual(req.entitlement.debit, { status: 'pending', deferred: false });
+    assert.strictEqual(deferDebit(req), 'abc123');
+    res.emit('close'); // would void (and hit Mongo) if not deferred
+    assert.deepStrictEqual(req.entitlement.debit, { status: 'pending', deferred: true });
+  });
+
+  await test('voiding without a ledger entry is an error, not a throw', async () => {
+    assert.deepStrictEqual(await voidDebit(null), { error: 'No ledger entry for this call', status: 404 });
+    assert.strictEqual(await confirmDeferredDebit(null), false);
+  });
+
+  await test('a void after the request ends credits the spend caveats saved on the debit', async () => {
+    const debit = {
+      _id: 'd1', paymentHash: 'a'.repeat(64), kind: 'debit', status: 'pending', entitlementType: 'make-clip',
+      amountUsdMicro: 40000, requestId: 'L402-1-a', macaroonId: 'm1',
+      caveatReservation: [{ key: 'parent-cap', kind: 'spend', costMicroUsd: 40000 }, { key: 'own-cap', kind: 'spend', costMicroUsd: 40000 }]
+    };
+    const credited = [];
+    const originals = {
+      findOneAndUpdate: AgentUsageEntry.findOneAndUpdate,
+      create: AgentUsageEntry.create,
+      entitlement: Entitlement.findOneAndUpdate,
+      budget: MacaroonBudget.updateOne
+    };
+    AgentUsageEntry.findOneAndUpdate = () => ({ lean: async () => debit });
+    AgentUsageEntry.create = async (doc) => doc;
+    Entitlement.findOneAndUpdate = () => ({ lean: async () => ({ maxUsage: 1000000, usedCount: 0 }) });
+    MacaroonBudget.updateOne = async (filter, update) => { credited.push([filter.key, update.$inc.spentMicroUsd]); };
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const result = await voidDebit('d1', { reason: 'Clip job failed: ffmpeg exited 1' });
+      assert.deepStrictEqual(result, { refundedMicroUsd: 40000, balanceAfterUsdMicro: 1000000 });
+      assert.deepStrictEqual(credited, [['parent-cap', -40000], ['own-cap', -40000]]);
+    } finally {
+      console.log = log;
+      AgentUsageEntry.findOneAndUpdate = originals.findOneAndUpdate;
+      AgentUsageEntry.create = originals.create;
+      Entitlement.findOneAndUpdate = originals.entitlement;
+      MacaroonBudget.updateOne = originals.budget;
+    }
+  });
+
+  console.log('on-demand jobs');
+
+  await test('episode debits settle with the episode, or with the job when it fails', async () => {
+    const result = (jobStatus, status) => ({ jobStatus, episodes: [{ guid: 'g1', status }] });
+    assert.strictEqual(debitOutcome(result('processing', 'pending'), 'g1'), null);
+    assert.strictEqual(debitOutcome(result('processing', 'success'), 'g1'), 'confirmed');
+    assert.strictEqual(debitOutcome(result('processing', 'skipped'), 'g1'), 'confirmed');
+    assert.strictEqual(debitOutcome(result('processing', 'failed'), 'g1'), 'voided');
+    assert.strictEqual(debitOutcome(result('complete', 'error'), 'g1'), 'voided');
+    assert.strictEqual(debitOutcome(result('failed', 'pending'), 'g1'), 'voided');
+    assert.strictEqual(debitOutcome(result('complete', 'pending'), 'g1'), 'confirmed');
+    assert.strictEqual(debitOutcome(result('processing', 'success'), 'other'), null);
+  });
+
+  console.log('refund requests');
+
+  await test('requestId and a reason are required', async () => {
+    assert.deepStrictEqual(await openRefundRequest({ paymentHash: 'x', reason: 'bad answer' }), { error: 'requestId is required', status: 400 });
+    assert.deepStrictEqual(await openRefundRequest({ paymentHash: 'x', requestId: 'L402-1-a', reason: '  ' }), { error: 'reason is required', status: 400 });
+    assert.match((await openRefundRequest({ paymentHash: 'x', requestId: 'L402-1-a', reason: 'x'.repeat(1001) })).error, /at most 1000/);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the embedding provider abstraction in utils/embeddings
+ * (stub determinism, namespace selection, stored-vector model checks).
+ *
+ *   node tests/embedding-providers.test.js
+ *
+ * Uses only the stub provider; nothing touches the network. Namespace
+ * config is read at import time, so it is set before the require.
+ */
+
+process.env.EMBEDDING_NAMESPACES_JSON = JSON.stringify({
+  'corpus-stub': { provider: 'stub', dimensions: 64 },
+});
+
+const assert = require('assert');
+const {
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  createEmbeddings,
+  isCompatibleModel,
+  compatibleModelFilter,
+  LEGACY_MODEL_ID,
+} = require('../utils/embeddings');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+(async () => {
+  console.log('stub provider');
+
+  await test('is deterministic, normalized and sized by config', async () => {
+    const stub = createEmbeddingProvider({ provider: 'stub', dimensions: 64 });
+    const a = await stub.createEmbeddings({ input: 'Bitcoin halving supply' });
+    const b = await stub.createEmbeddings({ input: 'bitcoin  HALVING supply' });
+    assert.strictEqual(a.modelId, 'stub:hash-64');
+    assert.strictEqual(a.data[0].embedding.length, 64);
+    assert.deepStrictEqual(a.data[0].embedding, b.data[0].embedding);
+    assert.ok(Math.abs(dot(a.data[0].embedding, a.data[0].embedding) - 1) < 1e-9);
+  });
+
+  await test('related texts score above unrelated ones', async () => {
+    const { data } = await createEmbeddings({
+      input: ['federal reserve interest rates', 'interest rates at the federal reserve', 'sourdough bread recipe'],
+      namespace: 'corpus-stub',
+    });
+    const [q, near, far] = data.map(d => d.embedding);
+    assert.ok(dot(q, near) > dot(q, far));
+  });
+
+  console.log('namespaces');
+
+  await test('namespace picks the provider; unknown namespaces fall back to corpus', async () => {
+    assert.strictEqual(getEmbeddingProvider('corpus-stub').modelId, 'stub:hash-64');
+    assert.strictEqual(getEmbeddingProvider('corpus').modelId, LEGACY_MODEL_ID);
+    assert.strictEqual(getEmbeddingProvider('no-such-namespace').modelId, LEGACY_MODEL_ID);
+    assert.throws(() => createEmbeddingProvider({ provider: 'nope' }), /Unknown embedding provider/);
+  });
+
+  await test('legacy vectors only match the ada-002 namespace', async () => {
+    assert.ok(isCompatibleModel(undefined, 'corpus'));
+    assert.ok(!isCompatibleModel(undefined, 'corpus-stub'));
+    assert.ok(isCompatibleModel('stub:hash-64', 'corpus-stub'));
+    assert.ok(!isCompatibleModel('local:Xenova/all-MiniLM-L6-v2', 'corpus'));
+  });
+
+  await test('the Pinecone filter clause mirrors the model check', async () => {
+    assert.deepStrictEqual(compatibleModelFilter('corpus'), {
+      $or: [
+        { embeddingModel: { $exists: false } },
+        { embeddingModel: { $eq: LEGACY_MODEL_ID } },
+      ],
+    });
+    assert.deepStrictEqual(compatibleModelFilter('corpus-stub'), { embeddingModel: { $eq: 'stub:hash-64' } });
+  });
+
+  console.log('openai provider');
+
+  await test('uses the caller\'s client when one is passed', async () => {
+    const requests = [];
+    const openai = {
+      embeddings: {
+        create: async (params) => {
+          requests.push(params);
+          return { data: [{ embedding: [0.1, 0.2] }], usage: { prompt_tokens: 3 } };
+        },
+      },
+    };
+    const response = await createEmbeddings({ input: 'halving', namespace: 'corpus', openai });
+    assert.deepStrictEqual(requests, [{ model: 'text-embedding-ada-002', input: 'halving' }]);
+    assert.strictEqual(response.modelId, LEGACY_MODEL_ID);
+    assert.deepStrictEqual(response.usage, { prompt_tokens: 3, total_tokens: 3 });
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for persisted 3D galaxy sessions: UmapProjector fit/transform
+ * and the incremental placement in services/galaxySessionService.js.
+ *
+ *   node tests/galaxy-session.test.js
+ *
+ * Pure node assertions; no database (GalaxySession.updateOne is stubbed).
+ * Embeddings come from the deterministic stub provider.
+ */
+
+const assert = require('assert');
+const UmapProjector = require('../utils/UmapProjector');
+const StubEmbeddingProvider = require('../utils/embeddings/stubEmbeddingProvider');
+const { multiSearchCache } = require('../utils/MultiSearchCacheManager');
+const { GalaxySession } = require('../models/GalaxySession');
+const { placeSessionItems, saveGalaxySession, toDocument, fromDocument } = require('../services/galaxySessionService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const stub = new StubEmbeddingProvider({ dimensions: 64 });
+async function embed(texts) {
+  const out = await stub.createEmbeddings({ input: texts });
+  return out.data.map(d => d.embedding);
+}
+
+const FIT_TEXTS = [
+  'bitcoin halving supply schedule', 'bitcoin mining hashrate difficulty', 'bitcoin lightning network payments',
+  'bitcoin self custody hardware wallet', 'federal reserve interest rate hike', 'federal reserve balance sheet runoff',
+  'federal reserve inflation target', 'federal reserve rate cut pivot', 'marathon training long run pace',
+  'marathon race day nutrition gels', 'marathon taper week recovery', 'marathon hill repeats strength',
+];
+
+const inRange = c => ['x', 'y', 'z'].every(axis => c[axis] >= -1 && c[axis] <= 1);
+
+async function buildSession() {
+  const embeddings = await embed(FIT_TEXTS);
+  const fitted = await new UmapProjector(UmapProjector.getFastModeConfig()).fit(embeddings);
+  return {
+    id: 'msess_test_1',
+    createdAt: Date.now(),
+    lastAccessedAt: Date.now(),
+    queries: [{ query: 'seed', timestamp: Date.now(), itemCount: FIT_TEXTS.length }],
+    items: FIT_TEXTS.map((text, i) => ({
+      pineconeId: `p${i}`,
+      embedding: embeddings[i],
+      metadata: { quote: text },
+      coordinates3d: fitted.coordinates[i],
+      rawCoordinates: fitted.rawCoordinates[i],
+      sourceQueryIndex: 0,
+    })),
+    axisLabels: { center: 'Money' },
+    umapConfig: 'fast',
+    projection: { ...fitted.projection, embeddingModelId: stub.modelId },
+  };
+}
+
+(async () => {
+  console.log('UmapProjector');
+
+  await test('fit returns raw layout and the bounds that normalize it', async () => {
+    const { items, projection } = await buildSession();
+    assert.strictEqual(projection.mins.length, 3);
+    const renormalized = new UmapProjector().normalizeCoordinates(items.map(i => i.rawCoordinates), projection);
+    assert.deepStrictEqual(renormalized, items.map(i => i.coordinates3d));
+  });
+
+  await test('transform is deterministic and stays inside the fitted bounds', async () => {
+    const session = await buildSession();
+    const reference = {
+      embeddings: session.items.map(i => i.embedding),
+      rawCoordinates: session.items.map(i => i.rawCoordinates),
+      projection: session.projection,
+    };
+    const newEmbeddings = await embed(['federal reserve emergency rate cut', 'marathon race pace strategy']);
+    const projector = new UmapProjector();
+    const a = projector.transform(newEmbeddings, reference);
+    const b = projector.transform(newEmbeddings, reference);
+    assert.deepStrictEqual(a, b);
+    assert.ok(a.coordinates.every(inRange));
+
+    // Lands nearer its own topic's fitted points than the other topics'
+    const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+    const centroid = idx => ({
+      x: idx.reduce((s, i) => s + session.items[i].coordinates3d.x, 0) / idx.length,
+      y: idx.reduce((s, i) => s + session.items[i].coordinates3d.y, 0) / idx.length,
+      z: idx.reduce((s, i) => s + session.items[i].coordinates3d.z, 0) / idx.length,
+    });
+    const fed = centroid([4, 5, 6, 7]);
+    const marathon = centroid([8, 9, 10, 11]);
+    assert.ok(dist(a.coordinates[0], fed) < dist(a.coordinates[0], marathon));
+    assert.ok(dist(a.coordinates[1], marathon) < dist(a.coordinates[1], fed));
+  });
+
+  console.log('placeSessionItems');
+
+  await test('expand places only new items; existing positions do not move', async () => {
+    const session = await buildSession();
+    const before = session.items.map(i => ({ ...i.coordinates3d }));
+    const [embedding] = await embed(['bitcoin mining difficulty adjustment']);
+    session.items.push({ pineconeId: 'new', embedding, metadata: {}, coordinates3d: null, sourceQueryIndex: 1 });
+
+    const placement = await placeSessionItems(session, { embeddingModelId: stub.modelId });
+    assert.strictEqual(placement.mode, 'transform');
+    assert.strictEqual(placement.placed, 1);
+    assert.deepStrictEqual(placement.coordinates3d.slice(0, before.length), before);
+    assert.ok(inRange(placement.coordinates3d[before.length]));
+    assert.strictEqual(placement.rawCoordinates.length, session.items.length);
+    assert.strictEqual(placement.projection, session.projection);
+  });
+
+  await test('refit (or a session without a projection) fits every item', async () => {
+    const session = await buildSession();
+    const refit = await placeSessionItems(session, { refit: true, fastMode: true, embeddingModelId: stub.modelId });
+    assert.strictEqual(refit.mode, 'fit');
+    assert.strictEqual(refit.projection.fittedCount, session.items.length);
+    assert.strictEqual(refit.projection.embeddingModelId, stub.modelId);
+
+    session.projection = null;
+    assert.strictEqual((await placeSessionItems(session, { fastMode: true })).mode, 'fit');
+  });
+
+  await test('a different embedding model is refused', async () => {
+    const session = await buildSession();
+    const out = await placeSessionItems(session, { embeddingModelId: 'openai:text-embedding-3-small' });
+    assert.strictEqual(out.status, 409);
+    assert.match(out.error, /Start a new session/);
+  });
+
+  console.log('persistence');
+
+  await test('document round-trip restores the session under its own id', async () => {
+    const session = await buildSession();
+    const doc = { ...toDocument(session), sessionId: session.id, createdAt: new Date(session.createdAt) };
+    const restored = multiSearchCache.restoreSession(fromDocument(doc));
+    assert.strictEqual(restored.id, session.id);
+    assert.strictEqual(multiSearchCache.getSession(session.id), restored);
+    assert.deepStrictEqual(restored.items.map(i => i.coordinates3d), session.items.map(i => i.coordinates3d));
+    assert.deepStrictEqual(restored.items.map(i => i.rawCoordinates), session.items.map(i => i.rawCoordinates));
+    assert.deepStrictEqual(restored.projection, session.projection);
+    assert.strictEqual(restored.queries[0].timestamp, session.queries[0].timestamp);
+  });
+
+  await test('the session id is the access handle: unguessable, no owner stored', async () => {
+    const created = multiSearchCache.createSession({ query: 'seed', items: [] });
+    assert.match(created.id, /^msess_[0-9a-z]+_[0-9a-f]{32}$/);
+    assert.notStrictEqual(multiSearchCache.createSession({ query: 'seed', items: [] }).id, created.id);
+
+    const updateOne = GalaxySession.updateOne;
+    let update = null;
+    GalaxySession.updateOne = async (filter, u) => { update = u; };
+    try {
+      assert.deepStrictEqual(await saveGalaxySession(await buildSession()), { saved: true });
+    } finally {
+      GalaxySession.updateOne = updateOne;
+    }
+    assert.deepStrictEqual(Object.keys(update), ['$set']);
+    assert.strictEqual(update.$set.owner, undefined);
+    assert.strictEqual(GalaxySession.schema.path('owner.identifier'), undefined);
+  });
+
+  multiSearchCache.shutdown(true);
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  multiSearchCache.shutdown(true);
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the local OpenAI-compatible LLM provider
+ * (utils/agent/providers/localProvider.js) and helper-role model selection.
+ *
+ *   node tests/local-llm-provider.test.js
+ *
+ * Runs against an in-process fake /v1 server that replays canned llama.cpp /
+ * Ollama style responses; no model server or network needed. The local models
+ * are only registered when LOCAL_LLM_BASE_URL is set at import time.
+ */
+
+process.env.LOCAL_LLM_BASE_URL = 'http://127.0.0.1:9/v1';
+
+const assert = require('assert');
+const http = require('http');
+const LocalProvider = require('../utils/agent/providers/localProvider');
+const { createProvider, SUPPORTED_PROVIDERS } = require('../utils/agent/providers');
+const { AGENT_MODELS, HELPER_LLM_PRICES, resolveRoleModel, resolveModelSelection } = require('../constants/agentModels');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const sse = chunks => chunks.map(c => `data: ${typeof c === 'string' ? c : JSON.stringify(c)}\n\n`).join('');
+const delta = (d, extra = {}) => ({ choices: [{ index: 0, delta: d, ...extra }] });
+
+// Next response per request, plus every request body the server saw
+const queue = [];
+const seen = [];
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/v1/models') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ data: [{ id: 'qwen3:8b' }] }));
+  }
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    seen.push(JSON.parse(body));
+    const next = queue.shift();
+    if (typeof next === 'string') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      // Split mid-line to exercise buffering across chunks
+      const mid = Math.floor(next.length / 2);
+      res.write(next.slice(0, mid));
+      setTimeout(() => res.end(next.slice(mid)), 5);
+    } else {
+      res.writeHead(next.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(next.body));
+    }
+  });
+});
+
+(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new LocalProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1/` });
+  const dead = new LocalProvider({ baseUrl: 'http://127.0.0.1:9/v1' });
+
+  console.log('provider');
+
+  await test('validate checks /models; only a reachable server is cached', async () => {
+    assert.strictEqual(await provider.validate(), true);
+    assert.strictEqual(await dead.validate(), false);
+    assert.strictEqual(dead._validated, false);
+    assert.ok(SUPPORTED_PROVIDERS.includes('local'));
+    assert.ok(createProvider('local') instanceof LocalProvider);
+  });
+
+  await test('streaming: text deltas skip the think block; indexless tool calls are split by id', async () => {
+    queue.push(sse([
+      delta({ content: '<thi' }),
+      delta({ content: 'nk>plan the search</th' }),
+      delta({ content: 'ink>\n\nLooking ' }),
+      delta({ content: 'that up.' }),
+      delta({ tool_calls: [{ id: 'call_a', function: { name: 'find_person', arguments: { name: 'Lyn Alden' } } }] }),
+      delta({ tool_calls: [{ id: 'call_b', function: { name: 'search_quotes', arguments: '{"query":' } }] }),
+      delta({ tool_calls: [{ function: { arguments: '"deficits"}' } }] }, { finish_reason: 'tool_calls' }),
+      { choices: [], usage: { prompt_tokens: 120, completion_tokens: 30 } },
+      '[DONE]',
+    ]));
+    const streamed = [];
+    const resp = await provider.createResponse({
+      model: 'qwen3:8b',
+      maxTokens: 256,
+      system: 'sys',
+      messages: [{ role: 'user', content: 'What did Lyn Alden say about deficits?' }],
+      tools: [{ name: 'find_person', description: 'd', input_schema: { type: 'object' } }],
+      onTextDelta: t => streamed.push(t),
+    });
+
+    assert.strictEqual(streamed.join(''), 'Looking that up.');
+    assert.strictEqual(resp.stop_reason, 'tool_use');
+    assert.deepStrictEqual(resp.content.map(b => b.type), ['text', 'tool_use', 'tool_use']);
+    assert.deepStrictEqual(resp.content[1], { type: 'tool_use', id: 'call_a', name: 'find_person', input: { name: 'Lyn Alden' } });
+    assert.deepStrictEqual(resp.content[2].input, { query: 'deficits' });
+    assert.deepStrictEqual(resp.usage, { input_tokens: 120, output_tokens: 30, provider_reported_cost_usd: 0, reasoning_tokens: null });
+
+    const payload = seen.at(-1);
+    assert.strictEqual(payload.stream, true);
+    assert.strictEqual(payload.max_tokens, 256);
+    assert.strictEqual(payload.tool_choice, 'auto');
+    assert.strictEqual(payload.tools[0].function.name, 'find_person');
+  });
+
+  await test('non-streaming: tool results round-trip as tool messages; think block stripped', async () => {
+    queue.push({ body: { choices: [{ message: { content: '<think>x</think>\nAnswer {{clip:g_p4}}' }, finish_reason: 'stop' }] } });
+    const resp = await provider.createResponse({
+      model: 'qwen3:8b',
+      maxTokens: 100,
+      system: 'sys',
+      messages: [
+        { role: 'user', content: 'q' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'call_a', name: 'search_quotes', input: { query: 'q' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_a', content: '{"results":[]}' }] },
+      ],
+      tools: [{ name: 'search_quotes', description: 'd', input_schema: { type: 'object' } }],
+      toolChoice: 'none',
+      temperature: 0,
+    });
+    assert.deepStrictEqual(resp.content, [{ type: 'text', text: 'Answer {{clip:g_p4}}' }]);
+    assert.strictEqual(resp.stop_reason, 'stop');
+    assert.deepStrictEqual(resp.usage.input_tokens, 0);
+
+    const payload = seen.at(-1);
+    assert.strictEqual(payload.tool_choice, 'none');
+    assert.strictEqual(payload.temperature, 0);
+    assert.deepStrictEqual(payload.messages.map(m => m.role), ['system', 'user', 'assistant', 'tool']);
+    assert.strictEqual(payload.messages[2].tool_calls[0].function.arguments, '{"query":"q"}');
+    assert.strictEqual(payload.messages[3].tool_call_id, 'call_a');
+  });
+
+  await test('chatCompletion passes raw payloads through; HTTP errors throw', async () => {
+    queue.push({ body: { choices: [{ message: { content: '<think>\n</think>{"scores":[{"i":0,"s":7}]}' } }], usage: { prompt_tokens: 9, completion_tokens: 4 } } });
+    const data = await provider.chatCompletion({ model: 'qwen3:8b', messages: [], response_format: { type: 'json_schema' } });
+    assert.deepStrictEqual(JSON.parse(data.choices[0].message.content), { scores: [{ i: 0, s: 7 }] });
+    assert.strictEqual(seen.at(-1).stream, false);
+    assert.deepStrictEqual(seen.at(-1).response_format, { type: 'json_schema' });
+
+    queue.push({ status: 400, body: { error: 'tools param requires --jinja flag' } });
+    await assert.rejects(provider.createResponse({ model: 'm', maxTokens: 1, system: 's', messages: [] }), /Local LLM request failed \(400\).*--jinja/);
+  });
+
+  console.log('registry');
+
+  await test('local models are zero-cost and selectable for helper roles', async () => {
+    assert.strictEqual(AGENT_MODELS.local.provider, 'local');
+    assert.strictEqual(AGENT_MODELS.local.inputPer1M + AGENT_MODELS.local.outputPer1M, 0);
+    assert.strictEqual(HELPER_LLM_PRICES[AGENT_MODELS['local-small'].id].inputPer1M, 0);
+    assert.strictEqual(resolveModelSelection({ model: 'ollama' }).modelKey, 'local');
+    assert.strictEqual(resolveModelSelection({ provider: 'local' }).modelKey, 'local');
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      process.env.TEST_ROLE_MODEL = 'local-small';
+      assert.strictEqual(resolveRoleModel('TEST_ROLE_MODEL', 'fast').key, 'local-small');
+      assert.strictEqual(resolveRoleModel('TEST_ROLE_MODEL', 'gpt-4o-mini', { providers: ['openai', 'local'] }).key, 'local-small');
+      process.env.TEST_ROLE_MODEL = 'deepseek-v4-flash';
+      assert.strictEqual(resolveRoleModel('TEST_ROLE_MODEL', 'gpt-4o-mini', { providers: ['openai', 'local'] }).key, 'gpt-4o-mini');
+      process.env.TEST_ROLE_MODEL = 'no-such-model';
+      assert.strictEqual(resolveRoleModel('TEST_ROLE_MODEL', 'fast').key, 'fast');
+      delete process.env.TEST_ROLE_MODEL;
+      assert.strictEqual(resolveRoleModel('TEST_ROLE_MODEL', 'fast').key, 'fast');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  await test('without LOCAL_LLM_BASE_URL nothing local is selectable or probed', async () => {
+    delete process.env.LOCAL_LLM_BASE_URL;
+    const modulePaths = ['../constants/agentModels', '../utils/agent/providers/localProvider'].map(p => require.resolve(p));
+    modulePaths.forEach(p => delete require.cache[p]);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const registry = require('../constants/agentModels');
+      const Unconfigured = require('../utils/agent/providers/localProvider');
+      assert.strictEqual(registry.LOCAL_LLM_ENABLED, false);
+      assert.strictEqual(registry.AGENT_MODELS.local, undefined);
+      for (const model of ['local', 'local-small', 'ollama', 'llamacpp', 'vllm']) {
+        assert.strictEqual(registry.normalizeModelKey(model), null, model);
+        assert.strictEqual(registry.resolveModelSelection({ model }).modelKey, registry.DEFAULT_AGENT_MODEL, model);
+      }
+      assert.strictEqual(registry.resolveModelSelection({ provider: 'local' }).modelKey, registry.DEFAULT_AGENT_MODEL);
+
+      const unconfigured = new Unconfigured();
+      assert.strictEqual(unconfigured.baseUrl, null);
+      assert.strictEqual(await unconfigured.validate(), false);
+      await assert.rejects(unconfigured.chatCompletion({ messages: [] }), /LOCAL_LLM_BASE_URL/);
+    } finally {
+      console.warn = warn;
+      modulePaths.forEach(p => delete require.cache[p]);
+    }
+  });
+
+  server.close();
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for caveat-scoped L402 macaroons (utils/macaroon-utils.js) and the
+ * endpoint allowlist check in utils/macaroonBudget.js.
+ *
+ *   node tests/macaroon-caveats.test.js
+ *
+ * Pure node assertions; no database. Spend/rate counters are Mongo-backed
+ * and not exercised here.
+ */
+
+process.env.L402_MACAROON_SECRET = process.env.L402_MACAROON_SECRET || 'test-macaroon-secret';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { MacaroonsBuilder } = require('macaroons.js');
+const { mintMacaroon, attenuateMacaroon, verifyMacaroon, deriveRootKey } = require('../utils/macaroon-utils');
+const { checkEndpointCaveat, isDelegatedCredential, credentialExpiry } = require('../utils/macaroonBudget');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const paymentHash = crypto.createHash('sha256').update('preimage').digest('hex');
+const inAnHour = Math.floor(Date.now() / 1000) + 3600;
+
+(async () => {
+  console.log('mint / verify');
+
+  await test('an unscoped credential verifies with no restrictions', async () => {
+    const { macaroonBase64 } = mintMacaroon(paymentHash);
+    const out = verifyMacaroon(macaroonBase64);
+    assert.strictEqual(out.valid, true);
+    assert.strictEqual(out.caveats.endpoints, null);
+    assert.strictEqual(out.caveats.maxSpendMicroUsd, null);
+    assert.deepStrictEqual(out.caveats.budgets, []);
+    assert.strictEqual(checkEndpointCaveat(out.caveats, 'make-clip'), null);
+  });
+
+  await test('a freshly minted root credential is not delegated; attenuation makes it so', async () => {
+    const { macaroonBase64 } = mintMacaroon(paymentHash);
+    const { caveats } = verifyMacaroon(macaroonBase64);
+    assert.strictEqual(caveats.expiresAt, null);
+    assert.ok(caveats.mintedExpiresAt > inAnHour);
+    assert.strictEqual(credentialExpiry(caveats), caveats.mintedExpiresAt);
+    assert.strictEqual(isDelegatedCredential(caveats), false);
+
+    const shortLived = verifyMacaroon(attenuateMacaroon(macaroonBase64, { expiresAt: inAnHour }).macaroonBase64).caveats;
+    assert.strictEqual(shortLived.expiresAt, inAnHour);
+    assert.strictEqual(credentialExpiry(shortLived), inAnHour);
+    assert.strictEqual(isDelegatedCredential(shortLived), true);
+    assert.strictEqual(isDelegatedCredential(verifyMacaroon(attenuateMacaroon(macaroonBase64, { endpoints: ['pull'] }).macaroonBase64).caveats), true);
+    assert.strictEqual(isDelegatedCredential(verifyMacaroon(attenuateMacaroon(macaroonBase64, { ratePerMinute: 2 }).macaroonBase64).caveats), true);
+  });
+
+  await test('scope can be minted in and is summarized', async () => {
+    const { macaroonBase64 } = mintMacaroon(paymentHash, { endpoints: ['pull'], ratePerMinute: 5 });
+    const { caveats } = verifyMacaroon(macaroonBase64);
+    assert.deepStrictEqual(caveats.endpoints, ['pull']);
+    assert.strictEqual(caveats.ratePerMinute, 5);
+    assert.deepStrictEqual(caveats.budgets.map(b => [b.kind, b.limit]), [['rate', 5]]);
+  });
+
+  console.log('attenuation');
+
+  await test('holders narrow a credential; caveats intersect and take minimums', async () => {
+    const { macaroonBase64: parent } = mintMacaroon(paymentHash);
+    const child = attenuateMacaroon(parent, { endpoints: 'search-quotes,pull', maxSpendMicroUsd: 500000 });
+    assert.deepStrictEqual(child.caveats, ['endpoints = search-quotes,pull', 'max_spend_micro_usd = 500000']);
+    const grandchild = attenuateMacaroon(child.macaroonBase64, {
+      endpoints: ['pull', 'make-clip'], maxSpendMicroUsd: 900000, ratePerMinute: 3, expiresAt: inAnHour,
+    });
+
+    const { valid, caveats } = verifyMacaroon(grandchild.macaroonBase64);
+    assert.strictEqual(valid, true);
+    assert.deepStrictEqual(caveats.endpoints, ['pull']);
+    assert.strictEqual(caveats.maxSpendMicroUsd, 500000);
+    assert.strictEqual(caveats.ratePerMinute, 3);
+    assert.strictEqual(caveats.expiresAt, inAnHour);
+
+    assert.strictEqual(checkEndpointCaveat(caveats, 'pull'), null);
+    const denied = checkEndpointCaveat(caveats, 'search-quotes');
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.code, 'CAVEAT_ENDPOINT_NOT_ALLOWED');
+  });
+
+  await test('delegated credentials count against their parent\'s budget key', async () => {
+    const { macaroonBase64: root } = mintMacaroon(paymentHash);
+    const parent = attenuateMacaroon(root, { maxSpendMicroUsd: 1000000 }).macaroonBase64;
+    const a = attenuateMacaroon(parent, { maxSpendMicroUsd: 200000 }).macaroonBase64;
+    const b = attenuateMacaroon(parent, { maxSpendMicroUsd: 200000 }).macaroonBase64;
+
+    const keys = m => verifyMacaroon(m).caveats.budgets.map(x => x.key);
+    const [parentKey] = keys(parent);
+    const [aParent, aOwn] = keys(a);
+    const [bParent, bOwn] = keys(b);
+    assert.strictEqual(aParent, parentKey);
+    assert.strictEqual(bParent, parentKey);
+    // Same caveat text on the same parent yields the same chain, so the same key:
+    // identical delegations pool their budget rather than doubling it.
+    assert.strictEqual(aOwn, bOwn);
+    const c = attenuateMacaroon(parent, { maxSpendMicroUsd: 200000, ratePerMinute: 1 }).macaroonBase64;
+    assert.strictEqual(keys(c)[0], parentKey);
+    // The key is a hash, never the chain signature itself
+    assert.notStrictEqual(parentKey, MacaroonsBuilder.deserialize(parent).signature);
+  });
+
+  await test('invalid scopes are refused', async () => {
+    const { macaroonBase64 } = mintMacaroon(paymentHash);
+    assert.match(attenuateMacaroon(macaroonBase64, {}).error, /At least one/);
+    assert.match(attenuateMacaroon(macaroonBase64, { endpoints: 'search quotes' }).error, /endpoint names/);
+    assert.match(attenuateMacaroon(macaroonBase64, { endpoints: 'everything' }).error, /Unknown endpoints: everything/);
+    assert.match(attenuateMacaroon(macaroonBase64, { maxSpendMicroUsd: -5 }).error, /positive integer/);
+    assert.match(attenuateMacaroon(macaroonBase64, { expiresAt: '2001-01-01' }).error, /future/);
+    assert.throws(() => mintMacaroon(paymentHash, { ratePerMinute: 1.5 }), /positive integer/);
+  });
+
+  await test('expired or tampered caveats fail verification', async () => {
+    const { macaroonBase64 } = mintMacaroon(paymentHash);
+    const expired = MacaroonsBuilder.modify(MacaroonsBuilder.deserialize(macaroonBase64))
+      .add_first_party_caveat(`expires_at = ${Math.floor(Date.now() / 1000) - 1}`)
+      .getMacaroon().serialize();
+    assert.strictEqual(verifyMacaroon(expired).valid, false);
+
+    const unknownCaveat = MacaroonsBuilder.modify(MacaroonsBuilder.deserialize(macaroonBase64))
+      .add_first_party_caveat('max_spend_micro_usd = lots')
+      .getMacaroon().serialize();
+    assert.strictEqual(verifyMacaroon(unknownCaveat).valid, false);
+
+    // Dropping a caveat breaks the HMAC chain
+    const scoped = attenuateMacaroon(macaroonBase64, { endpoints: ['pull'] }).macaroonBase64;
+    const m = MacaroonsBuilder.deserialize(scoped);
+    const stripped = new MacaroonsBuilder(m.location, deriveRootKey('0'.repeat(64)), m.identifier).getMacaroon();
+    stripped.caveatPackets = m.caveatPackets.slice(0, -1);
+    stripped.signatureBuffer = m.signatureBuffer;
+    stripped.signature = m.signature;
+    assert.strictEqual(verifyMacaroon(stripped.serialize()).valid, false);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the MCP server core (services/mcpServer.js).
+ *
+ *   node tests/mcp-server.test.js
+ *
+ * Pure node assertions; tool calls go to a stub callTool, so no Pinecone,
+ * MongoDB or LLM is touched.
+ */
+
+const assert = require('assert');
+const {
+  handleMcpMessage,
+  listMcpTools,
+  entitlementForMessage,
+  MCP_TOOL_NAMES,
+  JSON_RPC_ERRORS,
+} = require('../services/mcpServer');
+const { TOOL_DEFINITIONS } = require('../setup-agent');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const noTools = { callTool: async () => { throw new Error('callTool should not run'); } };
+
+(async () => {
+  console.log('lifecycle');
+
+  await test('initialize negotiates the protocol version; notifications get no response', async () => {
+    const init = await handleMcpMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } }, noTools);
+    assert.strictEqual(init.id, 1);
+    assert.strictEqual(init.result.protocolVersion, '2025-03-26');
+    assert.deepStrictEqual(init.result.capabilities, { tools: { listChanged: false } });
+
+    const unknownVersion = await handleMcpMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } }, noTools);
+    assert.strictEqual(unknownVersion.result.protocolVersion, '2025-06-18');
+
+    assert.strictEqual(await handleMcpMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, noTools), null);
+    assert.deepStrictEqual(await handleMcpMessage({ jsonrpc: '2.0', id: 3, method: 'ping' }, noTools), { jsonrpc: '2.0', id: 3, result: {} });
+  });
+
+  await test('malformed and unknown messages are JSON-RPC errors', async () => {
+    assert.strictEqual((await handleMcpMessage({ id: 1, method: 'ping' }, noTools)).error.code, JSON_RPC_ERRORS.INVALID_REQUEST);
+    assert.strictEqual((await handleMcpMessage({ jsonrpc: '2.0', id: 1, method: 'resources/list' }, noTools)).error.code, JSON_RPC_ERRORS.METHOD_NOT_FOUND);
+  });
+
+  console.log('tools');
+
+  await test('tools/list publishes the agent tool schemas', async () => {
+    const { result } = await handleMcpMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, noTools);
+    assert.deepStrictEqual(result.tools.map(t => t.name).sort(), [...MCP_TOOL_NAMES].sort());
+    const searchQuotes = result.tools.find(t => t.name === 'search_quotes');
+    assert.strictEqual(searchQuotes.inputSchema, TOOL_DEFINITIONS.find(t => t.name === 'search_quotes').input_schema);
+    assert.deepStrictEqual(listMcpTools().map(t => t.name), result.tools.map(t => t.name));
+  });
+
+  await test('tools/call wraps results and flags tool errors', async () => {
+    const calls = [];
+    const callTool = async (name, args) => {
+      calls.push([name, args]);
+      return name === 'search_quotes' ? { results: [{ shareLink: 'g_p4' }] } : { error: 'paragraphId not found' };
+    };
+
+    const ok = await handleMcpMessage({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'search_quotes', arguments: { query: 'halving' } } }, { callTool });
+    assert.strictEqual(ok.result.isError, false);
+    assert.deepStrictEqual(ok.result.structuredContent, { results: [{ shareLink: 'g_p4' }] });
+    assert.deepStrictEqual(JSON.parse(ok.result.content[0].text), ok.result.structuredContent);
+
+    const failed = await handleMcpMessage({ jsonrpc: '2.0', id: 8, method: 'tools/call', params: { name: 'get_adjacent_paragraphs', arguments: {} } }, { callTool });
+    assert.strictEqual(failed.result.isError, true);
+
+    // suggest_action is agent-internal and not published
+    const hidden = await handleMcpMessage({ jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'suggest_action', arguments: {} } }, { callTool });
+    assert.strictEqual(hidden.error.code, JSON_RPC_ERRORS.INVALID_PARAMS);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['search_quotes', 'get_adjacent_paragraphs']);
+  });
+
+  await test('only priced tool calls map to an entitlement', async () => {
+    const call = name => ({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name } });
+    assert.strictEqual(entitlementForMessage(call('search_quotes')), 'search-quotes');
+    assert.strictEqual(entitlementForMessage(call('search_chapters')), 'chapter-search');
+    assert.strictEqual(entitlementForMessage(call('discover_podcasts')), 'discover-podcasts');
+    assert.strictEqual(entitlementForMessage(call('find_person')), null);
+    assert.strictEqual(entitlementForMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }), null);
+    assert.strictEqual(entitlementForMessage(undefined), null);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for metered /api/pull pricing (utils/meteredPricing.js).
+ *
+ *   node tests/metered-pricing.test.js
+ *
+ * Pure node assertions; no database (settlement's Mongo writes are not
+ * exercised, only its no-op paths).
+ */
+
+const assert = require('assert');
+const {
+  resolveMeteredRequest,
+  meteredChargeMicroUsd,
+  applyMeteredCeiling,
+  meteredCostEvent,
+  settleMeteredDebit
+} = require('../utils/meteredPricing');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const CONFIG = { markup: 2.5, minChargeMicroUsd: 5000, defaultCeilingMicroUsd: 100000, maxCeilingMicroUsd: 2000000 };
+
+(async () => {
+  console.log('resolveMeteredRequest');
+
+  await test('flat unless the body opts in; ceiling defaults to the flat price', async () => {
+    assert.strictEqual(resolveMeteredRequest({}, CONFIG), null);
+    assert.strictEqual(resolveMeteredRequest({ pricing: 'flat', maxCostUsd: 1 }, CONFIG), null);
+    assert.deepStrictEqual(resolveMeteredRequest({ pricing: 'metered' }, CONFIG),
+      { ceilingMicroUsd: 100000, markup: 2.5, minChargeMicroUsd: 5000 });
+    assert.strictEqual(resolveMeteredRequest({ pricing: 'metered', maxCostUsd: '0.25' }, CONFIG).ceilingMicroUsd, 250000);
+  });
+
+  await test('rejects unknown modes and out-of-range ceilings', async () => {
+    assert.match(resolveMeteredRequest({ pricing: 'auction' }, CONFIG).error, /pricing must be one of/);
+    assert.match(resolveMeteredRequest({ pricing: 'metered', maxCostUsd: -1 }, CONFIG).error, /positive number/);
+    assert.match(resolveMeteredRequest({ pricing: 'metered', maxCostUsd: 0.001 }, CONFIG).error, /at least 0.005/);
+    assert.match(resolveMeteredRequest({ pricing: 'metered', maxCostUsd: 5 }, CONFIG).error, /may not exceed 2/);
+  });
+
+  console.log('charging');
+
+  const metered = resolveMeteredRequest({ pricing: 'metered', maxCostUsd: 0.25 }, CONFIG);
+
+  await test('charge is actual × markup clamped to [minimum, ceiling]', async () => {
+    assert.strictEqual(meteredChargeMicroUsd(0.0233, metered), 58250);
+    assert.strictEqual(meteredChargeMicroUsd(0.0001, metered), 5000);
+    assert.strictEqual(meteredChargeMicroUsd(0.5, metered), 250000);
+    // Failed runs pay only for what was spent
+    assert.strictEqual(meteredChargeMicroUsd(0.0001, metered, { failed: true }), 250);
+    assert.strictEqual(meteredChargeMicroUsd(0, metered, { failed: true }), 0);
+  });
+
+  await test('ceiling caps the run budget; flat leaves the profile alone', async () => {
+    const profile = { costBudgetSoft: 0.055, costBudgetHard: 0.08, maxToolRounds: 6 };
+    assert.strictEqual(applyMeteredCeiling(profile, null), profile);
+    const cheap = applyMeteredCeiling(profile, resolveMeteredRequest({ pricing: 'metered', maxCostUsd: 0.05 }, CONFIG));
+    assert.ok(Math.abs(cheap.costBudgetHard - 0.02) < 1e-12);
+    assert.ok(Math.abs(cheap.costBudgetSoft - 0.014) < 1e-12);
+    assert.strictEqual(cheap.maxToolRounds, 6);
+    // A generous ceiling never raises the profile's own budgets
+    const rich = applyMeteredCeiling(profile, resolveMeteredRequest({ pricing: 'metered', maxCostUsd: 2 }, CONFIG));
+    assert.deepStrictEqual(rich, profile);
+  });
+
+  await test('cost events report the running and final charge', async () => {
+    assert.deepStrictEqual(meteredCostEvent(0.0001, metered), { pricing: 'metered', costUsd: 0.00025, ceilingUsd: 0.25, final: false });
+    assert.deepStrictEqual(meteredCostEvent(0.0001, metered, { final: true }), { pricing: 'metered', costUsd: 0.005, ceilingUsd: 0.25, final: true });
+    assert.strictEqual(meteredCostEvent(1, metered).costUsd, 0.25);
+  });
+
+  await test('settlement is a no-op for flat or already-settled requests', async () => {
+    assert.strictEqual(await settleMeteredDebit({ entitlement: { metered: null }, paymentHash: 'x', actualCostUsd: 0.01 }), null);
+    assert.strictEqual(await settleMeteredDebit({ entitlement: { metered: { ...metered, settled: true } }, paymentHash: 'x', actualCostUsd: 0.01 }), null);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for cross-feed near-duplicate collapsing (utils/nearDuplicates.js)
+ * and how searchQuotes applies it (services/searchQuotesService.js).
+ *
+ *   node tests/near-duplicates.test.js
+ *
+ * Pure node assertions; no Pinecone, no MongoDB. searchQuotes destructures
+ * its Pinecone helpers at import time, so they and the metadata model are
+ * stubbed before it is required; queries embed with the stub provider.
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+process.env.EMBEDDING_PROVIDER = 'stub';
+
+const assert = require('assert');
+const pineconeTools = require('../agent-tools/pineconeTools');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const {
+  collapseNearDuplicates, embeddingCandidates, shingles, jaccard, cosineSimilarity,
+} = require('../utils/nearDuplicates');
+
+const pinecone = { queries: [], fetches: [], matches: [], values: {} };
+pineconeTools.findSimilarDiscussions = async (params) => {
+  pinecone.queries.push(params);
+  return pinecone.matches.slice(0, params.limit);
+};
+pineconeTools.getVectorValuesByIds = async (ids) => {
+  pinecone.fetches.push(ids);
+  return new Map(ids.filter(id => pinecone.values[id]).map(id => [id, pinecone.values[id]]));
+};
+const paragraphs = new Map();
+JamieVectorMetadata.find = (query) => {
+  const docs = query.type === 'paragraph'
+    ? query.pineconeId.$in.filter(id => paragraphs.has(id)).map(id => ({ pineconeId: id, metadataRaw: paragraphs.get(id) }))
+    : [];
+  const chain = { select: () => chain, lean: async () => docs };
+  return chain;
+};
+const { searchQuotes } = require('../services/searchQuotesService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const QUOTE = 'The thing people miss about fixed supply money is that it changes how you think about time preference and saving for the long run';
+
+// Two ASR differences from QUOTE between uploads
+const DRIFTED = 'The thing people miss about fixed supply money is it changes how you think about time preference and savings for the long run';
+
+function clip(shareLink, quote, extra = {}) {
+  return { shareLink, quote, episode: `Episode ${shareLink}`, creator: `Feed ${shareLink}`, feedId: '1', date: '2026-01-01', ...extra };
+}
+
+(async () => {
+  console.log('similarity');
+
+  await test('shingles ignore case and punctuation', async () => {
+    assert.strictEqual(jaccard(shingles(QUOTE), shingles(QUOTE.toUpperCase().replace(/ /g, ', '))), 1);
+    assert.strictEqual(jaccard(shingles(QUOTE), shingles('Something else entirely about mining difficulty adjustments')), 0);
+  });
+
+  await test('cosine handles mismatched or missing vectors', async () => {
+    assert.strictEqual(cosineSimilarity([1, 0], [1, 0]), 1);
+    assert.strictEqual(cosineSimilarity([1, 0], [1, 0, 0]), null);
+    assert.strictEqual(cosineSimilarity(null, [1]), null);
+  });
+
+  console.log('collapse');
+
+  await test('re-uploads collapse into the highest-ranked copy', async () => {
+    const { results, collapsed } = collapseNearDuplicates([
+      clip('guidA_p12', QUOTE, { feedId: '10' }),
+      clip('guidB_p40', 'Something else entirely about mining difficulty adjustments and hashrate'),
+      clip('guidC_p3', `Yeah. ${QUOTE}, you know`, { feedId: '20' }),
+    ]);
+    assert.strictEqual(collapsed, 1);
+    assert.deepStrictEqual(results.map(r => r.shareLink), ['guidA_p12', 'guidB_p40']);
+    assert.deepStrictEqual(results[0].alsoAppearsIn, [{
+      shareLink: 'guidC_p3', guid: 'guidC', feedId: '20', episode: 'Episode guidC_p3', creator: 'Feed guidC_p3', date: '2026-01-01',
+    }]);
+    assert.strictEqual(results[1].alsoAppearsIn, undefined);
+  });
+
+  await test('paragraphs from the same episode are never collapsed', async () => {
+    const { results, collapsed } = collapseNearDuplicates([clip('guidA_p12', QUOTE), clip('guidA_p13', QUOTE)]);
+    assert.strictEqual(collapsed, 0);
+    assert.strictEqual(results.length, 2);
+  });
+
+  await test('embeddings catch drifted transcripts but not bare paraphrases', async () => {
+    const paraphrase = 'A capped money supply shifts how savers weigh the present against the future';
+    const vectors = { guidA_p1: [1, 0.01], guidB_p1: [1, 0.02], guidC_p1: [1, 0.015] };
+    const getEmbedding = r => vectors[r.shareLink];
+
+    const overlap = jaccard(shingles(QUOTE), shingles(DRIFTED));
+    assert.ok(overlap > 0.2 && overlap < 0.5, `overlap ${overlap}`);
+    const { results, collapsed } = collapseNearDuplicates(
+      [clip('guidA_p1', QUOTE), clip('guidB_p1', DRIFTED), clip('guidC_p1', paraphrase)],
+      { getEmbedding }
+    );
+    assert.strictEqual(collapsed, 1);
+    assert.deepStrictEqual(results.map(r => r.shareLink), ['guidA_p1', 'guidC_p1']);
+
+    // Without vectors the drifted copy stays separate
+    assert.strictEqual(collapseNearDuplicates([clip('guidA_p1', QUOTE), clip('guidB_p1', DRIFTED)]).collapsed, 0);
+  });
+
+  await test('only partially overlapping pairs from different episodes need vectors', async () => {
+    const candidates = embeddingCandidates([
+      clip('guidA_p1', QUOTE),
+      clip('guidB_p1', QUOTE),
+      clip('guidC_p1', DRIFTED),
+      clip('guidA_p2', DRIFTED),
+      clip('guidD_p1', 'Something else entirely about mining difficulty adjustments and hashrate'),
+    ]);
+    assert.deepStrictEqual(candidates.map(r => r.shareLink), ['guidA_p1', 'guidB_p1', 'guidC_p1', 'guidA_p2']);
+  });
+
+  console.log('searchQuotes');
+
+  await test('duplicates are collapsed before the results are cut to the limit', async () => {
+    const texts = {
+      guidA_p1: QUOTE,
+      guidB_p1: QUOTE,
+      guidC_p1: DRIFTED,
+      guidD_p1: 'Something else entirely about mining difficulty adjustments and hashrate',
+    };
+    for (const [id, text] of Object.entries(texts)) paragraphs.set(id, { text, episode: `Episode ${id}`, feedId: 1 });
+    pinecone.matches = Object.keys(texts).map((id, i) => ({ id, score: 0.9 - i / 100 }));
+    pinecone.values = { guidA_p1: [1, 0.01], guidB_p1: [1, 0.01], guidC_p1: [1, 0.02] };
+
+    const response = await searchQuotes({ query: 'fixed supply money', limit: 2 }, { openai: null });
+    assert.strictEqual(pinecone.queries[0].limit, 4);
+    assert.strictEqual(pinecone.queries[0].includeValues, undefined);
+    assert.deepStrictEqual(pinecone.fetches, [['guidA_p1', 'guidB_p1', 'guidC_p1']]);
+    assert.deepStrictEqual(response.results.map(r => r.shareLink), ['guidA_p1', 'guidD_p1']);
+    assert.deepStrictEqual(response.results[0].alsoAppearsIn.map(a => a.shareLink), ['guidB_p1', 'guidC_p1']);
+    assert.strictEqual(response.duplicatesCollapsed, 2);
+  });
+
+  await test('collapseDuplicates: false keeps every copy and fetches no vectors', async () => {
+    pinecone.queries = [];
+    pinecone.fetches = [];
+    const response = await searchQuotes({ query: 'fixed supply money', limit: 2, collapseDuplicates: false }, { openai: null });
+    assert.strictEqual(pinecone.queries[0].limit, 2);
+    assert.deepStrictEqual(pinecone.fetches, []);
+    assert.deepStrictEqual(response.results.map(r => r.shareLink), ['guidA_p1', 'guidB_p1']);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
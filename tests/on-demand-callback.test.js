@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for on-demand completion webhooks: outbound signing
+ * (middleware/hmac.js#signRequest) and event/backoff bookkeeping in
+ * services/onDemandCallbackService.js.
+ *
+ *   node tests/on-demand-callback.test.js
+ *
+ * Pure node assertions, no database (Entitlement statics are stubbed). The
+ * HMAC key map is read at import time, so the test key is set before
+ * requiring the middleware.
+ */
+
+process.env.SVC_HMAC_KEYS_JSON = JSON.stringify({ 'jamie-on-demand': 'test-secret-0123456789' });
+process.env.L402_MACAROON_SECRET = process.env.L402_MACAROON_SECRET || 'test-macaroon-secret';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { serviceHmac, signRequest } = require('../middleware/hmac');
+const {
+  parseCallbackOptions,
+  collectNewEvents,
+  backoffMs,
+} = require('../services/onDemandCallbackService');
+const { mintMacaroon } = require('../utils/macaroon-utils');
+const { Entitlement } = require('../models/Entitlement');
+const createOnDemandRoutes = require('../routes/onDemandRuns');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+// Run serviceHmac() against a minimal express-like request.
+function verify({ url, body, headers }) {
+  const parsed = new URL(url);
+  const query = Object.fromEntries(parsed.searchParams.entries());
+  const req = {
+    method: 'POST',
+    baseUrl: '',
+    path: parsed.pathname,
+    query,
+    rawBody: body,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+  };
+  req.headers['content-length'] = String(Buffer.byteLength(body));
+  return new Promise((resolve) => {
+    const res = {
+      status(code) { return { json: (payload) => resolve({ code, payload }) }; },
+    };
+    serviceHmac()(req, res, () => resolve({ code: 200 }));
+  });
+}
+
+(async () => {
+  console.log('signRequest');
+
+  await test('signed webhook verifies with serviceHmac on the receiving side', async () => {
+    const url = 'https://agent.example.com/hooks/jamie?b=2&a=1';
+    const body = JSON.stringify({ event: 'episode.completed' });
+    const headers = signRequest({ method: 'POST', url, body, keyId: 'jamie-on-demand', secret: 'test-secret-0123456789' });
+    const result = await verify({ url, body, headers });
+    assert.strictEqual(result.code, 200);
+  });
+
+  await test('tampered body is rejected', async () => {
+    const url = 'https://agent.example.com/hooks/jamie';
+    const headers = signRequest({ method: 'POST', url, body: '{"a":1}', keyId: 'jamie-on-demand', secret: 'test-secret-0123456789' });
+    const result = await verify({ url, body: '{"a":2}', headers });
+    assert.strictEqual(result.code, 401);
+  });
+
+  console.log('parseCallbackOptions');
+
+  await test('no callbackUrl means no callback', () => {
+    assert.deepStrictEqual(parseCallbackOptions({}), {});
+  });
+
+  await test('requires https and a long enough secret', () => {
+    assert.ok(parseCallbackOptions({ callbackUrl: 'ftp://x', callbackSecret: 'x'.repeat(16) }).error);
+    assert.ok(parseCallbackOptions({ callbackUrl: 'https://x.example', callbackSecret: 'short' }).error);
+    const { callback } = parseCallbackOptions({ callbackUrl: 'https://x.example/h', callbackSecret: 'x'.repeat(16) });
+    assert.strictEqual(callback.keyId, 'jamie-on-demand');
+  });
+
+  console.log('collectNewEvents');
+
+  const result = {
+    jobStatus: 'processing',
+    episodes: [
+      { guid: 'g1', status: 'success' },
+      { guid: 'g2', status: 'failed' },
+      { guid: 'g3', status: 'pending' },
+    ],
+  };
+
+  await test('one event per terminal episode, none for pending', () => {
+    const events = collectNewEvents(result, []);
+    assert.deepStrictEqual(events.map(e => [e.eventId, e.event]), [
+      ['episode:g1', 'episode.completed'],
+      ['episode:g2', 'episode.failed'],
+    ]);
+  });
+
+  await test('already queued events are not duplicated; job event appears once terminal', () => {
+    const done = { ...result, jobStatus: 'complete', episodes: [...result.episodes.slice(0, 2), { guid: 'g3', status: 'skipped' }] };
+    const events = collectNewEvents(done, [{ eventId: 'episode:g1' }, { eventId: 'episode:g2' }]);
+    assert.deepStrictEqual(events.map(e => e.eventId), ['episode:g3', 'job']);
+    assert.strictEqual(events[1].event, 'job.completed');
+  });
+
+  await test('a failed job reports its unfinished episodes as failed', () => {
+    const events = collectNewEvents({ jobStatus: 'failed', episodes: [{ guid: 'g1', status: 'pending' }] }, []);
+    assert.deepStrictEqual(events.map(e => e.event), ['episode.failed', 'job.failed']);
+  });
+
+  console.log('submitOnDemandRun');
+
+  await test('a bad callback is refused before any entitlement is charged', async () => {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const macaroon = mintMacaroon(paymentHash).macaroonBase64;
+
+    const touched = [];
+    const originals = {};
+    for (const method of ['findOne', 'findOneAndUpdate', 'updateOne']) {
+      originals[method] = Entitlement[method];
+      Entitlement[method] = () => { touched.push(method); throw new Error('entitlement touched'); };
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/on-demand', createOnDemandRoutes());
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/api/on-demand/submitOnDemandRun`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `L402 ${macaroon}:${preimage}` },
+        body: JSON.stringify({
+          message: 'Transcribe this',
+          parameters: {},
+          episodes: [{ guid: 'g1', feedGuid: 'fg1', feedId: '1' }],
+          callbackUrl: 'ftp://agent.example.com/hooks',
+          callbackSecret: 'x'.repeat(16),
+        }),
+      });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual((await res.json()).error, 'Invalid callback');
+      assert.deepStrictEqual(touched, []);
+    } finally {
+      server.close();
+      Object.assign(Entitlement, originals);
+    }
+  });
+
+  console.log('backoffMs');
+
+  await test('grows 4x per attempt and caps at two hours', () => {
+    assert.strictEqual(backoffMs(1), 30 * 1000);
+    assert.strictEqual(backoffMs(2), 120 * 1000);
+    assert.strictEqual(backoffMs(10), 2 * 60 * 60 * 1000);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
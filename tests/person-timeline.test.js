@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the person topic timeline (services/personTimelineService.js,
+ * POST /api/corpus/people/timeline).
+ *
+ *   node tests/person-timeline.test.js
+ *
+ * Pure node assertions; no database, no LLM. The service pulls in
+ * searchQuotesService, which constructs a Pinecone client at import time, so
+ * placeholder credentials are set before requiring it (the client never connects).
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+
+const assert = require('assert');
+const {
+  sanitizeTimelineParams,
+  selectAppearances,
+  detectStanceShifts,
+  getPersonTimeline,
+} = require('../services/personTimelineService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+(async () => {
+  console.log('params');
+
+  await test('name and topic are required; limits are clamped', async () => {
+    assert.deepStrictEqual(sanitizeTimelineParams({ topic: 'rates' }), { error: 'name is required', status: 400 });
+    assert.deepStrictEqual(sanitizeTimelineParams({ name: 'Lyn Alden', topic: '  ' }), { error: 'topic is required', status: 400 });
+    assert.match(sanitizeTimelineParams({ name: 'a', topic: 'b', minDate: 'last year' }).error, /minDate/);
+    assert.match(sanitizeTimelineParams({ name: 'a', topic: 'b', minSimilarity: 2 }).error, /minSimilarity/);
+
+    const { params } = sanitizeTimelineParams({ name: ' Lyn Alden ', topic: 'deficits', maxAppearances: 500, maxDate: '2024-12-31' });
+    assert.strictEqual(params.name, 'Lyn Alden');
+    assert.strictEqual(params.maxAppearances, 30);
+    assert.strictEqual(params.maxDate.toISOString(), '2024-12-31T23:59:59.999Z');
+  });
+
+  await test('validation errors return before any lookup', async () => {
+    const result = await getPersonTimeline({ name: 'Lyn Alden' }, {});
+    assert.deepStrictEqual(result, { error: 'topic is required', status: 400 });
+  });
+
+  console.log('appearances');
+
+  await test('most recent appearances in range, oldest first, undated dropped', async () => {
+    const appearances = [
+      { guid: 'e5', publishedDate: '2025-05-01' },
+      { guid: 'e4', publishedDate: '2024-04-01' },
+      { guid: 'undated', publishedDate: null },
+      { guid: 'e3', publishedDate: '2023-03-01' },
+      { guid: 'e2', publishedDate: '2022-02-01' },
+      { guid: 'e1', publishedDate: '2021-01-01' },
+    ];
+    const picked = selectAppearances(appearances, {
+      minDate: new Date('2022-01-01'), maxDate: new Date('2024-12-31'), limit: 2,
+    });
+    assert.deepStrictEqual(picked.map(a => a.guid), ['e3', 'e4']);
+    assert.deepStrictEqual(selectAppearances(appearances, { limit: 10 }).map(a => a.guid), ['e1', 'e2', 'e3', 'e4', 'e5']);
+  });
+
+  console.log('stance shifts');
+
+  await test('shifts compare against the last classified passage', async () => {
+    const shifts = detectStanceShifts([
+      { stance: 'neutral' },
+      { stance: 'positive' },
+      { stance: null },
+      { stance: 'positive' },
+      { stance: 'negative' },
+      { stance: 'neutral' },
+    ]);
+    assert.deepStrictEqual(shifts, [
+      { fromIndex: 0, toIndex: 1, from: 'neutral', to: 'positive', kind: 'hardened' },
+      { fromIndex: 3, toIndex: 4, from: 'positive', to: 'negative', kind: 'reversal' },
+      { fromIndex: 4, toIndex: 5, from: 'negative', to: 'neutral', kind: 'softened' },
+    ]);
+    assert.deepStrictEqual(detectStanceShifts([{ stance: null }, { stance: 'positive' }]), []);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for podcast follow auto-ingest (services/podcastFollowService.js)
+ * and the shared on-demand ingestor payload (services/onDemandIngestorService.js).
+ *
+ *   node tests/podcast-follow.test.js
+ *
+ * Pure node assertions; no database, no RSS extractor. The route test runs
+ * routes/podcastFollows.js in-process with model lookups and the feed fetch
+ * replaced.
+ */
+
+process.env.L402_MACAROON_SECRET = process.env.L402_MACAROON_SECRET || 'test-macaroon-secret';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { sanitizeFeed, selectNewEpisodes, computeNextCheckAt, runDueFollows } = require('../services/podcastFollowService');
+const { buildIngestorPayload } = require('../services/onDemandIngestorService');
+const { mintMacaroon, attenuateMacaroon } = require('../utils/macaroon-utils');
+const { Entitlement } = require('../models/Entitlement');
+const { PodcastFollow } = require('../models/PodcastFollow');
+const { discoverInternal } = require('../routes/discoverRoutes');
+const podcastFollowsRoutes = require('../routes/podcastFollows');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+(async () => {
+  console.log('sanitizeFeed');
+
+  await test('accepts a discover-podcasts result as-is', async () => {
+    const { feed } = sanitizeFeed({
+      feedId: 357756,
+      feedGuid: ' 3d510171-b9ab-517c-bbf3-1fd5542479ad ',
+      url: 'https://feeds.example.com/bankless.xml',
+      title: 'Bankless',
+      description: 'ignored',
+      trendScore: 9
+    });
+    assert.deepStrictEqual(feed, {
+      feedId: '357756',
+      feedGuid: '3d510171-b9ab-517c-bbf3-1fd5542479ad',
+      feedUrl: 'https://feeds.example.com/bankless.xml',
+      title: 'Bankless',
+      image: ''
+    });
+  });
+
+  await test('rejects missing ids and non-http feed URLs', async () => {
+    assert.match(sanitizeFeed({}).error, /feedId/);
+    assert.match(sanitizeFeed({ feedId: 'bankless' }).error, /feedId/);
+    assert.match(sanitizeFeed({ feedId: '1', feedUrl: 'file:///etc/passwd' }).error, /http/);
+    assert.match(sanitizeFeed(null).error, /object/);
+  });
+
+  console.log('checks');
+
+  await test('new episodes are the unseen ones, newest first, capped', async () => {
+    const episodes = [
+      { guid: 'e5' }, { guid: 'e4' }, { guid: 'e3' }, { guid: 'e2' }, { guid: 'e1' }
+    ];
+    assert.deepStrictEqual(selectNewEpisodes(episodes, ['e3', 'e1'], 10).map(ep => ep.guid), ['e5', 'e4', 'e2']);
+    assert.deepStrictEqual(selectNewEpisodes(episodes, ['e3', 'e1'], 2).map(ep => ep.guid), ['e5', 'e4']);
+    assert.deepStrictEqual(selectNewEpisodes(episodes, episodes.map(ep => ep.guid)), []);
+  });
+
+  await test('follows are checked daily, coming due a little early', async () => {
+    const from = new Date('2026-10-19T12:00:00Z');
+    assert.strictEqual(computeNextCheckAt(from).toISOString(), '2026-10-20T10:00:00.000Z');
+  });
+
+  await test('a follow checked on one daily tick is due on the next', async () => {
+    const follow = { _id: 'f1', enabled: true, feedId: '357756', feedGuid: 'fg-1', baselineAt: new Date(0), seenGuids: ['e1'], nextCheckAt: new Date(0) };
+    const originals = {
+      find: PodcastFollow.find,
+      updateOne: PodcastFollow.updateOne,
+      fetchEpisodesForFeed: discoverInternal.fetchEpisodesForFeed
+    };
+    PodcastFollow.find = (query) => {
+      const due = follow.nextCheckAt <= query.nextCheckAt.$lte ? [{ ...follow }] : [];
+      const chain = { sort: () => chain, limit: () => chain, lean: async () => due };
+      return chain;
+    };
+    PodcastFollow.updateOne = async (filter, update) => {
+      Object.assign(follow, update.$set);
+    };
+    discoverInternal.fetchEpisodesForFeed = async () => ({ feedInfo: {}, episodes: [{ episodeGUID: 'e1' }] });
+
+    try {
+      // 07:00 America/Chicago, a few ms later on the first day than the next,
+      // then across the spring-forward change to a tick 23h later
+      const ticks = ['2026-10-19T12:00:00.050Z', '2026-10-20T12:00:00.010Z', '2027-03-13T13:00:00.000Z', '2027-03-14T12:00:00.000Z'];
+      for (const tick of ticks) {
+        const summary = await runDueFollows(new Date(tick));
+        assert.strictEqual(summary.checked, 1, `follow skipped on ${tick}`);
+        assert.strictEqual(summary.failed, 0);
+      }
+    } finally {
+      PodcastFollow.find = originals.find;
+      PodcastFollow.updateOne = originals.updateOne;
+      discoverInternal.fetchEpisodesForFeed = originals.fetchEpisodesForFeed;
+    }
+  });
+
+  console.log('ingestor payload');
+
+  await test('episodes are grouped by feedGuid under the job id', async () => {
+    const payload = buildIngestorPayload('abc', [
+      { guid: 'g1', feedGuid: 'fg', feedId: '1' },
+      { guid: 'g2', feedGuid: 'fg', feedId: '1' },
+      { guid: 'g3', feedGuid: 'other', feedId: '2' }
+    ]);
+    assert.deepStrictEqual(payload, {
+      jobId: 'abc',
+      jobConfig: {
+        onDemand: true,
+        feedGuids: { fg: { feedId: '1', episodes: ['g1', 'g2'] }, other: { feedId: '2', episodes: ['g3'] } },
+        workProductV2LookupHash: 'abc',
+        overrideExistence: false
+      }
+    });
+  });
+
+  console.log('routes');
+
+  await test('a root L402 credential can follow a feed; a caveat-scoped one cannot', async () => {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const root = mintMacaroon(paymentHash).macaroonBase64;
+    const scoped = attenuateMacaroon(root, { endpoints: ['submit-on-demand-run'] }).macaroonBase64;
+
+    const lean = value => ({ lean: async () => value });
+    const created = [];
+    const originals = {
+      entitlementFindOne: Entitlement.findOne,
+      followFindOne: PodcastFollow.findOne,
+      countDocuments: PodcastFollow.countDocuments,
+      create: PodcastFollow.create,
+      fetchEpisodesForFeed: discoverInternal.fetchEpisodesForFeed
+    };
+    Entitlement.findOne = () => lean({ identifier: paymentHash, identifierType: 'prepaid', status: 'active' });
+    PodcastFollow.findOne = () => lean(null);
+    PodcastFollow.countDocuments = async () => 0;
+    PodcastFollow.create = async (doc) => {
+      created.push(doc);
+      return { toObject: () => ({ _id: 'f1', enabled: true, ...doc }) };
+    };
+    discoverInternal.fetchEpisodesForFeed = async () => ({ feedInfo: { feedGuid: 'fg-1' }, episodes: [{ episodeGUID: 'e1', publishedDate: 1760000000 }] });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/podcast-follows', podcastFollowsRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const follow = macaroon => fetch(`http://127.0.0.1:${server.address().port}/api/podcast-follows`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `L402 ${macaroon}:${preimage}` },
+      body: JSON.stringify({ feedId: '357756', url: 'https://feeds.example.com/bankless.xml', title: 'Bankless' })
+    });
+
+    try {
+      const ok = await follow(root);
+      assert.strictEqual(ok.status, 201);
+      assert.strictEqual((await ok.json()).data.feedGuid, 'fg-1');
+      assert.strictEqual(created.length, 1);
+      assert.strictEqual(created[0].identifier, paymentHash);
+      assert.strictEqual(created[0].identifierType, 'prepaid');
+      assert.deepStrictEqual(created[0].seenGuids, ['e1']);
+
+      const denied = await follow(scoped);
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual((await denied.json()).error, 'Delegated credential');
+      assert.strictEqual(created.length, 1);
+    } finally {
+      server.close();
+      Entitlement.findOne = originals.entitlementFindOne;
+      PodcastFollow.findOne = originals.followFindOne;
+      PodcastFollow.countDocuments = originals.countDocuments;
+      PodcastFollow.create = originals.create;
+      discoverInternal.fetchEpisodesForFeed = originals.fetchEpisodesForFeed;
+    }
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
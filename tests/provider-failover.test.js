@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for provider health / circuit breaking and failover chains
+ * (utils/agent/providerFailover.js, resolveFailoverChain in constants/agentModels.js).
+ *
+ *   node tests/provider-failover.test.js
+ *
+ * Pure node assertions with a fake clock and fake provider clients; no LLM
+ * or network is touched. LOCAL_LLM_BASE_URL registers the local models.
+ */
+
+process.env.LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || 'http://127.0.0.1:9/v1';
+
+const assert = require('assert');
+const {
+  createProviderHealth,
+  callWithFailover,
+  isFailoverError,
+} = require('../utils/agent/providerFailover');
+const { AGENT_MODELS, resolveFailoverChain } = require('../constants/agentModels');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+function clock(start = 1_000_000) {
+  let t = start;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+const model = (key, provider) => ({ key, provider, id: `${key}-id`, label: key, inputPer1M: 1, outputPer1M: 1 });
+const outage = () => new Error('DeepSeek request failed (503) after 120ms: upstream unavailable');
+const badRequest = () => new Error('OpenRouter request failed (400) after 80ms: context length exceeded');
+
+// Fake clients: `ready` per provider, calls recorded by the attempt fn
+const clients = (ready = {}) => name => ({ validate: async () => ready[name] !== false });
+
+(async () => {
+  console.log('circuit breaker');
+
+  await test('opens after consecutive failures, probes once after cooldown, closes on success', async () => {
+    const c = clock();
+    const health = createProviderHealth({ now: c.now, consecutiveFailures: 3, cooldownMs: 30_000, minSamples: 100 });
+    for (let i = 0; i < 3; i++) health.recordFailure('deepseek', 500, outage());
+    assert.strictEqual(health.snapshot().deepseek.state, 'open');
+    assert.strictEqual(health.canAttempt('deepseek'), false);
+
+    c.advance(30_000);
+    assert.strictEqual(health.canAttempt('deepseek'), true); // the probe
+    assert.strictEqual(health.canAttempt('deepseek'), false); // only one
+    health.recordFailure('deepseek', 500, outage());
+    assert.strictEqual(health.snapshot().deepseek.state, 'open');
+
+    c.advance(30_000);
+    assert.strictEqual(health.canAttempt('deepseek'), true);
+    health.recordSuccess('deepseek', 900);
+    assert.strictEqual(health.snapshot().deepseek.state, 'closed');
+    assert.strictEqual(health.canAttempt('deepseek'), true);
+  });
+
+  await test('error rate and latency p95 trip over the rolling window', async () => {
+    const c = clock();
+    const health = createProviderHealth({ now: c.now, consecutiveFailures: 100, minSamples: 4, errorRateThreshold: 0.5, p95ThresholdMs: 10_000 });
+    health.recordSuccess('openrouter', 100);
+    health.recordFailure('openrouter', 100, outage());
+    health.recordSuccess('openrouter', 100);
+    health.recordFailure('openrouter', 100, outage());
+    const snap = health.snapshot().openrouter;
+    assert.strictEqual(snap.state, 'open');
+    assert.strictEqual(snap.errorRate, 0.5);
+
+    // Old samples age out of the window
+    c.advance(10 * 60 * 1000);
+    assert.strictEqual(health.snapshot().openrouter.samples, 0);
+
+    for (let i = 0; i < 3; i++) health.recordSuccess('anthropic', 2_000);
+    health.recordSuccess('anthropic', 45_000);
+    assert.strictEqual(health.snapshot().anthropic.p95Ms, 45_000);
+    assert.strictEqual(health.snapshot().anthropic.state, 'open');
+  });
+
+  await test('outage-shaped errors fail over; other 4xx do not', async () => {
+    assert.strictEqual(isFailoverError(outage()), true);
+    assert.strictEqual(isFailoverError(new Error('DeepSeek request timed out after 90000ms (AGENT-x)')), true);
+    assert.strictEqual(isFailoverError(new Error('fetch failed')), true);
+    assert.strictEqual(isFailoverError(Object.assign(new Error('rate limited'), { status: 429 })), true);
+    assert.strictEqual(isFailoverError(Object.assign(new Error('overloaded'), { status: 529 })), true);
+    assert.strictEqual(isFailoverError(badRequest()), false);
+    assert.strictEqual(isFailoverError(Object.assign(new Error('invalid x-api-key'), { status: 401 })), false);
+  });
+
+  console.log('failover');
+
+  const deepseek = model('quality', 'deepseek');
+  const deepseekPro = model('deepseek-v4-pro-direct', 'deepseek');
+  const openrouter = model('deepseek-v4-flash', 'openrouter');
+  const haiku = model('fast', 'anthropic');
+
+  await test('an outage re-issues the call on the next provider, skipping the failed one', async () => {
+    const health = createProviderHealth({ now: clock().now });
+    const calls = [];
+    const failovers = [];
+    const result = await callWithFailover({
+      chain: [deepseek, deepseekPro, openrouter, haiku],
+      health,
+      getClient: clients(),
+      onFailover: (failed, err, next) => failovers.push(`${failed.key}→${next.key}`),
+      attempt: async (config) => {
+        calls.push(config.key);
+        if (config.provider === 'deepseek') throw outage();
+        return { content: [{ type: 'text', text: `from ${config.key}` }] };
+      },
+    });
+    assert.deepStrictEqual(calls, ['quality', 'deepseek-v4-flash']);
+    assert.strictEqual(result.modelConfig, openrouter);
+    assert.strictEqual(result.response.content[0].text, 'from deepseek-v4-flash');
+    assert.deepStrictEqual(result.attempts.map(a => [a.model, a.provider]), [['quality', 'deepseek']]);
+    assert.deepStrictEqual(failovers, ['quality→deepseek-v4-flash']);
+  });
+
+  await test('non-outage errors and stop requests end the walk; the last error carries attempts', async () => {
+    const health = createProviderHealth({ now: clock().now });
+    let calls = 0;
+    await assert.rejects(callWithFailover({
+      chain: [deepseek, openrouter, haiku],
+      health,
+      getClient: clients(),
+      attempt: async (config) => {
+        calls++;
+        throw config.provider === 'deepseek' ? outage() : badRequest();
+      },
+    }), (err) => /400/.test(err.message) && err.attempts.length === 1);
+    assert.strictEqual(calls, 2);
+
+    let stopped = false;
+    calls = 0;
+    await assert.rejects(callWithFailover({
+      chain: [deepseek, openrouter],
+      health,
+      getClient: clients(),
+      shouldStop: () => stopped,
+      attempt: async () => { calls++; stopped = true; throw outage(); },
+    }), /503/);
+    assert.strictEqual(calls, 1);
+  });
+
+  await test('open circuits and unconfigured providers are skipped; all-open still tries the primary', async () => {
+    const c = clock();
+    const health = createProviderHealth({ now: c.now, consecutiveFailures: 1, cooldownMs: 60_000 });
+    health.recordFailure('deepseek', 100, outage());
+
+    const calls = [];
+    const attempt = async (config) => { calls.push(config.key); return { ok: true }; };
+    const viaOpenCircuit = await callWithFailover({
+      chain: [deepseek, openrouter, haiku],
+      health,
+      getClient: clients({ openrouter: false }),
+      attempt,
+    });
+    assert.strictEqual(viaOpenCircuit.modelConfig, haiku);
+    assert.deepStrictEqual(calls, ['fast']);
+
+    health.recordFailure('anthropic', 100, outage());
+    calls.length = 0;
+    const allOpen = await callWithFailover({ chain: [deepseek, haiku], health, getClient: clients(), attempt });
+    assert.strictEqual(allOpen.modelConfig, deepseek);
+    assert.deepStrictEqual(calls, ['quality']);
+  });
+
+  console.log('chains');
+
+  await test('chains start at the primary, drop duplicates and keep confidential routing in place', async () => {
+    const quality = resolveFailoverChain('orchestrator', 'quality', AGENT_MODELS.quality);
+    assert.strictEqual(quality[0], AGENT_MODELS.quality);
+    // deepseek-v4-flash-direct is the same provider + id as `quality`
+    assert.deepStrictEqual(quality.map(c => c.key), ['quality', 'deepseek-v4-flash', 'fast']);
+    assert.deepStrictEqual(resolveFailoverChain('orchestrator', 'gemma', AGENT_MODELS.gemma).map(c => c.key), ['gemma']);
+    assert.deepStrictEqual(resolveFailoverChain('orchestrator', 'local', AGENT_MODELS.local).map(c => c.key), ['local']);
+    assert.deepStrictEqual(
+      resolveFailoverChain('synthesis', 'gpt-5-nano', AGENT_MODELS['gpt-5-nano']).map(c => c.key),
+      ['gpt-5-nano', 'deepseek-v4-flash-direct', 'deepseek-v4-flash', 'gpt-4o-mini', 'fast']
+    );
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
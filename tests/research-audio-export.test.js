@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for research session audio supercuts in
+ * services/researchAudioExportService.js (cut list, chapters, cache key,
+ * retry bookkeeping, debit settlement and TTS usage).
+ *
+ *   node tests/research-audio-export.test.js
+ *
+ * Pure node assertions; nothing is rendered and model statics are stubbed.
+ * pineconeTools constructs a Pinecone client at import time, so placeholder
+ * credentials are set first.
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+
+const assert = require('assert');
+const QueueJob = require('../models/QueueJob');
+const { WorkProductV2 } = require('../models/WorkProductV2');
+const { AgentUsageEntry } = require('../models/AgentUsageEntry');
+const {
+  parseExportOptions,
+  planSegments,
+  buildChapterMetadata,
+  buildExportLookupHash,
+  planResearchAudioExport,
+  joinExportDebit,
+  recordTtsUsage,
+  processResearchAudioExport,
+} = require('../services/researchAudioExportService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const item = (pineconeId, start, end, extra = {}) => ({
+  pineconeId,
+  metadata: {
+    audioUrl: 'https://cdn.example.com/ep.mp3',
+    episode: 'Episode 1',
+    creator: 'Show',
+    timeContext: { start_time: start, end_time: end },
+    ...extra,
+  },
+});
+
+(async () => {
+  console.log('planSegments');
+
+  await test('skips items without audio or time range, keeps order', () => {
+    const { segments, skipped } = planSegments([
+      item('a', 10, 40),
+      item('b', 0, 30, { audioUrl: 'URL unavailable' }),
+      item('c', 50, null),
+      item('d', 100, 130, { speaker: { name: 'Lyn Alden' } }),
+    ]);
+    assert.deepStrictEqual(segments.map(s => s.pineconeId), ['a', 'd']);
+    assert.strictEqual(segments[1].speaker, 'Lyn Alden');
+    assert.deepStrictEqual(skipped, [
+      { pineconeId: 'b', reason: 'no-audio' },
+      { pineconeId: 'c', reason: 'no-time-range' },
+    ]);
+  });
+
+  await test('caps long paragraphs and drops items past the duration budget', () => {
+    const { segments, skipped } = planSegments(
+      [item('a', 0, 600), item('b', 0, 40)],
+      { maxDurationSeconds: 200 }
+    );
+    assert.strictEqual(segments[0].end - segments[0].start, 180);
+    assert.deepStrictEqual(skipped, [{ pineconeId: 'b', reason: 'over-duration' }]);
+  });
+
+  console.log('chapters and options');
+
+  await test('chapter metadata escapes special characters', () => {
+    const meta = buildChapterMetadata({
+      title: 'Fed; rates',
+      chapters: [{ title: 'A=B', startMs: 0, endMs: 1500.4 }],
+    });
+    assert.ok(meta.startsWith(';FFMETADATA1\n'));
+    assert.ok(meta.includes('title=Fed\\; rates'));
+    assert.ok(meta.includes('[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=1500\ntitle=A\\=B'));
+  });
+
+  await test('options are validated and the cache key depends on them', () => {
+    assert.ok(parseExportOptions({ separator: 'jingle' }).error);
+    assert.ok(parseExportOptions({ maxDurationSeconds: 5 }).error);
+    const { options } = parseExportOptions({ format: 'm4a' });
+    const m4a = buildExportLookupHash('s1', ['a', 'b'], options);
+    const mp3 = buildExportLookupHash('s1', ['a', 'b'], parseExportOptions({}).options);
+    assert.notStrictEqual(m4a, mp3);
+    assert.strictEqual(m4a, buildExportLookupHash('s1', ['a', 'b'], options));
+  });
+
+  console.log('queue job');
+
+  await test('a failed render stays queued until the last attempt', async () => {
+    const original = WorkProductV2.updateOne;
+    const sets = [];
+    WorkProductV2.updateOne = async (filter, update) => { sets.push(update.$set); };
+    const clipUtils = {
+      extractAudioClip: async () => { throw new Error('audio fetch failed'); },
+      cleanupTempFile: async () => {},
+    };
+    const job = attempts => ({
+      lookupHash: 'ra-test',
+      attempts,
+      maxAttempts: 3,
+      clipData: {
+        sessionId: 's1',
+        title: 'Session',
+        segments: [{ pineconeId: 'a', audioUrl: 'https://cdn.example.com/ep.mp3', start: 0, end: 10, episode: 'Episode 1' }],
+        options: { format: 'mp3', separator: 'none', normalize: false },
+      },
+    });
+
+    try {
+      await assert.rejects(processResearchAudioExport(job(1), clipUtils), /audio fetch failed/);
+      assert.strictEqual(sets.at(-1).status, 'queued');
+      assert.strictEqual(sets.at(-1)['result.lastError'], 'audio fetch failed');
+
+      await assert.rejects(processResearchAudioExport(job(3), clipUtils), /audio fetch failed/);
+      assert.strictEqual(sets.at(-1).status, 'failed');
+      assert.ok(sets.at(-1)['result.failedAt'] instanceof Date);
+    } finally {
+      WorkProductV2.updateOne = original;
+    }
+  });
+
+  await test('a debit joins an in-flight export and settles at once with a finished one', async () => {
+    const originals = {
+      findOneAndUpdate: QueueJob.findOneAndUpdate,
+      findOne: QueueJob.findOne,
+      confirm: AgentUsageEntry.updateOne,
+    };
+    const joined = [];
+    const confirmed = [];
+    let inFlight = true;
+    QueueJob.findOneAndUpdate = async (filter, update) => {
+      if (!inFlight) return null;
+      joined.push(update.$addToSet.joinedDebitEntryIds);
+      return { lookupHash: filter.lookupHash };
+    };
+    QueueJob.findOne = () => ({ select: () => ({ lean: async () => ({ status: 'completed' }) }) });
+    AgentUsageEntry.updateOne = async (filter) => {
+      confirmed.push(filter._id);
+      return { modifiedCount: 1 };
+    };
+
+    try {
+      await joinExportDebit('ra-test', 'entry-1');
+      assert.deepStrictEqual(joined, ['entry-1']);
+      assert.deepStrictEqual(confirmed, []);
+
+      inFlight = false;
+      await joinExportDebit('ra-test', 'entry-2');
+      assert.deepStrictEqual(confirmed, ['entry-2']);
+    } finally {
+      QueueJob.findOneAndUpdate = originals.findOneAndUpdate;
+      QueueJob.findOne = originals.findOne;
+      AgentUsageEntry.updateOne = originals.confirm;
+    }
+  });
+
+  await test('an already rendered export is found before anything is queued', async () => {
+    const originals = { findOne: WorkProductV2.findOne, queue: QueueJob.findOneAndUpdate };
+    let queued = false;
+    WorkProductV2.findOne = () => ({ lean: async () => ({ status: 'completed', cdnFileId: 'https://cdn.example.com/ra.mp3' }) });
+    QueueJob.findOneAndUpdate = async () => { queued = true; };
+    const session = { _id: 's1', pineconeIds: ['a', 'b'], items: [item('a', 0, 30), item('b', 0, 30, { audioUrl: null })] };
+
+    try {
+      const plan = await planResearchAudioExport({ session, options: parseExportOptions({}).options });
+      assert.deepStrictEqual(plan.completed, {
+        status: 'completed',
+        lookupHash: plan.lookupHash,
+        url: 'https://cdn.example.com/ra.mp3',
+        segments: 1,
+        skipped: [{ pineconeId: 'b', reason: 'no-audio' }],
+      });
+      assert.strictEqual(queued, false);
+    } finally {
+      WorkProductV2.findOne = originals.findOne;
+      QueueJob.findOneAndUpdate = originals.queue;
+    }
+  });
+
+  await test('spoken separator TTS is tallied on the export and its first debit', async () => {
+    const originals = {
+      findOneAndUpdate: WorkProductV2.findOneAndUpdate,
+      findOne: QueueJob.findOne,
+      serveCost: AgentUsageEntry.updateOne,
+    };
+    const tallies = [];
+    const serveCosts = [];
+    WorkProductV2.findOneAndUpdate = (filter, update) => {
+      tallies.push(update);
+      return { lean: async () => ({ result: { ttsUsage: { costUsdMicro: 900 } } }) };
+    };
+    QueueJob.findOne = () => ({ select: () => ({ lean: async () => ({ debitEntryId: null, joinedDebitEntryIds: ['entry-1', 'entry-2'] }) }) });
+    AgentUsageEntry.updateOne = async (filter, update) => { serveCosts.push({ id: filter._id, ...update.$set.serveCost }); };
+
+    try {
+      await recordTtsUsage('ra-test', 0);
+      assert.strictEqual(tallies.length, 0);
+
+      await recordTtsUsage('ra-test', 40);
+      assert.deepStrictEqual(tallies[0].$inc, { 'result.ttsUsage.characters': 40, 'result.ttsUsage.costUsdMicro': 600 });
+      assert.strictEqual(tallies[0].$set['result.ttsUsage.model'], 'tts-1');
+      assert.strictEqual(serveCosts.length, 1);
+      assert.strictEqual(serveCosts[0].id, 'entry-1');
+      assert.strictEqual(serveCosts[0].helpersCostUsdMicro, 900);
+      assert.strictEqual(serveCosts[0].totalCostUsdMicro, 900);
+    } finally {
+      WorkProductV2.findOneAndUpdate = originals.findOneAndUpdate;
+      QueueJob.findOne = originals.findOne;
+      AgentUsageEntry.updateOne = originals.serveCost;
+    }
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
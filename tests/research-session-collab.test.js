@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for research session collaboration helpers in
+ * services/researchSessionCollabService.js (revision diffs and roles).
+ *
+ *   node tests/research-session-collab.test.js
+ *
+ * Pure node assertions, no network, no database. pineconeTools constructs a
+ * Pinecone client at import time, so placeholder credentials are set first.
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+
+const assert = require('assert');
+const {
+  diffPineconeIds,
+  resolveSessionRole,
+  buildAccessQuery,
+  canEdit,
+} = require('../services/researchSessionCollabService');
+
+let passed = 0;
+function test(name, fn) {
+  fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+console.log('diffPineconeIds');
+
+test('unchanged list produces no ops', () => {
+  assert.deepStrictEqual(diffPineconeIds(['a', 'b'], ['a', 'b']), []);
+});
+
+test('adds and removes carry their positions', () => {
+  assert.deepStrictEqual(diffPineconeIds(['a', 'b', 'c'], ['a', 'c', 'd']), [
+    { op: 'remove', pineconeId: 'b', fromIndex: 1, toIndex: null },
+    { op: 'add', pineconeId: 'd', fromIndex: null, toIndex: 2 },
+  ]);
+});
+
+test('moving one item to the front is a single move, not a shift of the rest', () => {
+  assert.deepStrictEqual(diffPineconeIds(['a', 'b', 'c', 'd'], ['d', 'a', 'b', 'c']), [
+    { op: 'move', pineconeId: 'd', fromIndex: 3, toIndex: 0 },
+  ]);
+});
+
+console.log('roles');
+
+const session = {
+  userId: 'owner-user',
+  collaborators: [
+    { userId: 'ed', role: 'editor' },
+    { userId: 'vw', role: 'viewer' },
+  ],
+};
+
+test('owner, editor, viewer and stranger resolve correctly', () => {
+  assert.strictEqual(resolveSessionRole(session, { userId: 'owner-user' }), 'owner');
+  assert.strictEqual(resolveSessionRole(session, { userId: 'ed' }), 'editor');
+  assert.strictEqual(resolveSessionRole(session, { userId: 'vw' }), 'viewer');
+  assert.strictEqual(resolveSessionRole(session, { userId: 'someone' }), null);
+  assert.strictEqual(resolveSessionRole({ clientId: 'c1' }, { clientId: 'c1' }), 'owner');
+});
+
+test('only owner and editor can edit', () => {
+  assert.deepStrictEqual(['owner', 'editor', 'viewer', null].map(canEdit), [true, true, false, false]);
+});
+
+test('anonymous callers never match on collaborators', () => {
+  assert.deepStrictEqual(buildAccessQuery({ clientId: 'c1' }, { _id: 'x' }), { $or: [{ clientId: 'c1' }], _id: 'x' });
+});
+
+console.log(`\n${passed} passed`);
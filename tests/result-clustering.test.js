@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for 3D result clustering (utils/resultClustering.js), used by
+ * POST /api/search-quotes-3d with extractClusters.
+ *
+ *   node tests/result-clustering.test.js
+ *
+ * Pure node assertions; the LLM labeler gets a hand-rolled client.
+ */
+
+const assert = require('assert');
+const { clusterPoints, keywordLabels, clusterResults } = require('../utils/resultClustering');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+// Three blobs of 6, 5 and 4 points around fixed centres
+const BLOBS = [
+  { centre: [-0.7, -0.6, 0.1], topic: 'bitcoin halving miners', n: 6 },
+  { centre: [0.6, 0.7, -0.2], topic: 'federal reserve rates', n: 5 },
+  { centre: [0.5, -0.6, 0.8], topic: 'marathon training pace', n: 4 },
+];
+const results = [];
+const coordinates3d = [];
+BLOBS.forEach(({ centre, topic, n }, b) => {
+  for (let i = 0; i < n; i++) {
+    const offset = ((i % 3) - 1) * 0.05;
+    coordinates3d.push({ x: centre[0] + offset, y: centre[1] - offset, z: centre[2] + (i % 2) * 0.04 });
+    results.push({ quote: `${topic} discussion number ${b}${i} with extra words` });
+  }
+});
+const points = coordinates3d.map(c => [c.x, c.y, c.z]);
+
+(async () => {
+  console.log('clusterPoints');
+
+  await test('picks k by silhouette and numbers clusters largest-first', async () => {
+    const { k, assignments } = clusterPoints(points);
+    assert.strictEqual(k, 3);
+    assert.deepStrictEqual(assignments, [0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 2, 2, 2, 2]);
+  });
+
+  await test('is deterministic and honours a fixed k within what the data supports', async () => {
+    assert.deepStrictEqual(clusterPoints(points), clusterPoints(points));
+    assert.strictEqual(clusterPoints(points, { k: 2 }).k, 2);
+    assert.strictEqual(clusterPoints(points, { k: 50 }).k, 5); // 15 points / 3 per cluster
+    assert.throws(() => clusterPoints(points.slice(0, 5)), /at least 6 points/);
+  });
+
+  console.log('labels');
+
+  await test('keyword labels name what is distinctive to each cluster', async () => {
+    const { assignments, k } = clusterPoints(points);
+    const labels = keywordLabels(results.map(r => r.quote), assignments, k);
+    assert.deepStrictEqual(labels, ['Bitcoin / Halving', 'Federal / Rates', 'Marathon / Pace']);
+  });
+
+  await test('deterministic mode never calls the LLM', async () => {
+    const openai = { chat: { completions: { create: async () => { throw new Error('should not be called'); } } } };
+    const out = await clusterResults({ results, coordinates3d, deterministic: true, openai });
+    assert.strictEqual(out.labelSource, 'keywords');
+    assert.deepStrictEqual(out.clusters.map(c => c.size), [6, 5, 4]);
+    const first = out.clusters[0];
+    assert.ok(Math.abs(first.centroid.x - -0.7) < 0.05 && Math.abs(first.centroid.y - -0.6) < 0.05);
+    assert.strictEqual(out.assignments[first.representativeIndex], 0);
+  });
+
+  await test('LLM labels are used in cluster order, keywords on a malformed reply', async () => {
+    let prompt = null;
+    const reply = (content) => ({
+      chat: { completions: { create: async (req) => { prompt = req.messages[0].content; return { choices: [{ message: { content } }] }; } } },
+    });
+    const good = await clusterResults({
+      results, coordinates3d, query: 'money', openai: reply('{"labels": ["Hard Money", "Central Banks", "Running"]}'),
+    });
+    assert.strictEqual(good.labelSource, 'llm');
+    assert.deepStrictEqual(good.clusters.map(c => c.label), ['Hard Money', 'Central Banks', 'Running']);
+    assert.match(prompt, /CLUSTER 2:\n- "marathon/);
+
+    const bad = await clusterResults({ results, coordinates3d, openai: reply('{"labels": ["Only one"]}') });
+    assert.strictEqual(bad.labelSource, 'keywords');
+    assert.strictEqual(bad.clusters[0].label, 'Bitcoin / Halving');
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the retrieval eval harness in utils/retrievalEval.js
+ * (ranking metrics, reranker threshold sweep, fixture replay, baseline diff).
+ *
+ *   node tests/retrieval-eval.test.js
+ *
+ * Pure node assertions against an in-memory fixture; no services are called.
+ */
+
+const assert = require('assert');
+const {
+  normalizeGoldenSet,
+  parseGoldenText,
+  scoreRanking,
+  buildConfigs,
+  createFixtureAdapter,
+  createRecordingAdapter,
+  runRetrievalEval,
+  diffAgainstBaseline,
+} = require('../utils/retrievalEval');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const [golden] = normalizeGoldenSet([
+  { id: 'fed', query: 'fed rate cuts', expected: { pineconeIds: ['p1', 'p2'], guids: ['ep9'] } },
+]);
+const r = (id, guid = null, text = id) => ({ id, guid, text });
+
+(async () => {
+  console.log('metrics');
+
+  await test('recall, MRR and nDCG credit each expected unit once', async () => {
+    const m = scoreRanking([r('x'), r('p1'), r('y', 'ep9'), r('z', 'ep9')], golden, 3);
+    assert.strictEqual(m.recall, 2 / 3);
+    assert.strictEqual(m.mrr, 0.5);
+    assert.strictEqual(m.firstHitRank, 2);
+    const ideal = scoreRanking([r('p1'), r('p2'), r('z', 'ep9')], golden, 3);
+    assert.strictEqual(ideal.recall, 1);
+    assert.ok(Math.abs(ideal.ndcg - 1) < 1e-9);
+    const packed = scoreRanking([r('p1'), r('p2', 'ep9')], golden, 3);
+    assert.strictEqual(packed.recall, 1);
+    assert.ok(packed.ndcg < 1);
+    assert.strictEqual(scoreRanking([r('x')], golden, 3).ndcg, 0);
+  });
+
+  await test('golden sets parse from JSONL and reject entries without expectations', async () => {
+    const entries = parseGoldenText('{"query":"a","expected":{"guids":["g"]}}\n\n{"query":"b","expected":{"pineconeIds":["p"]}}\n', '.jsonl');
+    assert.deepStrictEqual(normalizeGoldenSet(entries).map(g => g.id), ['q1', 'q2']);
+    assert.throws(() => normalizeGoldenSet([{ query: 'a' }]), /expected/);
+    assert.throws(() => normalizeGoldenSet([{ query: 'a', tool: 'clips', expected: { guids: ['g'] } }]), /tool/);
+  });
+
+  console.log('sweep');
+
+  await test('reranker thresholds reuse one scoring pass and recorded fixtures replay', async () => {
+    let searches = 0;
+    let reranks = 0;
+    const live = {
+      async search({ properNounSearch }) {
+        searches++;
+        return properNounSearch ? [r('p1'), r('x'), r('p2')] : [r('x'), r('y'), r('p1')];
+      },
+      async rerankScores({ results }) {
+        reranks++;
+        return results.map(x => (x.id.startsWith('p') ? 8 : 3));
+      },
+    };
+    const configs = buildConfigs({ properNounSearch: [false, true], rerank: [null, 4] });
+    const recorder = createRecordingAdapter(live);
+    const report = await runRetrievalEval({ golden: [golden], configs, adapter: recorder, k: 2 });
+    assert.strictEqual(searches, 2);
+    assert.strictEqual(reranks, 2);
+    assert.strictEqual(report.configs['lexical=off,smart=off,rerank=off'].metrics.mrr, 1 / 3);
+    assert.strictEqual(report.configs['lexical=off,smart=off,rerank=4'].metrics.mrr, 1);
+
+    const replay = await runRetrievalEval({ golden: [golden], configs, adapter: createFixtureAdapter(recorder.fixtures), k: 2 });
+    assert.deepStrictEqual(
+      Object.values(replay.configs).map(c => c.metrics),
+      Object.values(report.configs).map(c => c.metrics),
+    );
+  });
+
+  await test('baseline diff flags metric and per-query regressions beyond tolerance', async () => {
+    const configs = buildConfigs({ properNounSearch: [true] });
+    const baseline = await runRetrievalEval({ golden: [golden], configs, adapter: { async search() { return [r('p1'), r('p2')]; } }, k: 3 });
+    const worse = await runRetrievalEval({ golden: [golden], configs, adapter: { async search() { return [r('x'), r('p1')]; } }, k: 3 });
+    const diff = diffAgainstBaseline(worse, baseline);
+    assert.deepStrictEqual(diff.regressions.map(x => x.metric), ['recall', 'mrr', 'ndcg']);
+    assert.strictEqual(diff.configs[configs[0].name].queryRegressions[0].id, 'fed');
+    assert.strictEqual(diffAgainstBaseline(baseline, baseline).regressions.length, 0);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for saved searches: param/webhook validation, the public-host
+ * guard in utils/webhookTarget.js and a full run of
+ * services/savedSearchService.js (new-result diffing, newest-first chapter
+ * re-runs, signed webhook delivery).
+ *
+ *   node tests/saved-search.test.js
+ *
+ * Pure node assertions; model statics and axios.post are stubbed, so nothing
+ * touches MongoDB or the network. The HMAC key map is read at import time, so
+ * the receiver's key is set before requiring the middleware.
+ */
+
+const SECRET = 'saved-search-secret-0123';
+process.env.SVC_HMAC_KEYS_JSON = JSON.stringify({ 'my-key': SECRET });
+
+const assert = require('assert');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { serviceHmac } = require('../middleware/hmac');
+const { isInternalAddress, publicOnlyLookup } = require('../utils/webhookTarget');
+const { parseCallbackOptions } = require('../services/onDemandCallbackService');
+const { SavedSearch, SavedSearchRun } = require('../models/SavedSearch');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const { runSavedSearch, runDueSavedSearches, sanitizeParams, parseWebhookOptions } = require('../services/savedSearchService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+// Run serviceHmac() on the receiving side against a captured delivery.
+function verify({ url, body, headers }) {
+  const parsed = new URL(url);
+  const req = {
+    method: 'POST',
+    baseUrl: '',
+    path: parsed.pathname,
+    query: Object.fromEntries(parsed.searchParams.entries()),
+    rawBody: body,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+  };
+  req.headers['content-length'] = String(Buffer.byteLength(body));
+  return new Promise((resolve) => {
+    const res = { status(code) { return { json: (payload) => resolve({ code, payload }) }; } };
+    serviceHmac()(req, res, () => resolve({ code: 200 }));
+  });
+}
+
+// Mongoose-style chainable query resolving to `value`.
+function chain(value, calls = {}) {
+  const query = {
+    select: () => query,
+    sort: (spec) => { calls.sort = spec; return query; },
+    skip: () => query,
+    limit: () => query,
+    lean: async () => value,
+  };
+  return query;
+}
+
+(async () => {
+  console.log('validation');
+
+  await test('params are whitelisted and the limit clamped', async () => {
+    const { params } = sanitizeParams('chapters', { search: ' mining ', smartMode: true, limit: 500 });
+    assert.deepStrictEqual(params, { search: 'mining', limit: 50 });
+    assert.ok(sanitizeParams('quotes', { search: 'x' }).error);
+  });
+
+  await test('webhooks need a public https host and a signing secret', async () => {
+    for (const webhookUrl of [
+      'http://hooks.example.com/x',
+      'https://localhost/x',
+      'https://127.0.0.1/x',
+      'https://10.1.2.3/x',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/x',
+      'https://[::ffff:192.168.1.1]/x',
+      'https://2130706433/x',
+    ]) {
+      assert.ok(parseWebhookOptions({ webhookUrl, webhookSecret: SECRET }).error, webhookUrl);
+    }
+    assert.ok(parseWebhookOptions({ webhookUrl: 'https://hooks.example.com/x', webhookSecret: 'short' }).error);
+    assert.ok(parseWebhookOptions({ webhookKeyId: 'k1' }).error);
+    assert.deepStrictEqual(parseWebhookOptions({ webhookUrl: null }), {});
+
+    const { webhook } = parseWebhookOptions({ webhookUrl: 'https://hooks.example.com/x', webhookSecret: SECRET });
+    assert.deepStrictEqual(webhook, { url: 'https://hooks.example.com/x', secret: SECRET, keyId: 'jamie-saved-search' });
+  });
+
+  await test('on-demand callbacks share the public-host check', async () => {
+    assert.match(parseCallbackOptions({ callbackUrl: 'https://192.168.0.10/h', callbackSecret: SECRET }).error, /public host/);
+  });
+
+  await test('DNS answers pointing inward are refused at connect time', async () => {
+    assert.strictEqual(isInternalAddress('172.20.0.1'), true);
+    assert.strictEqual(isInternalAddress('fd12::1'), true);
+    assert.strictEqual(isInternalAddress('8.8.8.8'), false);
+    const error = await new Promise(resolve => publicOnlyLookup('localhost', {}, err => resolve(err)));
+    assert.match(error.message, /internal address/);
+  });
+
+  console.log('runSavedSearch');
+
+  const savedSearchDoc = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    name: 'Mining',
+    kind: 'chapters',
+    params: { search: 'mining', limit: 2 },
+    cadence: 'daily',
+    webhookUrl: 'https://hooks.example.com/saved?x=1',
+    webhookKeyId: 'my-key',
+    lastRunAt: new Date('2026-10-01T00:00:00Z'),
+    seenIds: ['c-old'],
+    ...overrides,
+  });
+
+  async function withStubs(fn) {
+    const originals = {
+      count: JamieVectorMetadata.countDocuments,
+      find: JamieVectorMetadata.find,
+      findSearches: SavedSearch.find,
+      findById: SavedSearch.findById,
+      updateOne: SavedSearch.updateOne,
+      save: SavedSearchRun.prototype.save,
+      post: axios.post,
+    };
+    const calls = { posts: [], updates: [] };
+    JamieVectorMetadata.countDocuments = async () => 2;
+    JamieVectorMetadata.find = (query) => (query.type === 'chapter'
+      ? chain([
+        { pineconeId: 'c-new', guid: 'g1', feedId: '1', metadataRaw: { headline: 'Zebra' } },
+        { pineconeId: 'c-old', guid: 'g1', feedId: '1', metadataRaw: { headline: 'Aardvark' } },
+      ], calls)
+      : chain([]));
+    SavedSearch.findById = () => chain({ webhookSecret: SECRET });
+    SavedSearch.updateOne = async (filter, update) => { calls.updates.push(update); };
+    SavedSearchRun.prototype.save = async function save() { return this; };
+    axios.post = async (url, body, config) => {
+      calls.posts.push({ url, body, headers: config.headers, config });
+      return { status: 204 };
+    };
+    try {
+      await fn(calls);
+    } finally {
+      JamieVectorMetadata.countDocuments = originals.count;
+      JamieVectorMetadata.find = originals.find;
+      SavedSearch.find = originals.findSearches;
+      SavedSearch.findById = originals.findById;
+      SavedSearch.updateOne = originals.updateOne;
+      SavedSearchRun.prototype.save = originals.save;
+      axios.post = originals.post;
+    }
+  }
+
+  await test('chapter re-runs take the newest chapters and report only unseen ones', async () => {
+    await withStubs(async (calls) => {
+      const run = await runSavedSearch(savedSearchDoc(), { openai: null });
+      assert.deepStrictEqual(calls.sort, { publishedTimestamp: -1, pineconeId: 1 });
+      assert.strictEqual(run.newCount, 1);
+      assert.strictEqual(run.results[0].chapter.pineconeId, 'c-new');
+      assert.deepStrictEqual(calls.updates[0].$push.seenIds.$each, ['c-new']);
+    });
+  });
+
+  await test('webhook deliveries are signed for the receiver\'s key', async () => {
+    await withStubs(async (calls) => {
+      const run = await runSavedSearch(savedSearchDoc(), { openai: null });
+      assert.strictEqual(run.webhook.status, 'delivered');
+      assert.strictEqual(calls.posts.length, 1);
+
+      const delivery = calls.posts[0];
+      assert.ok(delivery.config.httpsAgent, 'delivery goes through the public-only agent');
+      assert.strictEqual(delivery.headers['X-Svc-KeyId'], 'my-key');
+      assert.strictEqual(JSON.parse(delivery.body).event, 'saved_search.new_results');
+      assert.strictEqual((await verify(delivery)).code, 200);
+      assert.strictEqual((await verify({ ...delivery, body: delivery.body.replace('c-new', 'c-bad') })).code, 401);
+    });
+  });
+
+  await test('an internal or unsigned target is never posted to', async () => {
+    await withStubs(async (calls) => {
+      const internal = await runSavedSearch(savedSearchDoc({ webhookUrl: 'https://10.0.0.5/hook' }), { openai: null });
+      assert.strictEqual(internal.webhook.status, 'failed');
+      assert.match(internal.webhook.error, /public host/);
+
+      SavedSearch.findById = () => chain({ webhookSecret: null });
+      const unsigned = await runSavedSearch(savedSearchDoc(), { openai: null });
+      assert.strictEqual(unsigned.webhook.status, 'failed');
+      assert.match(unsigned.webhook.error, /webhookSecret/);
+      assert.strictEqual(calls.posts.length, 0);
+    });
+  });
+
+  await test('hourly ticks run each search once per cadence', async () => {
+    await withStubs(async () => {
+      const searches = ['hourly', 'daily'].map(cadence => savedSearchDoc({ cadence, webhookUrl: null, nextRunAt: new Date(0) }));
+      const runs = { hourly: 0, daily: 0 };
+      SavedSearch.find = (query) => {
+        const due = searches.filter(doc => doc.nextRunAt <= query.nextRunAt.$lte);
+        return { sort: () => ({ limit: async () => due }) };
+      };
+      SavedSearch.updateOne = async (filter, update) => {
+        const doc = searches.find(candidate => candidate._id === filter._id);
+        Object.assign(doc, update.$set);
+        runs[doc.cadence]++;
+      };
+
+      // 25 ticks at :20, each a few ms earlier or later than the one before
+      const first = Date.parse('2026-10-19T00:20:00Z');
+      for (let hour = 0; hour < 25; hour++) {
+        const tickAt = new Date(first + hour * 60 * 60 * 1000 + (hour % 2 ? 10 : 50));
+        await runDueSavedSearches({ openai: null }, { tickAt });
+      }
+      assert.deepStrictEqual(runs, { hourly: 25, daily: 2 });
+    });
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
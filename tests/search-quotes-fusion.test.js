@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the vector + lexical merge strategies in
+ * services/searchQuotesService.js (literal-first interleave and hybrid RRF).
+ *
+ *   node tests/search-quotes-fusion.test.js
+ *
+ * Pure node assertions, no test framework, no network. The service module
+ * constructs a Pinecone client at import time, so placeholder credentials
+ * are set before requiring it (the client never connects), and the
+ * retrievers it destructures are stubbed first.
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+process.env.EMBEDDING_PROVIDER = 'stub';
+// Unusable tuning values must fall back to k = 60 and unit weights.
+process.env.HYBRID_RRF_K = 'sixty';
+process.env.HYBRID_RRF_VECTOR_WEIGHT = '-2';
+
+const assert = require('assert');
+const pineconeTools = require('../agent-tools/pineconeTools');
+const atlas = require('../services/atlasTextSearch');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+
+const calls = { atlas: 0 };
+atlas.atlasTextSearch = async () => { calls.atlas++; return []; };
+pineconeTools.findSimilarDiscussions = async () => [{ id: 'ep_p1', score: 0.9 }];
+pineconeTools.getVectorValuesByIds = async () => new Map();
+JamieVectorMetadata.find = (query) => {
+  const docs = query.type === 'paragraph'
+    ? [{ pineconeId: 'ep_p1', metadataRaw: { text: 'Episode-scoped paragraph', episode: 'The Episode' } }]
+    : [];
+  const chain = { select: () => chain, lean: async () => docs };
+  return chain;
+};
+const { searchQuotes, mergeVectorAndLexical, fuseReciprocalRank } = require('../services/searchQuotesService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const vec = [
+  { id: 'a_p10', score: 0.91 },
+  { id: 'b_p4', score: 0.88 },
+  { id: 'c_p7', score: 0.80 },
+];
+const lex = [
+  { id: 'c_p7', score: 12.5 },
+  { id: 'd_p3', score: 9.1 },
+];
+
+(async () => {
+  console.log('mergeVectorAndLexical');
+
+  await test('lexical hit N precedes vector hit N', async () => {
+    const merged = mergeVectorAndLexical(vec, lex, 10);
+    assert.deepStrictEqual(merged.map(r => r.id), ['c_p7', 'a_p10', 'd_p3', 'b_p4']);
+  });
+
+  console.log('fuseReciprocalRank');
+
+  await test('document in both lists outranks single-list documents', async () => {
+    const fused = fuseReciprocalRank(vec, lex, 10, { k: 60, weights: { vector: 1, lexical: 1 } });
+    assert.strictEqual(fused[0].id, 'c_p7');
+    assert.strictEqual(fused[0].source, 'both');
+    assert.strictEqual(fused[0].vectorRank, 3);
+    assert.strictEqual(fused[0].lexicalRank, 1);
+    assert.ok(Math.abs(fused[0].fusedScore - (1 / 63 + 1 / 61)) < 1e-12);
+  });
+
+  await test('component ranks are null for the list a document is missing from', async () => {
+    const fused = fuseReciprocalRank(vec, lex, 10);
+    const d = fused.find(r => r.id === 'd_p3');
+    assert.strictEqual(d.source, 'lexical');
+    assert.strictEqual(d.vectorRank, null);
+    assert.strictEqual(d.vectorScore, null);
+    assert.strictEqual(d.lexicalScore, 9.1);
+  });
+
+  await test('single-list documents order by their own rank', async () => {
+    const fused = fuseReciprocalRank(vec, lex, 10);
+    // a_p10 (vector #1) beats d_p3 (lexical #2) and b_p4 (vector #2).
+    const order = fused.map(r => r.id);
+    assert.ok(order.indexOf('a_p10') < order.indexOf('d_p3'));
+    assert.ok(order.indexOf('a_p10') < order.indexOf('b_p4'));
+  });
+
+  await test('weights shift the ordering toward the favoured retriever', async () => {
+    const fused = fuseReciprocalRank(vec, lex, 10, { weights: { vector: 0, lexical: 1 } });
+    assert.deepStrictEqual(fused.slice(0, 2).map(r => r.id), ['c_p7', 'd_p3']);
+  });
+
+  await test('limit caps the fused list', async () => {
+    assert.strictEqual(fuseReciprocalRank(vec, lex, 2).length, 2);
+  });
+
+  await test('duplicate ids within one list keep their first rank only', async () => {
+    const fused = fuseReciprocalRank([{ id: 'x', score: 1 }, { id: 'x', score: 0.5 }, { id: 'y', score: 0.4 }], [], 10);
+    assert.strictEqual(fused.find(r => r.id === 'x').vectorRank, 1);
+    assert.strictEqual(fused.find(r => r.id === 'y').vectorRank, 2);
+  });
+
+  await test('empty / missing inputs yield an empty list', async () => {
+    assert.deepStrictEqual(fuseReciprocalRank(null, undefined, 5), []);
+  });
+
+  await test('unusable HYBRID_RRF_* env values fall back to the defaults', async () => {
+    const fused = fuseReciprocalRank(vec, lex, 10);
+    assert.ok(Math.abs(fused[0].fusedScore - (1 / 63 + 1 / 61)) < 1e-12);
+  });
+
+  console.log('searchQuotes');
+
+  await test('hybrid-rrf under episodeName reports the skipped lexical leg', async () => {
+    const response = await searchQuotes(
+      { query: 'fixed supply', retrievalMode: 'hybrid-rrf', episodeName: 'The Episode' },
+      { openai: null }
+    );
+    assert.strictEqual(calls.atlas, 0);
+    assert.deepStrictEqual(response.lexical, { activated: false, skipped: 'episodeName' });
+    assert.deepStrictEqual(response._meta.lexical, { activated: false, skipped: 'episodeName' });
+    assert.deepStrictEqual(response.fusion, { method: 'rrf', k: 60, weights: { vector: 1, lexical: 1 } });
+    assert.deepStrictEqual(response.results.map(r => r.ranks), [{ vector: 1, lexical: null }]);
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for per-paragraph speaker labels (utils/speakerLabels.js) and the
+ * `speaker` filter in services/searchQuotesService.js.
+ *
+ *   node tests/speaker-labels.test.js
+ *
+ * Pure node assertions; no Pinecone, Atlas or MongoDB. searchQuotes
+ * destructures its retrievers at import time, so they and the metadata model
+ * are stubbed before it is required; queries embed with the stub provider.
+ */
+
+process.env.PINECONE_API_KEY = process.env.PINECONE_API_KEY || 'test-key';
+process.env.PINECONE_INDEX = process.env.PINECONE_INDEX || 'test-index';
+process.env.EMBEDDING_PROVIDER = 'stub';
+
+const assert = require('assert');
+const pineconeTools = require('../agent-tools/pineconeTools');
+const atlas = require('../services/atlasTextSearch');
+const JamieVectorMetadata = require('../models/JamieVectorMetadata');
+const {
+  normalizeSpeakerKey,
+  assignParagraphSpeakers,
+  speakerFromMetadata,
+} = require('../utils/speakerLabels');
+
+const calls = { atlas: [], pinecone: [] };
+const corpus = { lexical: [], vector: [], paragraphs: new Map() };
+atlas.atlasTextSearch = async (params) => {
+  calls.atlas.push(params);
+  return corpus.lexical.slice(0, params.limit);
+};
+pineconeTools.findSimilarDiscussions = async (params) => {
+  calls.pinecone.push(params);
+  return corpus.vector.slice(0, params.limit);
+};
+pineconeTools.getVectorValuesByIds = async () => new Map();
+JamieVectorMetadata.find = (query) => {
+  const ids = query.type === 'paragraph' ? query.pineconeId.$in : [];
+  const docs = ids
+    .filter(id => corpus.paragraphs.has(id))
+    .filter(id => !query.speakerKey || corpus.paragraphs.get(id).speakerKey === query.speakerKey)
+    .map(id => ({ pineconeId: id, metadataRaw: corpus.paragraphs.get(id) }));
+  const chain = { select: () => chain, lean: async () => docs };
+  return chain;
+};
+const { searchQuotes } = require('../services/searchQuotesService');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+function paragraph(id, speaker, text) {
+  return { text, episode: `Episode ${id}`, feedId: 1, speaker, speakerKey: normalizeSpeakerKey(speaker) };
+}
+
+(async () => {
+  console.log('labels');
+
+  await test('speaker keys ignore case, accents and extra whitespace', async () => {
+    assert.strictEqual(normalizeSpeakerKey('  José   Luis  Ávila '), 'jose luis avila');
+    assert.strictEqual(normalizeSpeakerKey('   '), null);
+    assert.strictEqual(normalizeSpeakerKey(42), null);
+  });
+
+  await test('each paragraph goes to whoever talks longest inside it', async () => {
+    const assignments = assignParagraphSpeakers(
+      [
+        { pineconeId: 'p2', start_time: 10, end_time: 20 },
+        { pineconeId: 'p1', start_time: 0, end_time: 10 },
+        { pineconeId: 'silent', start_time: 40, end_time: 50 },
+        { pineconeId: 'untimed', start_time: null, end_time: 5 },
+      ],
+      [
+        { start: 0, end: 8, speaker: 0 },
+        { start: 8, end: 12, speaker: 1 },
+        { start: 12, end: 15, speaker: 0 },
+        { start: 15, end: 20, speaker: 1 },
+        { start: 30, end: 31, speaker: null },
+      ]
+    );
+    assert.deepStrictEqual(assignments, [
+      { pineconeId: 'p1', speakerIndex: 0, confidence: 0.8 },
+      { pineconeId: 'p2', speakerIndex: 1, confidence: 0.7 },
+    ]);
+  });
+
+  await test('"who said it" prefers a resolved name and keeps the raw label', async () => {
+    assert.deepStrictEqual(
+      speakerFromMetadata({ speaker: ' Lyn Alden ', speakerLabel: 'SPEAKER_1', speakerConfidence: 0.9 }),
+      { name: 'Lyn Alden', label: 'SPEAKER_1', confidence: 0.9 }
+    );
+    assert.deepStrictEqual(
+      speakerFromMetadata({ speaker: 'speaker_2' }),
+      { name: null, label: 'speaker_2', confidence: null }
+    );
+    assert.strictEqual(speakerFromMetadata({ text: 'unlabelled' }), null);
+    assert.strictEqual(speakerFromMetadata(null), null);
+  });
+
+  console.log('searchQuotes');
+
+  corpus.lexical = ['o1', 'o2', 'o3', 'o4', 'o5', 's1', 's2'].map((id, i) => ({ id, score: 10 - i }));
+  for (const { id } of corpus.lexical) {
+    corpus.paragraphs.set(id, paragraph(id, id.startsWith('s') ? 'Lyn Alden' : 'Someone Else', `Paragraph ${id} on deficits number ${id}`));
+  }
+
+  await test('lexical hits from other speakers do not crowd out the speaker\'s own', async () => {
+    const response = await searchQuotes(
+      { query: 'deficits', limit: 2, retrievalMode: 'lexical', speaker: 'lyn  alden' },
+      { openai: null }
+    );
+    assert.strictEqual(calls.atlas[0].limit, 50);
+    assert.deepStrictEqual(response.results.map(r => r.shareLink), ['s1', 's2']);
+    assert.strictEqual(response.results[0].speaker.name, 'Lyn Alden');
+  });
+
+  await test('hybrid fusion ranks only the speaker\'s lexical hits', async () => {
+    corpus.paragraphs.set('s3', paragraph('s3', 'Lyn Alden', 'Paragraph s3 about fiscal dominance'));
+    corpus.vector = [{ id: 's3', score: 0.91 }, { id: 's2', score: 0.88 }];
+    const response = await searchQuotes(
+      { query: 'deficits', limit: 2, retrievalMode: 'hybrid-rrf', speaker: 'Lyn Alden' },
+      { openai: null }
+    );
+    assert.strictEqual(calls.pinecone[0].speakerKey, 'lyn alden');
+    assert.deepStrictEqual(response.results.map(r => r.shareLink), ['s2', 's3']);
+    assert.deepStrictEqual(response.results[0].ranks, { vector: 2, lexical: 2 });
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for transcript export rendering (utils/transcriptExport.js).
+ *
+ *   node tests/transcript-export.test.js
+ *
+ * Pure node assertions; no MongoDB.
+ */
+
+const assert = require('assert');
+const { isTranscriptFormat, renderTranscript, interleaveSegments } = require('../utils/transcriptExport');
+
+let passed = 0;
+async function test(name, fn) {
+  await fn();
+  passed++;
+  console.log(`  ok - ${name}`);
+}
+
+const TRANSCRIPT = {
+  episode: { guid: 'ep-1', title: 'Fixed Supply', creator: 'Some Show', publishedDate: '2026-01-01' },
+  paragraphs: [
+    { id: 'p1', text: 'Welcome back to the show.', startTime: 0, endTime: 4.5 },
+    { id: 'p2', text: 'Let us talk about time preference.', startTime: 65, endTime: 70.25 },
+  ],
+  chapters: [
+    { headline: 'Intro', summary: 'Opening remarks', startTime: 0 },
+    { headline: 'Time preference', startTime: 60 },
+    { headline: 'Outro', startTime: 3600 },
+  ],
+};
+
+(async () => {
+  console.log('formats');
+
+  await test('only the declared formats are accepted', async () => {
+    for (const format of ['srt', 'vtt', 'json', 'md']) assert.strictEqual(isTranscriptFormat(format), true);
+    for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'pdf', '']) {
+      assert.strictEqual(isTranscriptFormat(format), false, format);
+    }
+  });
+
+  await test('renderTranscript throws on inherited keys', async () => {
+    assert.throws(() => renderTranscript(TRANSCRIPT, 'constructor'), /Unsupported transcript format/);
+  });
+
+  console.log('rendering');
+
+  await test('chapters land before the first paragraph inside them; trailing ones are kept', async () => {
+    const order = interleaveSegments(TRANSCRIPT.paragraphs, TRANSCRIPT.chapters)
+      .map(s => (s.type === 'chapter' ? `#${s.headline}` : s.id));
+    assert.deepStrictEqual(order, ['#Intro', 'p1', '#Time preference', 'p2', '#Outro']);
+  });
+
+  await test('srt has one numbered cue per paragraph', async () => {
+    const { body, contentType, extension } = renderTranscript(TRANSCRIPT, 'srt');
+    assert.strictEqual(extension, 'srt');
+    assert.ok(contentType.startsWith('application/x-subrip'));
+    assert.ok(body.startsWith('1\n00:00:00,000 --> 00:00:04,500\nWelcome back to the show.\n'));
+    assert.ok(body.includes('2\n00:01:05,000 --> 00:01:10,250\n'));
+  });
+
+  await test('vtt starts with the WEBVTT header', async () => {
+    const { body, contentType } = renderTranscript(TRANSCRIPT, 'vtt');
+    assert.ok(contentType.startsWith('text/vtt'));
+    assert.ok(body.startsWith('WEBVTT\n\n1\n00:00:00.000 --> 00:00:04.500\n'));
+  });
+
+  await test('json counts and interleaves segments', async () => {
+    const parsed = JSON.parse(renderTranscript(TRANSCRIPT, 'json').body);
+    assert.strictEqual(parsed.episode.guid, 'ep-1');
+    assert.strictEqual(parsed.paragraphCount, 2);
+    assert.strictEqual(parsed.chapterCount, 3);
+    assert.strictEqual(parsed.segments.length, 5);
+  });
+
+  await test('markdown has a byline, chapter headings and timestamps', async () => {
+    const { body } = renderTranscript(TRANSCRIPT, 'md');
+    assert.ok(body.startsWith('# Fixed Supply\n\n_Some Show · 2026-01-01_\n'));
+    assert.ok(body.includes('## [00:00:00] Intro\n\n> Opening remarks'));
+    assert.ok(body.includes('**[00:01:05]** Let us talk about time preference.'));
+    assert.ok(body.includes('## [01:00:00] Outro'));
+  });
+
+  console.log(`\n${passed} passed`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,6 +4,8 @@ const { WorkProductV2 } = require('../models/WorkProductV2');
 const QueueJob = require('../models/QueueJob');
 const { v4: uuidv4 } = require('uuid');
 const { DEBUG_MODE, printLog } = require('../constants');
+const { processResearchAudioExport } = require('../services/researchAudioExportService');
+const { confirmDeferredDebit, voidDebit } = require('./debitSettlement');
 
 class ClipQueueManager extends EventEmitter {
     constructor(options = {}, clipUtils, subtitleGenerator = null) {
@@ -35,15 +37,35 @@ class ClipQueueManager extends EventEmitter {
     }
 
     // ✅ GUARANTEED TRANSFER: Add job to persistent database queue
-    async enqueueClip(clipData, timestamps, lookupHash, subtitles = null) {
+    // options.debitEntryId: deferred prepaid debit the job settles when it ends
+    async enqueueClip(clipData, timestamps, lookupHash, subtitles = null, options = {}) {
+        const debitEntryId = options.debitEntryId || null;
         try {
             // Check if job already exists
             const existingJob = await QueueJob.findOne({ lookupHash });
             if (existingJob) {
                 if (existingJob.status === 'completed') {
+                    await confirmDeferredDebit(debitEntryId);
                     return { status: 'completed', lookupHash };
                 }
                 if (existingJob.status === 'processing' || existingJob.status === 'queued') {
+                    // The caller gets the in-flight job's result, so their
+                    // debit rides on its outcome
+                    if (debitEntryId) {
+                        const joined = await QueueJob.findOneAndUpdate(
+                            { lookupHash, status: { $in: ['queued', 'processing'] } },
+                            { $addToSet: { joinedDebitEntryIds: debitEntryId } }
+                        );
+                        if (!joined) {
+                            // Finished in the meantime
+                            const finished = await QueueJob.findOne({ lookupHash }).lean();
+                            if (finished?.status === 'completed') {
+                                await confirmDeferredDebit(debitEntryId);
+                                return { status: 'completed', lookupHash };
+                            }
+                            await voidDebit(debitEntryId, { reason: `Clip job failed: ${finished?.lastError || 'unknown error'}` });
+                        }
+                    }
                     return { status: 'processing', lookupHash };
                 }
                 if (existingJob.status === 'failed' && existingJob.attempts >= existingJob.maxAttempts) {
@@ -54,7 +76,9 @@ class ClipQueueManager extends EventEmitter {
                             status: 'queued',
                             attempts: 0,
                             lastError: null,
-                            queuedAt: new Date()
+                            queuedAt: new Date(),
+                            debitEntryId,
+                            joinedDebitEntryIds: []
                         }
                     );
                 }
@@ -65,6 +89,7 @@ class ClipQueueManager extends EventEmitter {
                     clipData,
                     timestamps,
                     subtitles,
+                    debitEntryId,
                     status: 'queued',
                     queuedAt: new Date()
                 });
@@ -158,16 +183,20 @@ class ClipQueueManager extends EventEmitter {
             await this.processJobContent(job);
             
             // Mark as completed
-            await QueueJob.findOneAndUpdate(
+            const completed = await QueueJob.findOneAndUpdate(
                 { lookupHash: job.lookupHash },
                 { 
                     status: 'completed',
                     completedAt: new Date(),
                     instanceId: null // Release ownership
-                }
+                },
+                { new: true }
             );
             
             console.log(`[SUCCESS] ✅ Job ${job.lookupHash} completed successfully`);
+            for (const entryId of this.jobDebitEntryIds(completed || job)) {
+                await confirmDeferredDebit(entryId);
+            }
             
             clearInterval(heartbeatTimer);
             
@@ -177,7 +206,7 @@ class ClipQueueManager extends EventEmitter {
             // Mark as failed or back to queued for retry
             const shouldRetry = job.attempts < job.maxAttempts;
             
-            await QueueJob.findOneAndUpdate(
+            const updated = await QueueJob.findOneAndUpdate(
                 { lookupHash: job.lookupHash },
                 { 
                     status: shouldRetry ? 'queued' : 'failed',
@@ -191,18 +220,34 @@ class ClipQueueManager extends EventEmitter {
                             timestamp: new Date()
                         }
                     }
-                }
+                },
+                { new: true }
             );
             
             console.log(`[INFO] Job ${job.lookupHash} ${shouldRetry ? 'queued for retry' : 'marked as failed'}`);
+            if (!shouldRetry) {
+                for (const entryId of this.jobDebitEntryIds(updated || job)) {
+                    await voidDebit(entryId, { reason: `Clip job failed: ${error.message}` });
+                }
+            }
             
         } finally {
             this.activeWorkers--;
         }
     }
 
+    // Every prepaid debit riding on a job: the enqueuer's plus any joined callers'
+    jobDebitEntryIds(job) {
+        return [job.debitEntryId, ...(job.joinedDebitEntryIds || [])].filter(Boolean);
+    }
+
     // Enhanced processJobContent with detailed error handling and stage tracking
     async processJobContent(job) {
+        // Research session supercuts share the queue but not the clip pipeline
+        if (job.jobType === 'research-audio-export') {
+            return processResearchAudioExport(job, this.clipUtils);
+        }
+
         let processingStage = 'initialization';
         const logPrefix = `[CLIP-PROCESSING][${job.lookupHash}]`;
         
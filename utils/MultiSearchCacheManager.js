@@ -7,6 +7,7 @@
  * - Configurable limits
  */
 
+const crypto = require('crypto');
 const { printLog } = require('../constants.js');
 
 class MultiSearchCacheManager {
@@ -36,12 +37,13 @@ class MultiSearchCacheManager {
   }
 
   /**
-   * Generate a unique session ID
+   * Generate a unique session ID. The ID is the session's only access
+   * handle, so the random part is 128 bits from the CSPRNG.
    * @returns {string}
    */
   _generateSessionId() {
     const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 10);
+    const random = crypto.randomBytes(16).toString('hex');
     return `msess_${timestamp}_${random}`;
   }
 
@@ -52,10 +54,12 @@ class MultiSearchCacheManager {
    * @param {Array} initialData.items - Initial items with embeddings and metadata
    * @param {Object} initialData.axisLabels - Optional axis labels
    * @param {string} initialData.umapConfig - 'standard' or 'fast'
+   * @param {Object} initialData.projection - Optional fitted projection (UmapProjector.fit) so
+   *   later expands can place points into the same space
    * @returns {Object} The created session with its ID
    */
   createSession(initialData) {
-    const { query, items = [], axisLabels = null, umapConfig = 'standard' } = initialData;
+    const { query, items = [], axisLabels = null, umapConfig = 'standard', projection = null } = initialData;
 
     // Enforce capacity - evict oldest if at max
     if (this.sessions.size >= this.maxSessions) {
@@ -81,7 +85,8 @@ class MultiSearchCacheManager {
       ],
       items: cappedItems,
       axisLabels,
-      umapConfig
+      umapConfig,
+      projection
     };
 
     this.sessions.set(sessionId, session);
@@ -92,6 +97,33 @@ class MultiSearchCacheManager {
     return session;
   }
 
+  /**
+   * Put a previously persisted session back into the cache under its own ID
+   * (e.g. re-opened from MongoDB after a restart or eviction)
+   * @param {Object} session - Session shaped like createSession's output
+   * @returns {Object} The cached session
+   */
+  restoreSession(session) {
+    if (this.sessions.has(session.id)) {
+      this._deleteSession(session.id);
+    } else if (this.sessions.size >= this.maxSessions) {
+      this._evictOldest();
+    }
+
+    const restored = {
+      ...session,
+      items: session.items.slice(0, this.maxItemsPerSession),
+      lastAccessedAt: Date.now()
+    };
+
+    this.sessions.set(restored.id, restored);
+    this.insertionOrder.push(restored.id);
+
+    printLog(`[MultiSearchCacheManager] Restored session ${restored.id} with ${restored.items.length} items (${this.sessions.size}/${this.maxSessions} sessions)`);
+
+    return restored;
+  }
+
   /**
    * Get a session by ID (updates lastAccessedAt)
    * @param {string} sessionId
@@ -188,6 +220,8 @@ class MultiSearchCacheManager {
    * @param {string} sessionId
    * @param {Object} updates
    * @param {Array} updates.coordinates3d - Array of {x, y, z} matching item order
+   * @param {Array} updates.rawCoordinates - Optional raw (un-normalized) layout matching item order
+   * @param {Object} updates.projection - Optional fitted projection replacing the session's
    * @param {Object} updates.axisLabels - Optional new axis labels
    * @returns {boolean}
    */
@@ -197,7 +231,7 @@ class MultiSearchCacheManager {
       return false;
     }
 
-    const { coordinates3d, axisLabels } = updates;
+    const { coordinates3d, rawCoordinates, projection, axisLabels } = updates;
 
     // Update coordinates on each item
     if (coordinates3d && coordinates3d.length === session.items.length) {
@@ -206,6 +240,16 @@ class MultiSearchCacheManager {
       });
     }
 
+    if (rawCoordinates && rawCoordinates.length === session.items.length) {
+      session.items.forEach((item, index) => {
+        item.rawCoordinates = rawCoordinates[index];
+      });
+    }
+
+    if (projection !== undefined) {
+      session.projection = projection;
+    }
+
     // Update axis labels if provided
     if (axisLabels !== undefined) {
       session.axisLabels = axisLabels;
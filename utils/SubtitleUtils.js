@@ -256,26 +256,8 @@ class SubtitleUtils {
     }
     
     try {
-      let srtContent = '';
-      
-      subtitles.forEach((subtitle, index) => {
-        // Validate subtitle format
-        if (!subtitle.text || typeof subtitle.start !== 'number' || typeof subtitle.end !== 'number') {
-          console.warn(`${debugPrefix} Skipping invalid subtitle at index ${index}:`, subtitle);
-          return;
-        }
-        
-        // Convert seconds to SRT time format (HH:MM:SS,mmm)
-        const startTime = SubtitleUtils.formatSRTTime(subtitle.start);
-        const endTime = SubtitleUtils.formatSRTTime(subtitle.end);
-        
-        // Add subtitle entry
-        srtContent += `${index + 1}\n`;
-        srtContent += `${startTime} --> ${endTime}\n`;
-        // Pad with spaces to increase visual padding between text glyphs and box edge
-        const paddedText = ` ${subtitle.text.trim()} `;
-        srtContent += `${paddedText}\n\n`;
-      });
+      // Pad with spaces to increase visual padding between text glyphs and box edge
+      const srtContent = SubtitleUtils.buildSRTContent(subtitles, { padText: true });
       
       // Write SRT file
       await fs.promises.writeFile(outputPath, srtContent, 'utf8');
@@ -290,6 +272,60 @@ class SubtitleUtils {
     }
   }
   
+  /**
+   * Render a subtitle array as SRT text (no file I/O).
+   * 
+   * Cues missing text or numeric start/end are skipped with a warning; their
+   * index is still consumed so cue numbers line up with the input array.
+   * 
+   * @param {Array} subtitles - Array of subtitle objects with {text, start, end}
+   * @param {Object} options - { padText: true } wraps each cue in spaces (burn-in styling)
+   * @returns {string} SRT document
+   */
+  static buildSRTContent(subtitles, options = {}) {
+    const { padText = false } = options;
+    let srtContent = '';
+    
+    (subtitles || []).forEach((subtitle, index) => {
+      if (!subtitle || !subtitle.text || typeof subtitle.start !== 'number' || typeof subtitle.end !== 'number') {
+        console.warn(`[SUBTITLE-UTILS] Skipping invalid subtitle at index ${index}:`, subtitle);
+        return;
+      }
+      
+      const text = padText ? ` ${subtitle.text.trim()} ` : subtitle.text.trim();
+      srtContent += `${index + 1}\n`;
+      srtContent += `${SubtitleUtils.formatSRTTime(subtitle.start)} --> ${SubtitleUtils.formatSRTTime(subtitle.end)}\n`;
+      srtContent += `${text}\n\n`;
+    });
+    
+    return srtContent;
+  }
+
+  /**
+   * Render a subtitle array as a WebVTT document. Same cue rules as
+   * buildSRTContent; cue identifiers are the 1-based input index.
+   * 
+   * @param {Array} subtitles - Array of subtitle objects with {text, start, end}
+   * @returns {string} WebVTT document (starts with the WEBVTT header)
+   */
+  static buildWebVTTContent(subtitles) {
+    let vttContent = 'WEBVTT\n\n';
+    
+    (subtitles || []).forEach((subtitle, index) => {
+      if (!subtitle || !subtitle.text || typeof subtitle.start !== 'number' || typeof subtitle.end !== 'number') {
+        console.warn(`[SUBTITLE-UTILS] Skipping invalid subtitle at index ${index}:`, subtitle);
+        return;
+      }
+      
+      vttContent += `${index + 1}\n`;
+      vttContent += `${SubtitleUtils.formatVTTTime(subtitle.start)} --> ${SubtitleUtils.formatVTTTime(subtitle.end)}\n`;
+      // A blank line ends a cue in WebVTT, so collapse any inside the text.
+      vttContent += `${subtitle.text.trim().replace(/\n\s*\n/g, '\n')}\n\n`;
+    });
+    
+    return vttContent;
+  }
+
   /**
    * Convert seconds to SRT time format (HH:MM:SS,mmm)
    * 
@@ -305,6 +341,16 @@ class SubtitleUtils {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${milliseconds.toString().padStart(3, '0')}`;
   }
 
+  /**
+   * Convert seconds to WebVTT time format (HH:MM:SS.mmm)
+   * 
+   * @param {number} seconds - Time in seconds
+   * @returns {string} WebVTT formatted time string
+   */
+  static formatVTTTime(seconds) {
+    return SubtitleUtils.formatSRTTime(seconds).replace(',', '.');
+  }
+
   static formatASSTime(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
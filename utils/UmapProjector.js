@@ -27,6 +27,18 @@ class UmapProjector {
    * @returns {Promise<Array<{x: number, y: number, z: number}>>} - 3D coordinates
    */
   async project(embeddings) {
+    const { coordinates } = await this.fit(embeddings);
+    return coordinates;
+  }
+
+  /**
+   * Fit UMAP and keep what's needed to place later points in the same space
+   * (see transform()).
+   * @param {Array<Array<number>>} embeddings - Array of embedding vectors
+   * @returns {Promise<{coordinates: Array<{x: number, y: number, z: number}>, rawCoordinates: Array<Array<number>>, projection: Object}>}
+   *   projection = { seed, nNeighbors, minDist, nComponents, metric, mins, maxs }
+   */
+  async fit(embeddings) {
     const debugPrefix = `[UMAP-PROJECTOR][${Date.now()}]`;
     
     // Validate input
@@ -80,14 +92,27 @@ class UmapProjector {
         this.validateProjection(projection, embeddings.length);
 
         // Normalize coordinates to [-1, 1] range
-        const normalized = this.normalizeCoordinates(projection);
+        const bounds = UmapProjector.computeBounds(projection);
+        const normalized = this.normalizeCoordinates(projection, bounds);
 
         // Validate normalized distribution
         this.validateDistribution(normalized);
 
         console.log(`${debugPrefix} Projection validation passed`);
         
-        return normalized;
+        return {
+          coordinates: normalized,
+          rawCoordinates: projection,
+          projection: {
+            seed: this.randomState + attempt * 1000,
+            nNeighbors: Math.min(this.nNeighbors, embeddings.length - 1),
+            minDist: this.minDist,
+            nComponents: this.nComponents,
+            metric: this.metric,
+            mins: bounds.mins,
+            maxs: bounds.maxs
+          }
+        };
 
       } catch (error) {
         lastError = error;
@@ -139,16 +164,68 @@ class UmapProjector {
   }
 
   /**
-   * Normalize coordinates to [-1, 1] range per axis
+   * Place new embeddings into an existing fitted space without refitting.
+   *
+   * Out-of-sample placement in the spirit of UMAP's own transform init: each
+   * new point lands at the membership-weighted mean of its nearest reference
+   * points in the raw layout (cosine kNN, UMAP-style exp(-(d - rho) / sigma)
+   * weights). Reference points never move, and because every placement is a
+   * convex combination of raw reference coordinates it stays inside the stored
+   * normalization bounds. Deterministic — no random state involved.
+   *
+   * @param {Array<Array<number>>} embeddings - New embedding vectors
+   * @param {Object} reference
+   * @param {Array<Array<number>>} reference.embeddings - Already placed embeddings
+   * @param {Array<Array<number>>} reference.rawCoordinates - Their raw (un-normalized) layout
+   * @param {Object} reference.projection - projection returned by fit() (mins/maxs/nNeighbors)
+   * @returns {{coordinates: Array<{x: number, y: number, z: number}>, rawCoordinates: Array<Array<number>>}}
+   */
+  transform(embeddings, reference) {
+    const { embeddings: refEmbeddings, rawCoordinates: refRaw, projection } = reference || {};
+    if (!Array.isArray(refEmbeddings) || refEmbeddings.length === 0 || refEmbeddings.length !== refRaw?.length) {
+      throw new Error('UMAP transform requires reference embeddings with matching raw coordinates');
+    }
+    if (!projection?.mins || !projection?.maxs) {
+      throw new Error('UMAP transform requires the fitted projection bounds');
+    }
+
+    const k = Math.max(1, Math.min(projection.nNeighbors || this.nNeighbors, refEmbeddings.length));
+    const refNorms = refEmbeddings.map(vectorNorm);
+
+    const rawCoordinates = embeddings.map(embedding => {
+      const norm = vectorNorm(embedding);
+      const neighbors = refEmbeddings
+        .map((ref, index) => ({ index, distance: cosineDistance(embedding, norm, ref, refNorms[index]) }))
+        .sort((a, b) => a.distance - b.distance || a.index - b.index)
+        .slice(0, k);
+
+      const rho = neighbors[0].distance;
+      const sigma = neighbors.reduce((sum, n) => sum + (n.distance - rho), 0) / neighbors.length || 1;
+      const weights = neighbors.map(n => Math.exp(-(n.distance - rho) / sigma));
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+      return refRaw[0].map((_, dim) =>
+        neighbors.reduce((sum, n, i) => sum + refRaw[n.index][dim] * weights[i], 0) / totalWeight
+      );
+    });
+
+    this.validateProjection(rawCoordinates, embeddings.length);
+
+    return {
+      coordinates: this.normalizeCoordinates(rawCoordinates, { mins: projection.mins, maxs: projection.maxs }),
+      rawCoordinates
+    };
+  }
+
+  /**
+   * Per-axis min/max of a raw projection
    * @param {Array<Array<number>>} projection - UMAP output
-   * @returns {Array<{x: number, y: number, z: number}>} - Normalized coordinates
+   * @returns {{mins: Array<number>, maxs: Array<number>}}
    */
-  normalizeCoordinates(projection) {
-    const debugPrefix = `[UMAP-NORMALIZE]`;
-    
-    // Find min/max per dimension
-    const mins = Array(this.nComponents).fill(Infinity);
-    const maxs = Array(this.nComponents).fill(-Infinity);
+  static computeBounds(projection) {
+    const nComponents = projection[0].length;
+    const mins = Array(nComponents).fill(Infinity);
+    const maxs = Array(nComponents).fill(-Infinity);
 
     projection.forEach(point => {
       point.forEach((value, dim) => {
@@ -157,6 +234,19 @@ class UmapProjector {
       });
     });
 
+    return { mins, maxs };
+  }
+
+  /**
+   * Normalize coordinates to [-1, 1] range per axis
+   * @param {Array<Array<number>>} projection - UMAP output
+   * @param {{mins: Array<number>, maxs: Array<number>}} [bounds] - Fixed bounds (defaults to the projection's own)
+   * @returns {Array<{x: number, y: number, z: number}>} - Normalized coordinates
+   */
+  normalizeCoordinates(projection, bounds = UmapProjector.computeBounds(projection)) {
+    const debugPrefix = `[UMAP-NORMALIZE]`;
+    const { mins, maxs } = bounds;
+
     console.log(`${debugPrefix} Raw coordinate ranges:`, {
       x: `[${mins[0].toFixed(3)}, ${maxs[0].toFixed(3)}]`,
       y: `[${mins[1].toFixed(3)}, ${maxs[1].toFixed(3)}]`,
@@ -264,5 +354,16 @@ class UmapProjector {
   }
 }
 
+function vectorNorm(vector) {
+  return Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+}
+
+function cosineDistance(a, aNorm, b, bNorm) {
+  if (!aNorm || !bNorm) return 1;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return 1 - dot / (aNorm * bNorm);
+}
+
 module.exports = UmapProjector;
 
@@ -1,5 +1,8 @@
 const { getEntitlementStats, resetEntitlement, updateEntitlementConfig } = require('./entitlements');
 const { Entitlement } = require('../models/Entitlement');
+const { AgentUsageEntry } = require('../models/AgentUsageEntry');
+const { listRefundRequests, setRefundRequestReview, formatEntry } = require('../services/agentUsageLedger');
+const { voidDebit } = require('./debitSettlement');
 
 /**
  * Get comprehensive entitlement statistics
@@ -130,10 +133,68 @@ const cleanupExpiredEntitlements = async () => {
     }
 };
 
+/**
+ * Disputed L402 calls (POST /api/agent/refund-request), oldest first
+ */
+const getRefundRequests = async (status = 'open') => {
+    const entries = await listRefundRequests({ status });
+    return entries.map(entry => ({
+        paymentHash: entry.paymentHash,
+        ...formatEntry(entry)
+    }));
+};
+
+/**
+ * Approve or reject an open refund request. Approval voids the debit, which
+ * credits the amount back to the credential's balance.
+ *
+ * @returns {Promise<{ entry: Object, refund: Object|null } | { error: string, status: number }>}
+ */
+const reviewRefundRequest = async (requestId, decision, note = null) => {
+    if (!['approve', 'reject'].includes(decision)) {
+        return { error: 'decision must be approve or reject', status: 400 };
+    }
+
+    const debit = await AgentUsageEntry.findOne({ kind: 'debit', requestId, 'refundRequest.status': 'open' }).lean();
+    if (!debit) {
+        return { error: 'No open refund request for that requestId', status: 404 };
+    }
+
+    // Claim the request first so two reviewers can't both approve it
+    const reviewed = await setRefundRequestReview(debit._id, {
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        note
+    });
+    if (!reviewed) {
+        return { error: 'Refund request was already reviewed', status: 409 };
+    }
+
+    if (decision === 'reject') {
+        return { entry: formatEntry(reviewed), refund: null };
+    }
+
+    const refund = await voidDebit(debit._id, {
+        reason: `Refund request: ${debit.refundRequest.reason}`,
+        actor: 'admin'
+    });
+    if (refund.error) {
+        await AgentUsageEntry.updateOne(
+            { _id: debit._id },
+            { $set: { 'refundRequest.status': 'open', 'refundRequest.reviewedAt': null, 'refundRequest.note': null } }
+        );
+        return refund;
+    }
+
+    const entry = await AgentUsageEntry.findById(debit._id).lean();
+    return { entry: formatEntry(entry), refund };
+};
+
 module.exports = {
     getComprehensiveStats,
     resetAllEntitlements,
     getEntitlementsForIdentifier,
     updateEntitlementForIdentifier,
-    cleanupExpiredEntitlements
+    cleanupExpiredEntitlements,
+    getRefundRequests,
+    reviewRefundRequest
 }; 
\ No newline at end of file
@@ -0,0 +1,296 @@
+'use strict';
+
+/**
+ * Per-provider health tracking, circuit breaking and ordered failover for
+ * the agent's LLM calls.
+ *
+ * Every orchestrator round and synthesis call in agentChatRoutes.js goes
+ * through callWithFailover() with the role's chain from
+ * resolveFailoverChain() (constants/agentModels.js). A call that fails with
+ * an outage-shaped error — 5xx, 429, timeout, connection failure — is
+ * re-issued against the next model in the chain with the same messages, so
+ * one vendor's outage costs a retry instead of the request.
+ *
+ * Health is tracked per provider (not per model): a DeepSeek outage takes
+ * down every DeepSeek-direct model at once. Each provider keeps a rolling
+ * window of outcomes (error rate, latency p95) and a breaker:
+ *
+ *   closed ──(N consecutive failures, or error rate / p95 over threshold)──▶ open
+ *   open ──(cooldown elapsed)──▶ half-open: exactly one probe call goes through
+ *   half-open ──probe ok──▶ closed,  ──probe fails──▶ open (fresh cooldown)
+ *
+ * Open providers are skipped without a network round trip. When every
+ * provider in a chain is open the primary is tried anyway — failing fast on
+ * every request during a full outage would be worse than one slow attempt.
+ *
+ * Breaker state is in-process; each API instance learns independently.
+ */
+
+const { printLog } = require('../../constants.js');
+const { createProvider } = require('./providers');
+
+const DEFAULTS = {
+  windowMs: parseInt(process.env.AGENT_BREAKER_WINDOW_MS || String(5 * 60 * 1000), 10),
+  maxSamples: 200,
+  // Error-rate trip needs enough samples to mean something
+  minSamples: parseInt(process.env.AGENT_BREAKER_MIN_SAMPLES || '10', 10),
+  errorRateThreshold: parseFloat(process.env.AGENT_BREAKER_ERROR_RATE || '0.5'),
+  consecutiveFailures: parseInt(process.env.AGENT_BREAKER_CONSECUTIVE_FAILURES || '3', 10),
+  // 0 disables the latency trip. Stalls usually surface as timeouts (errors)
+  // first; this catches a provider that answers, but far too slowly.
+  p95ThresholdMs: parseInt(process.env.AGENT_BREAKER_P95_MS || '0', 10),
+  cooldownMs: parseInt(process.env.AGENT_BREAKER_COOLDOWN_MS || '30000', 10),
+};
+
+const FAILOVER_ENABLED = process.env.AGENT_FAILOVER_ENABLED !== 'false';
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * HTTP status of a provider error: the SDK's `status` field, or the
+ * "failed (503)" form our fetch-based adapters put in the message.
+ */
+function errorStatus(err) {
+  if (Number.isInteger(err?.status)) return err.status;
+  const match = String(err?.message || '').match(/\((\d{3})\)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Whether an error looks like a provider outage worth failing over for.
+ * Other 4xx responses (bad request, context too long, auth) mean the provider
+ * is up and answered; retrying elsewhere would hide the bug, so they throw.
+ */
+function isFailoverError(err) {
+  const status = errorStatus(err);
+  if (status === null) return true; // timeout, connection refused/reset, stream cut
+  return status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * @param {Object} [options] - overrides for DEFAULTS, plus `now` for tests
+ */
+function createProviderHealth(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const now = options.now || Date.now;
+  const providers = new Map();
+
+  function entry(provider) {
+    if (!providers.has(provider)) {
+      providers.set(provider, {
+        samples: [],
+        state: 'closed',
+        openedAt: null,
+        consecutiveFailures: 0,
+        probeInFlight: false,
+        lastError: null,
+      });
+    }
+    return providers.get(provider);
+  }
+
+  function prune(e) {
+    const cutoff = now() - config.windowMs;
+    while (e.samples.length > 0 && (e.samples[0].t < cutoff || e.samples.length > config.maxSamples)) {
+      e.samples.shift();
+    }
+  }
+
+  function stats(e) {
+    prune(e);
+    const failures = e.samples.filter(s => !s.ok).length;
+    return {
+      samples: e.samples.length,
+      errorRate: e.samples.length > 0 ? failures / e.samples.length : 0,
+      p95Ms: percentile(e.samples.filter(s => s.ok).map(s => s.ms), 0.95),
+    };
+  }
+
+  function open(provider, e, reason) {
+    e.state = 'open';
+    e.openedAt = now();
+    e.probeInFlight = false;
+    printLog(`[PROVIDER-HEALTH] ${provider} circuit OPEN (${reason}) — skipping for ${config.cooldownMs}ms`);
+  }
+
+  return {
+    /** Whether a call to this provider may go out now (claims the half-open probe). */
+    canAttempt(provider) {
+      const e = entry(provider);
+      if (e.state === 'closed') return true;
+      if (e.state === 'open') {
+        if (now() - e.openedAt < config.cooldownMs) return false;
+        e.state = 'half_open';
+        e.probeInFlight = false;
+      }
+      if (e.probeInFlight) return false;
+      e.probeInFlight = true;
+      return true;
+    },
+
+    recordSuccess(provider, latencyMs) {
+      const e = entry(provider);
+      e.samples.push({ t: now(), ok: true, ms: latencyMs });
+      e.consecutiveFailures = 0;
+      if (e.state === 'half_open') {
+        e.state = 'closed';
+        e.openedAt = null;
+        e.probeInFlight = false;
+        printLog(`[PROVIDER-HEALTH] ${provider} circuit CLOSED (probe succeeded in ${latencyMs}ms)`);
+        return;
+      }
+      const { samples, p95Ms } = stats(e);
+      if (e.state === 'closed' && config.p95ThresholdMs > 0 && samples >= config.minSamples && p95Ms > config.p95ThresholdMs) {
+        open(provider, e, `p95 ${p95Ms}ms > ${config.p95ThresholdMs}ms`);
+      }
+    },
+
+    recordFailure(provider, latencyMs, err) {
+      const e = entry(provider);
+      e.samples.push({ t: now(), ok: false, ms: latencyMs });
+      e.consecutiveFailures++;
+      e.lastError = err?.message ? String(err.message).slice(0, 200) : null;
+      if (e.state === 'half_open') {
+        open(provider, e, `probe failed: ${e.lastError}`);
+        return;
+      }
+      if (e.state !== 'closed') return;
+      const { samples, errorRate } = stats(e);
+      if (e.consecutiveFailures >= config.consecutiveFailures) {
+        open(provider, e, `${e.consecutiveFailures} consecutive failures`);
+      } else if (samples >= config.minSamples && errorRate >= config.errorRateThreshold) {
+        open(provider, e, `error rate ${(errorRate * 100).toFixed(0)}% over ${samples} calls`);
+      }
+    },
+
+    /** Give back a half-open probe that ended without a verdict (client abort). */
+    release(provider) {
+      entry(provider).probeInFlight = false;
+    },
+
+    snapshot() {
+      const out = {};
+      for (const [provider, e] of providers) {
+        const { samples, errorRate, p95Ms } = stats(e);
+        out[provider] = {
+          state: e.state,
+          samples,
+          errorRate: Number(errorRate.toFixed(3)),
+          p95Ms,
+          consecutiveFailures: e.consecutiveFailures,
+          openedAt: e.openedAt ? new Date(e.openedAt).toISOString() : null,
+          lastError: e.lastError,
+        };
+      }
+      return out;
+    },
+  };
+}
+
+// Process-wide tracker shared by every request
+const providerHealth = createProviderHealth();
+
+/**
+ * Run `attempt(modelConfig, client)` down a failover chain.
+ *
+ * Candidates are skipped when their provider's breaker is open, when their
+ * provider is not configured (validate() false), or when the same provider
+ * already failed earlier in this call. A non-outage error, or `shouldStop()`
+ * turning true (client gone, deadline passed), ends the walk and rethrows.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.chain - model configs, primary first
+ * @param {Function} params.attempt - async (modelConfig, client) => response
+ * @param {Function} [params.shouldStop] - () => boolean
+ * @param {Function} [params.onFailover] - (failedConfig, err, nextConfig) => void, before each retry
+ * @param {Object} [params.health] - defaults to the shared providerHealth
+ * @param {Function} [params.getClient] - provider name → client, defaults to createProvider
+ * @returns {Promise<{ response, modelConfig, attempts: Array<{ model, provider, error, latencyMs }> }>}
+ *   `attempts` lists the failed tries before the one that answered.
+ * @throws the last error, with `.attempts` attached
+ */
+async function callWithFailover({ chain, attempt, shouldStop = () => false, onFailover, health = providerHealth, getClient = createProvider }) {
+  const candidates = FAILOVER_ENABLED ? chain : chain.slice(0, 1);
+  const attempts = [];
+  const failedProviders = new Set();
+  let lastError = null;
+
+  // One breaker check per provider; canAttempt() may claim a half-open probe,
+  // which must be given back if this call never uses it.
+  const claimed = new Set();
+  const openProviders = new Set();
+  for (const c of candidates) {
+    if (claimed.has(c.provider) || openProviders.has(c.provider)) continue;
+    if (health.canAttempt(c.provider)) claimed.add(c.provider);
+    else openProviders.add(c.provider);
+  }
+  // Everything is open: try the primary rather than fail without a call
+  if (claimed.size === 0 && candidates.length > 0) openProviders.delete(candidates[0].provider);
+  const attempted = new Set();
+  const releaseUnclaimed = () => {
+    for (const provider of claimed) if (!attempted.has(provider)) health.release(provider);
+  };
+
+  for (let i = 0; i < candidates.length; i++) {
+    const modelConfig = candidates[i];
+    if (openProviders.has(modelConfig.provider) || failedProviders.has(modelConfig.provider)) continue;
+
+    const client = getClient(modelConfig.provider);
+    if (!(await client.validate())) continue;
+
+    attempted.add(modelConfig.provider);
+    const started = Date.now();
+    try {
+      const response = await attempt(modelConfig, client);
+      health.recordSuccess(modelConfig.provider, Date.now() - started);
+      releaseUnclaimed();
+      return { response, modelConfig, attempts };
+    } catch (err) {
+      const latencyMs = Date.now() - started;
+      lastError = err;
+      if (shouldStop()) {
+        health.release(modelConfig.provider);
+        break;
+      }
+      if (!isFailoverError(err)) {
+        // The provider answered; the request itself was bad
+        health.recordSuccess(modelConfig.provider, latencyMs);
+        break;
+      }
+      health.recordFailure(modelConfig.provider, latencyMs, err);
+      failedProviders.add(modelConfig.provider);
+      attempts.push({ model: modelConfig.key, provider: modelConfig.provider, error: String(err.message).slice(0, 300), latencyMs });
+      const next = candidates.slice(i + 1).find(c => !openProviders.has(c.provider) && !failedProviders.has(c.provider));
+      if (next && typeof onFailover === 'function') onFailover(modelConfig, err, next);
+    }
+  }
+
+  releaseUnclaimed();
+  if (!lastError) lastError = new Error(`No configured provider available for ${candidates.map(c => c.key).join(' → ')}`);
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+/**
+ * Whether any model in the chain has a configured provider.
+ */
+async function anyProviderReady(chain) {
+  for (const modelConfig of (FAILOVER_ENABLED ? chain : chain.slice(0, 1))) {
+    if (await createProvider(modelConfig.provider).validate()) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  createProviderHealth,
+  providerHealth,
+  callWithFailover,
+  anyProviderReady,
+  isFailoverError,
+  errorStatus,
+  FAILOVER_ENABLED,
+};
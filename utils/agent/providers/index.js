@@ -3,12 +3,14 @@ const TinfoilProvider = require('./tinfoilProvider');
 const OpenRouterProvider = require('./openRouterProvider');
 const DeepSeekProvider = require('./deepSeekProvider');
 const OpenAIProvider = require('./openAIProvider');
+const LocalProvider = require('./localProvider');
 
 // Supported provider IDs. Each model entry in constants/agentModels.js picks
 // one of these as its `provider`. Same model can appear under multiple
 // providers (e.g. deepseek-v4-flash via openrouter today, via tinfoil later)
-// as separate registry entries with distinct keys.
-const SUPPORTED_PROVIDERS = ['anthropic', 'tinfoil', 'openrouter', 'deepseek', 'openai'];
+// as separate registry entries with distinct keys. 'local' is any
+// OpenAI-compatible server on our own hardware (llama.cpp, Ollama, vLLM).
+const SUPPORTED_PROVIDERS = ['anthropic', 'tinfoil', 'openrouter', 'deepseek', 'openai', 'local'];
 
 const providerCache = new Map();
 
@@ -21,6 +23,7 @@ function createProvider(name) {
   else if (name === 'openrouter') provider = new OpenRouterProvider();
   else if (name === 'deepseek') provider = new DeepSeekProvider();
   else if (name === 'openai') provider = new OpenAIProvider();
+  else if (name === 'local') provider = new LocalProvider();
   else throw new Error(`Unknown provider: ${name}`);
 
   providerCache.set(name, provider);
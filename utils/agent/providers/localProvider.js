@@ -0,0 +1,387 @@
+/**
+ * Local-model provider adapter for OpenAI-compatible servers on our own
+ * hardware: llama.cpp `llama-server`, Ollama (its /v1 endpoint) and vLLM.
+ *
+ * Nothing leaves the box, so registry entries with this provider are priced
+ * at $0 (constants/agentModels.js) — this is what lets the whole /api/pull
+ * pipeline run in air-gapped dev environments and CI.
+ *
+ *   LOCAL_LLM_BASE_URL   required, e.g. http://127.0.0.1:8080/v1 (llama-server),
+ *                        http://127.0.0.1:11434/v1 (Ollama), http://127.0.0.1:8000/v1 (vLLM).
+ *                        Unset, the local models aren't registered
+ *                        (constants/agentModels.js) and validate() fails
+ *                        without probing anything.
+ *   LOCAL_LLM_API_KEY    optional (vLLM --api-key, auth proxies)
+ *
+ * Tool calling needs a server/model combination that supports it:
+ * llama-server must run with --jinja, vLLM with --enable-auto-tool-choice
+ * and a --tool-call-parser. Ollama supports it for tool-capable models.
+ *
+ * Differences from the hosted OpenAI-compatible adapters, all server quirks:
+ *   - tool call arguments may arrive as an object instead of a JSON string,
+ *     and streamed tool calls may lack `index` (older Ollama)
+ *   - reasoning models emit `reasoning_content` / `reasoning` deltas, or an
+ *     inline <think>…</think> block at the start of content when the server
+ *     doesn't split it out. Neither is streamed to the client or kept.
+ *   - usage may be missing entirely; tokens are then reported as 0
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_BASE_URL = process.env.LOCAL_LLM_BASE_URL || null;
+// CPU / small-GPU inference is slow; a full synthesis can take minutes.
+const DEFAULT_REQUEST_TIMEOUT_MS = parseInt(process.env.LOCAL_LLM_REQUEST_TIMEOUT_MS || '300000', 10);
+const VALIDATE_TIMEOUT_MS = parseInt(process.env.LOCAL_LLM_VALIDATE_TIMEOUT_MS || '3000', 10);
+// Some older server builds reject stream_options; LOCAL_LLM_STREAM_USAGE=false drops it.
+const STREAM_USAGE = process.env.LOCAL_LLM_STREAM_USAGE !== 'false';
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+function convertToolsToOpenAi(tools = []) {
+  return tools.map(t => ({
+    type: 'function',
+    function: {
+      name: t.name,
+      description: t.description,
+      parameters: t.input_schema,
+    },
+  }));
+}
+
+function convertMessagesToOpenAi(messages = []) {
+  const out = [];
+
+  for (const msg of messages) {
+    if (typeof msg.content === 'string') {
+      out.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+
+    if (!Array.isArray(msg.content)) continue;
+
+    if (msg.role === 'assistant') {
+      const textParts = msg.content.filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+      const toolCalls = msg.content
+        .filter(b => b.type === 'tool_use')
+        .map((b, idx) => ({
+          id: b.id || `call_${idx + 1}`,
+          type: 'function',
+          function: {
+            name: b.name,
+            arguments: JSON.stringify(b.input || {}),
+          },
+        }));
+
+      out.push({
+        role: 'assistant',
+        content: textParts || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      });
+      continue;
+    }
+
+    if (msg.role === 'user') {
+      const toolResults = msg.content.filter(b => b.type === 'tool_result');
+      if (toolResults.length > 0) {
+        for (const tr of toolResults) {
+          out.push({
+            role: 'tool',
+            tool_call_id: tr.tool_use_id,
+            content: typeof tr.content === 'string' ? tr.content : JSON.stringify(tr.content || {}),
+          });
+        }
+        continue;
+      }
+      const text = msg.content.filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+      if (text) out.push({ role: 'user', content: text });
+    }
+  }
+
+  return out;
+}
+
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try { return JSON.parse(args || '{}'); } catch { return {}; }
+}
+
+function stripThinkBlock(text) {
+  return String(text || '').replace(/^\s*<think>[\s\S]*?<\/think>\s*/, '');
+}
+
+/**
+ * Streaming counterpart of stripThinkBlock: holds back a leading
+ * <think>…</think> block and forwards everything after it.
+ */
+function createThinkFilter(onText) {
+  let state = 'start'; // start → (think →) text
+  let pending = '';
+
+  return {
+    push(delta) {
+      if (state === 'text') return onText(delta);
+      pending += delta;
+
+      if (state === 'start') {
+        const head = pending.trimStart();
+        if (head.length < THINK_OPEN.length && THINK_OPEN.startsWith(head)) return;
+        if (!head.startsWith(THINK_OPEN)) {
+          state = 'text';
+          const out = pending;
+          pending = '';
+          return onText(out);
+        }
+        state = 'think';
+        pending = head.slice(THINK_OPEN.length);
+      }
+
+      const close = pending.indexOf(THINK_CLOSE);
+      if (close === -1) {
+        // Keep just enough to spot a close tag split across chunks
+        pending = pending.slice(-(THINK_CLOSE.length - 1));
+        return;
+      }
+      state = 'text';
+      const rest = pending.slice(close + THINK_CLOSE.length).trimStart();
+      pending = '';
+      if (rest) onText(rest);
+    },
+    flush() {
+      if (state === 'start' && pending) onText(pending);
+      pending = '';
+    },
+  };
+}
+
+function normalizeUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0,
+    provider_reported_cost_usd: 0,
+    reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens ?? null,
+  };
+}
+
+function normalizeLocalResponse(payload) {
+  const choice = payload?.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  const text = stripThinkBlock(typeof message.content === 'string' ? message.content : '');
+  if (text.trim()) content.push({ type: 'text', text });
+
+  if (Array.isArray(message.tool_calls)) {
+    for (const tc of message.tool_calls) {
+      content.push({
+        type: 'tool_use',
+        id: tc.id || `tool_${crypto.randomUUID()}`,
+        name: tc.function?.name,
+        input: parseToolArguments(tc.function?.arguments),
+      });
+    }
+  }
+
+  const stopReason = content.some(c => c.type === 'tool_use')
+    ? 'tool_use'
+    : (choice.finish_reason || 'end_turn');
+
+  return { content, stop_reason: stopReason, usage: normalizeUsage(payload?.usage) };
+}
+
+async function parseLocalStream(resp, onTextDelta, aborted) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  const filter = createThinkFilter((text) => {
+    fullText += text;
+    if (!aborted()) onTextDelta(text);
+  });
+  const toolCalls = new Map();
+  let lastToolKey = null;
+  let finishReason = null;
+  let usage = null;
+
+  try {
+    for await (const chunk of resp.body) {
+      if (aborted()) break;
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let nlIdx;
+      while ((nlIdx = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nlIdx).trim();
+        buffer = buffer.slice(nlIdx + 1);
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]' || data.length === 0) continue;
+
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { continue; }
+
+        if (parsed?.usage) usage = parsed.usage;
+        const choice = parsed?.choices?.[0];
+        if (!choice) continue;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+
+        const delta = choice.delta || {};
+        if (typeof delta.content === 'string' && delta.content) filter.push(delta.content);
+
+        if (Array.isArray(delta.tool_calls)) {
+          for (const tc of delta.tool_calls) {
+            // No index: a call with a new id is a new call, otherwise a continuation
+            const key = typeof tc.index === 'number'
+              ? tc.index
+              : (tc.id && !toolCalls.has(tc.id) ? tc.id : (lastToolKey ?? 0));
+            if (!toolCalls.has(key)) toolCalls.set(key, { id: '', name: '', arguments: '' });
+            const acc = toolCalls.get(key);
+            lastToolKey = key;
+            if (tc.id && !acc.id) acc.id = tc.id;
+            if (typeof tc.function?.name === 'string') acc.name += tc.function.name;
+            const args = tc.function?.arguments;
+            if (args && typeof args === 'object') acc.arguments = args;
+            else if (typeof args === 'string') acc.arguments += args;
+          }
+        }
+      }
+    }
+  } catch (err) {
+    if (err?.name !== 'AbortError') throw err;
+  }
+  filter.flush();
+
+  const content = [];
+  if (fullText.trim()) content.push({ type: 'text', text: fullText });
+  for (const tc of toolCalls.values()) {
+    content.push({
+      type: 'tool_use',
+      id: tc.id || `tool_${crypto.randomUUID()}`,
+      name: tc.name,
+      input: parseToolArguments(tc.arguments),
+    });
+  }
+
+  const stopReason = content.some(c => c.type === 'tool_use')
+    ? 'tool_use'
+    : (finishReason || 'end_turn');
+
+  return { content, stop_reason: stopReason, usage: normalizeUsage(usage) };
+}
+
+class LocalProvider {
+  constructor({ baseUrl = DEFAULT_BASE_URL } = {}) {
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/$/, '') : null;
+    this._validated = null;
+  }
+
+  authHeaders() {
+    return {
+      ...(process.env.LOCAL_LLM_API_KEY ? { Authorization: `Bearer ${process.env.LOCAL_LLM_API_KEY}` } : {}),
+      'Content-Type': 'application/json',
+    };
+  }
+
+  // Only a reachable server is cached: in CI the model server often comes up
+  // after the API, and a cached `false` would wedge every later request.
+  async validate() {
+    if (this._validated) return true;
+    if (!this.baseUrl) return false;
+    try {
+      const resp = await fetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.authHeaders(),
+        signal: AbortSignal.timeout(VALIDATE_TIMEOUT_MS),
+      });
+      this._validated = resp.ok;
+    } catch {
+      this._validated = false;
+    }
+    return this._validated;
+  }
+
+  async post(payload, { timeoutMs, requestId, stream = false } = {}) {
+    if (!this.baseUrl) throw new Error('Local LLM provider is not configured (set LOCAL_LLM_BASE_URL)');
+    const effectiveTimeoutMs = (Number.isFinite(timeoutMs) && timeoutMs > 0)
+      ? Math.floor(timeoutMs)
+      : DEFAULT_REQUEST_TIMEOUT_MS;
+    const controller = new AbortController();
+    const started = Date.now();
+    const timeout = setTimeout(() => controller.abort(), effectiveTimeoutMs);
+
+    let resp;
+    try {
+      resp = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: { ...this.authHeaders(), ...(stream ? { Accept: 'text/event-stream' } : {}) },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      clearTimeout(timeout);
+      if (err?.name === 'AbortError') {
+        throw new Error(`Local LLM request timed out after ${effectiveTimeoutMs}ms (${requestId || 'no-req-id'})`);
+      }
+      throw new Error(`Local LLM server unreachable at ${this.baseUrl}: ${err.message}`);
+    }
+
+    if (!resp.ok) {
+      clearTimeout(timeout);
+      const body = await resp.text();
+      throw new Error(`Local LLM request failed (${resp.status}) after ${Date.now() - started}ms: ${body.substring(0, 300)}`);
+    }
+    return { resp, done: () => clearTimeout(timeout) };
+  }
+
+  /**
+   * Raw OpenAI-shaped chat completion (non-streaming) for helper callers that
+   * build their own payload, e.g. the clip reranker's json_schema call.
+   * Resolves to the server's JSON body, with any leading think block removed.
+   */
+  async chatCompletion(payload, { timeoutMs, requestId } = {}) {
+    const { resp, done } = await this.post({ ...payload, stream: false }, { timeoutMs, requestId });
+    try {
+      const data = await resp.json();
+      const message = data?.choices?.[0]?.message;
+      if (message && typeof message.content === 'string') message.content = stripThinkBlock(message.content);
+      return data;
+    } finally {
+      done();
+    }
+  }
+
+  async createResponse({ model, maxTokens, system, messages, tools, toolChoice, temperature, onTextDelta, aborted, timeoutMs, requestId }) {
+    const useStreaming = typeof onTextDelta === 'function';
+    const payload = {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        ...convertMessagesToOpenAi(messages),
+      ],
+      max_tokens: maxTokens,
+      stream: useStreaming,
+      ...(useStreaming && STREAM_USAGE ? { stream_options: { include_usage: true } } : {}),
+    };
+
+    const convertedTools = convertToolsToOpenAi(tools);
+    if (toolChoice === 'none') {
+      payload.tool_choice = 'none';
+      if (convertedTools.length > 0) payload.tools = convertedTools;
+    } else if (convertedTools.length > 0) {
+      payload.tools = convertedTools;
+      payload.tool_choice = 'auto';
+    }
+
+    if (Number.isFinite(temperature)) {
+      payload.temperature = temperature;
+    }
+
+    const { resp, done } = await this.post(payload, { timeoutMs, requestId, stream: useStreaming });
+    try {
+      if (!useStreaming) return normalizeLocalResponse(await resp.json());
+      return await parseLocalStream(resp, onTextDelta, typeof aborted === 'function' ? aborted : () => false);
+    } finally {
+      done();
+    }
+  }
+}
+
+module.exports = LocalProvider;
@@ -11,7 +11,7 @@
 const { printLog } = require('../constants.js');
 const { rerankClips } = require('./clipReranker');
 
-const { searchQuotes } = require('../services/searchQuotesService');
+const { searchQuotes, RETRIEVAL_MODES } = require('../services/searchQuotesService');
 const { searchChapters } = require('../services/searchChaptersService');
 const { discoverPodcasts } = require('../routes/discoverRoutes');
 const {
@@ -118,8 +118,8 @@ function truncateResults(data) {
 
 // --- Per-tool dispatch ---
 
-async function handleSearchQuotes(input, { openai, recordHelperLlmUsage, userMessage }) {
-  const { query, expansions, guid, guids, feedIds, limit, minDate, maxDate } = input;
+async function handleSearchQuotes(input, { openai, recordHelperLlmUsage, userMessage, rerankScoreCache, rerankParticipant }) {
+  const { query, expansions, guid, guids, feedIds, limit, minDate, maxDate, retrievalMode, speaker } = input;
   const clampedLimit = clampLimit(limit, 5);
   const overFetchLimit = Math.min(clampedLimit * 3, RESULT_HARD_CAP);
 
@@ -138,10 +138,14 @@ async function handleSearchQuotes(input, { openai, recordHelperLlmUsage, userMes
     ? [...new Set(expansions.map(s => (typeof s === 'string' ? s.trim() : '')).filter(Boolean))].slice(0, 10)
     : [];
 
-  printLog(`[TOOL] search_quotes: query="${q}", limit=${clampedLimit} (fetching=${overFetchLimit}), smartMode=true, modelExpansions=${modelExpansions.length}${modelExpansions.length ? ` ${JSON.stringify(modelExpansions)}` : ''}`);
+  printLog(`[TOOL] search_quotes: query="${q}", limit=${clampedLimit} (fetching=${overFetchLimit}), smartMode=true${retrievalMode ? `, retrievalMode=${retrievalMode}` : ''}, modelExpansions=${modelExpansions.length}${modelExpansions.length ? ` ${JSON.stringify(modelExpansions)}` : ''}`);
   const data = await searchQuotes({
     query: q, expansions: modelExpansions, guid, guids, feedIds, limit: overFetchLimit, minDate, maxDate, smartMode: true,
+    retrievalMode: RETRIEVAL_MODES.includes(retrievalMode) ? retrievalMode : null,
+    speaker: typeof speaker === 'string' && speaker.trim() ? speaker.trim() : null,
   }, { openai, recordHelperLlmUsage });
+  // Cross-feed re-uploads are already collapsed into `alsoAppearsIn` by
+  // searchQuotes; this only drops intros, fragments and ad reads.
   filterFluffResults(data);
 
   // Enrich each paragraph result with its episode-level `guests` array. The
@@ -178,13 +182,19 @@ async function handleSearchQuotes(input, { openai, recordHelperLlmUsage, userMes
 
   if (data.results && data.results.length > 2 && openai) {
     const clips = data.results.map(r => ({
+      pineconeId: r.shareLink,
       quote: r.quote,
       creator: r.creator || r.episode,
       episode: r.episode,
       guests: Array.isArray(r.guests) ? r.guests : [],
+      speakerName: r.speaker?.name || null,
     }));
     try {
-      const reranked = await rerankClips({ query: q, clips, openai, userMessage });
+      // In a batched round the participant defers to one shared scoring call;
+      // otherwise score directly. Both skip clips already scored this request.
+      const reranked = rerankParticipant
+        ? await rerankParticipant.rerank({ query: q, clips, openai, userMessage })
+        : await rerankClips({ query: q, clips, openai, userMessage, scoreCache: rerankScoreCache });
       if (typeof recordHelperLlmUsage === 'function' && reranked.usage) {
         recordHelperLlmUsage(
           reranked.usage.model,
@@ -206,6 +216,9 @@ async function handleSearchQuotes(input, { openai, recordHelperLlmUsage, userMes
           input: inputCount,
           kept: keptCount,
           removed: inputCount - keptCount,
+          cacheHits: reranked.cacheHits || 0,
+          scored: reranked.scored || 0,
+          batched: reranked.batched || null,
         };
       }
     } catch (rerankErr) {
@@ -499,15 +512,20 @@ const TOOL_DISPATCH = {
  * @param {function} [opts.recordHelperLlmUsage] - Callback (modelId, inputTokens, outputTokens) =>
  *        invoked by helpers (reranker, embedding, query expansion) so the
  *        caller can attribute their real spend to the request's cost tracker.
+ * @param {Map} [opts.rerankScoreCache] - Per-request reranker score cache
+ *        (utils/clipReranker#createRerankScoreCache).
+ * @param {object} [opts.rerankParticipant] - This call's slot in the round's
+ *        rerank batch (utils/clipReranker#createRerankBatch); the caller must
+ *        release() it once the tool returns.
  */
-async function executeAgentTool(toolName, toolInput, { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage }) {
+async function executeAgentTool(toolName, toolInput, { openai, sessionId, req, clipCache, recordHelperLlmUsage, userMessage, rerankScoreCache, rerankParticipant }) {
   const handler = TOOL_DISPATCH[toolName];
   if (!handler) {
     return { error: `Unknown tool: ${toolName}` };
   }
 
   try {
-    return await handler(toolInput, { openai, req, clipCache, recordHelperLlmUsage, userMessage });
+    return await handler(toolInput, { openai, req, clipCache, recordHelperLlmUsage, userMessage, rerankScoreCache, rerankParticipant });
   } catch (err) {
     const msg = err && (err.message || String(err));
     printLog(`[TOOL] ${toolName} threw (recovered): ${msg}`);
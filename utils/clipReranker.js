@@ -1,31 +1,90 @@
+const crypto = require('crypto');
 const { printLog } = require('../constants.js');
+const { resolveRoleModel } = require('../constants/agentModels');
+const { createProvider } = require('./agent/providers');
 
-const RERANKER_MODEL = 'gpt-4o-mini';
+// gpt-4o-mini unless AGENT_RERANKER_MODEL picks another registry model. Only
+// providers that take the OpenAI json_schema response_format qualify: the
+// caller's OpenAI client, or a local OpenAI-compatible server.
+const RERANKER_MODEL_CONFIG = resolveRoleModel('AGENT_RERANKER_MODEL', 'gpt-4o-mini', { providers: ['openai', 'local'] });
+const RERANKER_MODEL = RERANKER_MODEL_CONFIG.id;
 const MIN_RELEVANCE_SCORE = 4;
 
-/**
- * Re-rank clips using a lightweight LLM call. Scores each clip 0-10 on
- * relevance to the query, filters out low-scorers, and re-orders by score.
- *
- * @param {object} options
- * @param {string} options.query - The (possibly rewritten) embedding query
- * @param {Array}  options.clips - Array of clip objects (must have .quote or .text). May include .guests (episode-level tagged guests).
- * @param {object} options.openai - OpenAI client instance
- * @param {number} [options.minScore=4] - Minimum score to keep (0-10)
- * @param {string} [options.userMessage] - The original user question (NOT the rewritten search query). When provided, the scorer applies a person-mismatch penalty: clips from episodes whose tagged guests don't include a person the user named score 0-3.
- * @returns {{ clips: Array, usage: { model: string, input_tokens: number, output_tokens: number } }}
- */
-async function rerankClips({ query, clips, openai, minScore = MIN_RELEVANCE_SCORE, userMessage, subjectInfo }) {
-  const debugPrefix = '[RERANKER]';
+// Scores are cached per (scorer question, clip) so the agent re-searching in
+// later rounds — or a follow-up request with the same question — only pays to
+// score clips it has not seen. The per-request cache lives for one /api/pull
+// run; the shared one is a short-TTL LRU across requests (0 disables it).
+const SCORE_CACHE_TTL_MS = parseInt(process.env.RERANKER_SCORE_CACHE_TTL_MS || String(15 * 60 * 1000), 10);
+const SCORE_CACHE_MAX = parseInt(process.env.RERANKER_SCORE_CACHE_MAX || '5000', 10);
+// Batch mode: parallel search_quotes calls in one tool round share a single
+// scoring call for the union of their clips (see createRerankBatch).
+const RERANKER_BATCH_ENABLED = process.env.RERANKER_BATCH_ENABLED !== 'false';
 
-  if (!clips || clips.length === 0) {
-    return { clips: [], usage: { model: RERANKER_MODEL, input_tokens: 0, output_tokens: 0 } };
+// `${scope}\u0000${clipKey}` -> { score, t }; Map insertion order is the LRU order.
+const sharedScores = new Map();
+
+const zeroUsage = () => ({ model: RERANKER_MODEL, input_tokens: 0, output_tokens: 0 });
+
+function scorerQuestion(query, userMessage) {
+  return (typeof userMessage === 'string' && userMessage.trim().length > 0)
+    ? userMessage.trim()
+    : query;
+}
+
+/** Cache scope: normalized scorer question (+ subject identity when given). */
+function scoreScope(question, subjectInfo) {
+  const q = String(question || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const subject = typeof subjectInfo === 'string' && subjectInfo.trim()
+    ? `#${crypto.createHash('sha1').update(subjectInfo.trim()).digest('hex').slice(0, 10)}`
+    : '';
+  return `${q}${subject}`;
+}
+
+/** pineconeId when known, else a hash of the clip text. */
+function clipKey(clip) {
+  const id = clip.pineconeId || clip.shareLink;
+  if (id) return String(id);
+  const text = clip.quote || clip.text || '';
+  return text ? `text:${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}` : null;
+}
+
+/** Per-request score cache; pass as `scoreCache` to rerankClips / createRerankBatch. */
+function createRerankScoreCache() {
+  return new Map();
+}
+
+function getCachedScore(scope, key, scoreCache) {
+  const k = `${scope}\u0000${key}`;
+  if (scoreCache && scoreCache.has(k)) return scoreCache.get(k);
+  if (SCORE_CACHE_TTL_MS <= 0) return undefined;
+  const entry = sharedScores.get(k);
+  if (!entry) return undefined;
+  if (Date.now() - entry.t > SCORE_CACHE_TTL_MS) {
+    sharedScores.delete(k);
+    return undefined;
   }
+  return entry.score;
+}
 
-  if (clips.length <= 2) {
-    printLog(`${debugPrefix} Only ${clips.length} clips — skipping rerank`);
-    return { clips, usage: { model: RERANKER_MODEL, input_tokens: 0, output_tokens: 0 } };
+function setCachedScore(scope, key, score, scoreCache) {
+  const k = `${scope}\u0000${key}`;
+  if (scoreCache) scoreCache.set(k, score);
+  if (SCORE_CACHE_TTL_MS <= 0) return;
+  sharedScores.delete(k); // refresh LRU position
+  sharedScores.set(k, { score, t: Date.now() });
+  while (sharedScores.size > SCORE_CACHE_MAX) {
+    sharedScores.delete(sharedScores.keys().next().value);
   }
+}
+
+/**
+ * One scoring call on the reranker model (gpt-4o-mini by default).
+ * @returns {Promise<{ scores: Array<number|null>|null, usage }>} scores aligned
+ *   with `clips` (null entries = not returned by the model); `scores: null`
+ *   when the call or parse failed.
+ */
+async function scoreClipsWithLlm({ question, clips, openai, subjectInfo }) {
+  const debugPrefix = '[RERANKER]';
 
   const clipSummaries = clips.map((c, i) => {
     const text = (c.quote || c.text || '').substring(0, 250);
@@ -35,7 +94,8 @@ async function rerankClips({ query, clips, openai, minScore = MIN_RELEVANCE_SCOR
     const guestStr = guests.length > 0
       ? ` [guests: ${guests.slice(0, 4).join(', ')}]`
       : ' [guests: none-tagged]';
-    return `[${i}] (${speaker} — ${episode})${guestStr} "${text}"`;
+    const saidByStr = c.speakerName ? ` [said by: ${c.speakerName}]` : '';
+    return `[${i}] (${speaker} — ${episode})${guestStr}${saidByStr} "${text}"`;
   });
 
   // Optional subject identity (e.g. a company card) — lets the scorer DROP a
@@ -66,19 +126,21 @@ Person-mismatch penalty (HARD RULE — apply before any topical score):
 - If the user's question names a specific person (a guest, "what did X say", "X's appearance on Y", "summary of X on Z"), and the clip's [guests: ...] list is non-empty AND does NOT include that person (case-insensitive substring match against any listed guest), score the clip **0-3** regardless of topical fit. Topical relevance is NOT proof the user's named person is the speaker.
 - If the clip is [guests: none-tagged], do NOT apply this penalty — score normally on topical/substantive relevance. Empty guest metadata is ambiguous, not exonerating.
 - This penalty does NOT apply when the user's question is a pure topic query with no named person ("Bitcoin custody", "AI agents").
+- A [said by: ...] tag is diarized speaker attribution for that exact clip and overrides the guest list: if it names the person, do not apply this penalty; if it names someone else, score **0-3**.
 
 Return JSON of the form {"scores":[{"i":0,"s":7},{"i":1,"s":3}, ...]} — exactly one {"i","s"} entry per clip, where i is the clip's index and s is its 0-10 score.`;
 
-  const questionForScorer = (typeof userMessage === 'string' && userMessage.trim().length > 0)
-    ? userMessage.trim()
-    : query;
-  const userPrompt = `Question: "${questionForScorer}"
+
+  const userPrompt = `Question: "${question}"
 
 Clips:
 ${clipSummaries.join('\n')}`;
 
   try {
-    const response = await openai.chat.completions.create({
+    const createCompletion = RERANKER_MODEL_CONFIG.provider === 'local'
+      ? (params) => createProvider('local').chatCompletion(params)
+      : (params) => openai.chat.completions.create(params);
+    const response = await createCompletion({
       model: RERANKER_MODEL,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -127,7 +189,7 @@ ${clipSummaries.join('\n')}`;
       scores = Array.isArray(parsed) ? parsed : (parsed.scores || parsed.results || []);
     } catch {
       printLog(`${debugPrefix} Failed to parse LLM response: ${raw.substring(0, 200)}`);
-      return { clips, usage: { model: RERANKER_MODEL, input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 } };
+      return { scores: null, usage: { model: RERANKER_MODEL, input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 } };
     }
 
     const scoreMap = new Map();
@@ -139,28 +201,207 @@ ${clipSummaries.join('\n')}`;
       }
     }
 
-    const scored = clips.map((clip, i) => ({
-      clip,
-      llmScore: scoreMap.get(i) ?? 5,
-    }));
-
-    const filtered = scored
-      .filter(s => s.llmScore >= minScore)
-      .sort((a, b) => b.llmScore - a.llmScore)
-      .map(s => s.clip);
-
-    const removed = clips.length - filtered.length;
-    printLog(`${debugPrefix} ${clips.length} clips → ${filtered.length} kept (${removed} below threshold ${minScore}), ${usage.total_tokens || 0} tokens`);
 
+    printLog(`${debugPrefix} Scored ${clips.length} clips (${scoreMap.size} parsed), ${usage.total_tokens || 0} tokens`);
     return {
-      clips: filtered,
+      scores: clips.map((_, i) => (scoreMap.has(i) ? scoreMap.get(i) : null)),
       usage: { model: RERANKER_MODEL, input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 },
     };
-
   } catch (error) {
     printLog(`${debugPrefix} ERROR: ${error.message} — returning unranked clips`);
-    return { clips, usage: { model: RERANKER_MODEL, input_tokens: 0, output_tokens: 0 } };
+    return { scores: null, usage: zeroUsage() };
   }
 }
 
-module.exports = { rerankClips, RERANKER_MODEL, MIN_RELEVANCE_SCORE };
+/**
+ * Resolve scores for several clip lists that share one scorer question: cache
+ * hits first, then a single LLM call for the union of unseen clips.
+ * @returns {Promise<{ lists: Array<{ scores, cacheHits }>, usage, scored, failed }>}
+ */
+async function scoreClipLists({ question, subjectInfo, clipLists, openai, scoreCache }) {
+  const scope = scoreScope(question, subjectInfo);
+  const unseen = new Map(); // clipKey -> clip
+  const lists = clipLists.map((clips) => {
+    let cacheHits = 0;
+    const scores = clips.map((clip) => {
+      const key = clipKey(clip);
+      const cached = key ? getCachedScore(scope, key, scoreCache) : undefined;
+      if (cached !== undefined) {
+        cacheHits++;
+        return cached;
+      }
+      if (key && !unseen.has(key)) unseen.set(key, clip);
+      return undefined;
+    });
+    return { clips, scores, cacheHits };
+  });
+
+  if (unseen.size === 0) {
+    return { lists, usage: zeroUsage(), scored: 0, failed: false };
+  }
+
+  const keys = [...unseen.keys()];
+  const { scores: fresh, usage } = await scoreClipsWithLlm({
+    question, clips: [...unseen.values()], openai, subjectInfo,
+  });
+  if (!fresh) return { lists, usage, scored: 0, failed: true };
+
+  const freshByKey = new Map();
+  keys.forEach((key, i) => {
+    if (fresh[i] == null) return; // model skipped it — don't cache the default
+    freshByKey.set(key, fresh[i]);
+    setCachedScore(scope, key, fresh[i], scoreCache);
+  });
+  for (const list of lists) {
+    list.scores = list.scores.map((score, i) => {
+      if (score !== undefined) return score;
+      const key = clipKey(list.clips[i]);
+      return key && freshByKey.has(key) ? freshByKey.get(key) : undefined;
+    });
+  }
+  return { lists, usage, scored: keys.length, failed: false };
+}
+
+function applyScores(clips, scores, minScore) {
+  const scored = clips.map((clip, i) => ({
+    clip,
+    llmScore: scores[i] ?? 5,
+  }));
+  const filtered = scored
+    .filter(s => s.llmScore >= minScore)
+    .sort((a, b) => b.llmScore - a.llmScore)
+    .map(s => s.clip);
+  return { clips: filtered, scores: scored.map(s => s.llmScore) };
+}
+
+/**
+ * Re-rank clips using a lightweight LLM call. Scores each clip 0-10 on
+ * relevance to the query, filters out low-scorers, and re-orders by score.
+ * Clips already scored for the same question (this request via `scoreCache`,
+ * or recently by any request) are not re-sent to the LLM.
+ *
+ * @param {object} options
+ * @param {string} options.query - The (possibly rewritten) embedding query
+ * @param {Array}  options.clips - Array of clip objects (must have .quote or .text; .pineconeId/.shareLink keys the score cache). May include .guests (episode-level tagged guests).
+ * @param {object} options.openai - OpenAI client instance
+ * @param {number} [options.minScore=4] - Minimum score to keep (0-10)
+ * @param {string} [options.userMessage] - The original user question (NOT the rewritten search query). When provided, the scorer applies a person-mismatch penalty: clips from episodes whose tagged guests don't include a person the user named score 0-3.
+ * @param {Map} [options.scoreCache] - Per-request cache from createRerankScoreCache()
+ * @returns {{ clips: Array, usage: { model: string, input_tokens: number, output_tokens: number }, scores?: number[], cacheHits?: number, scored?: number }}
+ *   `scores` is aligned with the INPUT clips (before filtering) and only present
+ *   when the LLM scored them; the eval harness uses it to sweep thresholds.
+ */
+async function rerankClips({ query, clips, openai, minScore = MIN_RELEVANCE_SCORE, userMessage, subjectInfo, scoreCache }) {
+  const debugPrefix = '[RERANKER]';
+
+  if (!clips || clips.length === 0) {
+    return { clips: [], usage: zeroUsage() };
+  }
+
+  if (clips.length <= 2) {
+    printLog(`${debugPrefix} Only ${clips.length} clips — skipping rerank`);
+    return { clips, usage: zeroUsage() };
+  }
+
+  const { lists, usage, scored, failed } = await scoreClipLists({
+    question: scorerQuestion(query, userMessage), subjectInfo, clipLists: [clips], openai, scoreCache,
+  });
+  if (failed) return { clips, usage };
+
+  const [{ scores, cacheHits }] = lists;
+  const result = applyScores(clips, scores, minScore);
+  printLog(`${debugPrefix} ${clips.length} clips → ${result.clips.length} kept (${clips.length - result.clips.length} below threshold ${minScore}), ${cacheHits} cached, ${scored} scored`);
+  return { ...result, usage, cacheHits, scored };
+}
+
+/**
+ * Batch reranking for one agent tool round. Each parallel tool call joins the
+ * batch synchronously before its first await and then either calls
+ * `rerank(args)` (same args as rerankClips) or `release()` when it will not
+ * rerank. Once every participant has done one or the other, the union of
+ * unseen clips per scorer question is scored in a single LLM call and each
+ * caller gets its own filtered list. The token usage is reported on the first
+ * caller of each group only, so summing usage across callers stays correct.
+ */
+function createRerankBatch({ openai, scoreCache } = {}) {
+  const participants = [];
+  let flushed = false;
+
+  async function flush() {
+    const pending = participants.filter(p => p.request);
+    const groups = new Map(); // scope -> requests
+    for (const p of pending) {
+      const { query, userMessage, subjectInfo } = p.request.args;
+      const question = scorerQuestion(query, userMessage);
+      const scope = scoreScope(question, subjectInfo);
+      if (!groups.has(scope)) groups.set(scope, { question, subjectInfo, requests: [] });
+      groups.get(scope).requests.push(p.request);
+    }
+
+    for (const { question, subjectInfo, requests } of groups.values()) {
+      try {
+        const { lists, usage, scored, failed } = await scoreClipLists({
+          question, subjectInfo, clipLists: requests.map(r => r.args.clips), openai, scoreCache,
+        });
+        printLog(`[RERANKER] Batch: ${requests.length} result sets, ${scored} clips scored in one call`);
+        requests.forEach((request, i) => {
+          const { clips, minScore = MIN_RELEVANCE_SCORE } = request.args;
+          const requestUsage = i === 0 ? usage : zeroUsage();
+          const batched = { size: requests.length, scored };
+          if (failed) {
+            request.resolve({ clips, usage: requestUsage, batched });
+            return;
+          }
+          const result = applyScores(clips, lists[i].scores, minScore);
+          request.resolve({ ...result, usage: requestUsage, cacheHits: lists[i].cacheHits, scored, batched });
+        });
+      } catch (err) {
+        printLog(`[RERANKER] Batch failed: ${err.message} — returning unranked clips`);
+        requests.forEach(request => request.resolve({ clips: request.args.clips, usage: zeroUsage() }));
+      }
+    }
+  }
+
+  function maybeFlush() {
+    if (flushed || !participants.every(p => p.settled)) return;
+    flushed = true;
+    flush();
+  }
+
+  return {
+    join() {
+      const participant = { settled: false, request: null };
+      participants.push(participant);
+      const release = () => {
+        if (participant.settled) return;
+        participant.settled = true;
+        maybeFlush();
+      };
+      return {
+        rerank(args) {
+          const { clips } = args;
+          // Late joiners and tiny sets go straight through rerankClips.
+          if (flushed || participant.settled || !clips || clips.length <= 2) {
+            release();
+            return rerankClips({ openai, ...args, scoreCache });
+          }
+          return new Promise((resolve) => {
+            participant.request = { args, resolve };
+            participant.settled = true;
+            maybeFlush();
+          });
+        },
+        release,
+      };
+    },
+  };
+}
+
+module.exports = {
+  rerankClips,
+  createRerankBatch,
+  createRerankScoreCache,
+  RERANKER_MODEL,
+  MIN_RELEVANCE_SCORE,
+  RERANKER_BATCH_ENABLED,
+};
@@ -0,0 +1,169 @@
+/**
+ * Confirm or void prepaid L402 debits once we know whether the call delivered.
+ *
+ * entitlementMiddleware charges the balance up front and records a `pending`
+ * debit (services/agentUsageLedger.js), then calls attachDebitSettlement().
+ * By default the debit settles when the response closes:
+ *
+ *   status < 400   → confirmed
+ *   status >= 400  → voided: the amount goes back to the Entitlement (and to
+ *                    the macaroon's spend caveats) with a `refund` ledger row
+ *
+ * Handlers whose outcome isn't the HTTP status take over explicitly:
+ *
+ *   voidRequestDebit  → e.g. /api/pull failing mid-stream after a 200
+ *   deferDebit        → make-clip and submitOnDemandRun: the work happens in a
+ *                       queue job / the ingestor, and its outcome confirms or
+ *                       voids via confirmDeferredDebit / voidDebit
+ *
+ * Disputed calls that did settle go through POST /api/agent/refund-request
+ * and an admin approval, which also ends in voidDebit().
+ *
+ * Nothing here throws; failures are logged and the debit stays as it was.
+ */
+
+const { Entitlement } = require('../models/Entitlement');
+const { refundCaveatSpend } = require('./macaroonBudget');
+const {
+  confirmDebit,
+  markDebitVoided,
+  restoreDebitStatus,
+  recordRefund
+} = require('../services/agentUsageLedger');
+
+/**
+ * Void a debit and credit its amount back to the balance.
+ *
+ * @param {string} entryId - AgentUsageEntry _id of the debit
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.actor] - 'system' (automatic) or 'admin'
+ * @param {Array} [options.caveatReservation] - reserveCaveatBudgets().reservation, when still in hand;
+ *   otherwise the spend reservation saved on the debit row is credited back
+ * @returns {Promise<{ refundedMicroUsd: number, balanceAfterUsdMicro: number } | { error: string, status: number }>}
+ */
+async function voidDebit(entryId, { reason = null, actor = 'system', caveatReservation = null } = {}) {
+  if (!entryId) return { error: 'No ledger entry for this call', status: 404 };
+
+  let debit;
+  try {
+    debit = await markDebitVoided(entryId);
+  } catch (error) {
+    console.error(`[DEBIT-SETTLEMENT] Could not void debit ${entryId}: ${error.message}`);
+    return { error: 'Could not void debit', status: 500 };
+  }
+  if (!debit) return { error: 'Debit not found or already voided', status: 409 };
+
+  let updated = null;
+  try {
+    updated = await Entitlement.findOneAndUpdate(
+      { identifier: debit.paymentHash, identifierType: 'prepaid', entitlementType: 'apiAccess' },
+      { $inc: { usedCount: -debit.amountUsdMicro } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    console.error(`[DEBIT-SETTLEMENT] Balance credit failed for debit ${entryId}: ${error.message}`);
+  }
+  if (!updated) {
+    await restoreDebitStatus(entryId, debit.status).catch((error) =>
+      console.error(`[DEBIT-SETTLEMENT] Could not restore debit ${entryId} to ${debit.status}: ${error.message}`));
+    return { error: 'Could not credit the balance', status: 500 };
+  }
+
+  const balanceAfterUsdMicro = updated.maxUsage - updated.usedCount;
+
+  const reservation = caveatReservation || debit.caveatReservation;
+  if (reservation?.length) {
+    try {
+      await refundCaveatSpend(reservation, debit.amountUsdMicro);
+    } catch (error) {
+      console.error(`[DEBIT-SETTLEMENT] Caveat spend refund failed for debit ${entryId}: ${error.message}`);
+    }
+  }
+
+  try {
+    await recordRefund({ debit, balanceAfterUsdMicro, reason, actor });
+  } catch (error) {
+    console.error(`[DEBIT-SETTLEMENT] Refund row for debit ${entryId} not written: ${error.message}`);
+  }
+
+  console.log(`[DEBIT-SETTLEMENT] Voided ${debit.requestId} (${debit.amountUsdMicro} microUSD back to ${debit.paymentHash.slice(0, 8)}…, ${actor}): ${reason || 'no reason'}`);
+  return { refundedMicroUsd: debit.amountUsdMicro, balanceAfterUsdMicro };
+}
+
+/**
+ * Confirm a debit outside the request (deferred jobs).
+ */
+async function confirmDeferredDebit(entryId) {
+  if (!entryId) return false;
+  try {
+    return await confirmDebit(entryId);
+  } catch (error) {
+    console.error(`[DEBIT-SETTLEMENT] Could not confirm debit ${entryId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Settle the request's debit when the response closes, unless a handler has
+ * already settled or deferred it. No-op for anything but prepaid debits.
+ */
+function attachDebitSettlement(req, res) {
+  const entitlement = req.entitlement;
+  if (!entitlement?.usageEntryId) return;
+  entitlement.debit = { status: 'pending', deferred: false };
+
+  res.once('close', () => {
+    if (entitlement.debit.deferred || entitlement.debit.status !== 'pending') return;
+    if (res.statusCode >= 400) {
+      voidRequestDebit(req, `HTTP ${res.statusCode}`);
+    } else {
+      confirmRequestDebit(req);
+    }
+  });
+}
+
+/**
+ * Hand the debit over to background work.
+ * @returns {string|null} ledger entry id to confirm / void later
+ */
+function deferDebit(req) {
+  const entitlement = req.entitlement;
+  if (!entitlement?.debit) return null;
+  entitlement.debit.deferred = true;
+  return String(entitlement.usageEntryId);
+}
+
+async function confirmRequestDebit(req) {
+  const entitlement = req.entitlement;
+  if (!entitlement?.debit || entitlement.debit.status !== 'pending') return false;
+  entitlement.debit.status = 'confirmed';
+  return confirmDeferredDebit(entitlement.usageEntryId);
+}
+
+/**
+ * Void the request's debit (pending or already confirmed). A metered pull's
+ * hold is released in full, so it must not be settled afterwards.
+ */
+async function voidRequestDebit(req, reason) {
+  const entitlement = req.entitlement;
+  if (!entitlement?.debit || entitlement.debit.status === 'voided') return null;
+  entitlement.debit.status = 'voided';
+  if (entitlement.metered) entitlement.metered.settled = true;
+
+  const result = await voidDebit(entitlement.usageEntryId, {
+    reason,
+    actor: 'system',
+    caveatReservation: entitlement.caveatReservation || null
+  });
+  return result.error ? null : result;
+}
+
+module.exports = {
+  voidDebit,
+  confirmDeferredDebit,
+  attachDebitSettlement,
+  deferDebit,
+  confirmRequestDebit,
+  voidRequestDebit
+};
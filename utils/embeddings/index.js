@@ -0,0 +1,126 @@
+const OpenAIEmbeddingProvider = require('./openAIEmbeddingProvider');
+const LocalEmbeddingProvider = require('./localEmbeddingProvider');
+const StubEmbeddingProvider = require('./stubEmbeddingProvider');
+const { printLog } = require('../../constants');
+
+// Embedding providers, mirroring utils/agent/providers. Every provider
+// exposes { name, model, modelId, dimensions, validate(), createEmbeddings({ input }) }
+// and returns an OpenAI-shaped payload ({ data: [{ embedding }], usage }) tagged
+// with `modelId` so callers can record which model produced a vector.
+const SUPPORTED_EMBEDDING_PROVIDERS = ['openai', 'local', 'stub'];
+
+// Logical namespace → provider spec. Query and corpus vectors in a namespace
+// must come from the same model, so the namespace (not the caller) picks it.
+//   corpus               Pinecone paragraphs/chapters/episodes (PINECONE_NAMESPACE)
+//   tape-semantic-cache  in-memory query cache for the tape endpoints
+// Override or add namespaces with EMBEDDING_NAMESPACES_JSON, e.g.
+//   {"corpus-minilm": {"provider": "local", "model": "Xenova/all-MiniLM-L6-v2"}}
+const DEFAULT_NAMESPACES = {
+  corpus: { provider: 'openai', model: 'text-embedding-ada-002' },
+  'tape-semantic-cache': { provider: 'openai', model: process.env.TAPE_SEMANTIC_CACHE_MODEL || 'text-embedding-ada-002' },
+};
+
+// Legacy vectors carry no embeddingModel metadata; they were all ada-002.
+const LEGACY_MODEL_ID = 'openai:text-embedding-ada-002';
+
+// Logical namespace for the Pinecone corpus this process queries. A
+// non-default PINECONE_NAMESPACE selects its own entry (falling back to
+// `corpus` when it has none).
+const CORPUS_NAMESPACE = process.env.PINECONE_NAMESPACE || 'corpus';
+
+function loadNamespaceConfig() {
+  const config = { ...DEFAULT_NAMESPACES };
+  if (process.env.EMBEDDING_NAMESPACES_JSON) {
+    try {
+      Object.assign(config, JSON.parse(process.env.EMBEDDING_NAMESPACES_JSON));
+    } catch (err) {
+      console.error(`[Embeddings] Ignoring invalid EMBEDDING_NAMESPACES_JSON: ${err.message}`);
+    }
+  }
+  // EMBEDDING_PROVIDER=stub forces every namespace onto the stub (offline tests)
+  if (process.env.EMBEDDING_PROVIDER) {
+    for (const ns of Object.keys(config)) {
+      config[ns] = { provider: process.env.EMBEDDING_PROVIDER };
+    }
+  }
+  return config;
+}
+
+const namespaceConfig = loadNamespaceConfig();
+const providerCache = new Map();
+
+function createEmbeddingProvider({ provider, ...options } = {}) {
+  const key = JSON.stringify({ provider, ...options });
+  if (providerCache.has(key)) return providerCache.get(key);
+
+  let instance;
+  if (provider === 'openai') instance = new OpenAIEmbeddingProvider(options);
+  else if (provider === 'local') instance = new LocalEmbeddingProvider(options);
+  else if (provider === 'stub') instance = new StubEmbeddingProvider(options);
+  else throw new Error(`Unknown embedding provider: ${provider}`);
+
+  providerCache.set(key, instance);
+  return instance;
+}
+
+/**
+ * Provider for a logical namespace; unknown namespaces fall back to corpus.
+ */
+function getEmbeddingProvider(namespace = CORPUS_NAMESPACE) {
+  const spec = namespaceConfig[namespace] || namespaceConfig.corpus;
+  return createEmbeddingProvider(spec);
+}
+
+/**
+ * Embed one string (or an array) with the namespace's provider.
+ * @param {Object} params
+ * @param {string|string[]} params.input
+ * @param {string} [params.namespace]
+ * @param {Object} [params.openai] - caller's OpenAI client; the openai
+ *   provider uses it instead of its own (other providers ignore it)
+ * @returns {Promise<object>} OpenAI-shaped payload plus `modelId`
+ */
+async function createEmbeddings({ input, namespace = CORPUS_NAMESPACE, openai = null }) {
+  const provider = getEmbeddingProvider(namespace);
+  const response = await provider.createEmbeddings({ input, client: openai });
+  printLog(`[Embeddings] ${namespace} → ${response.modelId} (${Array.isArray(input) ? input.length : 1} inputs)`);
+  return response;
+}
+
+/**
+ * True when a stored vector's recorded model matches the model that embeds
+ * queries for this namespace. Vectors without a recorded model are legacy
+ * ada-002.
+ */
+function isCompatibleModel(recordedModelId, namespace = CORPUS_NAMESPACE) {
+  return (recordedModelId || LEGACY_MODEL_ID) === getEmbeddingProvider(namespace).modelId;
+}
+
+/**
+ * Pinecone metadata filter clause that keeps only vectors embedded with the
+ * namespace's model, so the check holds even when a query skips metadata.
+ * Legacy vectors have no embeddingModel field and only match ada-002.
+ */
+function compatibleModelFilter(namespace = CORPUS_NAMESPACE) {
+  const { modelId } = getEmbeddingProvider(namespace);
+  if (modelId === LEGACY_MODEL_ID) {
+    return {
+      $or: [
+        { embeddingModel: { $exists: false } },
+        { embeddingModel: { $eq: LEGACY_MODEL_ID } },
+      ],
+    };
+  }
+  return { embeddingModel: { $eq: modelId } };
+}
+
+module.exports = {
+  SUPPORTED_EMBEDDING_PROVIDERS,
+  LEGACY_MODEL_ID,
+  CORPUS_NAMESPACE,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  createEmbeddings,
+  isCompatibleModel,
+  compatibleModelFilter,
+};
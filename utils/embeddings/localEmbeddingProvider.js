@@ -0,0 +1,76 @@
+/**
+ * Local embedding provider — runs an ONNX sentence-embedding model in-process
+ * via transformers.js (default Xenova/all-MiniLM-L6-v2, 384 dims).
+ *
+ * No network after the model is cached (TRANSFORMERS_CACHE / EMBEDDING_LOCAL_CACHE_DIR),
+ * no per-token cost. Useful for evaluating newer open models against the
+ * ada-002 corpus in a separate namespace.
+ *
+ * transformers.js is an optional runtime dependency and is loaded lazily:
+ *   npm install @huggingface/transformers
+ */
+
+const DEFAULT_MODEL = process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/all-MiniLM-L6-v2';
+
+const KNOWN_DIMENSIONS = {
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768,
+};
+
+class LocalEmbeddingProvider {
+  constructor({ model = DEFAULT_MODEL, pooling = 'mean', normalize = true } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.modelId = `local:${model}`;
+    this.dimensions = KNOWN_DIMENSIONS[model] || null;
+    this.pooling = pooling;
+    this.normalize = normalize;
+    this._pipeline = null;
+  }
+
+  async loadPipeline() {
+    if (this._pipeline) return this._pipeline;
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch (err) {
+      throw new Error(
+        'Local embedding provider requires @huggingface/transformers ' +
+        `(npm install @huggingface/transformers): ${err.message}`
+      );
+    }
+    if (process.env.EMBEDDING_LOCAL_CACHE_DIR) {
+      transformers.env.cacheDir = process.env.EMBEDDING_LOCAL_CACHE_DIR;
+    }
+    this._pipeline = await transformers.pipeline('feature-extraction', this.model);
+    return this._pipeline;
+  }
+
+  async validate() {
+    try {
+      await this.loadPipeline();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async createEmbeddings({ input }) {
+    const texts = Array.isArray(input) ? input : [input];
+    const extractor = await this.loadPipeline();
+    const output = await extractor(texts, { pooling: this.pooling, normalize: this.normalize });
+    const vectors = output.tolist();
+    if (!this.dimensions && vectors[0]) this.dimensions = vectors[0].length;
+
+    return {
+      modelId: this.modelId,
+      model: this.model,
+      data: vectors.map((embedding, index) => ({ index, embedding })),
+      // Local inference is free; report zero so helper-cost accounting skips it
+      usage: { prompt_tokens: 0, total_tokens: 0 },
+    };
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
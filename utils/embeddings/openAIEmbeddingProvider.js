@@ -0,0 +1,60 @@
+/**
+ * OpenAI embedding provider (text-embedding-ada-002 and successors).
+ *
+ * The production corpus in Pinecone was embedded with ada-002, so this is
+ * the default for the corpus namespace. Uses the openai SDK like the call
+ * sites it replaces, so error objects (status 429/5xx) keep their shape for
+ * retry logic upstream.
+ */
+
+const { OpenAI } = require('openai');
+
+// Output dimensions of the models we use; unknown models report null until
+// the first response.
+const KNOWN_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+};
+
+class OpenAIEmbeddingProvider {
+  constructor({ model = 'text-embedding-ada-002' } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.modelId = `openai:${model}`;
+    this.dimensions = KNOWN_DIMENSIONS[model] || null;
+    this._client = null;
+  }
+
+  client() {
+    if (!this._client) this._client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return this._client;
+  }
+
+  async validate() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * @param {{ input: string|string[], client?: OpenAI }} params - `client`
+   *   is the caller's own OpenAI client, used instead of this provider's
+   * @returns {Promise<{ modelId, model, data: Array<{ index, embedding }>, usage: { prompt_tokens, total_tokens } }>}
+   */
+  async createEmbeddings({ input, client = null }) {
+    const response = await (client || this.client()).embeddings.create({ model: this.model, input });
+    if (!this.dimensions && response.data?.[0]?.embedding) {
+      this.dimensions = response.data[0].embedding.length;
+    }
+    return {
+      modelId: this.modelId,
+      model: this.model,
+      data: response.data.map((d, index) => ({ index: d.index ?? index, embedding: d.embedding })),
+      usage: {
+        prompt_tokens: response.usage?.prompt_tokens || 0,
+        total_tokens: response.usage?.total_tokens || response.usage?.prompt_tokens || 0,
+      },
+    };
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
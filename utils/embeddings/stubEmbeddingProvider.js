@@ -0,0 +1,70 @@
+/**
+ * Deterministic stub embedding provider for offline tests.
+ *
+ * Feature-hashes lowercase word unigrams and bigrams into a fixed-size
+ * vector and L2-normalizes it: the same text always yields the same vector,
+ * texts sharing words land near each other, and nothing touches the network.
+ * Never use it against the production corpus — its vectors live in their own
+ * space (modelId `stub:hash-<dims>`).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSIONS = parseInt(process.env.EMBEDDING_STUB_DIMENSIONS || '256', 10);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function hashToBucket(feature, dimensions) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    bucket: digest.readUInt32BE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1,
+  };
+}
+
+function embedText(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [
+    ...tokens,
+    ...tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`),
+  ];
+  for (const feature of features) {
+    const { bucket, sign } = hashToBucket(feature, dimensions);
+    vector[bucket] += sign;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+class StubEmbeddingProvider {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.name = 'stub';
+    this.model = `hash-${dimensions}`;
+    this.modelId = `stub:hash-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async validate() {
+    return true;
+  }
+
+  async createEmbeddings({ input }) {
+    const texts = Array.isArray(input) ? input : [input];
+    return {
+      modelId: this.modelId,
+      model: this.model,
+      data: texts.map((text, index) => ({ index, embedding: embedText(text, this.dimensions) })),
+      usage: { prompt_tokens: 0, total_tokens: 0 },
+    };
+  }
+}
+
+module.exports = StubEmbeddingProvider;
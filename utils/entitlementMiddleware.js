@@ -17,6 +17,10 @@ const { getAgentCostMicroUsd, DEFAULT_CREDIT_PURCHASE_SATS, AGENT_MIN_DEPOSIT_SA
 const { isLightningAvailable, microUsdToUsd, getBtcUsdRate, satsToUsdMicro } = require('./btcPrice');
 const { generateInvoiceForSats } = require('./lightning-utils');
 const { mintMacaroon, buildWwwAuthenticateHeader } = require('./macaroon-utils');
+const { checkEndpointCaveat, reserveCaveatBudgets, releaseCaveatBudgets } = require('./macaroonBudget');
+const { generateUsageRequestId, recordDebit } = require('../services/agentUsageLedger');
+const { resolveMeteredRequest } = require('./meteredPricing');
+const { attachDebitSettlement } = require('./debitSettlement');
 
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 
@@ -250,6 +254,30 @@ const QUOTA_CONFIG_PRODUCTION = {
     [TIERS.admin]: { maxUsage: -1, periodLengthDays: 30 }          // Unlimited
   },
 
+  // Transcript export (whole indexed episode as SRT/VTT/JSON/Markdown)
+  [ENTITLEMENT_TYPES.TRANSCRIPT_EXPORT]: {
+    [TIERS.anonymous]: { maxUsage: 2, periodLengthDays: 7 },      // 2/week
+    [TIERS.registered]: { maxUsage: 20, periodLengthDays: 30 },    // 20/month
+    [TIERS.subscriber]: { maxUsage: 100, periodLengthDays: 30 },   // 100/month
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 30 }          // Unlimited
+  },
+
+  // Person timeline (a search per appearance + one stance classification call)
+  [ENTITLEMENT_TYPES.PERSON_TIMELINE]: {
+    [TIERS.anonymous]: { maxUsage: 1, periodLengthDays: 7 },      // 1/week
+    [TIERS.registered]: { maxUsage: 10, periodLengthDays: 30 },    // 10/month
+    [TIERS.subscriber]: { maxUsage: 50, periodLengthDays: 30 },    // 50/month
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 30 }          // Unlimited
+  },
+
+  // Research session audio supercut (clip extraction + ffmpeg render on the clip queue)
+  [ENTITLEMENT_TYPES.RESEARCH_AUDIO_EXPORT]: {
+    [TIERS.anonymous]: { maxUsage: 1, periodLengthDays: 7 },      // 1/week
+    [TIERS.registered]: { maxUsage: 5, periodLengthDays: 30 },     // 5/month
+    [TIERS.subscriber]: { maxUsage: 30, periodLengthDays: 30 },    // 30/month
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 30 }          // Unlimited
+  },
+
   // Pull (LLM-orchestrated corpus query, $0.10 per pull)
   [ENTITLEMENT_TYPES.PULL]: {
     [TIERS.anonymous]: { maxUsage: 7, periodLengthDays: 30 },       // 7/month
@@ -320,6 +348,24 @@ const QUOTA_CONFIG_DEBUG = {
     [TIERS.subscriber]: { maxUsage: 5, periodLengthDays: 1 },
     [TIERS.admin]: { maxUsage: -1, periodLengthDays: 1 }
   },
+  [ENTITLEMENT_TYPES.TRANSCRIPT_EXPORT]: {
+    [TIERS.anonymous]: { maxUsage: 2, periodLengthDays: 1 },
+    [TIERS.registered]: { maxUsage: 3, periodLengthDays: 1 },
+    [TIERS.subscriber]: { maxUsage: 5, periodLengthDays: 1 },
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 1 }
+  },
+  [ENTITLEMENT_TYPES.PERSON_TIMELINE]: {
+    [TIERS.anonymous]: { maxUsage: 1, periodLengthDays: 1 },
+    [TIERS.registered]: { maxUsage: 3, periodLengthDays: 1 },
+    [TIERS.subscriber]: { maxUsage: 5, periodLengthDays: 1 },
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 1 }
+  },
+  [ENTITLEMENT_TYPES.RESEARCH_AUDIO_EXPORT]: {
+    [TIERS.anonymous]: { maxUsage: 1, periodLengthDays: 1 },
+    [TIERS.registered]: { maxUsage: 3, periodLengthDays: 1 },
+    [TIERS.subscriber]: { maxUsage: 5, periodLengthDays: 1 },
+    [TIERS.admin]: { maxUsage: -1, periodLengthDays: 1 }
+  },
   [ENTITLEMENT_TYPES.PULL]: {
     [TIERS.anonymous]: { maxUsage: 1, periodLengthDays: 1 },
     [TIERS.registered]: { maxUsage: 3, periodLengthDays: 1 },
@@ -501,13 +547,16 @@ async function generateDebugMockResponse(entitlementType, query) {
  * @param {object} options - Additional options
  * @param {boolean} options.consumeOnSuccess - Whether to consume entitlement after successful request (default: false)
  * @param {boolean} options.allowAnonymous - Whether to allow anonymous users (default: true)
+ * @param {boolean} options.meteredPricing - Honour `pricing: 'metered'` in the body for L402 callers:
+ *   hold the requested ceiling instead of the flat price; the handler settles it (utils/meteredPricing.js)
  * 
  * @returns {Function} Express middleware
  */
 function createEntitlementMiddleware(entitlementType, options = {}) {
   const { 
     consumeOnSuccess = false,
-    allowAnonymous = true 
+    allowAnonymous = true,
+    meteredPricing = false
   } = options;
   
   return async (req, res, next) => {
@@ -568,7 +617,17 @@ function createEntitlementMiddleware(entitlementType, options = {}) {
           });
         }
 
-        const costMicroUsd = getAgentCostMicroUsd(entitlementType);
+        // Metered requests hold their ceiling; settled by the handler at completion
+        const metered = meteredPricing ? resolveMeteredRequest(req.body) : null;
+        if (metered?.error) {
+          return res.status(400).json({
+            error: 'Invalid pricing',
+            code: 'INVALID_METERED_PRICING',
+            message: metered.error
+          });
+        }
+
+        const costMicroUsd = metered ? metered.ceilingMicroUsd : getAgentCostMicroUsd(entitlementType);
 
         if (costMicroUsd === null) {
           return res.status(403).json({
@@ -578,6 +637,18 @@ function createEntitlementMiddleware(entitlementType, options = {}) {
           });
         }
 
+        // Scoping caveats on the macaroon (endpoints / spend cap / rate), see utils/macaroon-utils.js
+        const caveats = req.lightningAuth?.caveats || null;
+        const endpointDenied = checkEndpointCaveat(caveats, entitlementType);
+        if (endpointDenied) {
+          return res.status(endpointDenied.status).json({
+            error: 'Endpoint not allowed for this credential',
+            code: endpointDenied.code,
+            message: endpointDenied.message,
+            allowedEndpoints: endpointDenied.allowedEndpoints
+          });
+        }
+
         // Look up the lightning entitlement (apiAccess, keyed by paymentHash)
         const lightningEntitlement = await Entitlement.findOne({
           identifier: identity.identifier,
@@ -608,13 +679,51 @@ function createEntitlementMiddleware(entitlementType, options = {}) {
           });
         }
 
+        // Count the call against the credential's own caps before touching the balance
+        const budgetResult = await reserveCaveatBudgets({
+          caveats,
+          paymentHash: identity.identifier,
+          costMicroUsd
+        });
+        if (budgetResult.denied) {
+          const { denied } = budgetResult;
+          if (denied.retryAfterSeconds) res.setHeader('Retry-After', String(denied.retryAfterSeconds));
+          return res.status(denied.status).json({
+            error: denied.status === 429 ? 'Rate limit exceeded for this credential' : 'Spend cap exceeded for this credential',
+            code: denied.code,
+            message: denied.message,
+            limit: denied.limit
+          });
+        }
+
         // Deduct usage (in microdollars)
         lightningEntitlement.usedCount += costMicroUsd;
         lightningEntitlement.lastUsed = new Date();
-        await lightningEntitlement.save();
+        try {
+          await lightningEntitlement.save();
+        } catch (saveError) {
+          await releaseCaveatBudgets(budgetResult.reservation);
+          throw saveError;
+        }
 
         const newRemainingMicroUsd = lightningEntitlement.maxUsage - lightningEntitlement.usedCount;
 
+        // Statement row for GET /api/agent/usage (non-fatal). Starts pending;
+        // voided back to the balance if the call fails (utils/debitSettlement.js)
+        const requestId = generateUsageRequestId();
+        const usageEntryId = await recordDebit({
+          paymentHash: identity.identifier,
+          entitlementType,
+          amountUsdMicro: costMicroUsd,
+          balanceAfterUsdMicro: newRemainingMicroUsd,
+          requestId,
+          macaroonBase64: req.lightningAuth?.macaroonBase64,
+          caveatReservation: budgetResult.reservation,
+          method: req.method,
+          path: req.originalUrl?.split('?')[0] || req.path,
+          metered
+        });
+
         // Attach to request for downstream use
         req.identity = identity;
         req.entitlement = {
@@ -624,10 +733,17 @@ function createEntitlementMiddleware(entitlementType, options = {}) {
           remaining: newRemainingMicroUsd,
           isUnlimited: false,
           costMicroUsd,
-          isLightning: true
+          isLightning: true,
+          requestId,
+          usageEntryId,
+          caveatReservation: budgetResult.reservation,
+          metered: metered ? { ...metered, caveatReservation: budgetResult.reservation, settled: false } : null
         };
+        attachDebitSettlement(req, res);
 
         // Set lightning-specific headers
+        res.setHeader('X-Request-Id', requestId);
+        if (metered) res.setHeader('X-Pricing-Mode', 'metered');
         res.setHeader('X-Credits-Remaining-USD', microUsdToUsd(newRemainingMicroUsd).toFixed(6));
         res.setHeader('X-Credits-Cost-USD', microUsdToUsd(costMicroUsd).toFixed(6));
 
@@ -12,6 +12,7 @@ const { Entitlement } = require('../models/Entitlement');
 const { AgentInvoice } = require('../models/AgentInvoice');
 const { parseL402Header, verifyMacaroon } = require('./macaroon-utils');
 const { validatePreimage } = require('./lightning-utils');
+const { recordTopUp } = require('../services/agentUsageLedger');
 // NOTE: ProPodcastDetails is NOT used for tier/quota determination
 // Subscription type (User.subscriptionType) is the sole source of truth for quotas
 
@@ -98,7 +99,7 @@ async function resolveIdentity(req) {
           }
 
           if (entitlement) {
-            req.lightningAuth = { paymentHash, preimage, macaroonBase64 };
+            req.lightningAuth = { paymentHash, preimage, macaroonBase64, caveats: macResult.caveats };
             return {
               tier: TIERS.registered,
               identifier: paymentHash,
@@ -344,6 +345,15 @@ async function autoActivateCredential(paymentHash) {
       { new: true, upsert: true }
     );
 
+    await recordTopUp({
+      paymentHash,
+      amountUsdMicro: invoice.amountUsdMicro,
+      balanceAfterUsdMicro: entitlement.maxUsage - entitlement.usedCount,
+      amountSats: invoice.amountSats,
+      btcUsdRate: invoice.btcUsdRate,
+      occurredAt: invoice.paidAt || now
+    });
+
     console.log(`[IDENTITY] Auto-activated L402 credential for paymentHash=${paymentHash}, balance=${entitlement.maxUsage} microUSD`);
     return entitlement;
   } catch (err) {
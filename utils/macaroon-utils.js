@@ -7,14 +7,31 @@
  * 
  * Root key derivation: HMAC-SHA256(L402_MACAROON_SECRET, paymentHash)
  * This is deterministic per-invoice — no root key storage needed.
+ *
+ * Scoping caveats (first-party, any number, each one must hold):
+ *   endpoints = search-quotes,pull     entitlement types this credential may call
+ *   max_spend_micro_usd = 250000        spend cap across every call made with it
+ *   rate_per_minute = 10                calls per rolling clock minute
+ *   expires_at = <unix seconds>         hard expiry
+ * Anyone holding a macaroon can append more caveats (attenuateMacaroon) and
+ * hand the result to a sub-agent; caveats only ever narrow. Spend and rate
+ * caps are enforced per call by entitlementMiddleware (utils/macaroonBudget.js).
  */
 
 const crypto = require('crypto');
 const { MacaroonsBuilder, MacaroonsVerifier } = require('macaroons.js');
+const { ALL_ENTITLEMENT_TYPES } = require('../constants/entitlementTypes');
 
 const LOCATION = 'https://www.pullthatupjamie.ai';
 const MACAROON_TTL_DAYS = 90;
 
+const CAVEAT_PATTERNS = {
+  endpoints: /^endpoints = ([a-z0-9-]+(?:,[a-z0-9-]+)*)$/,
+  maxSpend: /^max_spend_micro_usd = ([1-9][0-9]*)$/,
+  rate: /^rate_per_minute = ([1-9][0-9]*)$/,
+  expires: /^expires_at = ([0-9]+)$/
+};
+
 function getMacaroonSecret() {
   const secret = process.env.L402_MACAROON_SECRET;
   if (!secret) {
@@ -36,6 +53,61 @@ function deriveRootKey(paymentHash) {
     .digest();
 }
 
+/**
+ * Build scoping caveat strings from options, validating each value.
+ *
+ * @param {Object} scope
+ * @param {string[]|string} [scope.endpoints] - Entitlement types (array or comma list)
+ * @param {number} [scope.maxSpendMicroUsd] - Positive integer spend cap
+ * @param {number} [scope.ratePerMinute] - Positive integer call rate
+ * @param {number|string|Date} [scope.expiresAt] - Unix seconds, ISO string or Date
+ * @returns {{ caveats: string[] } | { error: string }}
+ */
+function buildScopeCaveats({ endpoints, maxSpendMicroUsd, ratePerMinute, expiresAt } = {}) {
+  const caveats = [];
+
+  if (endpoints !== undefined && endpoints !== null) {
+    const list = (Array.isArray(endpoints) ? endpoints : String(endpoints).split(','))
+      .map(e => String(e).trim())
+      .filter(Boolean);
+    const caveat = `endpoints = ${list.join(',')}`;
+    if (!list.length || !CAVEAT_PATTERNS.endpoints.test(caveat)) {
+      return { error: 'endpoints must be a non-empty list of endpoint names like search-quotes,pull' };
+    }
+    const unknown = list.filter(e => !ALL_ENTITLEMENT_TYPES.includes(e));
+    if (unknown.length) {
+      return { error: `Unknown endpoints: ${unknown.join(', ')}` };
+    }
+    caveats.push(caveat);
+  }
+
+  if (maxSpendMicroUsd !== undefined && maxSpendMicroUsd !== null) {
+    if (!Number.isSafeInteger(Number(maxSpendMicroUsd)) || Number(maxSpendMicroUsd) <= 0) {
+      return { error: 'maxSpendMicroUsd must be a positive integer' };
+    }
+    caveats.push(`max_spend_micro_usd = ${Number(maxSpendMicroUsd)}`);
+  }
+
+  if (ratePerMinute !== undefined && ratePerMinute !== null) {
+    if (!Number.isSafeInteger(Number(ratePerMinute)) || Number(ratePerMinute) <= 0) {
+      return { error: 'ratePerMinute must be a positive integer' };
+    }
+    caveats.push(`rate_per_minute = ${Number(ratePerMinute)}`);
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const unix = typeof expiresAt === 'number'
+      ? expiresAt
+      : Math.floor(new Date(expiresAt).getTime() / 1000);
+    if (!Number.isSafeInteger(unix) || unix <= Math.floor(Date.now() / 1000)) {
+      return { error: 'expiresAt must be a future unix timestamp or ISO date' };
+    }
+    caveats.push(`expires_at = ${unix}`);
+  }
+
+  return { caveats };
+}
+
 /**
  * Mint a new macaroon for an L402 credential.
  * 
@@ -44,26 +116,110 @@ function deriveRootKey(paymentHash) {
  * which outlives the invoice by orders of magnitude.
  * 
  * @param {string} paymentHash - 64-char hex payment hash (becomes the identifier)
+ * @param {Object} [scope] - Optional scoping caveats (see buildScopeCaveats)
  * @returns {{ macaroonBase64: string, paymentHash: string }}
  */
-function mintMacaroon(paymentHash) {
+function mintMacaroon(paymentHash, scope = {}) {
   const rootKey = deriveRootKey(paymentHash);
 
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + MACAROON_TTL_DAYS);
 
-  const macaroon = new MacaroonsBuilder(LOCATION, rootKey, paymentHash)
+  const scoped = buildScopeCaveats(scope);
+  if (scoped.error) throw new Error(scoped.error);
+
+  const builder = new MacaroonsBuilder(LOCATION, rootKey, paymentHash)
     .add_first_party_caveat(`service = pullthatupjamie`)
     .add_first_party_caveat(`payment_hash = ${paymentHash}`)
-    .add_first_party_caveat(`expires_at = ${Math.floor(expiresAt.getTime() / 1000)}`)
-    .getMacaroon();
+    .add_first_party_caveat(`expires_at = ${Math.floor(expiresAt.getTime() / 1000)}`);
+  scoped.caveats.forEach(caveat => builder.add_first_party_caveat(caveat));
 
   return {
-    macaroonBase64: macaroon.serialize(),
+    macaroonBase64: builder.getMacaroon().serialize(),
     paymentHash
   };
 }
 
+/**
+ * Narrow an existing macaroon by appending scoping caveats. Needs no server
+ * secret — this is what a holder does before handing a credential to a
+ * sub-agent (any macaroon library can do the same client-side).
+ *
+ * @param {string} macaroonBase64 - Macaroon to attenuate
+ * @param {Object} scope - See buildScopeCaveats; at least one field required
+ * @returns {{ macaroonBase64: string, caveats: string[] } | { error: string }}
+ */
+function attenuateMacaroon(macaroonBase64, scope) {
+  const scoped = buildScopeCaveats(scope);
+  if (scoped.error) return { error: scoped.error };
+  if (scoped.caveats.length === 0) {
+    return { error: 'At least one of endpoints, maxSpendMicroUsd, ratePerMinute or expiresAt is required' };
+  }
+
+  let macaroon;
+  try {
+    macaroon = MacaroonsBuilder.deserialize(macaroonBase64);
+  } catch (err) {
+    return { error: `Macaroon parsing error: ${err.message}` };
+  }
+
+  const builder = MacaroonsBuilder.modify(macaroon);
+  scoped.caveats.forEach(caveat => builder.add_first_party_caveat(caveat));
+
+  return { macaroonBase64: builder.getMacaroon().serialize(), caveats: scoped.caveats };
+}
+
+/**
+ * Effective scope of a verified macaroon. Repeated caveats narrow each other:
+ * endpoint lists intersect, caps and expiry take the minimum.
+ *
+ * The first expires_at is the one mintMacaroon() always writes; it is kept
+ * apart as mintedExpiresAt so `expiresAt` only reflects expiries a holder
+ * added by attenuation (and a fresh root credential summarizes as unscoped).
+ *
+ * Each spend/rate caveat also gets a budget key — a hash of the macaroon's
+ * HMAC chain up to and including that caveat. Every macaroon attenuated from
+ * the same parent shares the parent caveat's key, so a parent's cap covers
+ * all of its sub-agents' spend combined. (The raw chain signature would let
+ * its holder mint siblings, so only its hash is exposed.)
+ *
+ * @returns {{ endpoints: string[]|null, maxSpendMicroUsd: number|null, ratePerMinute: number|null,
+ *   expiresAt: number|null, mintedExpiresAt: number|null,
+ *   budgets: Array<{ key: string, kind: 'spend'|'rate', limit: number }> }}
+ */
+function summarizeCaveats(macaroon, rootKey) {
+  const scope = {
+    endpoints: null, maxSpendMicroUsd: null, ratePerMinute: null, expiresAt: null, mintedExpiresAt: null, budgets: []
+  };
+  const chain = new MacaroonsBuilder(LOCATION, rootKey, macaroon.identifier);
+  const min = (current, value) => (current === null ? value : Math.min(current, value));
+
+  for (const packet of macaroon.caveatPackets || []) {
+    const caveat = packet.getValueAsText();
+    chain.add_first_party_caveat(caveat);
+    const budgetKey = () => crypto.createHash('sha256').update(chain.getMacaroon().signature).digest('hex');
+
+    let m;
+    if ((m = caveat.match(CAVEAT_PATTERNS.endpoints))) {
+      const list = m[1].split(',');
+      scope.endpoints = scope.endpoints === null ? list : scope.endpoints.filter(e => list.includes(e));
+    } else if ((m = caveat.match(CAVEAT_PATTERNS.maxSpend))) {
+      const limit = parseInt(m[1], 10);
+      scope.maxSpendMicroUsd = min(scope.maxSpendMicroUsd, limit);
+      scope.budgets.push({ key: budgetKey(), kind: 'spend', limit });
+    } else if ((m = caveat.match(CAVEAT_PATTERNS.rate))) {
+      const limit = parseInt(m[1], 10);
+      scope.ratePerMinute = min(scope.ratePerMinute, limit);
+      scope.budgets.push({ key: budgetKey(), kind: 'rate', limit });
+    } else if ((m = caveat.match(CAVEAT_PATTERNS.expires))) {
+      if (scope.mintedExpiresAt === null) scope.mintedExpiresAt = parseInt(m[1], 10);
+      else scope.expiresAt = min(scope.expiresAt, parseInt(m[1], 10));
+    }
+  }
+
+  return scope;
+}
+
 /**
  * Verify a macaroon and extract its payment hash.
  * 
@@ -72,9 +228,11 @@ function mintMacaroon(paymentHash) {
  * 2. Service caveat matches
  * 3. Payment hash caveat present and consistent with identifier
  * 4. Expiry caveat not exceeded (for unpaid macaroons)
+ * 5. Scoping caveats well-formed (enforced per call by entitlementMiddleware)
  * 
  * @param {string} macaroonBase64 - Base64url-encoded macaroon
- * @returns {{ valid: boolean, paymentHash: string|null, error: string|null }}
+ * @returns {{ valid: boolean, paymentHash: string|null, error: string|null, caveats?: Object }}
+ *   caveats = summarizeCaveats() output when valid
  */
 function verifyMacaroon(macaroonBase64) {
   try {
@@ -101,13 +259,21 @@ function verifyMacaroon(macaroonBase64) {
       return Math.floor(Date.now() / 1000) < expiryUnix;
     });
 
+    // Scoping caveats only need to parse here; they are checked against
+    // the endpoint, spend and call rate on each request
+    verifier.satisfyGeneral((caveat) =>
+      CAVEAT_PATTERNS.endpoints.test(caveat) ||
+      CAVEAT_PATTERNS.maxSpend.test(caveat) ||
+      CAVEAT_PATTERNS.rate.test(caveat)
+    );
+
     const valid = verifier.isValid(rootKey);
 
     if (!valid) {
       return { valid: false, paymentHash, error: 'Macaroon HMAC verification failed or caveats not satisfied' };
     }
 
-    return { valid: true, paymentHash, error: null };
+    return { valid: true, paymentHash, error: null, caveats: summarizeCaveats(macaroon, rootKey) };
   } catch (err) {
     return { valid: false, paymentHash: null, error: `Macaroon parsing error: ${err.message}` };
   }
@@ -147,6 +313,8 @@ function buildWwwAuthenticateHeader(macaroonBase64, invoice) {
 
 module.exports = {
   mintMacaroon,
+  attenuateMacaroon,
+  buildScopeCaveats,
   verifyMacaroon,
   parseL402Header,
   buildWwwAuthenticateHeader,
@@ -0,0 +1,220 @@
+/**
+ * Per-call enforcement of L402 macaroon scoping caveats.
+ *
+ * verifyMacaroon() (utils/macaroon-utils.js) summarizes a credential's
+ * caveats into { endpoints, maxSpendMicroUsd, ratePerMinute, expiresAt, mintedExpiresAt, budgets };
+ * entitlementMiddleware calls in here on the prepaid path:
+ *
+ *   checkEndpointCaveat      → 403 when the endpoint isn't in the allowlist
+ *   reserveCaveatBudgets     → atomically count the call against every
+ *                              spend/rate caveat in the chain (429 / 403)
+ *   releaseCaveatBudgets     → undo a reservation when the debit fails
+ *   refundCaveatSpend        → shrink a spend reservation after metered settlement
+ *                              or when the debit is voided
+ *
+ * Counters live in MacaroonBudget, one document per caveat. A sub-agent's
+ * macaroon carries its parent's caveats too, so each call is counted against
+ * the parent's budget as well as its own.
+ */
+
+const { MacaroonBudget } = require('../models/MacaroonBudget');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Any scoping caveat marks a delegated (sub-agent) macaroon. The expiry every
+ * minted credential carries (mintedExpiresAt) does not count.
+ * @param {Object|null} caveats - verifyMacaroon().caveats
+ */
+function isDelegatedCredential(caveats) {
+  if (!caveats) return false;
+  return caveats.endpoints !== null || caveats.budgets.length > 0 || caveats.expiresAt !== null;
+}
+
+/**
+ * When the credential stops verifying: the earliest of its minted and
+ * attenuated expiries (unix seconds), or null.
+ * @param {Object|null} caveats - verifyMacaroon().caveats
+ */
+function credentialExpiry(caveats) {
+  const expiries = [caveats?.expiresAt, caveats?.mintedExpiresAt].filter(e => e !== null && e !== undefined);
+  return expiries.length > 0 ? Math.min(...expiries) : null;
+}
+
+/**
+ * @param {Object|null} caveats - verifyMacaroon().caveats
+ * @param {string} entitlementType
+ * @returns {null | { status: number, code: string, message: string, allowedEndpoints: string[] }}
+ */
+function checkEndpointCaveat(caveats, entitlementType) {
+  if (!caveats?.endpoints || caveats.endpoints.includes(entitlementType)) return null;
+  return {
+    status: 403,
+    code: 'CAVEAT_ENDPOINT_NOT_ALLOWED',
+    message: `This credential is scoped to: ${caveats.endpoints.join(', ') || '(no endpoints)'}`,
+    allowedEndpoints: caveats.endpoints
+  };
+}
+
+async function ensureBudgetDoc(budget, paymentHash, expiresAt) {
+  await MacaroonBudget.updateOne(
+    { key: budget.key },
+    {
+      $setOnInsert: {
+        key: budget.key,
+        paymentHash,
+        kind: budget.kind,
+        limit: budget.limit,
+        expiresAt: expiresAt ? new Date(expiresAt * 1000) : null
+      }
+    },
+    { upsert: true }
+  );
+}
+
+async function reserveSpend(budget, costMicroUsd) {
+  return MacaroonBudget.findOneAndUpdate(
+    { key: budget.key, spentMicroUsd: { $lte: budget.limit - costMicroUsd } },
+    { $inc: { spentMicroUsd: costMicroUsd, callCount: 1 } },
+    { new: true }
+  ).lean();
+}
+
+async function reserveRate(budget, now) {
+  const windowStart = new Date(Math.floor(now / RATE_WINDOW_MS) * RATE_WINDOW_MS);
+  // Roll over to the current minute first
+  await MacaroonBudget.updateOne(
+    { key: budget.key, $or: [{ windowStart: null }, { windowStart: { $lt: windowStart } }] },
+    { $set: { windowStart, windowCount: 0 } }
+  );
+  const doc = await MacaroonBudget.findOneAndUpdate(
+    { key: budget.key, windowStart, windowCount: { $lt: budget.limit } },
+    { $inc: { windowCount: 1, callCount: 1 } },
+    { new: true }
+  ).lean();
+  return doc ? { doc, windowStart } : null;
+}
+
+/**
+ * Release everything a reservation took.
+ * @param {Array} reservation - reserveCaveatBudgets().reservation
+ */
+async function releaseCaveatBudgets(reservation = []) {
+  for (const held of reservation) {
+    if (held.kind === 'spend') {
+      await MacaroonBudget.updateOne({ key: held.key }, { $inc: { spentMicroUsd: -held.costMicroUsd, callCount: -1 } });
+    } else {
+      await MacaroonBudget.updateOne(
+        { key: held.key, windowStart: held.windowStart },
+        { $inc: { windowCount: -1, callCount: -1 } }
+      );
+    }
+  }
+}
+
+/**
+ * Give back part of a spend reservation once the real charge is known
+ * (metered /api/pull holds its ceiling, then settles lower). Rate counts
+ * are left alone: the call did happen.
+ * @param {Array} reservation - reserveCaveatBudgets().reservation
+ * @param {number} refundMicroUsd
+ */
+async function refundCaveatSpend(reservation = [], refundMicroUsd) {
+  if (!(refundMicroUsd > 0)) return;
+  for (const held of reservation) {
+    if (held.kind !== 'spend') continue;
+    const refund = Math.min(refundMicroUsd, held.costMicroUsd);
+    await MacaroonBudget.updateOne({ key: held.key }, { $inc: { spentMicroUsd: -refund } });
+    held.costMicroUsd -= refund;
+  }
+}
+
+/**
+ * Count one call of `costMicroUsd` against every spend/rate caveat. All or
+ * nothing: a refusal releases whatever was already reserved.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.caveats - verifyMacaroon().caveats
+ * @param {string} params.paymentHash
+ * @param {number} params.costMicroUsd
+ * @param {number} [params.now] - ms timestamp (tests)
+ * @returns {Promise<{ reservation: Array } | { denied: { status: number, code: string, message: string, retryAfterSeconds?: number, limit: number } }>}
+ */
+async function reserveCaveatBudgets({ caveats, paymentHash, costMicroUsd, now = Date.now() }) {
+  const budgets = caveats?.budgets || [];
+  const reservation = [];
+
+  // Rate caveats first: they are cheap to refuse and never leave spend behind
+  const ordered = [...budgets].sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'rate' ? -1 : 1));
+
+  for (const budget of ordered) {
+    await ensureBudgetDoc(budget, paymentHash, credentialExpiry(caveats));
+
+    if (budget.kind === 'rate') {
+      const held = await reserveRate(budget, now);
+      if (!held) {
+        await releaseCaveatBudgets(reservation);
+        return {
+          denied: {
+            status: 429,
+            code: 'CAVEAT_RATE_LIMITED',
+            message: `This credential is limited to ${budget.limit} calls per minute`,
+            retryAfterSeconds: Math.ceil((RATE_WINDOW_MS - (now % RATE_WINDOW_MS)) / 1000),
+            limit: budget.limit
+          }
+        };
+      }
+      reservation.push({ key: budget.key, kind: 'rate', windowStart: held.windowStart });
+    } else {
+      const held = await reserveSpend(budget, costMicroUsd);
+      if (!held) {
+        await releaseCaveatBudgets(reservation);
+        return {
+          denied: {
+            status: 403,
+            code: 'CAVEAT_SPEND_CAP_EXCEEDED',
+            message: `This credential's spend cap of ${budget.limit} microUSD would be exceeded`,
+            limit: budget.limit
+          }
+        };
+      }
+      reservation.push({ key: budget.key, kind: 'spend', costMicroUsd });
+    }
+  }
+
+  return { reservation };
+}
+
+/**
+ * Remaining delegated spend for display (e.g. GET /api/agent/balance):
+ * the tightest cap left across the chain, or null when uncapped.
+ *
+ * @param {Object|null} caveats - verifyMacaroon().caveats
+ * @returns {Promise<{ remainingMicroUsd: number, spentMicroUsd: number, limitMicroUsd: number } | null>}
+ */
+async function getCaveatSpendStatus(caveats) {
+  const spendBudgets = (caveats?.budgets || []).filter(b => b.kind === 'spend');
+  if (spendBudgets.length === 0) return null;
+
+  const docs = await MacaroonBudget.find({ key: { $in: spendBudgets.map(b => b.key) } })
+    .select('key spentMicroUsd')
+    .lean();
+  const spentByKey = new Map(docs.map(d => [d.key, d.spentMicroUsd]));
+
+  return spendBudgets
+    .map(b => {
+      const spent = spentByKey.get(b.key) || 0;
+      return { remainingMicroUsd: Math.max(0, b.limit - spent), spentMicroUsd: spent, limitMicroUsd: b.limit };
+    })
+    .reduce((tightest, status) => (status.remainingMicroUsd < tightest.remainingMicroUsd ? status : tightest));
+}
+
+module.exports = {
+  isDelegatedCredential,
+  credentialExpiry,
+  checkEndpointCaveat,
+  reserveCaveatBudgets,
+  releaseCaveatBudgets,
+  refundCaveatSpend,
+  getCaveatSpendStatus
+};
@@ -0,0 +1,170 @@
+/**
+ * Metered pricing for /api/pull (L402 prepaid callers only).
+ *
+ * Opt in per request with `pricing: 'metered'` and an optional `maxCostUsd`
+ * ceiling (defaults to the flat pull price). entitlementMiddleware holds the
+ * ceiling from the balance exactly like a flat debit; the agent loop then:
+ *
+ *   applyMeteredCeiling  → lowers the cost tracker's budgets so the run's raw
+ *                          LLM spend stays under ceiling / markup
+ *   meteredCostEvent     → payload for the running SSE `cost` event
+ *   settleMeteredDebit   → charges actual cost × markup (clamped to
+ *                          [minCharge, ceiling]) and refunds the rest
+ *
+ * Settlement is idempotent per request and never throws: if the balance
+ * refund fails, the held ceiling stays charged everywhere. A run that fails is
+ * voided in full instead (utils/debitSettlement.js). If the process dies
+ * before settling, the held ceiling stays charged — that is what the client
+ * pre-authorized.
+ */
+
+const { Entitlement } = require('../models/Entitlement');
+const { PULL_METERED_PRICING } = require('../constants/agentPricing');
+const { refundCaveatSpend } = require('./macaroonBudget');
+const { recordMeteredSettlement } = require('../services/agentUsageLedger');
+
+const PRICING_MODES = ['flat', 'metered'];
+
+// Soft budget sits at the same fraction of the hard budget as the default
+// execution profile (0.055 / 0.08)
+const SOFT_BUDGET_RATIO = 0.7;
+
+function usdToMicro(usd) {
+  return Math.round((Number.isFinite(usd) ? usd : 0) * 1_000_000);
+}
+
+function microToUsd(micro) {
+  return parseFloat((micro / 1_000_000).toFixed(6));
+}
+
+/**
+ * Read the pricing mode from a /api/pull request body.
+ *
+ * @param {Object} body - req.body
+ * @param {Object} [config] - PULL_METERED_PRICING override (tests)
+ * @returns {null | { error: string } | { ceilingMicroUsd: number, markup: number, minChargeMicroUsd: number }}
+ *   null for flat pricing
+ */
+function resolveMeteredRequest(body, config = PULL_METERED_PRICING) {
+  const mode = body?.pricing ?? 'flat';
+  if (!PRICING_MODES.includes(mode)) {
+    return { error: `pricing must be one of: ${PRICING_MODES.join(', ')}` };
+  }
+  if (mode === 'flat') return null;
+
+  let ceilingMicroUsd = config.defaultCeilingMicroUsd;
+  if (body.maxCostUsd !== undefined && body.maxCostUsd !== null) {
+    const maxCostUsd = Number(body.maxCostUsd);
+    if (!Number.isFinite(maxCostUsd) || maxCostUsd <= 0) {
+      return { error: 'maxCostUsd must be a positive number' };
+    }
+    ceilingMicroUsd = usdToMicro(maxCostUsd);
+  }
+
+  if (ceilingMicroUsd < config.minChargeMicroUsd) {
+    return { error: `maxCostUsd must be at least ${microToUsd(config.minChargeMicroUsd)}` };
+  }
+  if (ceilingMicroUsd > config.maxCeilingMicroUsd) {
+    return { error: `maxCostUsd may not exceed ${microToUsd(config.maxCeilingMicroUsd)}` };
+  }
+
+  return { ceilingMicroUsd, markup: config.markup, minChargeMicroUsd: config.minChargeMicroUsd };
+}
+
+/**
+ * @param {number} actualCostUsd - createCostTracker().total
+ * @param {Object} metered - resolveMeteredRequest() result
+ * @param {Object} [options]
+ * @param {boolean} [options.failed] - run errored: no minimum charge
+ * @returns {number} microdollars to charge
+ */
+function meteredChargeMicroUsd(actualCostUsd, metered, { failed = false } = {}) {
+  const marked = Math.ceil(usdToMicro(actualCostUsd) * metered.markup);
+  const floor = failed ? 0 : metered.minChargeMicroUsd;
+  return Math.min(metered.ceilingMicroUsd, Math.max(floor, marked));
+}
+
+/**
+ * Execution profile with cost budgets capped so the run fits the ceiling.
+ * Returns the profile unchanged for flat pricing.
+ */
+function applyMeteredCeiling(executionProfile, metered) {
+  if (!metered) return executionProfile;
+  const rawBudgetUsd = metered.ceilingMicroUsd / metered.markup / 1_000_000;
+  const hard = Math.min(executionProfile.costBudgetHard ?? Infinity, rawBudgetUsd);
+  const soft = Math.min(executionProfile.costBudgetSoft ?? Infinity, hard * SOFT_BUDGET_RATIO);
+  return { ...executionProfile, costBudgetHard: hard, costBudgetSoft: soft };
+}
+
+/**
+ * SSE `cost` event payload: what the request would be charged right now.
+ */
+function meteredCostEvent(actualCostUsd, metered, { final = false } = {}) {
+  const chargeMicroUsd = final
+    ? meteredChargeMicroUsd(actualCostUsd, metered)
+    : Math.min(metered.ceilingMicroUsd, Math.ceil(usdToMicro(actualCostUsd) * metered.markup));
+  return {
+    pricing: 'metered',
+    costUsd: microToUsd(chargeMicroUsd),
+    ceilingUsd: microToUsd(metered.ceilingMicroUsd),
+    final
+  };
+}
+
+/**
+ * Settle a metered debit: refund (ceiling - charge) to the balance and to any
+ * caveat spend caps, and rewrite the ledger row.
+ *
+ * @param {Object} params
+ * @param {Object} params.entitlement - req.entitlement (carries .metered from the middleware)
+ * @param {string} params.paymentHash - req.identity.identifier
+ * @param {number} params.actualCostUsd
+ * @param {boolean} [params.failed]
+ * @returns {Promise<null | { chargedMicroUsd: number, refundedMicroUsd: number, ceilingMicroUsd: number, balanceAfterUsdMicro: number|null }>}
+ *   null when the request isn't metered, was already settled, or the refund failed
+ */
+async function settleMeteredDebit({ entitlement, paymentHash, actualCostUsd, failed = false }) {
+  const metered = entitlement?.metered;
+  if (!metered || metered.settled) return null;
+  metered.settled = true;
+
+  const chargedMicroUsd = meteredChargeMicroUsd(actualCostUsd, metered, { failed });
+  const refundedMicroUsd = metered.ceilingMicroUsd - chargedMicroUsd;
+
+  let balanceAfterUsdMicro = null;
+  try {
+    const filter = { identifier: paymentHash, identifierType: 'prepaid', entitlementType: 'apiAccess' };
+    const updated = refundedMicroUsd > 0
+      ? await Entitlement.findOneAndUpdate(filter, { $inc: { usedCount: -refundedMicroUsd } }, { new: true }).lean()
+      : await Entitlement.findOne(filter).lean();
+    if (updated) balanceAfterUsdMicro = updated.maxUsage - updated.usedCount;
+  } catch (error) {
+    console.error(`[METERED] Refund of ${refundedMicroUsd} microUSD failed for ${paymentHash}, ceiling stays charged: ${error.message}`);
+    return null;
+  }
+
+  try {
+    await refundCaveatSpend(metered.caveatReservation, refundedMicroUsd);
+  } catch (error) {
+    console.error(`[METERED] Caveat spend refund failed for ${paymentHash}: ${error.message}`);
+  }
+
+  await recordMeteredSettlement(entitlement.usageEntryId, {
+    chargedMicroUsd,
+    balanceAfterUsdMicro,
+    ceilingMicroUsd: metered.ceilingMicroUsd,
+    markup: metered.markup,
+    actualCostUsdMicro: usdToMicro(actualCostUsd)
+  });
+
+  return { chargedMicroUsd, refundedMicroUsd, ceilingMicroUsd: metered.ceilingMicroUsd, balanceAfterUsdMicro };
+}
+
+module.exports = {
+  PRICING_MODES,
+  resolveMeteredRequest,
+  meteredChargeMicroUsd,
+  applyMeteredCeiling,
+  meteredCostEvent,
+  settleMeteredDebit
+};
@@ -0,0 +1,213 @@
+/**
+ * nearDuplicates.js
+ *
+ * Collapses near-identical paragraphs that come from different episodes — the
+ * same interview re-uploaded to a clips channel, re-broadcast, or syndicated
+ * into several feeds — so a search doesn't return one quote three times.
+ *
+ * Two paragraphs are duplicates when they belong to different episode guids
+ * and either:
+ *   - their word 5-gram shingles overlap heavily (Jaccard ≥ SHINGLE_THRESHOLD), or
+ *   - both carry embeddings that are near-identical (cosine ≥ COSINE_THRESHOLD)
+ *     and their text still overlaps somewhat (Jaccard ≥ COSINE_MIN_SHINGLE),
+ *     which catches transcripts whose paragraph boundaries or ASR wording
+ *     drifted between uploads without merging two paraphrases of one idea.
+ *
+ * Results are walked in rank order; the first member of each group is the
+ * canonical result and the rest are listed on it as `alsoAppearsIn`.
+ * Paragraphs from the same episode are never collapsed into each other.
+ */
+
+const SHINGLE_SIZE = 5;
+const SHINGLE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_SHINGLE_THRESHOLD || '0.5');
+const COSINE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_COSINE_THRESHOLD || '0.97');
+const COSINE_MIN_SHINGLE = 0.2;
+
+function normalizeWords(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Word n-gram shingles. Text shorter than one shingle becomes a single
+ * shingle of all its words so short quotes can still match exactly.
+ * @param {string} text
+ * @param {number} [size]
+ * @returns {Set<string>}
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+  const words = normalizeWords(text);
+  const set = new Set();
+  if (words.length === 0) return set;
+  if (words.length < size) {
+    set.add(words.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= words.length - size; i++) {
+    set.add(words.slice(i, i + size).join(' '));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let intersection = 0;
+  for (const item of small) {
+    if (large.has(item)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return null;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Paragraph ids are `<episodeGuid>_p<sequence>`
+function guidFromShareLink(shareLink) {
+  return typeof shareLink === 'string' ? shareLink.replace(/_p\d+$/, '') : null;
+}
+
+function resultGuid(result) {
+  return result.additionalFields?.guid || result.guid || guidFromShareLink(result.shareLink);
+}
+
+function resultFeedId(result) {
+  const feedId = result.feedId ?? result.additionalFields?.feedId;
+  return feedId != null ? String(feedId) : null;
+}
+
+/**
+ * Where a collapsed duplicate also aired.
+ */
+function describeAppearance(result) {
+  return {
+    shareLink: result.shareLink || null,
+    guid: resultGuid(result),
+    feedId: resultFeedId(result),
+    episode: result.episode || null,
+    creator: result.creator || null,
+    date: result.date || null,
+  };
+}
+
+/**
+ * Decide whether two prepared entries are the same paragraph.
+ * @returns {boolean}
+ */
+function isNearDuplicate(a, b, { shingleThreshold = SHINGLE_THRESHOLD, cosineThreshold = COSINE_THRESHOLD } = {}) {
+  if (a.guid && b.guid && a.guid === b.guid) return false;
+  const overlap = jaccard(a.shingles, b.shingles);
+  if (overlap >= shingleThreshold) return true;
+  const cosine = cosineSimilarity(a.embedding, b.embedding);
+  return cosine !== null && cosine >= cosineThreshold && overlap >= COSINE_MIN_SHINGLE;
+}
+
+/**
+ * Results whose duplicate status hinges on the cosine check: they share some
+ * text (Jaccard ≥ COSINE_MIN_SHINGLE) with a result from another episode, but
+ * not enough to collapse on shingles alone. Callers that have to fetch
+ * embeddings only need them for these.
+ *
+ * @param {Array<Object>} results
+ * @param {Object} [options] - getText and shingleThreshold, as for collapseNearDuplicates
+ * @returns {Array<Object>} subset of results, in input order
+ */
+function embeddingCandidates(results, { getText = r => r.quote, shingleThreshold = SHINGLE_THRESHOLD } = {}) {
+  const entries = (Array.isArray(results) ? results : [])
+    .filter(Boolean)
+    .map(result => ({ result, guid: resultGuid(result), shingles: shingles(getText(result)) }));
+  const picked = new Set();
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.guid && b.guid && a.guid === b.guid) continue;
+      const overlap = jaccard(a.shingles, b.shingles);
+      if (overlap >= COSINE_MIN_SHINGLE && overlap < shingleThreshold) {
+        picked.add(a);
+        picked.add(b);
+      }
+    }
+  }
+  return entries.filter(e => picked.has(e)).map(e => e.result);
+}
+
+/**
+ * Collapse near-duplicate search results into canonical results.
+ *
+ * Input order is preserved for canonical results; duplicates are removed and
+ * recorded on their canonical as `alsoAppearsIn` (same shape as
+ * describeAppearance). Existing `alsoAppearsIn` entries on a duplicate carry
+ * over, so collapsing already-collapsed lists is safe.
+ *
+ * @param {Array<Object>} results - search_quotes-shaped results (shareLink, quote, episode, creator, feedId)
+ * @param {Object} [options]
+ * @param {function(Object): (number[]|null)} [options.getEmbedding] - embedding lookup per result
+ * @param {function(Object): string} [options.getText] - text to shingle (default: quote)
+ * @param {number} [options.shingleThreshold]
+ * @param {number} [options.cosineThreshold]
+ * @returns {{ results: Array<Object>, collapsed: number }}
+ */
+function collapseNearDuplicates(results, options = {}) {
+  if (!Array.isArray(results) || results.length < 2) {
+    return { results: Array.isArray(results) ? results : [], collapsed: 0 };
+  }
+  const { getEmbedding = () => null, getText = r => r.quote } = options;
+
+  const groups = [];
+  for (const result of results) {
+    if (!result) continue;
+    const entry = {
+      result,
+      guid: resultGuid(result),
+      shingles: shingles(getText(result)),
+      embedding: getEmbedding(result) || null,
+    };
+    const group = groups.find(g => isNearDuplicate(g.canonical, entry, options));
+    if (group) {
+      group.duplicates.push(result);
+    } else {
+      groups.push({ canonical: entry, duplicates: [] });
+    }
+  }
+
+  let collapsed = 0;
+  const collapsedResults = groups.map(({ canonical, duplicates }) => {
+    if (duplicates.length === 0) return canonical.result;
+    collapsed += duplicates.length;
+    const appearances = [...(canonical.result.alsoAppearsIn || [])];
+    for (const dup of duplicates) {
+      appearances.push(describeAppearance(dup), ...(dup.alsoAppearsIn || []));
+    }
+    return { ...canonical.result, alsoAppearsIn: appearances };
+  });
+
+  return { results: collapsedResults, collapsed };
+}
+
+module.exports = {
+  collapseNearDuplicates,
+  embeddingCandidates,
+  isNearDuplicate,
+  shingles,
+  jaccard,
+  cosineSimilarity,
+  guidFromShareLink,
+  SHINGLE_THRESHOLD,
+  COSINE_THRESHOLD,
+};
@@ -0,0 +1,286 @@
+/**
+ * resultClustering.js
+ *
+ * Topic regions for the 3D galaxy view: k-means over the projected UMAP
+ * coordinates (what the user actually sees), k picked by silhouette unless the
+ * caller fixes it, plus a short label per cluster.
+ *
+ * Labels come from one gpt-4o-mini call over the points nearest each centroid.
+ * Deterministic mode (request flag or CLUSTER_LABELS_DETERMINISTIC=true) skips
+ * the LLM and labels clusters with their most distinctive keywords; the same
+ * labels are the fallback when the LLM call fails. Clustering itself is always
+ * seeded, so identical coordinates give identical clusters.
+ */
+
+const { tokenize } = require('./upsellRelevance');
+const { printLog } = require('../constants');
+
+const CLUSTER_LABEL_MODEL = 'gpt-4o-mini';
+const MIN_CLUSTERS = 2;
+const MAX_CLUSTERS = 8;
+const MIN_POINTS_PER_CLUSTER = 3;
+const SAMPLES_PER_CLUSTER = 5;
+const CLUSTER_RANDOM_SEED = parseInt(process.env.CLUSTER_RANDOM_SEED || process.env.UMAP_RANDOM_SEED || '42', 10);
+const CLUSTER_LABELS_DETERMINISTIC = process.env.CLUSTER_LABELS_DETERMINISTIC === 'true';
+
+// Same LCG UmapProjector seeds UMAP with
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280;
+  };
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return sum;
+}
+
+function nearestCentroid(point, centroids) {
+  let best = 0;
+  let bestDist = Infinity;
+  centroids.forEach((centroid, index) => {
+    const dist = squaredDistance(point, centroid);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = index;
+    }
+  });
+  return { index: best, distance: bestDist };
+}
+
+/**
+ * k-means with k-means++ seeding.
+ * @param {Array<Array<number>>} points
+ * @param {number} k
+ * @param {Object} [options]
+ * @param {number} [options.seed]
+ * @param {number} [options.maxIterations]
+ * @returns {{ assignments: number[], centroids: Array<Array<number>> }}
+ */
+function kMeans(points, k, { seed = CLUSTER_RANDOM_SEED, maxIterations = 100 } = {}) {
+  const random = seededRandom(seed);
+  const centroids = [points[Math.floor(random() * points.length)].slice()];
+
+  while (centroids.length < k) {
+    const distances = points.map(p => nearestCentroid(p, centroids).distance);
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    if (total === 0) break; // fewer distinct points than k
+    let target = random() * total;
+    let pick = distances.findIndex(d => (target -= d) <= 0);
+    if (pick < 0) pick = points.length - 1;
+    centroids.push(points[pick].slice());
+  }
+
+  let assignments = new Array(points.length).fill(-1);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = points.map(p => nearestCentroid(p, centroids).index);
+    const changed = next.some((c, i) => c !== assignments[i]);
+    assignments = next;
+    if (!changed) break;
+
+    centroids.forEach((centroid, c) => {
+      const members = points.filter((_, i) => assignments[i] === c);
+      if (members.length === 0) return; // keep an empty cluster's centroid where it is
+      for (let dim = 0; dim < centroid.length; dim++) {
+        centroid[dim] = members.reduce((sum, p) => sum + p[dim], 0) / members.length;
+      }
+    });
+  }
+
+  return { assignments, centroids };
+}
+
+/**
+ * Mean silhouette coefficient (-1..1, higher = better separated).
+ */
+function silhouetteScore(points, assignments) {
+  const clusterIds = [...new Set(assignments)];
+  if (clusterIds.length < 2) return -1;
+
+  const scores = points.map((point, i) => {
+    const meanDistTo = (clusterId) => {
+      const members = points.filter((_, j) => j !== i && assignments[j] === clusterId);
+      if (members.length === 0) return 0;
+      return members.reduce((sum, p) => sum + Math.sqrt(squaredDistance(point, p)), 0) / members.length;
+    };
+    const own = assignments[i];
+    if (!assignments.some((c, j) => j !== i && c === own)) return 0; // singleton
+    const a = meanDistTo(own);
+    const b = Math.min(...clusterIds.filter(c => c !== own).map(meanDistTo));
+    return Math.max(a, b) === 0 ? 0 : (b - a) / Math.max(a, b);
+  });
+
+  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+}
+
+/**
+ * Cluster points, choosing k by silhouette when not given. Cluster ids are
+ * renumbered largest-first so id 0 is always the biggest region.
+ *
+ * @param {Array<Array<number>>} points
+ * @param {Object} [options]
+ * @param {number} [options.k] - Fixed cluster count (clamped to what the data supports)
+ * @param {number} [options.seed]
+ * @returns {{ k: number, assignments: number[], centroids: Array<Array<number>>, silhouette: number }}
+ */
+function clusterPoints(points, { k = null, seed = CLUSTER_RANDOM_SEED } = {}) {
+  const maxK = Math.min(MAX_CLUSTERS, Math.floor(points.length / MIN_POINTS_PER_CLUSTER));
+  if (maxK < MIN_CLUSTERS) {
+    throw new Error(`Clustering needs at least ${MIN_CLUSTERS * MIN_POINTS_PER_CLUSTER} points. Received: ${points.length}`);
+  }
+
+  const candidates = k
+    ? [Math.min(maxK, Math.max(MIN_CLUSTERS, Math.floor(k)))]
+    : Array.from({ length: maxK - MIN_CLUSTERS + 1 }, (_, i) => MIN_CLUSTERS + i);
+
+  let best = null;
+  for (const candidateK of candidates) {
+    const run = kMeans(points, candidateK, { seed });
+    const silhouette = silhouetteScore(points, run.assignments);
+    // Strictly greater: ties keep the smaller k
+    if (!best || silhouette > best.silhouette) best = { ...run, k: candidateK, silhouette };
+  }
+
+  const sizes = best.centroids.map((_, c) => best.assignments.filter(a => a === c).length);
+  const order = sizes
+    .map((size, c) => ({ size, c }))
+    .filter(({ size }) => size > 0)
+    .sort((a, b) => b.size - a.size || a.c - b.c)
+    .map(({ c }) => c);
+  const renumber = new Map(order.map((c, newId) => [c, newId]));
+
+  return {
+    k: order.length,
+    assignments: best.assignments.map(c => renumber.get(c)),
+    centroids: order.map(c => best.centroids[c]),
+    silhouette: best.silhouette
+  };
+}
+
+function textOf(result) {
+  if (!result) return '';
+  return result.quote || result.summary || result.headline || result.description || result.title || '';
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Keyword label per cluster: tokens over-represented in the cluster relative
+ * to the whole result set (document frequency), top 2 joined with " / ".
+ */
+function keywordLabels(texts, assignments, k) {
+  const docTokens = texts.map(text => new Set(tokenize(text)));
+  const globalDf = new Map();
+  docTokens.forEach(tokens => tokens.forEach(t => globalDf.set(t, (globalDf.get(t) || 0) + 1)));
+
+  return Array.from({ length: k }, (_, clusterId) => {
+    const members = docTokens.filter((_, i) => assignments[i] === clusterId);
+    const clusterDf = new Map();
+    members.forEach(tokens => tokens.forEach(t => clusterDf.set(t, (clusterDf.get(t) || 0) + 1)));
+
+    const ranked = [...clusterDf.entries()]
+      .filter(([, count]) => count >= Math.min(2, members.length))
+      .map(([token, count]) => ({
+        token,
+        score: count / members.length - (globalDf.get(token) - count) / Math.max(1, texts.length - members.length)
+      }))
+      .sort((a, b) => b.score - a.score || a.token.localeCompare(b.token))
+      .slice(0, 2);
+
+    return ranked.length ? ranked.map(r => titleCase(r.token)).join(' / ') : `Cluster ${clusterId + 1}`;
+  });
+}
+
+async function llmLabels({ openai, samples, query }) {
+  const sections = samples
+    .map((texts, clusterId) => `CLUSTER ${clusterId}:\n${texts.map(t => `- "${t.substring(0, 200)}"`).join('\n')}`)
+    .join('\n\n');
+
+  const prompt = `These podcast excerpts were retrieved for the search "${query}" and grouped into ${samples.length} clusters by semantic similarity. For each cluster, write a concise label (2-4 words) naming the position, camp or sub-topic that sets it apart from the other clusters.
+
+${sections}
+
+Return ONLY valid JSON: {"labels": ["label for cluster 0", "label for cluster 1", ...]} with exactly ${samples.length} labels in cluster order.`;
+
+  const response = await openai.chat.completions.create({
+    model: CLUSTER_LABEL_MODEL,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.3,
+    max_tokens: 40 * samples.length,
+    response_format: { type: 'json_object' }
+  });
+
+  const { labels } = JSON.parse(response.choices[0].message.content);
+  if (!Array.isArray(labels) || labels.length !== samples.length) {
+    throw new Error(`Expected ${samples.length} labels, got ${Array.isArray(labels) ? labels.length : typeof labels}`);
+  }
+  return labels.map(label => String(label).trim());
+}
+
+/**
+ * Cluster 3D search results and label each cluster.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.results - Formatted results (quote/summary/... used for labels)
+ * @param {Array<{x: number, y: number, z: number}>} params.coordinates3d - Same order as results
+ * @param {string} [params.query] - Search query, gives the labeler context
+ * @param {number} [params.clusterCount] - Fixed k; chosen by silhouette when omitted
+ * @param {boolean} [params.deterministic] - Keyword labels, no LLM call
+ * @param {Object} [params.openai] - OpenAI client (required unless deterministic)
+ * @returns {Promise<{ clusters: Array<Object>, assignments: number[], silhouette: number, labelSource: string }>}
+ *   clusters[i] = { id, label, size, centroid: {x,y,z}, representativeIndex }
+ */
+async function clusterResults({ results, coordinates3d, query = '', clusterCount = null, deterministic = false, openai = null }) {
+  const points = coordinates3d.map(c => [c.x, c.y, c.z]);
+  const { k, assignments, centroids, silhouette } = clusterPoints(points, { k: clusterCount });
+
+  // Members of each cluster, nearest-to-centroid first
+  const membersByCluster = centroids.map((centroid, clusterId) =>
+    points
+      .map((point, index) => ({ index, distance: squaredDistance(point, centroid) }))
+      .filter(({ index }) => assignments[index] === clusterId)
+      .sort((a, b) => a.distance - b.distance || a.index - b.index)
+      .map(({ index }) => index)
+  );
+
+  const texts = results.map(textOf);
+  let labels = keywordLabels(texts, assignments, k);
+  let labelSource = 'keywords';
+
+  if (!deterministic && !CLUSTER_LABELS_DETERMINISTIC && openai) {
+    try {
+      const samples = membersByCluster.map(members =>
+        members.slice(0, SAMPLES_PER_CLUSTER).map(i => texts[i]).filter(Boolean)
+      );
+      labels = await llmLabels({ openai, samples, query });
+      labelSource = 'llm';
+    } catch (error) {
+      printLog(`[CLUSTERS] LLM labeling failed, using keyword labels: ${error.message}`);
+    }
+  }
+
+  const clusters = centroids.map((centroid, clusterId) => ({
+    id: clusterId,
+    label: labels[clusterId],
+    size: membersByCluster[clusterId].length,
+    centroid: { x: centroid[0], y: centroid[1], z: centroid[2] },
+    representativeIndex: membersByCluster[clusterId][0]
+  }));
+
+  return { clusters, assignments, silhouette, labelSource };
+}
+
+module.exports = {
+  MIN_CLUSTERS,
+  MAX_CLUSTERS,
+  kMeans,
+  silhouetteScore,
+  clusterPoints,
+  keywordLabels,
+  clusterResults
+};
@@ -0,0 +1,377 @@
+/**
+ * Retrieval eval — golden-set loading, ranking metrics, config sweeps and
+ * baseline diffs for scripts/retrieval-eval.js.
+ *
+ * A golden query names what a good answer must surface:
+ *
+ *   - id: fed-rate-cuts
+ *     query: "when will the fed cut rates"
+ *     tool: quotes                 # quotes (default) | chapters
+ *     params: { feedIds: ["226249"] }
+ *     expected:
+ *       pineconeIds: ["abc_p12"]   # any mix of paragraph/chapter ids …
+ *       guids: ["episode-guid"]    # … and episode guids (any clip of it counts)
+ *     grades: { abc_p12: 3 }       # optional graded relevance for nDCG (default 1)
+ *
+ * Each expected pineconeId / guid is one relevance "unit". A ranked result
+ * covers the units matching its id or guid; a unit is credited once, at its
+ * first rank, so five clips from one expected episode do not inflate recall.
+ *
+ * Retrieval and reranking go through an adapter so the same sweep runs live
+ * (Pinecone + Mongo + OpenAI), records to a fixture file, or replays that file
+ * offline:
+ *
+ *   adapter.search({ tool, query, params, properNounSearch, smartMode, limit })
+ *     → [{ id, guid, text }]
+ *   adapter.rerankScores({ query, results }) → number[] aligned with results
+ *
+ * Reranker thresholds are applied here from one scoring pass, mirroring
+ * utils/clipReranker.js (drop below threshold, stable sort by score desc).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EVAL_TOOLS = ['quotes', 'chapters'];
+const DEFAULT_K = 10;
+// Regressions smaller than this are treated as noise in baseline diffs.
+const DEFAULT_TOLERANCE = 0.01;
+const METRIC_NAMES = ['recall', 'mrr', 'ndcg'];
+
+// ---------------------------------------------------------------- golden sets
+
+function parseGoldenText(text, ext) {
+  if (ext === '.yaml' || ext === '.yml') {
+    // js-yaml is a devDependency — the eval runner is a dev-time tool.
+    const yaml = require('js-yaml');
+    const doc = yaml.load(text);
+    return Array.isArray(doc) ? doc : (doc?.queries || []);
+  }
+  if (ext === '.jsonl') {
+    return text.split('\n').map(l => l.trim()).filter(Boolean).map(l => JSON.parse(l));
+  }
+  const doc = JSON.parse(text);
+  return Array.isArray(doc) ? doc : (doc.queries || []);
+}
+
+/**
+ * Validate and normalize golden entries. Throws on the first bad entry so a
+ * typo in the set never silently scores as a miss.
+ */
+function normalizeGoldenSet(entries) {
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const where = `golden entry ${i + 1}${entry?.id ? ` (${entry.id})` : ''}`;
+    if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`${where}: query is required`);
+    }
+    const id = entry.id ? String(entry.id) : `q${i + 1}`;
+    if (seen.has(id)) throw new Error(`${where}: duplicate id`);
+    seen.add(id);
+
+    const tool = entry.tool || 'quotes';
+    if (!EVAL_TOOLS.includes(tool)) {
+      throw new Error(`${where}: tool must be one of ${EVAL_TOOLS.join(', ')}`);
+    }
+    const expected = entry.expected || {};
+    const pineconeIds = (expected.pineconeIds || []).map(String);
+    const guids = (expected.guids || []).map(String);
+    if (!pineconeIds.length && !guids.length) {
+      throw new Error(`${where}: expected.pineconeIds or expected.guids is required`);
+    }
+    return {
+      id,
+      query: entry.query.trim(),
+      tool,
+      params: entry.params || {},
+      expected: { pineconeIds, guids },
+      grades: entry.grades || {},
+    };
+  });
+}
+
+function loadGoldenSet(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return normalizeGoldenSet(parseGoldenText(text, path.extname(filePath).toLowerCase()));
+}
+
+// -------------------------------------------------------------------- metrics
+
+/**
+ * Map ranked results onto relevance units: `[[unitKey, …], …]` per rank, each
+ * unit appearing only at its first rank.
+ */
+function creditUnits(results, golden) {
+  const ids = new Set(golden.expected.pineconeIds);
+  const guids = new Set(golden.expected.guids);
+  const credited = new Set();
+  return results.map((r) => {
+    const units = [];
+    if (r.id && ids.has(r.id) && !credited.has(`id:${r.id}`)) units.push(`id:${r.id}`);
+    if (r.guid && guids.has(r.guid) && !credited.has(`guid:${r.guid}`)) units.push(`guid:${r.guid}`);
+    units.forEach(u => credited.add(u));
+    return units;
+  });
+}
+
+function unitGrade(golden, unit) {
+  const key = unit.slice(unit.indexOf(':') + 1);
+  const grade = golden.grades[key];
+  return typeof grade === 'number' && grade > 0 ? grade : 1;
+}
+
+/**
+ * recall@k, reciprocal rank and nDCG@k for one ranked list.
+ * @param {Array<{ id, guid }>} results - ranked, best first
+ * @param {object} golden - normalized golden entry
+ */
+function scoreRanking(results, golden, k = DEFAULT_K) {
+  const allUnits = [
+    ...golden.expected.pineconeIds.map(id => `id:${id}`),
+    ...golden.expected.guids.map(g => `guid:${g}`),
+  ];
+  const perRank = creditUnits(results, golden);
+
+  const foundAtK = perRank.slice(0, k).reduce((n, units) => n + units.length, 0);
+  const firstHit = perRank.findIndex(units => units.length > 0);
+
+  // A result covering several units (an expected clip of an expected episode)
+  // earns its best grade once, which keeps nDCG ≤ 1.
+  let dcg = 0;
+  perRank.slice(0, k).forEach((units, i) => {
+    const gain = Math.max(0, ...units.map(u => unitGrade(golden, u)));
+    if (gain) dcg += (2 ** gain - 1) / Math.log2(i + 2);
+  });
+  const idealGains = allUnits.map(u => unitGrade(golden, u)).sort((a, b) => b - a).slice(0, k);
+  const idcg = idealGains.reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+
+  return {
+    recall: allUnits.length ? foundAtK / allUnits.length : 0,
+    mrr: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+    ndcg: idcg ? dcg / idcg : 0,
+    firstHitRank: firstHit >= 0 ? firstHit + 1 : null,
+  };
+}
+
+function meanMetrics(rows) {
+  const out = {};
+  for (const name of METRIC_NAMES) {
+    out[name] = rows.length ? rows.reduce((sum, r) => sum + r[name], 0) / rows.length : 0;
+  }
+  return out;
+}
+
+// ------------------------------------------------------------------- configs
+
+/**
+ * Cartesian product of the sweep axes. `rerank` values are a minimum score
+ * (0-10) or null for "no reranker".
+ */
+function buildConfigs({ properNounSearch = [false, true], smartMode = [false], rerank = [null] } = {}) {
+  const configs = [];
+  for (const lex of properNounSearch) {
+    for (const smart of smartMode) {
+      for (const minScore of rerank) {
+        configs.push({
+          name: `lexical=${lex ? 'on' : 'off'},smart=${smart ? 'on' : 'off'},rerank=${minScore == null ? 'off' : minScore}`,
+          properNounSearch: lex,
+          smartMode: smart,
+          rerankMinScore: minScore,
+        });
+      }
+    }
+  }
+  return configs;
+}
+
+function applyRerankThreshold(results, scores, minScore) {
+  return results
+    .map((r, i) => ({ r, s: scores[i] ?? 5, i }))
+    .filter(x => x.s >= minScore)
+    .sort((a, b) => b.s - a.s || a.i - b.i)
+    .map(x => x.r);
+}
+
+// ------------------------------------------------------------------ adapters
+
+function fixtureKey(kind, parts) {
+  return [kind, ...parts].join('|');
+}
+
+function searchKey({ tool, query, params, properNounSearch, smartMode, limit }) {
+  return fixtureKey('search', [tool, properNounSearch ? 'lex' : 'nolex', smartMode ? 'smart' : 'plain', limit, query, JSON.stringify(params || {})]);
+}
+
+function rerankKey({ query, results }) {
+  return fixtureKey('rerank', [query, results.map(r => r.id).join(',')]);
+}
+
+/**
+ * Replays a fixture file recorded by createRecordingAdapter. A missing entry
+ * is an error: silently scoring it as empty would look like a regression.
+ */
+function createFixtureAdapter(fixtures) {
+  const entries = fixtures.entries || {};
+  return {
+    async search(args) {
+      const key = searchKey(args);
+      if (!(key in entries)) throw new Error(`No fixture for ${key} — re-record with --record`);
+      return entries[key];
+    },
+    async rerankScores(args) {
+      const key = rerankKey(args);
+      if (!(key in entries)) throw new Error(`No fixture for ${key} — re-record with --record`);
+      return entries[key];
+    },
+  };
+}
+
+/** Wraps an adapter and captures every response into `fixtures.entries`. */
+function createRecordingAdapter(inner, fixtures = { version: 1, entries: {} }) {
+  fixtures.entries = fixtures.entries || {};
+  return {
+    fixtures,
+    async search(args) {
+      const results = await inner.search(args);
+      fixtures.entries[searchKey(args)] = results;
+      return results;
+    },
+    async rerankScores(args) {
+      const scores = await inner.rerankScores(args);
+      fixtures.entries[rerankKey(args)] = scores;
+      return scores;
+    },
+  };
+}
+
+// -------------------------------------------------------------------- runner
+
+/**
+ * Run every golden query under every config.
+ * Retrieval is memoized across configs that only differ by reranker threshold,
+ * and each ranked list is scored by the reranker once.
+ */
+async function runRetrievalEval({ golden, configs, adapter, k = DEFAULT_K, limit = Math.max(k, 20), onProgress }) {
+  const searchCache = new Map();
+  const rerankCache = new Map();
+
+  const report = { k, limit, queries: golden.length, configs: {} };
+  for (const config of configs) {
+    const perQuery = [];
+    for (const g of golden) {
+      const args = {
+        tool: g.tool,
+        query: g.query,
+        params: g.params,
+        // Lexical gate and triage only exist on the quotes path.
+        properNounSearch: g.tool === 'quotes' ? config.properNounSearch : false,
+        smartMode: g.tool === 'quotes' ? config.smartMode : false,
+        limit,
+      };
+      const sKey = searchKey(args);
+      let row;
+      try {
+        if (!searchCache.has(sKey)) searchCache.set(sKey, await adapter.search(args));
+        let results = searchCache.get(sKey);
+
+        // Chapter hits carry headlines, not quotes; the reranker is a clip scorer.
+        if (config.rerankMinScore != null && g.tool === 'quotes' && results.length > 2) {
+          const rKey = rerankKey({ query: g.query, results });
+          if (!rerankCache.has(rKey)) {
+            rerankCache.set(rKey, await adapter.rerankScores({ query: g.query, results }));
+          }
+          results = applyRerankThreshold(results, rerankCache.get(rKey), config.rerankMinScore);
+        }
+        row = { id: g.id, returned: results.length, ...scoreRanking(results, g, k) };
+      } catch (err) {
+        row = { id: g.id, returned: 0, recall: 0, mrr: 0, ndcg: 0, firstHitRank: null, error: err.message };
+      }
+      perQuery.push(row);
+      if (onProgress) onProgress(config, row);
+    }
+    report.configs[config.name] = {
+      config,
+      metrics: meanMetrics(perQuery),
+      errors: perQuery.filter(r => r.error).length,
+      perQuery,
+    };
+  }
+  return report;
+}
+
+// ------------------------------------------------------------------ baseline
+
+/**
+ * Compare a report against a stored baseline report. Returns per-config metric
+ * deltas plus per-query regressions (a query whose recall or MRR dropped).
+ */
+function diffAgainstBaseline(report, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const diff = { tolerance, configs: {}, regressions: [] };
+  for (const [name, current] of Object.entries(report.configs)) {
+    const prior = baseline?.configs?.[name];
+    if (!prior) {
+      diff.configs[name] = { status: 'new' };
+      continue;
+    }
+    const deltas = {};
+    for (const m of METRIC_NAMES) {
+      deltas[m] = current.metrics[m] - (prior.metrics?.[m] || 0);
+      if (deltas[m] < -tolerance) {
+        diff.regressions.push({ config: name, metric: m, baseline: prior.metrics[m], current: current.metrics[m] });
+      }
+    }
+    const priorRows = new Map((prior.perQuery || []).map(r => [r.id, r]));
+    const queryRegressions = current.perQuery
+      .filter((r) => {
+        const p = priorRows.get(r.id);
+        return p && (r.recall < p.recall - tolerance || r.mrr < p.mrr - tolerance);
+      })
+      .map(r => ({ id: r.id, recall: [priorRows.get(r.id).recall, r.recall], mrr: [priorRows.get(r.id).mrr, r.mrr] }));
+    diff.configs[name] = { status: 'compared', deltas, queryRegressions };
+  }
+  return diff;
+}
+
+function formatMarkdownReport(report, diff = null) {
+  const pct = v => (v * 100).toFixed(1);
+  const signed = v => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}`;
+  const lines = [
+    `# Retrieval eval — ${report.queries} queries, k=${report.k}`,
+    '',
+    `| config | recall@${report.k} | MRR | nDCG@${report.k} | errors |${diff ? ' Δ recall | Δ MRR | Δ nDCG |' : ''}`,
+    `|---|---|---|---|---|${diff ? '---|---|---|' : ''}`,
+  ];
+  for (const [name, c] of Object.entries(report.configs)) {
+    const d = diff?.configs?.[name];
+    const deltaCols = !diff ? ''
+      : d?.status === 'compared'
+        ? ` ${signed(d.deltas.recall)} | ${signed(d.deltas.mrr)} | ${signed(d.deltas.ndcg)} |`
+        : ' new | new | new |';
+    lines.push(`| ${name} | ${pct(c.metrics.recall)} | ${pct(c.metrics.mrr)} | ${pct(c.metrics.ndcg)} | ${c.errors} |${deltaCols}`);
+  }
+  if (diff?.regressions.length) {
+    lines.push('', '## Regressions vs baseline', '');
+    for (const r of diff.regressions) {
+      lines.push(`- ${r.config}: ${r.metric} ${pct(r.baseline)} → ${pct(r.current)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  EVAL_TOOLS,
+  DEFAULT_K,
+  DEFAULT_TOLERANCE,
+  loadGoldenSet,
+  normalizeGoldenSet,
+  parseGoldenText,
+  scoreRanking,
+  meanMetrics,
+  buildConfigs,
+  applyRerankThreshold,
+  createFixtureAdapter,
+  createRecordingAdapter,
+  runRetrievalEval,
+  diffAgainstBaseline,
+  formatMarkdownReport,
+};
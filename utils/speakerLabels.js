@@ -0,0 +1,115 @@
+/**
+ * Per-paragraph speaker labels ("who said it").
+ *
+ * Paragraph docs in JamieVectorMetadata carry:
+ *   speakerLabel       raw diarization label ('SPEAKER_0', 'SPEAKER_1', ...)
+ *   speaker            resolved person name, or null while unresolved
+ *   speakerKey         normalizeSpeakerKey(speaker) — the filter key, also
+ *                      written to Pinecone metadata so search can filter on it
+ *   speakerConfidence  share of the paragraph's spoken time (0-1) attributed
+ *                      to that speaker
+ * The same fields are mirrored into metadataRaw, which is what search reads.
+ *
+ * Labels are produced by scripts/backfill-speaker-labels.js from the
+ * diarized word timings in the Deepgram transcript JSON.
+ */
+
+const DIARIZATION_LABEL_RE = /^speaker[\s_-]?\d+$/i;
+
+/**
+ * Canonical form used for speaker filtering: lowercase, accents stripped,
+ * whitespace collapsed. Returns null for empty input.
+ */
+function normalizeSpeakerKey(name) {
+  if (typeof name !== 'string') return null;
+  const key = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key || null;
+}
+
+function isDiarizationLabel(name) {
+  return typeof name === 'string' && DIARIZATION_LABEL_RE.test(name.trim());
+}
+
+function diarizationLabel(speakerIndex) {
+  return `SPEAKER_${speakerIndex}`;
+}
+
+/**
+ * Attribute each paragraph to the diarized speaker who talks longest inside
+ * its [start_time, end_time] window.
+ *
+ * @param {Array<{pineconeId, start_time, end_time}>} paragraphs
+ * @param {Array<{start, end, speaker}>} words - Deepgram diarized words
+ * @returns {Array<{pineconeId, speakerIndex, confidence}>} one entry per
+ *   paragraph that overlaps at least one diarized word
+ */
+function assignParagraphSpeakers(paragraphs, words) {
+  const timed = (words || [])
+    .filter(w => Number.isInteger(w.speaker) && Number.isFinite(w.start) && Number.isFinite(w.end))
+    .sort((a, b) => a.start - b.start);
+
+  const assignments = [];
+  let cursor = 0;
+  const sorted = [...(paragraphs || [])]
+    .filter(p => Number.isFinite(p.start_time) && Number.isFinite(p.end_time))
+    .sort((a, b) => a.start_time - b.start_time);
+
+  for (const p of sorted) {
+    while (cursor < timed.length && timed[cursor].end <= p.start_time) cursor++;
+
+    const talkTime = new Map();
+    let total = 0;
+    for (let i = cursor; i < timed.length && timed[i].start < p.end_time; i++) {
+      const w = timed[i];
+      const overlap = Math.min(w.end, p.end_time) - Math.max(w.start, p.start_time);
+      if (overlap <= 0) continue;
+      talkTime.set(w.speaker, (talkTime.get(w.speaker) || 0) + overlap);
+      total += overlap;
+    }
+    if (total === 0) continue;
+
+    let best = null;
+    for (const [speakerIndex, seconds] of talkTime) {
+      if (!best || seconds > best.seconds) best = { speakerIndex, seconds };
+    }
+    assignments.push({
+      pineconeId: p.pineconeId,
+      speakerIndex: best.speakerIndex,
+      confidence: parseFloat((best.seconds / total).toFixed(3)),
+    });
+  }
+  return assignments;
+}
+
+/**
+ * "Who said it" for a paragraph's metadataRaw, or null when unlabelled.
+ * @returns {{ name: string|null, label: string|null, confidence: number|null }|null}
+ */
+function speakerFromMetadata(meta) {
+  if (!meta) return null;
+  const name = typeof meta.speaker === 'string' && meta.speaker.trim() && !isDiarizationLabel(meta.speaker)
+    ? meta.speaker.trim()
+    : null;
+  const label = typeof meta.speakerLabel === 'string' && meta.speakerLabel
+    ? meta.speakerLabel
+    : (isDiarizationLabel(meta.speaker) ? meta.speaker.trim() : null);
+  if (!name && !label) return null;
+  return {
+    name,
+    label,
+    confidence: Number.isFinite(meta.speakerConfidence) ? meta.speakerConfidence : null,
+  };
+}
+
+module.exports = {
+  normalizeSpeakerKey,
+  isDiarizationLabel,
+  diarizationLabel,
+  assignParagraphSpeakers,
+  speakerFromMetadata,
+};
@@ -0,0 +1,126 @@
+/**
+ * Transcript export renderers for GET /api/corpus/episodes/:guid/transcript.
+ *
+ * Input is the shape returned by corpusService.getEpisodeTranscript
+ * ({ episode, paragraphs, chapters }, both lists ordered by start time).
+ * SRT and WebVTT reuse the cue writers in SubtitleUtils, one cue per indexed
+ * paragraph. JSON and Markdown interleave chapter headings ahead of the
+ * first paragraph that starts inside each chapter.
+ */
+
+const SubtitleUtils = require('./SubtitleUtils');
+
+const TRANSCRIPT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+};
+
+/**
+ * Own keys only, so ?format=constructor and friends are rejected rather than
+ * matching Object.prototype.
+ * @param {string} format
+ */
+function isTranscriptFormat(format) {
+  return Object.hasOwn(TRANSCRIPT_FORMATS, format);
+}
+
+function toCues(paragraphs) {
+  return (paragraphs || [])
+    .filter(p => typeof p.startTime === 'number' && typeof p.endTime === 'number')
+    .map(p => ({ text: p.text, start: p.startTime, end: p.endTime }));
+}
+
+/**
+ * Merge chapters and paragraphs into one ordered list of
+ * `{ type: 'chapter' | 'paragraph', ... }` segments. A chapter is emitted
+ * right before the first paragraph whose start time reaches it; chapters past
+ * the last paragraph are appended so none are dropped.
+ */
+function interleaveSegments(paragraphs, chapters) {
+  const pending = (chapters || []).filter(c => c.headline || c.summary);
+  const segments = [];
+  let ci = 0;
+
+  for (const p of paragraphs || []) {
+    while (ci < pending.length && (pending[ci].startTime ?? 0) <= (p.startTime ?? 0)) {
+      segments.push({ type: 'chapter', ...pending[ci] });
+      ci++;
+    }
+    segments.push({ type: 'paragraph', ...p });
+  }
+  while (ci < pending.length) {
+    segments.push({ type: 'chapter', ...pending[ci] });
+    ci++;
+  }
+  return segments;
+}
+
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function renderMarkdown({ episode, paragraphs, chapters }) {
+  const lines = [`# ${episode.title || episode.guid}`, ''];
+  const byline = [episode.creator, episode.publishedDate].filter(Boolean).join(' · ');
+  if (byline) lines.push(`_${byline}_`, '');
+
+  for (const seg of interleaveSegments(paragraphs, chapters)) {
+    if (seg.type === 'chapter') {
+      lines.push(`## [${formatClock(seg.startTime)}] ${seg.headline || 'Untitled chapter'}`, '');
+      if (seg.summary) lines.push(`> ${seg.summary}`, '');
+    } else {
+      lines.push(`**[${formatClock(seg.startTime)}]** ${seg.text}`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderJson({ episode, paragraphs, chapters }) {
+  return JSON.stringify({
+    episode,
+    paragraphCount: (paragraphs || []).length,
+    chapterCount: (chapters || []).length,
+    segments: interleaveSegments(paragraphs, chapters),
+  });
+}
+
+/**
+ * Render an episode transcript in one of TRANSCRIPT_FORMATS.
+ *
+ * @param {Object} transcript - { episode, paragraphs, chapters }
+ * @param {string} format - 'srt' | 'vtt' | 'json' | 'md'
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+function renderTranscript(transcript, format) {
+  if (!isTranscriptFormat(format)) throw new Error(`Unsupported transcript format: ${format}`);
+
+  let body;
+  switch (format) {
+    case 'srt':
+      body = SubtitleUtils.buildSRTContent(toCues(transcript.paragraphs));
+      break;
+    case 'vtt':
+      body = SubtitleUtils.buildWebVTTContent(toCues(transcript.paragraphs));
+      break;
+    case 'json':
+      body = renderJson(transcript);
+      break;
+    case 'md':
+      body = renderMarkdown(transcript);
+      break;
+  }
+  return { body, ...TRANSCRIPT_FORMATS[format] };
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  isTranscriptFormat,
+  renderTranscript,
+  interleaveSegments,
+};
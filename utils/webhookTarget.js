@@ -0,0 +1,161 @@
+/**
+ * Caller-supplied webhook targets: on-demand run callbacks
+ * (services/onDemandCallbackService.js) and saved-search webhooks
+ * (services/savedSearchService.js).
+ *
+ * These URLs are fetched from inside our network, so they must not reach
+ * loopback, private, link-local or other internal addresses:
+ *
+ *   parseWebhookTarget  → when the target is saved: scheme, literal host,
+ *                         signing secret and keyId
+ *   validateWebhookUrl  → the URL part alone; re-checked before each delivery
+ *   webhookAgents       → every DNS answer is checked as the socket connects,
+ *                         so a public-looking name can't resolve inward
+ *
+ * Plain http and internal hosts are only accepted in DEBUG_MODE, for local
+ * receivers.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { DEBUG_MODE } = require('../constants');
+
+const MIN_SECRET_LENGTH = 16;
+const KEY_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+const INTERNAL_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  INTERNAL_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  INTERNAL_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT, multicast and reserved
+ * addresses, including their IPv4-mapped IPv6 forms.
+ * @param {string} address - IP literal
+ */
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return INTERNAL_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isInternalHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isInternalAddress(host);
+}
+
+/**
+ * @param {string} url
+ * @param {string} [field] - body field name for error messages
+ * @returns {string|null} error message, or null when the URL may be used
+ */
+function validateWebhookUrl(url, field = 'webhookUrl') {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `${field} must be a valid absolute URL`;
+  }
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && DEBUG_MODE)) {
+    return `${field} must use https`;
+  }
+  if (!DEBUG_MODE && isInternalHostname(parsed.hostname)) {
+    return `${field} must point at a public host`;
+  }
+  return null;
+}
+
+/**
+ * Validate a webhook URL plus the shared secret its deliveries are signed
+ * with (middleware/hmac.js#signRequest).
+ *
+ * @param {Object} fields - { url, secret, keyId } as sent by the caller
+ * @param {Object} options
+ * @param {string} options.prefix - body field prefix ('callback' → callbackUrl, callbackSecret, callbackKeyId)
+ * @param {string} options.defaultKeyId
+ * @returns {{ target?: { url, secret, keyId }, error?: string }} target is
+ *   undefined when no URL was supplied
+ */
+function parseWebhookTarget({ url, secret, keyId } = {}, { prefix, defaultKeyId }) {
+  if (!url) {
+    if (secret) return { error: `${prefix}Secret requires ${prefix}Url` };
+    if (keyId) return { error: `${prefix}KeyId requires ${prefix}Url` };
+    return {};
+  }
+
+  const urlError = validateWebhookUrl(url, `${prefix}Url`);
+  if (urlError) return { error: urlError };
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    return { error: `${prefix}Secret is required with ${prefix}Url and must be at least ${MIN_SECRET_LENGTH} characters` };
+  }
+  if (keyId !== undefined && keyId !== null && (typeof keyId !== 'string' || !KEY_ID_PATTERN.test(keyId))) {
+    return { error: `${prefix}KeyId must be 1-64 characters of [A-Za-z0-9_.-]` };
+  }
+
+  return {
+    target: {
+      url: new URL(url).toString(),
+      secret,
+      keyId: keyId || defaultKeyId,
+    },
+  };
+}
+
+/**
+ * dns.lookup that refuses to hand an internal address to the socket.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const internal = addresses.find(a => isInternalAddress(a.address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to an internal address (${internal.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgents = DEBUG_MODE
+  ? {}
+  : {
+    httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+    httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+  };
+
+module.exports = {
+  MIN_SECRET_LENGTH,
+  isInternalAddress,
+  validateWebhookUrl,
+  parseWebhookTarget,
+  publicOnlyLookup,
+  webhookAgents,
+};
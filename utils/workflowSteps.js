@@ -5,6 +5,7 @@ const WorkProductV2 = require('../models/WorkProductV2');
 const { findSimilarDiscussions } = require('../agent-tools/pineconeTools');
 const { discoverInternal } = require('../routes/discoverRoutes');
 const { triageQuery } = require('./queryTriage');
+const { createEmbeddings } = require('./embeddings');
 
 const BASE_URL = process.env.FRONTEND_URL || 'https://www.pullthatupjamie.ai';
 
@@ -80,16 +81,14 @@ async function stepSearchQuotes({ query, feedIds = [], guids = [], limit = 10, m
 
     printLog(`${debugPrefix} query="${effectiveQuery}", feedIds=${feedIds.length}, guids=${guids.length}, limit=${limit}${targetPerson ? `, targetPerson="${targetPerson}"` : ''}`);
 
-    const embeddingResponse = await openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: effectiveQuery
-    });
+    const embeddingResponse = await createEmbeddings({ input: effectiveQuery });
     const embedding = embeddingResponse.data[0].embedding;
 
     const overFetchLimit = Math.min(limit * 3, 30);
 
     const minimalResults = await findSimilarDiscussions({
       embedding,
+      embeddingModelId: embeddingResponse.modelId,
       feedIds,
       guids,
       limit: overFetchLimit,